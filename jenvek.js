@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// jenVek-node/jenvek.js
+// Command-line batch renderer: renders one or many designs to SVG files without a browser.
+// Uses the same rendering core as the browser and POST /api/render (server/lib/renderer.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadRenderCore, renderSVG } = require('./server/lib/renderer');
+const { loadColors } = require('./server/lib/colorStore');
+const { RENDER_LIMITS, validateRenderRequest } = require('./server/lib/renderOptions');
+
+// Upper bound for one batch, so a typo like 1..1000000000 fails fast instead of filling the disk
+const MAX_SEEDS = 10000;
+
+const USAGE = `Usage: jenvek [options]
+
+Render jenVek designs to SVG files.
+
+Options:
+  --pattern <type>       Pattern type (lines, grid, rose, ...)
+  --seed <value>         Render a single seed (number or text)
+  --seeds <list>         Render many seeds: a range like 1..500 and/or a comma list like 3,7,42
+  --viewport <WxH>       Canvas size, e.g. 1920x1080
+  --palette <name>       Colour category name, random_palette or random_in_category
+  --category <name>      Colour category (needed with --palette random_in_category)
+  --from <file.json>     Start from a design exported with "Download JSON"; flags override it
+  -o, --out <dir>        Output directory (default: ./renders)
+  --verbose              Show the renderer's log output
+  -h, --help             Show this help
+
+Writes one SVG per seed plus manifest.json (seed -> file) to the output directory.
+Examples:
+  jenvek --pattern rose --seeds 1..500 --viewport 1920x1080 --palette blues -o wallpapers
+  jenvek --from jenVek-data-1712345678901.json --seeds 1..20
+`;
+
+/**
+ * Parses a --seeds value ("1..500", "3,7,42", "1..10,99") into a list of seeds.
+ * Non-numeric entries are kept as text seeds.
+ * @param {string} value - The flag value.
+ * @returns {Array<number|string>} Seeds in order, without duplicates.
+ * @throws {Error} If the list is longer than MAX_SEEDS.
+ */
+function parseSeedList(value) {
+  const seeds = [];
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    const range = part.match(/^(-?\d+)\.\.(-?\d+)$/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = parseInt(range[2], 10);
+      const step = start <= end ? 1 : -1;
+      if (Math.abs(end - start) + 1 + seeds.length > MAX_SEEDS) throw new Error(`at most ${MAX_SEEDS} seeds per batch`);
+      for (let seed = start; seed !== end + step; seed += step) seeds.push(seed);
+    } else {
+      seeds.push(/^-?\d+(\.\d+)?$/.test(part) ? Number(part) : part);
+    }
+  }
+  if (seeds.length > MAX_SEEDS) throw new Error(`at most ${MAX_SEEDS} seeds per batch`);
+  return [...new Set(seeds)];
+}
+
+/**
+ * Parses a --viewport value like "1920x1080".
+ * @param {string} value - The flag value.
+ * @returns {{viewportWidth: number, viewportHeight: number} | null} Parsed size, or null if malformed.
+ */
+function parseViewport(value) {
+  const match = String(value).trim().match(/^(\d+)\s*[xX×]\s*(\d+)$/);
+  if (!match) return null;
+  return { viewportWidth: parseInt(match[1], 10), viewportHeight: parseInt(match[2], 10) };
+}
+
+/**
+ * Reads a design file written by downloadJSON() and returns its options as a request body.
+ * Options the file predates get their legacy values, as when restoring it in the browser.
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {Promise<object>} Options plus `seed` (the resolved seed) when the file recorded one.
+ */
+async function readDesignFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || typeof data.optionsUsed !== 'object' || data.optionsUsed === null) {
+    throw new Error(`${filePath} has no "optionsUsed" block. Is it a jenVek design file?`);
+  }
+  const { LEGACY_OPTION_DEFAULTS } = await loadRenderCore();
+  const body = { ...LEGACY_OPTION_DEFAULTS, ...data.optionsUsed };
+  // The resolved numeric seed reproduces the design exactly, whatever the override was
+  const seed = data.seed ?? data.mathProperties?.seed;
+  if (typeof seed === 'number') {
+    body.seed = seed;
+    delete body.seedOverride;
+  }
+  return body;
+}
+
+/**
+ * Turns a seed into a safe file name fragment.
+ * @param {number|string} seed - The seed.
+ * @returns {string} File-name-safe text.
+ */
+function seedToFileName(seed) {
+  return String(seed).replace(/[^A-Za-z0-9_.-]+/g, '_').slice(0, 64) || 'seed';
+}
+
+/**
+ * Picks the SVG file name for a seed, unique within the batch. seedToFileName() can give two
+ * seeds the same name ("a b" and "a_b", or long seeds sharing their first 64 characters), so a
+ * taken name gets a short hash of the raw seed, and the batch index if that is taken too.
+ * Names are compared case-insensitively, as on macOS and Windows file systems.
+ * @param {string} patternName - Pattern type, the file name prefix.
+ * @param {number|string} seed - The seed.
+ * @param {number} index - Position of the seed in the batch.
+ * @param {Set<string>} usedNames - Lower-cased names already used in this batch; the result is added.
+ * @returns {string} The file name.
+ */
+function uniqueFileName(patternName, seed, index, usedNames) {
+  const stem = `${patternName}-${seedToFileName(seed)}`;
+  const hash = crypto.createHash('sha1').update(String(seed)).digest('hex').slice(0, 8);
+  const candidates = [`${stem}.svg`, `${stem}-${hash}.svg`, `${stem}-${hash}-${index + 1}.svg`];
+  const fileName = candidates.find(name => !usedNames.has(name.toLowerCase()));
+  usedNames.add(fileName.toLowerCase());
+  return fileName;
+}
+
+/**
+ * CLI entry point.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Promise<number>} Process exit code.
+ */
+async function main(argv) {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      args: argv,
+      options: {
+        pattern: { type: 'string' },
+        seed: { type: 'string' },
+        seeds: { type: 'string' },
+        viewport: { type: 'string' },
+        palette: { type: 'string' },
+        category: { type: 'string' },
+        from: { type: 'string' },
+        out: { type: 'string', short: 'o', default: 'renders' },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`jenvek: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // --- Build the base request (design file first, flags override it) ---
+  let base = {};
+  if (args.from) {
+    try {
+      base = await readDesignFile(args.from);
+    } catch (error) {
+      console.error(`jenvek: could not read ${args.from}: ${error.message}`);
+      return 1;
+    }
+  }
+  if (args.pattern) base.patternType = args.pattern;
+  if (args.viewport) {
+    const viewport = parseViewport(args.viewport);
+    if (!viewport) {
+      console.error(`jenvek: --viewport must look like 1920x1080 (got "${args.viewport}").`);
+      return 2;
+    }
+    Object.assign(base, viewport);
+  }
+  if (args.category) base.colorCategory = args.category;
+  if (args.palette) {
+    // A new palette replaces the one recorded in a design file
+    if (!args.category && args.palette !== 'random_in_category') delete base.colorCategory;
+    delete base.colorPalette;
+    base.palette = args.palette;
+  }
+
+  // --- Seeds ---
+  if (args.seed && args.seeds) {
+    console.error('jenvek: use either --seed or --seeds, not both.');
+    return 2;
+  }
+  let seeds;
+  if (args.seeds) {
+    try {
+      seeds = parseSeedList(args.seeds);
+    } catch (error) {
+      console.error(`jenvek: --seeds "${args.seeds}": ${error.message}.`);
+      return 2;
+    }
+  } else if (args.seed) seeds = [args.seed];
+  else if (base.seed !== undefined) seeds = [base.seed];
+  else if (base.seedOverride) seeds = [base.seedOverride];
+  else seeds = [Date.now()];
+  if (seeds.length === 0) {
+    console.error(`jenvek: --seeds "${args.seeds}" did not contain any seeds.`);
+    return 2;
+  }
+  delete base.seed;
+  delete base.seedOverride; // Every render gets its seed from the list above
+
+  // Same colour library as the server (including palettes added through the API); never written here
+  await loadColors({ createIfMissing: false });
+
+  // Validate once up front with the first seed, so option mistakes are reported before any work
+  const core = await loadRenderCore();
+  const { errors } = validateRenderRequest({ ...base, seed: seeds[0] }, core);
+  if (errors.length > 0) {
+    console.error('jenvek: invalid options:\n' + errors.map(e => `  - ${e}`).join('\n'));
+    return 2;
+  }
+
+  // --- Render ---
+  const outDir = path.resolve(args.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  const manifest = { generatedAt: new Date().toISOString(), options: { ...base }, designs: [] };
+  const patternName = base.patternType || core.DEFAULT_RENDER_OPTIONS.patternType;
+  const usedNames = new Set();
+  let failures = 0;
+
+  for (const [index, seed] of seeds.entries()) {
+    const { options, errors: seedErrors } = validateRenderRequest({ ...base, seed }, core);
+    const fileName = uniqueFileName(patternName, seed, index, usedNames);
+    try {
+      if (seedErrors.length > 0) throw new Error(seedErrors.join(' '));
+      const result = await renderSVG(options, {
+        maxElements: RENDER_LIMITS.maxElements,
+        maxBytes: RENDER_LIMITS.maxBytes,
+        ...(args.verbose && { logger: console }), // Otherwise the renderer's log output is dropped
+      });
+      fs.writeFileSync(path.join(outDir, fileName), result.svg);
+      manifest.designs.push({ seed, file: fileName, resolvedSeed: result.seed, elements: result.totalElements, palette: result.palette });
+      console.log(`[${index + 1}/${seeds.length}] seed ${seed} -> ${fileName}`);
+    } catch (error) {
+      failures++;
+      manifest.designs.push({ seed, file: null, error: error.message });
+      console.error(`[${index + 1}/${seeds.length}] seed ${seed} failed: ${error.message}`);
+    }
+  }
+
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  console.log(`Rendered ${seeds.length - failures}/${seeds.length} design(s) to ${outDir} (manifest.json written).`);
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => { process.exitCode = code; },
+    (error) => { console.error('jenvek: unexpected error:', error); process.exitCode = 1; }
+  );
+}
+
+// Exported for the tests
+module.exports = { parseSeedList, parseViewport, seedToFileName, uniqueFileName, readDesignFile };
@@ -3,13 +3,18 @@
 // ----- MODULE IMPORTS -----
 import { state } from './modules/state.js';
 import { cacheDOMElements, dom } from './modules/dom.js';
-import { populateColorSelectors } from './modules/colorUtils.js';
+import { populateColorSelectors, updatePalettePreview, updateHarmonyPreview, applyHarmonyPalette, updateContrastReport, autoFixContrast } from './modules/colorUtils.js';
 // Import ALL UI functions now
 import {
     updateUIFromState, handleViewportChange, captureX, captureY, captureV, updateCursorInfo
 } from './modules/ui.js'; // captureX, captureY, captureV are needed
-import { generateSVG, stopAnimation } from './modules/generator.js';
+import { generateSVG, stopGeneration, setPreviewRenderer } from './modules/generator.js';
 import { downloadSVG, downloadJSON } from './modules/download.js';
+import { importJSONFile, importDesignFile } from './modules/restore.js';
+import { setCvdMode } from './modules/cvdPreview.js';
+import { importPaletteImage, updateExtractedPalette, useExtractedPalette, saveExtractedPalette } from './modules/imagePalette.js';
+import { initPatternControls, renderPatternParams } from './modules/patternControls.js';
+import { addLayer, renderLayerStack } from './modules/layerStack.js';
 
 
 // ====================== Event Handlers ======================
@@ -47,6 +52,7 @@ function handleKeyDown(event) {
 async function initApp() {
     console.log("Initializing jenVek SVG Generator v2...");
     cacheDOMElements(); // Cache DOM elements first
+    initPatternControls(); // Pattern dropdown and parameter panel come from the pattern registry
 
     // Fetch Color Data
     try {
@@ -73,6 +79,7 @@ async function initApp() {
     } finally {
          if (state.allColors && Object.keys(state.allColors).length > 0 && dom.colorCategory && dom.colorPalette) {
               populateColorSelectors();
+              renderLayerStack(); // Layer palette menus list the library categories
          } else {
              console.warn("Could not populate color selectors - missing data or DOM elements.");
          }
@@ -81,15 +88,78 @@ async function initApp() {
 
     // Attach Event Listeners
     if (dom.generateBtn) dom.generateBtn.addEventListener('click', generateSVG);
-    if (dom.stopAnimationBtn) dom.stopAnimationBtn.addEventListener('click', stopAnimation);
+    if (dom.stopAnimationBtn) dom.stopAnimationBtn.addEventListener('click', stopGeneration); // Cancels a running generation too
     if (dom.downloadSvgBtn) dom.downloadSvgBtn.addEventListener('click', downloadSVG);
     if (dom.downloadJsonBtn) dom.downloadJsonBtn.addEventListener('click', downloadJSON);
 
+    // Load JSON: the button opens the hidden file input, which restores the chosen design
+    if (dom.loadJsonBtn && dom.loadJsonInput) {
+        dom.loadJsonBtn.addEventListener('click', () => dom.loadJsonInput.click());
+        dom.loadJsonInput.addEventListener('change', async () => {
+            await importJSONFile(dom.loadJsonInput.files[0]);
+            dom.loadJsonInput.value = ''; // Allow re-loading the same file
+        });
+    }
+
+    // Pattern parameter panel follows the selected pattern
+    if (dom.patternType) dom.patternType.addEventListener('change', () => renderPatternParams());
+
+    // Layer stack: per-layer pattern, palette, fill, offsets and parameters
+    if (dom.addLayerBtn) dom.addLayerBtn.addEventListener('click', addLayer);
+
+    // Palette generator: live preview while adjusting, "Use Palette" makes it the active palette
+    [dom.harmonyBase, dom.harmonyScheme, dom.harmonyCount, dom.harmonyLightness, dom.harmonyChroma, dom.strokeColor].forEach(control => {
+        if (control) control.addEventListener('input', updateHarmonyPreview);
+    });
+    if (dom.harmonyApplyBtn) dom.harmonyApplyBtn.addEventListener('click', applyHarmonyPalette);
+
+    // Palette order/expansion: the preview shows the palette the patterns will receive
+    [dom.paletteSort, dom.paletteSize, dom.colorInterpolation].forEach(control => {
+        if (control) control.addEventListener('change', updatePalettePreview);
+    });
+
+    // Contrast report: follows the background/stroke pickers and the target ratio
+    [dom.bgColor, dom.strokeColor, dom.contrastTarget].forEach(control => {
+        if (control) control.addEventListener('input', updateContrastReport);
+    });
+    if (dom.contrastFixBtn) dom.contrastFixBtn.addEventListener('click', autoFixContrast);
+
+    // Colour-vision preview (canvas filter, simulated swatches, confusable pairs)
+    if (dom.cvdMode) dom.cvdMode.addEventListener('change', () => setCvdMode());
+
+    // Palette from image: drop a PNG/JPEG anywhere on the palette sidebar, or click the drop zone
+    if (dom.imagePaletteDropZone && dom.imagePaletteInput) {
+        dom.imagePaletteDropZone.addEventListener('click', () => dom.imagePaletteInput.click());
+        dom.imagePaletteInput.addEventListener('change', async () => {
+            await importPaletteImage(dom.imagePaletteInput.files[0]);
+            dom.imagePaletteInput.value = ''; // Allow re-loading the same file
+        });
+    }
+    if (dom.rightSidebar) {
+        dom.rightSidebar.addEventListener('dragover', (e) => {
+            e.preventDefault(); // Required to allow dropping
+            dom.rightSidebar.classList.add('drag-over');
+        });
+        dom.rightSidebar.addEventListener('dragleave', () => dom.rightSidebar.classList.remove('drag-over'));
+        dom.rightSidebar.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dom.rightSidebar.classList.remove('drag-over');
+            importPaletteImage(e.dataTransfer?.files?.[0]);
+        });
+    }
+    if (dom.imagePaletteMethod) dom.imagePaletteMethod.addEventListener('change', updateExtractedPalette);
+    if (dom.imagePaletteCount) dom.imagePaletteCount.addEventListener('change', updateExtractedPalette);
+    if (dom.imagePaletteApplyBtn) dom.imagePaletteApplyBtn.addEventListener('click', useExtractedPalette);
+    if (dom.imagePaletteSaveBtn) dom.imagePaletteSaveBtn.addEventListener('click', saveExtractedPalette);
+
     // Viewport listeners
     if (dom.viewportPreset) dom.viewportPreset.addEventListener('change', handleViewportChange);
     if (dom.customWidth) dom.customWidth.addEventListener('change', handleViewportChange);
     if (dom.customHeight) dom.customHeight.addEventListener('change', handleViewportChange);
 
+    // Preview renderer: SVG, or a canvas for very large designs (downloads are always SVG)
+    if (dom.previewRenderer) dom.previewRenderer.addEventListener('change', () => setPreviewRenderer());
+
     // Capture buttons (keep click listeners as well)
     if (dom.captureXBtn) dom.captureXBtn.addEventListener('click', captureX);
     if (dom.captureYBtn) dom.captureYBtn.addEventListener('click', captureY);
@@ -115,14 +185,28 @@ async function initApp() {
     }
 
 
-    // Mouse movement tracking
-    if (dom.svg) {
-        dom.svg.addEventListener('mousemove', updateCursorInfo);
-        dom.svg.addEventListener('touchmove', (e) => {
+    // Drag & drop: dropping an exported SVG (or JSON) onto the canvas restores its design
+    if (dom.canvasContainer) {
+        dom.canvasContainer.addEventListener('dragover', (e) => {
+            e.preventDefault(); // Required to allow dropping
+            dom.canvasContainer.classList.add('drag-over');
+        });
+        dom.canvasContainer.addEventListener('dragleave', () => dom.canvasContainer.classList.remove('drag-over'));
+        dom.canvasContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dom.canvasContainer.classList.remove('drag-over');
+            importDesignFile(e.dataTransfer?.files?.[0]);
+        });
+    }
+
+    // Mouse movement tracking (on the SVG and on the canvas preview of large designs)
+    [dom.svg, dom.previewCanvas].filter(Boolean).forEach(surface => {
+        surface.addEventListener('mousemove', updateCursorInfo);
+        surface.addEventListener('touchmove', (e) => {
             if (e.touches.length > 0) updateCursorInfo(e.touches[0]);
             e.preventDefault();
         }, { passive: false });
-    }
+    });
 
     // Window resize listener
     window.addEventListener('resize', handleViewportChange);
@@ -0,0 +1,659 @@
+// public/js/modules/canvasPreview.js
+
+// ----- CANVAS PREVIEW -----
+// Draws a rendered scene (a SceneNode tree, or its plain copy from the render worker) onto a 2D
+// <canvas>. With 25 layers at high density the live SVG reaches tens of thousands of DOM nodes and
+// panning, resizing and animation crawl; a canvas is a single element however much is drawn on it.
+// Only the on-page preview changes: the downloaded SVG is serialized from the same scene (generator.js).
+//
+// Covers what the generators emit: g, rect, circle, ellipse, line, polyline, polygon, path and text;
+// transforms; opacity, fill-opacity and stroke-opacity; group opacity and mix-blend-mode (layer groups
+// are composited through an offscreen canvas like SVG does); display="none"; and fills/strokes that are
+// colours, linear/radial gradients or userSpaceOnUse patterns from <defs>.
+
+// ----- MODULE IMPORTS -----
+import { hexToRgb } from './colorMath.js';
+
+/**
+ * In 'auto' mode, scenes with more nodes than this are previewed on the canvas.
+ */
+export const CANVAS_PREVIEW_THRESHOLD = 15000;
+
+/**
+ * Preview renderer choices: 'auto' switches to the canvas above CANVAS_PREVIEW_THRESHOLD.
+ */
+export const PREVIEW_RENDERERS = ['auto', 'svg', 'canvas'];
+
+// Browsers refuse (or silently blank) canvases much larger than this many pixels
+const MAX_CANVAS_PIXELS = 16777216;
+
+// Presentation attributes children inherit from their ancestors (opacity is not inherited)
+const INHERITED_PROPERTIES = [
+    'fill', 'stroke', 'stroke-width', 'fill-opacity', 'stroke-opacity', 'fill-rule',
+    'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+    'font-size', 'font-family', 'font-weight', 'text-anchor', 'visibility',
+];
+
+const INITIAL_PROPERTIES = { fill: '#000000', stroke: 'none', 'stroke-width': '1' };
+
+// Definitions and non-rendering elements: only drawn through a reference (fill="url(#id)")
+const NON_RENDERING_TAGS = new Set([
+    'defs', 'linearGradient', 'radialGradient', 'pattern', 'clipPath', 'mask', 'filter',
+    'metadata', 'title', 'desc', 'style', 'symbol', 'marker',
+]);
+
+let lastScene = null; // Scene on the canvas, redrawn when the viewport changes
+
+/**
+ * Counts the nodes of a scene (SceneNode or plain copy).
+ * @param {object} node - Root of the scene.
+ * @returns {number} Number of nodes including the root.
+ */
+export function countSceneNodes(node) {
+    return node.children.reduce((total, child) => total + countSceneNodes(child), 1);
+}
+
+/**
+ * Picks the preview backend for a scene.
+ * @param {string} mode - One of PREVIEW_RENDERERS.
+ * @param {number} nodeCount - Size of the scene (countSceneNodes()).
+ * @returns {'svg' | 'canvas'} The backend to use.
+ */
+export function choosePreviewRenderer(mode, nodeCount) {
+    if (mode === 'svg' || mode === 'canvas') return mode;
+    return nodeCount > CANVAS_PREVIEW_THRESHOLD ? 'canvas' : 'svg';
+}
+
+/**
+ * Draws a scene onto a canvas at the given size (CSS pixels), sharp on high-DPI screens.
+ * Like the SVG preview (viewBox = viewport), the scene is drawn 1:1 from its top-left corner.
+ * @param {HTMLCanvasElement} canvas - Target canvas.
+ * @param {object} scene - Root <svg> node from renderScene().
+ * @param {number} width - Viewport width.
+ * @param {number} height - Viewport height.
+ */
+export function drawSceneToCanvas(canvas, scene, width, height) {
+    lastScene = scene;
+    const pixelRatio = Math.min(
+        (typeof window !== 'undefined' && window.devicePixelRatio) || 1,
+        Math.sqrt(MAX_CANVAS_PIXELS / (width * height))
+    );
+    canvas.width = Math.max(1, Math.round(width * pixelRatio));
+    canvas.height = Math.max(1, Math.round(height * pixelRatio));
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    canvas.dataset.width = String(width);
+    canvas.dataset.height = String(height);
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        console.error("drawSceneToCanvas: 2D canvas context not available.");
+        return;
+    }
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const renderContext = {
+        definitions: collectDefinitions(scene),
+        viewport: { width: parseFloat(scene.attributes.width) || width, height: parseFloat(scene.attributes.height) || height },
+        pixelRatio,
+        patternCache: new Map(),
+    };
+    scene.children.forEach(child => drawNode(ctx, child, INITIAL_PROPERTIES, renderContext));
+}
+
+/**
+ * Redraws the last scene when the viewport size changed (no-op otherwise, e.g. on window resize).
+ * @param {HTMLCanvasElement} canvas - The preview canvas.
+ * @param {number} width - Viewport width.
+ * @param {number} height - Viewport height.
+ */
+export function resizeCanvasPreview(canvas, width, height) {
+    if (!lastScene || (canvas.dataset.width === String(width) && canvas.dataset.height === String(height))) return;
+    drawSceneToCanvas(canvas, lastScene, width, height);
+}
+
+/**
+ * Forgets the scene on the canvas (the SVG preview took over).
+ */
+export function clearCanvasPreview() {
+    lastScene = null;
+}
+
+// ----- SCENE WALK -----
+
+/**
+ * Indexes the elements with an id (gradients and patterns are referenced as url(#id)).
+ * @param {object} node - Root of the scene.
+ * @param {Map<string, object>} [definitions=new Map()] - Index being filled.
+ * @returns {Map<string, object>} id -> node.
+ */
+function collectDefinitions(node, definitions = new Map()) {
+    if (node.attributes.id) definitions.set(node.attributes.id, node);
+    node.children.forEach(child => collectDefinitions(child, definitions));
+    return definitions;
+}
+
+/**
+ * Parses a style attribute ("a: b; c: d") into an object.
+ * @param {string} [style] - The attribute value.
+ * @returns {object} Property -> value.
+ */
+function parseStyle(style) {
+    const properties = {};
+    (style || '').split(';').forEach(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon > 0) properties[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+    });
+    return properties;
+}
+
+/**
+ * Resolves a node's presentation properties: inherited values, then its attributes, then its style.
+ * @param {object} node - Scene node.
+ * @param {object} inherited - Inherited properties of the parent.
+ * @returns {object} Inherited properties for this node and its children, plus its own
+ *   non-inherited `opacity`, `display` and `mix-blend-mode`.
+ */
+function resolveProperties(node, inherited) {
+    const own = { ...node.attributes, ...parseStyle(node.attributes.style) };
+    const properties = { ...inherited };
+    INHERITED_PROPERTIES.forEach(name => {
+        if (own[name] !== undefined && own[name] !== 'inherit') properties[name] = own[name];
+    });
+    properties.opacity = own.opacity;
+    properties.display = own.display;
+    properties['mix-blend-mode'] = own['mix-blend-mode'];
+    return properties;
+}
+
+/**
+ * Applies an SVG transform list (matrix, translate, scale, rotate, skewX, skewY) to the context.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {string} [transform] - The transform attribute.
+ */
+function applyTransform(ctx, transform) {
+    if (!transform) return;
+    const functions = transform.matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g);
+    for (const [, name, argumentText] of functions) {
+        const args = argumentText.split(/[\s,]+/).filter(Boolean).map(Number);
+        switch (name) {
+            case 'matrix':
+                if (args.length === 6) ctx.transform(...args);
+                break;
+            case 'translate':
+                ctx.translate(args[0] || 0, args[1] || 0);
+                break;
+            case 'scale':
+                ctx.scale(args[0] ?? 1, args[1] ?? args[0] ?? 1);
+                break;
+            case 'rotate': {
+                const [angle = 0, cx = 0, cy = 0] = args;
+                ctx.translate(cx, cy);
+                ctx.rotate(angle * Math.PI / 180);
+                ctx.translate(-cx, -cy);
+                break;
+            }
+            case 'skewX':
+                ctx.transform(1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0);
+                break;
+            case 'skewY':
+                ctx.transform(1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0);
+                break;
+        }
+    }
+}
+
+/**
+ * Maps an SVG mix-blend-mode to a canvas composite operation (the names match except 'normal').
+ * @param {string} [blendMode] - CSS mix-blend-mode value.
+ * @returns {string} The globalCompositeOperation value.
+ */
+function compositeOperation(blendMode) {
+    return !blendMode || blendMode === 'normal' ? 'source-over' : blendMode;
+}
+
+/**
+ * Draws a node and its subtree.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} node - Scene node.
+ * @param {object} inherited - Inherited presentation properties.
+ * @param {object} renderContext - Definitions, viewport, pixel ratio and pattern tile cache.
+ * @param {number} [alpha=1] - Accumulated opacity of ancestor groups drawn without an offscreen layer.
+ */
+function drawNode(ctx, node, inherited, renderContext, alpha = 1) {
+    if (NON_RENDERING_TAGS.has(node.tagName)) return;
+    const properties = resolveProperties(node, inherited);
+    if (properties.display === 'none') return;
+    const opacity = properties.opacity === undefined ? 1 : Math.max(0, Math.min(1, parseFloat(properties.opacity)));
+
+    ctx.save();
+    applyTransform(ctx, node.attributes.transform);
+
+    if (node.tagName === 'g' || node.tagName === 'svg') {
+        const blend = compositeOperation(properties['mix-blend-mode']);
+        if (opacity < 1 || blend !== 'source-over') {
+            drawGroupComposited(ctx, node, properties, renderContext, alpha * opacity, blend);
+        } else {
+            node.children.forEach(child => drawNode(ctx, child, properties, renderContext, alpha));
+        }
+    } else if (properties.visibility !== 'hidden' && properties.visibility !== 'collapse') {
+        drawShape(ctx, node, properties, renderContext, alpha * opacity);
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws a group into an offscreen canvas, then composites it with the group's opacity and blend
+ * mode, so overlapping children do not show through each other (as in SVG).
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} node - The group.
+ * @param {object} properties - The group's resolved properties.
+ * @param {object} renderContext - See drawNode().
+ * @param {number} alpha - Opacity to composite with.
+ * @param {string} blend - Composite operation.
+ */
+function drawGroupComposited(ctx, node, properties, renderContext, alpha, blend) {
+    const layer = document.createElement('canvas');
+    layer.width = ctx.canvas.width;
+    layer.height = ctx.canvas.height;
+    const layerCtx = layer.getContext('2d');
+    layerCtx.setTransform(ctx.getTransform());
+    node.children.forEach(child => drawNode(layerCtx, child, properties, renderContext, 1));
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = alpha;
+    ctx.globalCompositeOperation = blend;
+    ctx.drawImage(layer, 0, 0);
+    ctx.restore();
+}
+
+// ----- SHAPES -----
+
+/**
+ * Parses a length, resolving percentages against a reference size.
+ * @param {string | undefined} value - Attribute value.
+ * @param {number} reference - Size 100% refers to.
+ * @returns {number} The length (0 if missing or invalid).
+ */
+function parseLength(value, reference) {
+    if (value === undefined || value === null) return 0;
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return 0;
+    return String(value).trim().endsWith('%') ? number / 100 * reference : number;
+}
+
+/**
+ * Parses the numbers of a points attribute into [x, y] pairs.
+ * @param {string} [points] - The attribute value.
+ * @returns {Array<[number, number]>} The points.
+ */
+function parsePoints(points) {
+    const numbers = (points || '').split(/[\s,]+/).filter(Boolean).map(Number);
+    const pairs = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) pairs.push([numbers[i], numbers[i + 1]]);
+    return pairs;
+}
+
+/**
+ * Bounding box of a list of points.
+ * @param {Array<[number, number]>} points - The points.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The box, or null for no points.
+ */
+function pointsBounds(points) {
+    if (points.length === 0) return null;
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Approximate bounding box of path data: the box of all end and control points (arcs add their
+ * radii around the endpoints). Only used to map objectBoundingBox gradients onto paths, where a
+ * slightly larger box is harmless.
+ * @param {string} d - Path data.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The box.
+ */
+function pathBounds(d) {
+    const tokens = (d || '').match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const PARAMETER_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+    const points = [];
+    let x = 0, y = 0, startX = 0, startY = 0, command = null, i = 0;
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+        if (!command) break;
+        const lower = command.toLowerCase();
+        const relative = command !== command.toUpperCase();
+        const count = PARAMETER_COUNTS[lower];
+        if (count === undefined) break;
+        if (lower === 'z') {
+            x = startX; y = startY;
+            command = null;
+            continue;
+        }
+        const args = tokens.slice(i, i + count).map(Number);
+        if (args.length < count || args.some(Number.isNaN)) break;
+        i += count;
+        const ox = relative ? x : 0, oy = relative ? y : 0;
+        if (lower === 'h') {
+            x = ox + args[0];
+        } else if (lower === 'v') {
+            y = oy + args[0];
+        } else if (lower === 'a') {
+            const [rx, ry] = args;
+            points.push([x - rx, y - ry], [x + rx, y + ry]);
+            x = ox + args[5]; y = oy + args[6];
+            points.push([x - rx, y - ry], [x + rx, y + ry]);
+        } else {
+            for (let k = 0; k + 1 < count; k += 2) points.push([ox + args[k], oy + args[k + 1]]);
+            x = ox + args[count - 2]; y = oy + args[count - 1];
+        }
+        points.push([x, y]);
+        if (lower === 'm') {
+            startX = x; startY = y;
+            command = relative ? 'l' : 'L'; // Further pairs after a moveto are linetos
+        }
+    }
+    return pointsBounds(points);
+}
+
+/**
+ * Builds the outline of a shape.
+ * @param {object} node - Shape node.
+ * @param {object} viewport - { width, height } for percentage lengths.
+ * @returns {{path: Path2D, bounds: object | null, fillable: boolean} | null} Null for unsupported tags
+ *   and shapes with no area (drawShape() adds the element's `fillRule`).
+ */
+function shapeOutline(node, viewport) {
+    const a = node.attributes;
+    const path = new Path2D();
+    switch (node.tagName) {
+        case 'rect': {
+            const x = parseLength(a.x, viewport.width), y = parseLength(a.y, viewport.height);
+            const width = parseLength(a.width, viewport.width), height = parseLength(a.height, viewport.height);
+            if (width <= 0 || height <= 0) return null;
+            let rx = parseLength(a.rx ?? a.ry, viewport.width), ry = parseLength(a.ry ?? a.rx, viewport.height);
+            rx = Math.min(rx, width / 2);
+            ry = Math.min(ry, height / 2);
+            if (rx > 0 && ry > 0) {
+                path.moveTo(x + rx, y);
+                path.lineTo(x + width - rx, y);
+                path.ellipse(x + width - rx, y + ry, rx, ry, 0, -Math.PI / 2, 0);
+                path.lineTo(x + width, y + height - ry);
+                path.ellipse(x + width - rx, y + height - ry, rx, ry, 0, 0, Math.PI / 2);
+                path.lineTo(x + rx, y + height);
+                path.ellipse(x + rx, y + height - ry, rx, ry, 0, Math.PI / 2, Math.PI);
+                path.lineTo(x, y + ry);
+                path.ellipse(x + rx, y + ry, rx, ry, 0, Math.PI, Math.PI * 1.5);
+                path.closePath();
+            } else {
+                path.rect(x, y, width, height);
+            }
+            return { path, bounds: { x, y, width, height }, fillable: true };
+        }
+        case 'circle': {
+            const cx = parseLength(a.cx, viewport.width), cy = parseLength(a.cy, viewport.height);
+            const r = parseLength(a.r, Math.hypot(viewport.width, viewport.height) / Math.SQRT2);
+            if (r <= 0) return null;
+            path.arc(cx, cy, r, 0, Math.PI * 2);
+            return { path, bounds: { x: cx - r, y: cy - r, width: 2 * r, height: 2 * r }, fillable: true };
+        }
+        case 'ellipse': {
+            const cx = parseLength(a.cx, viewport.width), cy = parseLength(a.cy, viewport.height);
+            const rx = parseLength(a.rx, viewport.width), ry = parseLength(a.ry, viewport.height);
+            if (rx <= 0 || ry <= 0) return null;
+            path.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+            return { path, bounds: { x: cx - rx, y: cy - ry, width: 2 * rx, height: 2 * ry }, fillable: true };
+        }
+        case 'line': {
+            const points = [
+                [parseLength(a.x1, viewport.width), parseLength(a.y1, viewport.height)],
+                [parseLength(a.x2, viewport.width), parseLength(a.y2, viewport.height)],
+            ];
+            path.moveTo(...points[0]);
+            path.lineTo(...points[1]);
+            return { path, bounds: pointsBounds(points), fillable: false };
+        }
+        case 'polyline':
+        case 'polygon': {
+            const points = parsePoints(a.points);
+            if (points.length === 0) return null;
+            points.forEach(([x, y], index) => (index === 0 ? path.moveTo(x, y) : path.lineTo(x, y)));
+            if (node.tagName === 'polygon') path.closePath();
+            return { path, bounds: pointsBounds(points), fillable: true };
+        }
+        case 'path':
+            if (!a.d) return null;
+            return { path: new Path2D(a.d), bounds: pathBounds(a.d), fillable: true };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Draws a shape (or text) with its fill and stroke.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} node - Shape node.
+ * @param {object} properties - Resolved properties.
+ * @param {object} renderContext - See drawNode().
+ * @param {number} alpha - Opacity of the element (including ancestor groups).
+ */
+function drawShape(ctx, node, properties, renderContext, alpha) {
+    if (node.tagName === 'text') {
+        drawText(ctx, node, properties, alpha);
+        return;
+    }
+    const outline = shapeOutline(node, renderContext.viewport);
+    if (!outline) {
+        if (!['rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path'].includes(node.tagName)) {
+            console.warn(`Canvas preview: <${node.tagName}> is not supported and was skipped.`);
+        }
+        return;
+    }
+
+    outline.fillRule = properties['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero';
+    if (outline.fillable) {
+        const fillAlpha = alpha * parseOpacity(properties['fill-opacity']);
+        paint(ctx, properties.fill, fillAlpha, outline, renderContext, (style) => {
+            ctx.fillStyle = style;
+            ctx.fill(outline.path, outline.fillRule);
+        });
+    }
+
+    const strokeWidth = parseFloat(properties['stroke-width']);
+    if (strokeWidth > 0) {
+        ctx.lineWidth = strokeWidth;
+        ctx.lineCap = properties['stroke-linecap'] || 'butt';
+        ctx.lineJoin = properties['stroke-linejoin'] || 'miter';
+        ctx.miterLimit = parseFloat(properties['stroke-miterlimit']) || 4;
+        const dashes = properties['stroke-dasharray'] && properties['stroke-dasharray'] !== 'none'
+            ? properties['stroke-dasharray'].split(/[\s,]+/).map(Number).filter(Number.isFinite)
+            : [];
+        ctx.setLineDash(dashes);
+        const strokeAlpha = alpha * parseOpacity(properties['stroke-opacity']);
+        paint(ctx, properties.stroke, strokeAlpha, outline, renderContext, (style) => {
+            ctx.strokeStyle = style;
+            ctx.stroke(outline.path);
+        }, true);
+    }
+}
+
+/**
+ * Draws a <text> element (single line, as the generators use it).
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {object} node - The text node.
+ * @param {object} properties - Resolved properties.
+ * @param {number} alpha - Opacity.
+ */
+function drawText(ctx, node, properties, alpha) {
+    const color = properties.fill;
+    if (!node.textContent || !color || color === 'none' || color.startsWith('url(')) return;
+    const fontSize = parseFloat(properties['font-size']) || 16;
+    ctx.font = `${properties['font-weight'] || 'normal'} ${fontSize}px ${properties['font-family'] || 'sans-serif'}`;
+    ctx.textAlign = { middle: 'center', end: 'end' }[properties['text-anchor']] || 'start';
+    ctx.globalAlpha = alpha * parseOpacity(properties['fill-opacity']);
+    ctx.fillStyle = color;
+    ctx.fillText(node.textContent, parseFloat(node.attributes.x) || 0, parseFloat(node.attributes.y) || 0);
+}
+
+/**
+ * @param {string | undefined} value - An opacity attribute.
+ * @returns {number} The opacity clamped to 0-1 (1 when missing).
+ */
+function parseOpacity(value) {
+    if (value === undefined) return 1;
+    const opacity = parseFloat(value);
+    return Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1;
+}
+
+// ----- PAINT SERVERS -----
+
+/**
+ * Paints a shape's fill or stroke with a colour, gradient or pattern.
+ * @param {CanvasRenderingContext2D} ctx - Target context.
+ * @param {string} value - The fill/stroke value.
+ * @param {number} alpha - Opacity for this paint.
+ * @param {object} outline - From shapeOutline().
+ * @param {object} renderContext - See drawNode().
+ * @param {function(string | CanvasGradient | CanvasPattern): void} draw - Sets the style and fills or strokes.
+ * @param {boolean} [isStroke=false] - Strokes extend past the bounding box, see below.
+ */
+function paint(ctx, value, alpha, outline, renderContext, draw, isStroke = false) {
+    if (!value || value === 'none' || alpha <= 0) return;
+    ctx.globalAlpha = alpha;
+    const reference = value.match(/^url\(\s*#([^)\s]+)\s*\)/);
+    if (!reference) {
+        draw(value === 'currentColor' ? '#000000' : value);
+        return;
+    }
+
+    const server = renderContext.definitions.get(reference[1]);
+    if (server?.tagName === 'pattern') {
+        const pattern = createPatternStyle(ctx, server, renderContext);
+        if (pattern) draw(pattern);
+        return;
+    }
+    if (server?.tagName !== 'linearGradient' && server?.tagName !== 'radialGradient') {
+        // Missing reference: SVG falls back to the value after the url(), if any
+        const fallback = value.slice(reference[0].length).trim();
+        if (fallback && fallback !== 'none') draw(fallback);
+        return;
+    }
+
+    const userSpace = server.attributes.gradientUnits === 'userSpaceOnUse';
+    const bounds = outline.bounds;
+    if (userSpace) {
+        draw(createGradient(ctx, server, renderContext.viewport, null));
+    } else if (bounds && bounds.width > 0 && bounds.height > 0) {
+        if (isStroke) {
+            // A stroke leaves the box, so the box-space trick below would clip it; map the
+            // gradient's geometry into user space instead (exact for square boxes)
+            draw(createGradient(ctx, server, { width: 1, height: 1 }, bounds));
+        } else {
+            // objectBoundingBox: draw the gradient in the unit square stretched over the box,
+            // clipped to the shape, which gives SVG's skewed gradients on non-square boxes
+            ctx.save();
+            ctx.clip(outline.path, outline.fillRule);
+            ctx.transform(bounds.width, 0, 0, bounds.height, bounds.x, bounds.y);
+            ctx.fillStyle = createGradient(ctx, server, { width: 1, height: 1 }, null);
+            ctx.fillRect(0, 0, 1, 1);
+            ctx.restore();
+        }
+    }
+    // An objectBoundingBox gradient on a zero-width or zero-height box is not rendered (SVG spec)
+}
+
+/**
+ * Builds a canvas gradient from a <linearGradient>/<radialGradient>.
+ * @param {CanvasRenderingContext2D} ctx - Context that creates the gradient.
+ * @param {object} server - The gradient node.
+ * @param {{width: number, height: number}} units - What 100% means (the unit square for objectBoundingBox).
+ * @param {object | null} bounds - When set, unit-square coordinates are mapped onto this box.
+ * @returns {CanvasGradient} The gradient.
+ */
+function createGradient(ctx, server, units, bounds) {
+    const a = server.attributes;
+    const length = (value, fallback, reference) => parseLength(value ?? fallback, reference);
+    const mapX = (x) => (bounds ? bounds.x + x * bounds.width : x);
+    const mapY = (y) => (bounds ? bounds.y + y * bounds.height : y);
+    let gradient;
+    if (server.tagName === 'linearGradient') {
+        gradient = ctx.createLinearGradient(
+            mapX(length(a.x1, '0%', units.width)), mapY(length(a.y1, '0%', units.height)),
+            mapX(length(a.x2, '100%', units.width)), mapY(length(a.y2, '0%', units.height))
+        );
+    } else {
+        const cx = length(a.cx, '50%', units.width), cy = length(a.cy, '50%', units.height);
+        const r = length(a.r, '50%', Math.hypot(units.width, units.height) / Math.SQRT2);
+        const scale = bounds ? Math.max(bounds.width, bounds.height) : 1;
+        gradient = ctx.createRadialGradient(
+            mapX(length(a.fx, a.cx ?? '50%', units.width)), mapY(length(a.fy, a.cy ?? '50%', units.height)), 0,
+            mapX(cx), mapY(cy), Math.max(0, r * scale)
+        );
+    }
+
+    let previousOffset = 0; // Stop offsets never go backwards (SVG clamps them)
+    server.children.filter(stop => stop.tagName === 'stop').forEach(stop => {
+        const properties = { ...stop.attributes, ...parseStyle(stop.attributes.style) };
+        const offset = Math.max(previousOffset, Math.min(1, parseLength(properties.offset, 1)));
+        previousOffset = offset;
+        gradient.addColorStop(offset, colorWithAlpha(properties['stop-color'] || '#000000', parseOpacity(properties['stop-opacity'])));
+    });
+    return gradient;
+}
+
+/**
+ * Adds an alpha to a colour. Hex colours become rgba(); other colour strings are returned
+ * unchanged (the opacity is dropped), which is all the generators need.
+ * @param {string} color - Colour value.
+ * @param {number} alpha - 0-1.
+ * @returns {string} A CSS colour.
+ */
+function colorWithAlpha(color, alpha) {
+    if (alpha >= 1) return color;
+    const rgb = hexToRgb(color);
+    return rgb ? `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${alpha})` : color;
+}
+
+/**
+ * Builds a repeating canvas pattern from a userSpaceOnUse <pattern> (the kind getRandomFill
+ * creates). Tiles are drawn once per pattern at the canvas pixel ratio and cached.
+ * @param {CanvasRenderingContext2D} ctx - Context that creates the pattern.
+ * @param {object} server - The pattern node.
+ * @param {object} renderContext - See drawNode().
+ * @returns {CanvasPattern | null} The pattern, or null if it has no area.
+ */
+function createPatternStyle(ctx, server, renderContext) {
+    const a = server.attributes;
+    if (a.patternUnits !== 'userSpaceOnUse') {
+        console.warn(`Canvas preview: pattern "${a.id}" uses objectBoundingBox units, which are not supported.`);
+        return null;
+    }
+    let tile = renderContext.patternCache.get(a.id);
+    if (tile === undefined) {
+        const width = parseFloat(a.width), height = parseFloat(a.height);
+        tile = null;
+        if (width > 0 && height > 0) {
+            const scale = renderContext.pixelRatio;
+            tile = document.createElement('canvas');
+            tile.width = Math.max(1, Math.round(width * scale));
+            tile.height = Math.max(1, Math.round(height * scale));
+            const tileCtx = tile.getContext('2d');
+            tileCtx.setTransform(tile.width / width, 0, 0, tile.height / height, 0, 0);
+            server.children.forEach(child => drawNode(tileCtx, child, INITIAL_PROPERTIES, renderContext));
+        }
+        renderContext.patternCache.set(a.id, tile);
+    }
+    if (!tile) return null;
+
+    const pattern = ctx.createPattern(tile, 'repeat');
+    const width = parseFloat(a.width), height = parseFloat(a.height);
+    // The tile has pixelRatio pixels per user unit: scale it back and apply the pattern's x/y offset
+    pattern.setTransform?.(new DOMMatrix()
+        .translate(parseFloat(a.x) || 0, parseFloat(a.y) || 0)
+        .scale(width / tile.width, height / tile.height));
+    return pattern;
+}
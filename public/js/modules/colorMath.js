@@ -0,0 +1,293 @@
+// public/js/modules/colorMath.js
+
+// Colour-space conversions and perceptual colour difference.
+// Pure functions with no DOM access, shared by the browser and the server (via dynamic import).
+
+/**
+ * D65 reference white (CIE 1931 2° observer), XYZ scaled to Y = 100.
+ */
+const D65_WHITE = { x: 95.047, y: 100.0, z: 108.883 };
+
+/**
+ * Parses a hex colour (#RGB or #RRGGBB, case-insensitive).
+ * @param {string} hex - The hex colour.
+ * @returns {{r: number, g: number, b: number} | null} 0-255 channels, or null if the value isn't a hex colour.
+ */
+export function hexToRgb(hex) {
+    if (typeof hex !== 'string') return null;
+    let value = hex.trim().replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(value)) value = value.split('').map(c => c + c).join('');
+    if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+    return {
+        r: parseInt(value.slice(0, 2), 16),
+        g: parseInt(value.slice(2, 4), 16),
+        b: parseInt(value.slice(4, 6), 16)
+    };
+}
+
+/**
+ * Formats 0-255 channels as an upper-case #RRGGBB string. Values are rounded and clamped.
+ * @param {{r: number, g: number, b: number}} rgb - Channels.
+ * @returns {string} The hex colour.
+ */
+export function rgbToHex({ r, g, b }) {
+    const toHex = (v) => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+}
+
+/**
+ * Converts an sRGB channel (0-255) to linear light (0-1).
+ * @param {number} channel - Gamma-encoded channel.
+ * @returns {number} Linear value.
+ */
+export function srgbToLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Converts a linear-light value (0-1) back to a gamma-encoded sRGB channel (0-255, unclamped).
+ * @param {number} value - Linear value.
+ * @returns {number} Gamma-encoded channel.
+ */
+export function linearToSrgb(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    return c * 255;
+}
+
+/**
+ * Converts sRGB to CIE XYZ (D65, Y scaled to 100).
+ * @param {{r: number, g: number, b: number}} rgb - 0-255 channels.
+ * @returns {{x: number, y: number, z: number}} XYZ.
+ */
+export function rgbToXyz({ r, g, b }) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    return {
+        x: (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) * 100,
+        y: (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) * 100,
+        z: (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) * 100
+    };
+}
+
+/**
+ * Converts CIE XYZ (D65) to CIE L*a*b*.
+ * @param {{x: number, y: number, z: number}} xyz - XYZ with Y scaled to 100.
+ * @returns {{l: number, a: number, b: number}} Lab.
+ */
+export function xyzToLab({ x, y, z }) {
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x / D65_WHITE.x);
+    const fy = f(y / D65_WHITE.y);
+    const fz = f(z / D65_WHITE.z);
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+/**
+ * Converts a hex colour to CIE L*a*b*.
+ * @param {string} hex - The hex colour.
+ * @returns {{l: number, a: number, b: number} | null} Lab, or null for invalid input.
+ */
+export function hexToLab(hex) {
+    const rgb = hexToRgb(hex);
+    return rgb ? xyzToLab(rgbToXyz(rgb)) : null;
+}
+
+/**
+ * CIEDE2000 colour difference between two Lab colours (Sharma, Wu & Dalal 2005).
+ * Roughly: < 1 is not perceptible, 1-2 perceptible on close inspection, > 10 clearly different.
+ * @param {{l: number, a: number, b: number}} lab1 - First colour.
+ * @param {{l: number, a: number, b: number}} lab2 - Second colour.
+ * @returns {number} ΔE00.
+ */
+export function deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const { l: L1, a: a1, b: b1 } = lab1;
+    const { l: L2, a: a2, b: b2 } = lab2;
+
+    const C1 = Math.hypot(a1, b1);
+    const C2 = Math.hypot(a2, b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.hypot(a1p, b1);
+    const C2p = Math.hypot(a2p, b2);
+    const hueAngle = (b, ap) => (b === 0 && ap === 0 ? 0 : (Math.atan2(b, ap) / rad + 360) % 360);
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+        hbarp /= 2;
+    }
+
+    const T = 1
+        - 0.17 * Math.cos((hbarp - 30) * rad)
+        + 0.24 * Math.cos((2 * hbarp) * rad)
+        + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+        - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+    return Math.sqrt(
+        Math.pow(dLp / Sl, 2) +
+        Math.pow(dCp / Sc, 2) +
+        Math.pow(dHp / Sh, 2) +
+        Rt * (dCp / Sc) * (dHp / Sh)
+    );
+}
+
+/**
+ * CIEDE2000 difference between two hex colours.
+ * @param {string} hex1 - First colour.
+ * @param {string} hex2 - Second colour.
+ * @returns {number} ΔE00, or NaN if either value is not a hex colour.
+ */
+export function hexDeltaE(hex1, hex2) {
+    const lab1 = hexToLab(hex1);
+    const lab2 = hexToLab(hex2);
+    return lab1 && lab2 ? deltaE2000(lab1, lab2) : NaN;
+}
+
+// ----- OKLAB / OKLCH -----
+// Björn Ottosson's OKLab (2020): a perceptual space where equal steps in L, C and h look
+// roughly equal, which makes it a good place to build palettes and gradients.
+
+/**
+ * Converts sRGB to OKLab.
+ * @param {{r: number, g: number, b: number}} rgb - 0-255 channels.
+ * @returns {{l: number, a: number, b: number}} OKLab (L 0-1).
+ */
+export function rgbToOklab({ r, g, b }) {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Converts OKLab to sRGB. Out-of-gamut colours give channels outside 0-255 (see isRgbInGamut).
+ * @param {{l: number, a: number, b: number}} lab - OKLab.
+ * @returns {{r: number, g: number, b: number}} Unclamped 0-255 channels.
+ */
+export function oklabToRgb({ l: L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return {
+        r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+/**
+ * True if every channel is displayable (0-255, with a little rounding slack).
+ * @param {{r: number, g: number, b: number}} rgb - Unclamped channels.
+ * @returns {boolean} Whether the colour is inside the sRGB gamut.
+ */
+export function isRgbInGamut({ r, g, b }) {
+    return [r, g, b].every(v => v >= -0.5 && v <= 255.5);
+}
+
+/**
+ * Converts OKLab to its polar form OKLCH.
+ * @param {{l: number, a: number, b: number}} lab - OKLab.
+ * @returns {{l: number, c: number, h: number}} Lightness 0-1, chroma (~0-0.37), hue in degrees 0-360.
+ */
+export function oklabToOklch({ l, a, b }) {
+    const h = Math.atan2(b, a) * 180 / Math.PI;
+    return { l, c: Math.hypot(a, b), h: (h + 360) % 360 };
+}
+
+/**
+ * Converts OKLCH back to OKLab.
+ * @param {{l: number, c: number, h: number}} lch - OKLCH (hue in degrees).
+ * @returns {{l: number, a: number, b: number}} OKLab.
+ */
+export function oklchToOklab({ l, c, h }) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+/**
+ * Converts a hex colour to OKLCH.
+ * @param {string} hex - The hex colour.
+ * @returns {{l: number, c: number, h: number} | null} OKLCH, or null for invalid input.
+ */
+export function hexToOklch(hex) {
+    const rgb = hexToRgb(hex);
+    return rgb ? oklabToOklch(rgbToOklab(rgb)) : null;
+}
+
+/**
+ * Converts OKLCH to a displayable hex colour. Colours outside the sRGB gamut keep their
+ * lightness and hue and lose chroma until they fit, which looks far closer to the intended
+ * colour than clipping each channel.
+ * @param {{l: number, c: number, h: number}} lch - OKLCH (hue in degrees).
+ * @returns {string} Upper-case #RRGGBB.
+ */
+export function oklchToHex({ l, c, h }) {
+    const lightness = Math.min(1, Math.max(0, l));
+    const toRgb = (chroma) => oklabToRgb(oklchToOklab({ l: lightness, c: chroma, h }));
+    let rgb = toRgb(Math.max(0, c));
+    if (!isRgbInGamut(rgb)) {
+        // Binary search for the largest chroma that still fits
+        let low = 0, high = Math.max(0, c);
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (isRgbInGamut(toRgb(mid))) low = mid; else high = mid;
+        }
+        rgb = toRgb(low);
+    }
+    return rgbToHex(rgb);
+}
+
+// ----- WCAG CONTRAST -----
+
+/**
+ * WCAG 2.x relative luminance of a colour.
+ * @param {string} hex - The hex colour.
+ * @returns {number} Luminance 0 (black) - 1 (white), or NaN for invalid input.
+ */
+export function relativeLuminance(hex) {
+    const rgb = hexToRgb(hex);
+    if (!rgb) return NaN;
+    return 0.2126 * srgbToLinear(rgb.r) + 0.7152 * srgbToLinear(rgb.g) + 0.0722 * srgbToLinear(rgb.b);
+}
+
+/**
+ * WCAG 2.x contrast ratio between two colours (order doesn't matter).
+ * @param {string} hex1 - First colour.
+ * @param {string} hex2 - Second colour.
+ * @returns {number} Ratio from 1 (identical) to 21 (black on white), or NaN for invalid input.
+ */
+export function contrastRatio(hex1, hex2) {
+    const l1 = relativeLuminance(hex1);
+    const l2 = relativeLuminance(hex2);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
@@ -6,7 +6,32 @@ import { state } from './state.js';
 // Import cached DOM elements object
 import { dom } from './dom.js';
 // Import *only* the specific utility functions needed by the color functions:
-import { randomInt, randomChoice, secureRandom, random, createSVGElement, generateUniqueId } from './utils.js';
+import { createSVGElement, createIdGenerator, unseededRandom } from './utils.js';
+// resolvePalette() runs inside renders, so its warnings go to the render's logger
+import { renderLog } from './renderLog.js';
+// Harmony palette generator (OKLCH)
+import { generateHarmonyPalette } from './harmony.js';
+// Perceptual colour difference for nearest-name lookups
+import { hexToLab, deltaE2000 } from './colorMath.js';
+// WCAG contrast report and lightness auto-fix
+import { buildContrastReport, fixContrast, DEFAULT_CONTRAST_TARGET } from './contrast.js';
+// Colour-vision-deficiency simulation for the swatches and the confusable-pairs report
+import { CVD_TYPES, simulateCvd, findConfusablePairs } from './cvd.js';
+// Palette ordering/expansion and perceptual interpolation for gradient stops
+import { arrangePalette, interpolateColor } from './paletteOps.js';
+
+// Fallback ID source for callers that do not pass a per-generation `ids` generator.
+// Generated markup is only reproducible when the caller supplies one (see generateSVG).
+const fallbackIds = createIdGenerator('jenvek-unseeded', Date.now());
+
+/**
+ * Category value for a generated palette (harmony generator or image extraction). It is not
+ * part of the colour library: the colours travel with the options as `customPalette`.
+ */
+export const CUSTOM_CATEGORY = 'custom';
+
+// In-between stops added per gradient segment when interpolating in OKLab/OKLCH
+const GRADIENT_INTERPOLATION_STEPS = 6;
 
 // ----- COLOR MANAGEMENT FUNCTIONS -----
 
@@ -51,6 +76,12 @@ export function populateColorSelectors() {
     randomCatOption.textContent = 'Random Category';
     dom.colorCategory.appendChild(randomCatOption);
 
+    // Keep the generated palette selectable if one exists (e.g. after a restore)
+    if (state.customPalette.length > 0) ensureCustomCategoryOption();
+
+    // The harmony generator can start from any library colour
+    populateHarmonyBaseColors();
+
 
     // Trigger update for the palette dropdown based on the initially selected category
     updatePaletteDropdown();
@@ -87,6 +118,18 @@ export function updatePaletteDropdown() {
         randomOption.textContent = 'Random Palette';
         dom.colorPalette.appendChild(randomOption);
     }
+    // The generated palette lives in state.customPalette, not in the colour library
+    else if (selectedCategory === CUSTOM_CATEGORY) {
+        const customOption = document.createElement('option');
+        customOption.value = CUSTOM_CATEGORY;
+        customOption.textContent = 'Generated Palette';
+        dom.colorPalette.appendChild(customOption);
+
+        const randomInCatOption = document.createElement('option');
+        randomInCatOption.value = 'random_in_category';
+        randomInCatOption.textContent = 'Random Palette (from Generated)';
+        dom.colorPalette.appendChild(randomInCatOption);
+    }
     // Check if the selected category exists in the loaded color data
     else if (state.allColors && state.allColors[selectedCategory]) {
         const palettes = state.allColors[selectedCategory];
@@ -123,55 +166,88 @@ export function updatePaletteDropdown() {
 
 /**
  * Gets the array of hex color strings for the currently selected palette.
- * Handles random selections and fallbacks.
+ * Handles random selections and fallbacks, then applies the order/expand controls.
  * Updates `state.currentPalette`.
+ * @param {object} [rng=unseededRandom] - Random generator for the random palette modes. Pass the
+ *   seeded generator from generateSVG so the same seed picks the same colors.
  * @returns {string[]} An array of hex color strings.
  */
-export function getColorPalette() {
+export function getColorPalette(rng = unseededRandom) {
     // Ensure DOM elements are available
     if (!dom.colorCategory || !dom.colorPalette) {
         console.error("Cannot get color palette: DOM elements not found/cached.");
         return ['#FF0000', '#00FF00', '#0000FF']; // Basic fallback
     }
 
-    const category = dom.colorCategory.value;
-    const paletteName = dom.colorPalette.value;
-    let selectedPaletteHex = [];
-
     // Ensure state.allColors is available
     if (!state.allColors || Object.keys(state.allColors).length === 0) {
         console.error("Color data (state.allColors) not available for getColorPalette.");
         return ['#FF0000', '#00FF00', '#0000FF']; // Basic fallback
     }
 
+    const resolved = resolvePalette(state.allColors, dom.colorCategory.value, dom.colorPalette.value, rng, state.customPalette);
+    // Same ordering/expansion as the renderer, so the preview shows what the patterns receive
+    state.currentPalette = arrangePalette(resolved, {
+        paletteSort: dom.paletteSort?.value,
+        paletteSize: parseInt(dom.paletteSize?.value, 10) || 0,
+        colorInterpolation: dom.colorInterpolation?.value
+    }); // Store the currently used palette hex values in the shared state
+    // console.log("Current Palette Set:", state.currentPalette); // Log for debugging
+    return state.currentPalette;
+}
+
+/**
+ * Resolves a category/palette selection to an array of hex colors without touching the DOM
+ * or shared state, so the headless renderer can use it too.
+ * Handles the random modes ('random_palette', 'random_in_category') and all fallbacks.
+ * @param {object} allColors - Color data keyed by category (same shape as server/data/colours.js).
+ * @param {string} category - Selected category name (or 'random_category').
+ * @param {string} paletteName - Selected palette value.
+ * @param {object} [rng=unseededRandom] - Random generator for the random modes.
+ * @param {string[]} [customPalette=[]] - Hex colours of the generated palette, used when
+ *   `category` is CUSTOM_CATEGORY (all palette modes then work on it like on a library category).
+ * @returns {string[]} An array of hex color strings (never empty).
+ */
+export function resolvePalette(allColors, category, paletteName, rng = unseededRandom, customPalette = []) {
+    let selectedPaletteHex = [];
+
+    // Treat the generated palette as one more category, only while it is selected,
+    // so 'random_palette' keeps drawing from the library alone
+    if (category === CUSTOM_CATEGORY && Array.isArray(customPalette) && customPalette.length > 0) {
+        allColors = { ...allColors, [CUSTOM_CATEGORY]: customPalette.map((hex, i) => ({ name: `Generated ${i + 1}`, hex })) };
+    }
+
+    if (!allColors || Object.keys(allColors).length === 0) {
+        console.error("Color data not available for resolvePalette.");
+        return ['#FF0000', '#00FF00', '#0000FF']; // Basic fallback
+    }
+
     try { // Wrap logic in try/catch for better error handling
         if (paletteName === 'random_palette') {
             // Select a random category from the available ones
-            const availableCategories = Object.keys(state.allColors);
+            const availableCategories = Object.keys(allColors);
             if (availableCategories.length > 0) {
-                const randomCategory = randomChoice(availableCategories);
+                const randomCategory = rng.randomChoice(availableCategories);
                 // Ensure the chosen category actually has colors and is an array
-                if (Array.isArray(state.allColors[randomCategory])) {
-                     selectedPaletteHex = state.allColors[randomCategory]
+                if (Array.isArray(allColors[randomCategory])) {
+                     selectedPaletteHex = allColors[randomCategory]
                         .map(c => c?.hex) // Safely access hex property
                         .filter(Boolean); // Filter out null/undefined hex values
                 }
             }
         } else if (paletteName === 'random_in_category' && category !== 'random_category') {
             // Select a random subset from the currently selected category
-            if (Array.isArray(state.allColors[category])) {
-                 let categoryColors = state.allColors[category]
+            if (Array.isArray(allColors[category])) {
+                 const categoryColors = rng.shuffle(allColors[category]
                     .map(c => c?.hex)
-                    .filter(Boolean);
-                 // Shuffle the array
-                 categoryColors.sort(() => 0.5 - secureRandom());
+                    .filter(Boolean));
                  // Select a random number of colors (e.g., 5 to 10, or fewer if not available)
-                 const subsetSize = randomInt(5, Math.min(10, categoryColors.length));
+                 const subsetSize = rng.randomInt(5, Math.min(10, categoryColors.length));
                  selectedPaletteHex = categoryColors.slice(0, subsetSize);
             }
-        } else if (state.allColors[category] && Array.isArray(state.allColors[category])) {
+        } else if (allColors[category] && Array.isArray(allColors[category])) {
             // Get all colors from the selected category/palette
-            selectedPaletteHex = state.allColors[category]
+            selectedPaletteHex = allColors[category]
                 .map(c => c?.hex)
                 .filter(Boolean);
         } else if (paletteName === 'fallback') {
@@ -180,34 +256,36 @@ export function getColorPalette() {
         }
         else {
             // Fallback if category/palette combination is somehow invalid
-            console.warn(`Could not find selected palette ('${paletteName}' in category '${category}'), using fallback default.`);
+            renderLog.warn(`Could not find selected palette ('${paletteName}' in category '${category}'), using fallback default.`);
             selectedPaletteHex = ['#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#00FFFF', '#FF00FF'];
         }
     } catch (error) {
-         console.error("Error during getColorPalette execution:", error);
+         console.error("Error during resolvePalette execution:", error);
          selectedPaletteHex = ['#AA0000', '#00AA00', '#0000AA']; // Different error fallback
     }
 
 
     // Final safety net: Ensure we always return *something* valid (an array of strings)
     if (!Array.isArray(selectedPaletteHex) || selectedPaletteHex.length === 0) {
-        console.warn("Palette resulted in empty or invalid array, using safety fallback.");
+        renderLog.warn("Palette resulted in empty or invalid array, using safety fallback.");
         selectedPaletteHex = ['#333333', '#666666', '#999999', '#CCCCCC'];
     }
 
     // Filter one last time to ensure all elements are valid hex strings (basic check)
-    selectedPaletteHex = selectedPaletteHex.filter(hex => typeof hex === 'string' && /^#[0-9A-F]{6}$/i.test(hex));
+    const invalidHex = selectedPaletteHex.filter(hex => typeof hex !== 'string' || !/^#[0-9A-F]{6}$/i.test(hex));
+    if (invalidHex.length > 0) {
+        // Don't drop colours silently: the server's /api/colors/lint report lists the offending entries
+        renderLog.warn(`Palette '${paletteName}' (category '${category}') has invalid hex values that were skipped:`, invalidHex);
+        selectedPaletteHex = selectedPaletteHex.filter(hex => !invalidHex.includes(hex));
+    }
 
     // If still empty after filtering, use the ultimate fallback
      if (selectedPaletteHex.length === 0) {
-          console.warn("Palette empty after hex validation, using ultimate fallback.");
+          renderLog.warn("Palette empty after hex validation, using ultimate fallback.");
           selectedPaletteHex = ['#444444', '#888888', '#BBBBBB'];
      }
 
-
-    state.currentPalette = selectedPaletteHex; // Store the currently used palette hex values in the shared state
-    // console.log("Current Palette Set:", state.currentPalette); // Log for debugging
-    return state.currentPalette;
+    return selectedPaletteHex;
 }
 
 /**
@@ -223,6 +301,8 @@ export function updatePalettePreview() {
 
     const palette = getColorPalette(); // Get the hex values for the current selection
     dom.palettePreview.innerHTML = ''; // Clear previous swatches
+    updatePaletteReports(); // Same palette, checked against the background and for colour-blind users
+    const cvdMode = state.cvdMode || 'none';
 
     if (palette && Array.isArray(palette)) {
          palette.forEach(hex => {
@@ -230,8 +310,10 @@ export function updatePalettePreview() {
             if (typeof hex === 'string' && hex.startsWith('#')) {
                 const colorBox = document.createElement('div');
                 colorBox.classList.add('color-box'); // Add class for styling
-                colorBox.style.backgroundColor = hex;
-                colorBox.title = hex; // Show hex value on hover
+                // With a colour-vision preview active, show the swatch the way the canvas filter shows it
+                const shown = cvdMode === 'none' ? hex : simulateCvd(hex, cvdMode);
+                colorBox.style.backgroundColor = shown;
+                colorBox.title = shown === hex ? hex : `${hex} (${cvdMode}: ${shown})`; // Show hex value on hover
                 dom.palettePreview.appendChild(colorBox);
             } else {
                  console.warn(`Invalid hex value found in palette for preview: ${hex}`);
@@ -245,12 +327,276 @@ export function updatePalettePreview() {
 }
 
 
+// ----- PALETTE REPORTS -----
+
+/**
+ * Refreshes every report about `state.currentPalette` (contrast and colour vision).
+ */
+export function updatePaletteReports() {
+    updateContrastReport();
+    updateCvdReport();
+}
+
+/**
+ * Redraws the colour-vision report (#cvd-report): palette pairs that merge for the simulation
+ * selected in #cvd-mode, or a count per deficiency when no simulation is selected.
+ */
+export function updateCvdReport() {
+    if (!dom.cvdReport) return; // Report not present in this page
+    const mode = state.cvdMode || 'none';
+    dom.cvdReport.innerHTML = '';
+
+    if (mode === 'none') {
+        const counts = CVD_TYPES.map(type => `${type.charAt(0).toUpperCase() + type.slice(1)}: ${findConfusablePairs(state.currentPalette, type).length}`);
+        dom.cvdReport.textContent = `Indistinguishable pairs - ${counts.join(', ')}.`;
+        return;
+    }
+
+    const pairs = findConfusablePairs(state.currentPalette, mode);
+    const summary = document.createElement('div');
+    summary.classList.add('contrast-summary');
+    summary.textContent = pairs.length === 0
+        ? `No palette colors merge with ${mode}.`
+        : `${pairs.length} pair(s) become hard to tell apart with ${mode}:`;
+    dom.cvdReport.appendChild(summary);
+
+    const MAX_LISTED_PAIRS = 12; // Large categories can have hundreds; the closest pairs come first
+    pairs.slice(0, MAX_LISTED_PAIRS).forEach(pair => {
+        const row = document.createElement('div');
+        row.classList.add('contrast-row', 'contrast-fail');
+        [pair.a, pair.b].forEach(hex => {
+            const colorBox = document.createElement('div');
+            colorBox.classList.add('color-box');
+            colorBox.style.backgroundColor = hex;
+            colorBox.title = hex;
+            row.appendChild(colorBox);
+        });
+        const label = document.createElement('span');
+        label.textContent = `${pair.a} / ${pair.b}: ΔE ${pair.original.toFixed(1)} → ${pair.simulated.toFixed(1)}`;
+        row.appendChild(label);
+        dom.cvdReport.appendChild(row);
+    });
+    if (pairs.length > MAX_LISTED_PAIRS) {
+        const more = document.createElement('div');
+        more.textContent = `...and ${pairs.length - MAX_LISTED_PAIRS} more.`;
+        dom.cvdReport.appendChild(more);
+    }
+}
+
+// ----- CONTRAST REPORT -----
+
+/**
+ * @returns {number} The contrast ratio selected in #contrast-target.
+ */
+function getContrastTarget() {
+    return parseFloat(dom.contrastTarget?.value) || DEFAULT_CONTRAST_TARGET;
+}
+
+/**
+ * Redraws the contrast report (#contrast-report): the WCAG ratio of each colour in
+ * `state.currentPalette` and of the stroke color against the background color.
+ * Colours below the target are flagged; nearly invisible ones are flagged more strongly.
+ */
+export function updateContrastReport() {
+    if (!dom.contrastReport || !dom.bgColor) return; // Report not present in this page
+    const report = buildContrastReport(state.currentPalette, dom.bgColor.value, {
+        strokeColor: dom.strokeColor?.value,
+        target: getContrastTarget()
+    });
+    dom.contrastReport.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.classList.add('contrast-summary');
+    summary.textContent = report.failing === 0
+        ? `All colors reach ${report.target}:1 on ${report.background}.`
+        : `${report.failing} of ${report.entries.length} colors below ${report.target}:1` +
+          (report.invisible > 0 ? ` (${report.invisible} nearly invisible).` : '.');
+    dom.contrastReport.appendChild(summary);
+
+    report.entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.classList.add('contrast-row');
+        if (!entry.passes) row.classList.add(entry.invisible ? 'contrast-invisible' : 'contrast-fail');
+        // Swatch drawn on the background so the problem is visible, not just a number
+        const sample = document.createElement('div');
+        sample.classList.add('contrast-sample');
+        sample.style.backgroundColor = report.background;
+        const colorBox = document.createElement('div');
+        colorBox.classList.add('color-box');
+        colorBox.style.backgroundColor = entry.hex;
+        sample.appendChild(colorBox);
+        const label = document.createElement('span');
+        label.textContent = `${entry.role === 'stroke' ? 'Stroke ' : ''}${entry.hex} ${entry.ratio.toFixed(2)}:1 ${entry.level}`;
+        row.append(sample, label);
+        dom.contrastReport.appendChild(row);
+    });
+
+    if (dom.contrastFixBtn) dom.contrastFixBtn.disabled = report.failing === 0;
+}
+
+/**
+ * Auto-fix: moves the lightness of every failing colour until it reaches the target ratio.
+ * The fixed palette becomes the active generated palette; a failing stroke color is updated in place.
+ */
+export function autoFixContrast() {
+    if (!dom.bgColor) return;
+    const bgColor = dom.bgColor.value;
+    const target = getContrastTarget();
+
+    if (dom.strokeColor) {
+        const fixedStroke = fixContrast(dom.strokeColor.value, bgColor, target);
+        if (fixedStroke.toUpperCase() !== dom.strokeColor.value.toUpperCase()) dom.strokeColor.value = fixedStroke.toLowerCase(); // <input type="color"> values are lower case
+    }
+    const fixed = state.currentPalette.map(hex => fixContrast(hex, bgColor, target));
+    if (fixed.some((hex, i) => hex.toUpperCase() !== state.currentPalette[i].toUpperCase())) {
+        applyCustomPalette([...new Set(fixed)]); // Also redraws the preview and this report
+    } else {
+        updateContrastReport();
+    }
+    updateHarmonyPreview(); // The harmony generator may be based on the stroke color
+}
+
+
+// ----- HARMONY PALETTE GENERATOR -----
+
+/**
+ * Adds the generated-palette entry to the category dropdown (before "Random Category") if it is missing.
+ */
+export function ensureCustomCategoryOption() {
+    if (!dom.colorCategory || [...dom.colorCategory.options].some(o => o.value === CUSTOM_CATEGORY)) return;
+    const option = document.createElement('option');
+    option.value = CUSTOM_CATEGORY;
+    option.textContent = 'Generated';
+    const randomCatOption = [...dom.colorCategory.options].find(o => o.value === 'random_category');
+    dom.colorCategory.insertBefore(option, randomCatOption || null);
+}
+
+/**
+ * Fills the harmony base colour dropdown: the current stroke color first, then every
+ * library colour grouped by category. Keeps the current selection when it still exists.
+ */
+export function populateHarmonyBaseColors() {
+    if (!dom.harmonyBase) return; // Generator controls not present in this page
+    const previous = dom.harmonyBase.value;
+    dom.harmonyBase.innerHTML = '';
+
+    const strokeOption = document.createElement('option');
+    strokeOption.value = 'stroke';
+    strokeOption.textContent = 'Stroke Color';
+    dom.harmonyBase.appendChild(strokeOption);
+
+    for (const [category, colors] of Object.entries(state.allColors || {})) {
+        if (!Array.isArray(colors)) continue;
+        const group = document.createElement('optgroup');
+        group.label = category.charAt(0).toUpperCase() + category.slice(1).replace(/([A-Z])/g, ' $1').trim();
+        colors.forEach(color => {
+            if (typeof color?.hex !== 'string' || !/^#[0-9A-F]{6}$/i.test(color.hex)) return; // Same rule as resolvePalette
+            const option = document.createElement('option');
+            option.value = color.hex;
+            option.textContent = color.name || color.hex;
+            group.appendChild(option);
+        });
+        if (group.children.length > 0) dom.harmonyBase.appendChild(group);
+    }
+
+    if ([...dom.harmonyBase.options].some(o => o.value === previous)) dom.harmonyBase.value = previous;
+    updateHarmonyPreview();
+}
+
+/**
+ * Builds the harmony palette from the generator controls.
+ * @returns {string[]} Hex colours, or an empty array if the controls are missing or invalid.
+ */
+export function getHarmonyPalette() {
+    if (!dom.harmonyBase || !dom.harmonyScheme || !dom.harmonyCount || !dom.harmonyLightness || !dom.harmonyChroma) {
+        console.warn("Harmony generator controls not found/cached.");
+        return [];
+    }
+    const baseHex = dom.harmonyBase.value === 'stroke' ? dom.strokeColor?.value : dom.harmonyBase.value;
+    try {
+        return generateHarmonyPalette(baseHex, {
+            scheme: dom.harmonyScheme.value,
+            count: parseInt(dom.harmonyCount.value, 10),
+            lightnessSpread: parseFloat(dom.harmonyLightness.value),
+            chroma: parseFloat(dom.harmonyChroma.value)
+        });
+    } catch (error) {
+        console.warn("Could not generate harmony palette:", error.message);
+        return [];
+    }
+}
+
+/**
+ * Redraws the swatches under the harmony generator controls.
+ */
+export function updateHarmonyPreview() {
+    if (!dom.harmonyPreview) return;
+    dom.harmonyPreview.innerHTML = '';
+    getHarmonyPalette().forEach(hex => {
+        const colorBox = document.createElement('div');
+        colorBox.classList.add('color-box');
+        colorBox.style.backgroundColor = hex;
+        colorBox.title = hex;
+        dom.harmonyPreview.appendChild(colorBox);
+    });
+}
+
+/**
+ * Makes the generated harmony palette the active palette (see applyCustomPalette).
+ * @returns {string[]} The applied palette (empty if nothing could be generated).
+ */
+export function applyHarmonyPalette() {
+    const palette = getHarmonyPalette();
+    if (palette.length > 0) applyCustomPalette(palette);
+    return palette;
+}
+
+/**
+ * Makes a generated palette the active palette: stores it in `state.customPalette` and
+ * selects the generated category in the dropdowns, so the next generation (and any saved
+ * design) uses it.
+ * @param {string[]} palette - Hex colours.
+ */
+export function applyCustomPalette(palette) {
+    state.customPalette = [...palette];
+    ensureCustomCategoryOption();
+    if (dom.colorCategory) {
+        dom.colorCategory.value = CUSTOM_CATEGORY;
+        updatePaletteDropdown(); // Also refreshes the palette preview
+    }
+    console.log("Generated palette applied:", state.customPalette);
+}
+
+/**
+ * Finds the library colour closest to a hex value (CIEDE2000).
+ * @param {object} allColors - Color data keyed by category.
+ * @param {string} hex - Colour to look up.
+ * @returns {{name: string, hex: string, category: string, distance: number} | null} The closest
+ *   named colour, or null if the library has no valid colours.
+ */
+export function findNearestLibraryColor(allColors, hex) {
+    const target = hexToLab(hex);
+    if (!target) return null;
+    let best = null;
+    for (const [category, colors] of Object.entries(allColors || {})) {
+        if (!Array.isArray(colors)) continue;
+        for (const color of colors) {
+            const lab = hexToLab(color?.hex);
+            if (!lab || !color.name) continue;
+            const distance = deltaE2000(target, lab);
+            if (!best || distance < best.distance) best = { name: color.name, hex: color.hex, category, distance };
+        }
+    }
+    return best;
+}
+
+
 /**
  * Determines the fill style (solid color, gradient, pattern, or none)
  * based on user options and randomness.
- * Creates gradient/pattern definitions in SVG <defs> if needed.
+ * Creates gradient/pattern definitions in the scene's <defs> node (options.defs) if needed.
  * @param {string[]} palette - Array of hex color strings.
- * @param {object} options - Current generation options (needs `fillType`).
+ * @param {object} options - Current generation options (needs `fillType`, the seeded `rng`, the `ids` generator and `defs`).
  * @returns {string} - The fill value (e.g., '#FF0000', 'url(#gradient-123)', 'none').
  */
 export function getRandomFill(palette, options) {
@@ -262,40 +608,47 @@ export function getRandomFill(palette, options) {
     // Ensure options object is valid
     options = options || {}; // Basic fallback for options
     const fillType = options.fillType || 'solid'; // Default to solid if not specified
+    const rng = options.rng || unseededRandom; // Seeded generator passed down from generateSVG
+    const ids = options.ids || fallbackIds; // Deterministic def IDs passed down from generateSVG
+    const defs = options.defs || null; // <defs> node of the scene being rendered
 
     if (fillType === 'none') return 'none';
 
-    const chance = secureRandom(); // Random number between 0 and 1
+    const chance = rng.next(); // Random number between 0 and 1
 
-    // Ensure dom.defs exists for gradients/patterns
-    if (!dom.defs && (fillType === 'gradient' || fillType === 'pattern')) {
+    // Ensure a <defs> node exists for gradients/patterns
+    if (!defs && (fillType === 'gradient' || fillType === 'pattern')) {
          console.warn("SVG <defs> element not found, cannot create gradient/pattern. Falling back to solid color.");
-         return randomChoice(palette) || '#888888'; // Fallback to solid
+         return rng.randomChoice(palette) || '#888888'; // Fallback to solid
     }
 
     // Determine fill based on type and random chance
     // Adjust probabilities as desired
     if (fillType === 'gradient' && chance < 0.4) { // 40% chance for gradient if selected
-        return createGradientFill(palette);
+        return createGradientFill(palette, rng, ids, defs, options.colorInterpolation);
     }
     if (fillType === 'pattern' && chance >= 0.4 && chance < 0.8) { // 40% chance for pattern if selected
-        return createPatternFill(palette);
+        return createPatternFill(palette, rng, ids, defs);
     }
 
     // Default to solid color if type is 'solid', or if random chance falls through for gradient/pattern
-    return randomChoice(palette) || '#888888'; // Final fallback color
+    return rng.randomChoice(palette) || '#888888'; // Final fallback color
 }
 
 /**
  * Creates an SVG linear or radial gradient definition in the <defs> section
  * and returns the URL reference to it.
  * @param {string[]} palette - Array of hex color strings to use for stops.
+ * @param {object} [rng=unseededRandom] - Seeded random generator (from options.rng).
+ * @param {object} [ids] - ID generator from createIdGenerator (from options.ids).
+ * @param {SceneNode} defs - The scene's <defs> node (from options.defs).
+ * @param {string} [space='srgb'] - Color space for the transitions between stops (options.colorInterpolation).
  * @returns {string} - The `url(#gradient-id)` string.
  */
-export function createGradientFill(palette) {
-    if (!dom.defs) {
+export function createGradientFill(palette, rng = unseededRandom, ids = fallbackIds, defs = null, space = 'srgb') {
+    if (!defs) {
         console.error("Cannot create gradient: SVG <defs> element not available.");
-        return randomChoice(palette) || 'grey'; // Fallback
+        return rng.randomChoice(palette) || 'grey'; // Fallback
     }
     if (!palette || palette.length < 2) {
         console.warn("Cannot create gradient with less than 2 colors, using solid.");
@@ -303,44 +656,61 @@ export function createGradientFill(palette) {
     }
 
 
-    const gradientId = generateUniqueId('gradient');
-    const isLinear = secureRandom() < 0.7; // 70% chance for linear gradient
+    const gradientId = ids.next('gradient');
+    const isLinear = rng.next() < 0.7; // 70% chance for linear gradient
     let gradient;
 
     if (isLinear) {
         gradient = createSVGElement('linearGradient', {
             id: gradientId,
-            x1: `${randomInt(0, 100)}%`, y1: `${randomInt(0, 100)}%`, // Random start point
-            x2: `${randomInt(0, 100)}%`, y2: `${randomInt(0, 100)}%`  // Random end point
+            x1: `${rng.randomInt(0, 100)}%`, y1: `${rng.randomInt(0, 100)}%`, // Random start point
+            x2: `${rng.randomInt(0, 100)}%`, y2: `${rng.randomInt(0, 100)}%`  // Random end point
         });
     } else { // Radial Gradient
         gradient = createSVGElement('radialGradient', {
             id: gradientId,
-            cx: `${randomInt(25, 75)}%`, cy: `${randomInt(25, 75)}%`, // Center offset
-            r:  `${randomInt(50, 150)}%`, // Radius
-            fx: `${randomInt(25, 75)}%`, fy: `${randomInt(25, 75)}%`  // Focal point offset
+            cx: `${rng.randomInt(25, 75)}%`, cy: `${rng.randomInt(25, 75)}%`, // Center offset
+            r:  `${rng.randomInt(50, 150)}%`, // Radius
+            fx: `${rng.randomInt(25, 75)}%`, fy: `${rng.randomInt(25, 75)}%`  // Focal point offset
         });
     }
 
     // Add color stops to the gradient
-    const numStops = randomInt(2, Math.min(4, palette.length)); // 2 to 4 stops, max available colors
+    const numStops = rng.randomInt(2, Math.min(4, palette.length)); // 2 to 4 stops, max available colors
     const usedColors = []; // Ensure some color variety if possible
+    const stops = []; // Chosen first, so the rng is used in the same order whatever the color space
     for (let i = 0; i < numStops; i++) {
-        let stopColor = randomChoice(palette);
+        let stopColor = rng.randomChoice(palette);
         // Try to pick a different color if palette is large enough
         if (palette.length > numStops && usedColors.includes(stopColor)) {
-            stopColor = randomChoice(palette.filter(c => !usedColors.includes(c))) || stopColor;
+            stopColor = rng.randomChoice(palette.filter(c => !usedColors.includes(c))) || stopColor;
         }
         usedColors.push(stopColor);
 
-        createSVGElement('stop', {
-            offset: `${Math.floor((i / (numStops - 1)) * 100)}%`, // Distribute stops evenly
-            'stop-color': stopColor || 'grey', // Fallback stop color
-            'stop-opacity': random(0.7, 1.0) // Random opacity for stops
-        }, gradient); // Append stop to the gradient element
+        stops.push({
+            offset: Math.floor((i / (numStops - 1)) * 100), // Distribute stops evenly
+            color: stopColor || 'grey', // Fallback stop color
+            opacity: rng.random(0.7, 1.0) // Random opacity for stops
+        });
     }
 
-    dom.defs.appendChild(gradient); // Add the completed gradient definition to SVG <defs>
+    stops.forEach((stop, i) => {
+        createSVGElement('stop', { offset: `${stop.offset}%`, 'stop-color': stop.color, 'stop-opacity': stop.opacity }, gradient);
+        // SVG blends neighbouring stops in sRGB; for a perceptual space, add in-between stops
+        // computed in that space so the rendered ramp follows it
+        const next = stops[i + 1];
+        if (!next || space === 'srgb' || !space) return;
+        for (let step = 1; step < GRADIENT_INTERPOLATION_STEPS; step++) {
+            const t = step / GRADIENT_INTERPOLATION_STEPS;
+            createSVGElement('stop', {
+                offset: `${+(stop.offset + (next.offset - stop.offset) * t).toFixed(2)}%`,
+                'stop-color': interpolateColor(stop.color, next.color, t, space),
+                'stop-opacity': stop.opacity + (next.opacity - stop.opacity) * t
+            }, gradient);
+        }
+    });
+
+    defs.appendChild(gradient); // Add the completed gradient definition to SVG <defs>
     return `url(#${gradientId})`; // Return the reference URL
 }
 
@@ -348,20 +718,23 @@ export function createGradientFill(palette) {
  * Creates an SVG pattern definition in the <defs> section
  * with simple random shapes (dots, lines, etc.) and returns the URL reference.
  * @param {string[]} palette - Array of hex color strings.
+ * @param {object} [rng=unseededRandom] - Seeded random generator (from options.rng).
+ * @param {object} [ids] - ID generator from createIdGenerator (from options.ids).
+ * @param {SceneNode} defs - The scene's <defs> node (from options.defs).
  * @returns {string} - The `url(#pattern-id)` string.
  */
-export function createPatternFill(palette) {
-     if (!dom.defs) {
+export function createPatternFill(palette, rng = unseededRandom, ids = fallbackIds, defs = null) {
+     if (!defs) {
         console.error("Cannot create pattern: SVG <defs> element not available.");
-        return randomChoice(palette) || 'lightgrey'; // Fallback
+        return rng.randomChoice(palette) || 'lightgrey'; // Fallback
     }
      if (!palette || palette.length === 0) {
         console.warn("Cannot create pattern with empty palette, using solid.");
         return 'lightgrey'; // Fallback
     }
 
-    const patternId = generateUniqueId('pattern');
-    const size = randomInt(8, 25); // Size of the pattern tile
+    const patternId = ids.next('pattern');
+    const size = rng.randomInt(8, 25); // Size of the pattern tile
 
     // Create the <pattern> element
     const pattern = createSVGElement('pattern', {
@@ -370,33 +743,33 @@ export function createPatternFill(palette) {
         height: size,
         patternUnits: 'userSpaceOnUse', // Pattern coordinates relative to the element it's applied to
         // Optional: Add patternTransform for rotation, scaling etc.
-        // patternTransform: `rotate(${randomInt(0, 90)})`
+        // patternTransform: `rotate(${rng.randomInt(0, 90)})`
     });
 
     // Optional: Add a background color to the pattern tile itself
-    if (secureRandom() > 0.5) { // 50% chance of pattern background
+    if (rng.next() > 0.5) { // 50% chance of pattern background
         createSVGElement('rect', {
             width: size, height: size,
-            fill: randomChoice(palette),
-            opacity: random(0.1, 0.3) // Low opacity background
+            fill: rng.randomChoice(palette),
+            opacity: rng.random(0.1, 0.3) // Low opacity background
         }, pattern);
     }
 
     // Add shapes to the pattern
-    const patternShapeType = randomInt(0, 5); // Choose a type of shape for the pattern
-    const strokeColor = randomChoice(palette) || 'grey';
-    const fillColor = randomChoice(palette) || 'lightgrey';
+    const patternShapeType = rng.randomInt(0, 5); // Choose a type of shape for the pattern
+    const strokeColor = rng.randomChoice(palette) || 'grey';
+    let fillColor = rng.randomChoice(palette) || 'lightgrey';
     // Ensure fillColor is different from strokeColor if possible
     if (fillColor === strokeColor && palette.length > 1) {
-        fillColor = randomChoice(palette.filter(c => c !== strokeColor)) || fillColor;
+        fillColor = rng.randomChoice(palette.filter(c => c !== strokeColor)) || fillColor;
     }
-    const strokeWidth = random(0.5, 1.5); // Thinner strokes for patterns
+    const strokeWidth = rng.random(0.5, 1.5); // Thinner strokes for patterns
 
     switch (patternShapeType) {
          case 0: // Dots / Circles
              createSVGElement('circle', {
                  cx: size / 2, cy: size / 2,
-                 r: size * random(0.15, 0.3), // Radius relative to tile size
+                 r: size * rng.random(0.15, 0.3), // Radius relative to tile size
                  fill: fillColor
              }, pattern);
              break;
@@ -405,7 +778,7 @@ export function createPatternFill(palette) {
                  x1: 0, y1: size / 2, x2: size, y2: size / 2, // Horizontal line
                  stroke: strokeColor, 'stroke-width': strokeWidth
              }, pattern);
-             if (secureRandom() > 0.6) { // Less frequent perpendicular line
+             if (rng.next() > 0.6) { // Less frequent perpendicular line
                   createSVGElement('line', {
                       x1: size / 2, y1: 0, x2: size / 2, y2: size, // Vertical line
                       stroke: strokeColor, 'stroke-width': strokeWidth
@@ -417,7 +790,7 @@ export function createPatternFill(palette) {
                  x1: 0, y1: 0, x2: size, y2: size, // Diagonal top-left to bottom-right
                  stroke: strokeColor, 'stroke-width': strokeWidth
              }, pattern);
-             if (secureRandom() > 0.6) { // Less frequent anti-diagonal line
+             if (rng.next() > 0.6) { // Less frequent anti-diagonal line
                   createSVGElement('line', {
                       x1: size, y1: 0, x2: 0, y2: size, // Diagonal top-right to bottom-left
                       stroke: strokeColor, 'stroke-width': strokeWidth
@@ -441,16 +814,16 @@ export function createPatternFill(palette) {
                   fill: fillColor
               }, pattern);
               // Optionally add another triangle with a different color
-              if (secureRandom() > 0.5) {
+              if (rng.next() > 0.5) {
                  createSVGElement('polygon', {
                      points: `0,${size} ${size},${size} ${size/2},0`,
-                     fill: randomChoice(palette.filter(c => c !== fillColor)) || strokeColor // Try different color
+                     fill: rng.randomChoice(palette.filter(c => c !== fillColor)) || strokeColor // Try different color
                  }, pattern);
               }
              break;
          case 5: // Small centered shape (circle or square)
-              const shape = secureRandom() > 0.5 ? 'circle' : 'rect';
-              const elemSize = size * random(0.3, 0.5); // Size of the small shape
+              const shape = rng.next() > 0.5 ? 'circle' : 'rect';
+              const elemSize = size * rng.random(0.3, 0.5); // Size of the small shape
               const elemX = size / 2 - elemSize / 2;
               const elemY = size / 2 - elemSize / 2;
               if (shape === 'circle') {
@@ -469,6 +842,6 @@ export function createPatternFill(palette) {
              break;
     }
 
-    dom.defs.appendChild(pattern); // Add the completed pattern definition to SVG <defs>
+    defs.appendChild(pattern); // Add the completed pattern definition to SVG <defs>
     return `url(#${patternId})`; // Return the reference URL
 }
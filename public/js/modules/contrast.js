@@ -0,0 +1,93 @@
+// public/js/modules/contrast.js
+
+// Contrast checks for palettes against the background colour (WCAG 2.x ratios) and an
+// auto-fix that moves a colour's OKLCH lightness until it reaches a target ratio.
+// Pure functions with no DOM access; the report in the palette panel is drawn by colorUtils.js.
+
+// ----- MODULE IMPORTS -----
+import { contrastRatio, hexToOklch, oklchToHex } from './colorMath.js';
+
+/**
+ * Target ratios offered in the palette panel.
+ * 3:1 is the WCAG minimum for graphics and large text, 4.5:1 for body text (AA), 7:1 AAA.
+ */
+export const CONTRAST_TARGETS = [3, 4.5, 7];
+export const DEFAULT_CONTRAST_TARGET = 3;
+
+// Below this ratio a colour is practically invisible on the background
+const INVISIBLE_RATIO = 1.5;
+
+/**
+ * Names the WCAG level a ratio reaches.
+ * @param {number} ratio - Contrast ratio.
+ * @returns {string} 'AAA', 'AA', 'AA Large', 'Low' or 'Invisible'.
+ */
+export function contrastLevel(ratio) {
+    if (ratio >= 7) return 'AAA';
+    if (ratio >= 4.5) return 'AA';
+    if (ratio >= 3) return 'AA Large';
+    if (ratio >= INVISIBLE_RATIO) return 'Low';
+    return 'Invisible';
+}
+
+/**
+ * Checks every palette colour (and the stroke colour) against the background.
+ * @param {string[]} palette - Hex colours used for fills.
+ * @param {string} bgColor - Background hex colour.
+ * @param {object} [settings]
+ * @param {string} [settings.strokeColor] - Stroke hex colour, reported as its own entry.
+ * @param {number} [settings.target=3] - Ratio a colour must reach to pass.
+ * @returns {{background: string, target: number, entries: object[], failing: number, invisible: number}}
+ *   One entry per colour: { hex, role ('palette' | 'stroke'), ratio, level, passes, invisible }.
+ */
+export function buildContrastReport(palette, bgColor, { strokeColor, target = DEFAULT_CONTRAST_TARGET } = {}) {
+    const colors = [...new Set(palette)].map(hex => ({ hex, role: 'palette' }));
+    if (strokeColor) colors.push({ hex: strokeColor, role: 'stroke' });
+
+    const entries = colors.map(({ hex, role }) => {
+        const ratio = contrastRatio(hex, bgColor);
+        return { hex, role, ratio, level: contrastLevel(ratio), passes: ratio >= target, invisible: ratio < INVISIBLE_RATIO };
+    });
+    return {
+        background: bgColor,
+        target,
+        entries,
+        failing: entries.filter(e => !e.passes).length,
+        invisible: entries.filter(e => e.invisible).length,
+    };
+}
+
+/**
+ * Nudges a colour's OKLCH lightness (keeping hue and, where the gamut allows, chroma) until it
+ * reaches the target contrast against the background. Tries both lighter and darker and keeps
+ * the smaller change; if neither direction can reach the target, returns the best it can do.
+ * @param {string} hex - Colour to fix.
+ * @param {string} bgColor - Background hex colour.
+ * @param {number} [target=3] - Ratio to reach.
+ * @returns {string} The adjusted hex colour (unchanged if it already passes).
+ */
+export function fixContrast(hex, bgColor, target = DEFAULT_CONTRAST_TARGET) {
+    const original = hexToOklch(hex);
+    if (!original || contrastRatio(hex, bgColor) >= target) return hex;
+    const withLightness = (l) => oklchToHex({ ...original, l });
+
+    const candidates = [];
+    for (const limit of [1, 0]) {
+        if (contrastRatio(withLightness(limit), bgColor) < target) continue; // This direction can't get there
+        // Binary search for the smallest lightness change that passes
+        let near = original.l, far = limit;
+        for (let i = 0; i < 24; i++) {
+            const mid = (near + far) / 2;
+            if (contrastRatio(withLightness(mid), bgColor) >= target) far = mid; else near = mid;
+        }
+        candidates.push({ l: far, change: Math.abs(far - original.l) });
+    }
+
+    if (candidates.length === 0) {
+        // Unreachable target (mid-grey backgrounds with 7:1): use whichever extreme contrasts most
+        const lighter = withLightness(1), darker = withLightness(0);
+        return contrastRatio(lighter, bgColor) >= contrastRatio(darker, bgColor) ? lighter : darker;
+    }
+    candidates.sort((a, b) => a.change - b.change);
+    return withLightness(candidates[0].l);
+}
@@ -0,0 +1,110 @@
+// public/js/modules/cvd.js
+
+// Colour-vision-deficiency (CVD) simulation.
+// The same linear-RGB matrices drive the SVG filters on the canvas (cvdPreview.js) and the
+// per-colour simulation used for the palette swatches and the confusable-pairs check, so
+// what the swatches show matches what the canvas shows. Pure functions, no DOM access.
+
+// ----- MODULE IMPORTS -----
+import { hexToRgb, rgbToHex, srgbToLinear, linearToSrgb, hexToLab, deltaE2000 } from './colorMath.js';
+
+/**
+ * Simulation matrices in linear RGB (rows produce R, G, B).
+ * Protanopia, deuteranopia and tritanopia use Machado, Oliveira & Fernandes (2009) at full
+ * severity; achromatopsia maps every colour to its luminance (Rec. 709 weights).
+ */
+export const CVD_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+    achromatopsia: [
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+    ],
+};
+
+/**
+ * Simulation types, in the order the preview menu lists them.
+ */
+export const CVD_TYPES = Object.keys(CVD_MATRICES);
+
+/**
+ * ΔE00 below which two palette colours count as hard to tell apart. Pairs already this close
+ * in normal vision are not reported, only pairs the deficiency merges.
+ */
+export const CVD_CONFUSION_THRESHOLD = 8;
+
+/**
+ * Shows a colour as seen with a colour-vision deficiency.
+ * @param {string} hex - The hex colour.
+ * @param {string} type - One of CVD_TYPES.
+ * @returns {string} The simulated colour (#RRGGBB), or the input if it is invalid or the type unknown.
+ */
+export function simulateCvd(hex, type) {
+    const matrix = CVD_MATRICES[type];
+    const rgb = hexToRgb(hex);
+    if (!matrix || !rgb) return hex;
+    const linear = [srgbToLinear(rgb.r), srgbToLinear(rgb.g), srgbToLinear(rgb.b)];
+    const [r, g, b] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return rgbToHex({ r: linearToSrgb(clamp(r)), g: linearToSrgb(clamp(g)), b: linearToSrgb(clamp(b)) });
+}
+
+/**
+ * Formats a simulation matrix for <feColorMatrix type="matrix" values="...">, which takes
+ * 4 rows of 5 values (RGBA plus offset). Use it with color-interpolation-filters="linearRGB".
+ * @param {string} type - One of CVD_TYPES.
+ * @returns {string} The `values` attribute.
+ */
+export function cvdFilterValues(type) {
+    const matrix = CVD_MATRICES[type];
+    if (!matrix) throw new Error(`Unknown colour-vision simulation "${type}".`);
+    return [...matrix.map(row => [...row, 0, 0]), [0, 0, 0, 1, 0]]
+        .map(row => row.join(' '))
+        .join('  ');
+}
+
+/**
+ * Finds palette colours that look different in normal vision but merge under a deficiency.
+ * @param {string[]} palette - Hex colours.
+ * @param {string} type - One of CVD_TYPES.
+ * @param {number} [threshold=CVD_CONFUSION_THRESHOLD] - ΔE00 below which colours are confusable.
+ * @returns {Array<{a: string, b: string, simulatedA: string, simulatedB: string, original: number, simulated: number}>}
+ *   Confusable pairs with their normal and simulated ΔE00, closest first.
+ */
+export function findConfusablePairs(palette, type, threshold = CVD_CONFUSION_THRESHOLD) {
+    const colors = [...new Set(palette)]
+        .map(hex => ({ hex, lab: hexToLab(hex), simulatedHex: simulateCvd(hex, type) }))
+        .filter(c => c.lab);
+    colors.forEach(c => { c.simulatedLab = hexToLab(c.simulatedHex); });
+
+    const pairs = [];
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            const original = deltaE2000(colors[i].lab, colors[j].lab);
+            if (original < threshold) continue; // Already similar for everyone
+            const simulated = deltaE2000(colors[i].simulatedLab, colors[j].simulatedLab);
+            if (simulated < threshold) {
+                pairs.push({
+                    a: colors[i].hex, b: colors[j].hex,
+                    simulatedA: colors[i].simulatedHex, simulatedB: colors[j].simulatedHex,
+                    original, simulated
+                });
+            }
+        }
+    }
+    return pairs.sort((p, q) => p.simulated - q.simulated);
+}
@@ -0,0 +1,72 @@
+// public/js/modules/cvdPreview.js
+
+// ----- COLOUR-VISION PREVIEW -----
+// Shows the canvas as seen with a colour-vision deficiency by applying an SVG filter to
+// #svg-canvas (and #preview-canvas, the canvas preview of large designs). The filters live in
+// a hidden <svg> outside the canvas, so they never end up in exported files; the preview class
+// on the canvas is stripped on export (download.js).
+
+// ----- MODULE IMPORTS -----
+import { state } from './state.js';
+import { dom } from './dom.js';
+import { SVG_NS } from './utils.js';
+import { CVD_TYPES, cvdFilterValues } from './cvd.js';
+import { updatePalettePreview } from './colorUtils.js';
+
+const FILTER_CONTAINER_ID = 'cvd-filters';
+
+/**
+ * ID of the filter for a simulation type (referenced by the .cvd-* rules in style.css).
+ * @param {string} type - One of CVD_TYPES.
+ * @returns {string} The element ID.
+ */
+function filterId(type) {
+    return `jenvek-cvd-${type}`;
+}
+
+/**
+ * Adds the hidden <svg> with one <filter> per simulation type to the page, once.
+ */
+export function ensureCvdFilters() {
+    if (document.getElementById(FILTER_CONTAINER_ID)) return;
+    const container = document.createElementNS(SVG_NS, 'svg');
+    container.setAttribute('id', FILTER_CONTAINER_ID);
+    container.setAttribute('width', '0');
+    container.setAttribute('height', '0');
+    container.setAttribute('aria-hidden', 'true');
+    container.style.position = 'absolute'; // Take no space in the layout
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    CVD_TYPES.forEach(type => {
+        const filter = document.createElementNS(SVG_NS, 'filter');
+        filter.setAttribute('id', filterId(type));
+        filter.setAttribute('color-interpolation-filters', 'linearRGB'); // The matrices are linear-light
+        const matrix = document.createElementNS(SVG_NS, 'feColorMatrix');
+        matrix.setAttribute('type', 'matrix');
+        matrix.setAttribute('values', cvdFilterValues(type));
+        filter.appendChild(matrix);
+        defs.appendChild(filter);
+    });
+    container.appendChild(defs);
+    document.body.appendChild(container);
+}
+
+/**
+ * Switches the colour-vision preview ('none' or one of CVD_TYPES) for the canvas, the
+ * palette swatches and the confusable-pairs report.
+ * @param {string} [mode] - Simulation to show; defaults to the #cvd-mode selection.
+ */
+export function setCvdMode(mode = dom.cvdMode?.value || 'none') {
+    if (mode !== 'none' && !CVD_TYPES.includes(mode)) {
+        console.warn("Unknown colour-vision simulation:", mode);
+        mode = 'none';
+    }
+    state.cvdMode = mode;
+    if (mode !== 'none') ensureCvdFilters();
+
+    [dom.svg, dom.previewCanvas].filter(Boolean).forEach(surface => { // SVG and canvas preview
+        CVD_TYPES.forEach(type => surface.classList.remove(`cvd-${type}`));
+        if (mode !== 'none') surface.classList.add(`cvd-${mode}`);
+    });
+    if (dom.cvdMode && dom.cvdMode.value !== mode) dom.cvdMode.value = mode;
+    updatePalettePreview(); // Redraws the simulated swatches and the reports
+}
@@ -30,28 +30,22 @@ export function cacheDOMElements() {
 
 
     // --- Generator Controls (Left Sidebar) ---
-    dom.patternType = document.getElementById('pattern-type');
+    dom.patternType = document.getElementById('pattern-type'); // Options are built from the pattern registry
+    dom.patternParams = document.getElementById('pattern-params'); // Per-pattern controls (patternControls.js)
     dom.layerCount = document.getElementById('layer-count');
+    dom.layerStack = document.getElementById('layer-stack'); // Per-layer settings cards (layerStack.js)
+    dom.addLayerBtn = document.getElementById('add-layer-btn');
     dom.offsetX = document.getElementById('offset-x');
     dom.offsetY = document.getElementById('offset-y');
     dom.globalAngle = document.getElementById('global-angle');
     dom.seedOverride = document.getElementById('seed-override');
+    dom.idPrefix = document.getElementById('id-prefix');
     dom.useCursor = document.getElementById('use-cursor');
     dom.useTime = document.getElementById('use-time');
     dom.complexity = document.getElementById('complexity');
     dom.density = document.getElementById('density');
     dom.repetition = document.getElementById('repetition');
-    dom.maxRecursion = document.getElementById('max-recursion');
-    dom.roseNParam = document.getElementById('rose-n-param');
     dom.curveSteps = document.getElementById('curve-steps');
-    dom.lineSpacing = document.getElementById('line-spacing');
-    dom.lineSpacingRatio = document.getElementById('line-spacing-ratio');
-    dom.lineSpacingInvert = document.getElementById('line-spacing-invert');
-    dom.lineWaveAmplitude = document.getElementById('line-wave-amplitude');
-    dom.lineWaveFrequency = document.getElementById('line-wave-frequency');
-    // *** ADDED: Explicitly cache the lineArcAmount input ***
-    dom.lineArcAmount = document.getElementById('line-arc-amount');
-
 
     dom.strokeWeight = document.getElementById('stroke-weight');
     dom.scale = document.getElementById('scale');
@@ -61,23 +55,48 @@ export function cacheDOMElements() {
     dom.viewportPreset = document.getElementById('viewport-preset');
     dom.customWidth = document.getElementById('custom-width');
     dom.customHeight = document.getElementById('custom-height');
+    dom.previewRenderer = document.getElementById('preview-renderer');
 
 
     // --- Color & Style Controls (Right Sidebar) ---
     dom.colorCategory = document.getElementById('color-category');
     dom.colorPalette = document.getElementById('color-palette');
+    dom.paletteSort = document.getElementById('palette-sort');
+    dom.paletteSize = document.getElementById('palette-size');
+    dom.colorInterpolation = document.getElementById('color-interpolation');
     dom.palettePreview = document.getElementById('palette-preview');
+    dom.contrastTarget = document.getElementById('contrast-target');
+    dom.contrastReport = document.getElementById('contrast-report');
+    dom.contrastFixBtn = document.getElementById('contrast-fix-btn');
+    dom.cvdMode = document.getElementById('cvd-mode');
+    dom.cvdReport = document.getElementById('cvd-report');
     dom.bgColor = document.getElementById('bg-color');
     dom.strokeColor = document.getElementById('stroke-color');
     dom.fillType = document.getElementById('fill-type');
     dom.opacity = document.getElementById('opacity'); // Primary opacity control
     dom.animation = document.getElementById('animation');
     dom.animationType = document.getElementById('animation-type');
+    // Palette generator (harmony palettes in OKLCH)
+    dom.harmonyBase = document.getElementById('harmony-base');
+    dom.harmonyScheme = document.getElementById('harmony-scheme');
+    dom.harmonyCount = document.getElementById('harmony-count');
+    dom.harmonyLightness = document.getElementById('harmony-lightness');
+    dom.harmonyChroma = document.getElementById('harmony-chroma');
+    dom.harmonyPreview = document.getElementById('harmony-preview');
+    dom.harmonyApplyBtn = document.getElementById('harmony-apply-btn');
+    // Palette from image
+    dom.imagePaletteDropZone = document.getElementById('image-drop-zone');
+    dom.imagePaletteInput = document.getElementById('image-palette-input'); // Hidden file input behind the drop zone
+    dom.imagePaletteMethod = document.getElementById('image-palette-method');
+    dom.imagePaletteCount = document.getElementById('image-palette-count');
+    dom.imagePaletteResult = document.getElementById('image-palette-result');
+    dom.imagePaletteApplyBtn = document.getElementById('image-palette-apply-btn');
+    dom.imagePaletteName = document.getElementById('image-palette-name');
+    dom.imagePaletteSaveBtn = document.getElementById('image-palette-save-btn');
 
     // --- Math Controls (Top Sidebar - NEW) ---
     // Use JS-friendly camelCase names for keys in the dom object
-    dom.curvesmoothing = document.getElementById('curve-smoothing'); // Note: ID has hyphen, key does not
-    dom.splinetension = document.getElementById('spline-tension');
+    // (Curve smoothing and spline tension are pattern parameters now, see patterns/sharedParams.js)
     dom.lissajousa = document.getElementById('lissajous-a');
     dom.lissajousb = document.getElementById('lissajous-b');
     dom.lissajousdelta = document.getElementById('lissajous-delta');
@@ -91,6 +110,8 @@ export function cacheDOMElements() {
     dom.stopAnimationBtn = document.getElementById('stop-animation-btn');
     dom.downloadSvgBtn = document.getElementById('download-btn');
     dom.downloadJsonBtn = document.getElementById('download-json-btn');
+    dom.loadJsonBtn = document.getElementById('load-json-btn');
+    dom.loadJsonInput = document.getElementById('load-json-input'); // Hidden file input behind the Load button
     dom.toggleLeftBtn = document.getElementById('toggle-left');
     dom.toggleRightBtn = document.getElementById('toggle-right');
     dom.toggleMathBtn = document.getElementById('toggle-math'); // Cache the math toggle button
@@ -102,11 +123,14 @@ export function cacheDOMElements() {
     dom.mathSidebar = document.getElementById('math-sidebar');   // Cache the math sidebar
 
     // --- Canvas Area Elements ---
+    dom.canvasContainer = document.querySelector('.canvas-container'); // Drop target for saved designs
     dom.cursorInfo = document.getElementById('cursor-info');
     dom.captureXBtn = document.getElementById('capture-x');
     dom.captureYBtn = document.getElementById('capture-y');
     dom.captureVBtn = document.getElementById('capture-v');
     dom.capturedCoords = document.getElementById('captured-coords');
+    dom.generationProgress = document.getElementById('generation-progress'); // Per-layer bars while the render worker runs
+    dom.previewCanvas = document.getElementById('preview-canvas'); // Canvas preview for large designs (canvasPreview.js)
 
     // --- Output/Info Displays ---
     dom.mathOutput = document.getElementById('math-output');
@@ -136,23 +160,15 @@ export function cacheDOMElements() {
             // Only warn if the input itself was successfully cached
             // Check if the input element itself has been cached in the dom object
             const inputCached = Object.values(dom).includes(input);
-            // Also check if the specific ID was explicitly cached (like lineArcAmount)
+            // Also check if the specific ID was explicitly cached
             const explicitlyCached = dom[input.id.replace(/-([a-z])/g, g => g[1].toUpperCase())] === input;
 
             // Don't warn if a display span is missing for an explicitly cached input
-            // (like lineArcAmount, which might not need one if the value isn't crucial to see constantly)
             if (inputCached && !explicitlyCached) {
                  console.warn(`Value display span not found for range input: #${input.id}`);
             }
         }
     });
 
-     // *** Manually update display for lineArcAmount if its display span exists ***
-     // Check if both the input and its specific display span were found
-     if (dom.lineArcAmount && dom.lineArcAmountDisplay && dom.lineArcAmount.value !== undefined) {
-         dom.lineArcAmountDisplay.textContent = dom.lineArcAmount.value;
-     }
-
-
     console.log("DOM elements cached:", Object.keys(dom).length);
 }
\ No newline at end of file
@@ -4,7 +4,71 @@
 // public/js/modules/download.js
 
 // Import shared state - needed to access generated SVG data and options
-import { state } from './state.js';
+import { state, APP_VERSION } from './state.js';
+import { SVG_NS } from './utils.js';
+
+/**
+ * Namespace and element name of the design recipe embedded in exported SVGs.
+ * restore.js looks for the same element when an SVG is dropped back onto the canvas.
+ */
+export const DESIGN_METADATA_NS = 'urn:jenvek:design';
+export const DESIGN_METADATA_TAG = 'jenvek:design';
+
+/**
+ * Collects everything needed to recreate the last generation: options, resolved seed,
+ * palette, captured coordinates and app version. Shared by the JSON and SVG exports.
+ * @returns {object} Plain, JSON-serializable design data.
+ */
+export function buildDesignData() {
+    return {
+        timestamp: new Date().toISOString(), // Record the time of generation/download
+        appVersion: APP_VERSION, // Version of jenVek that produced the design
+        generationCount: state.generationCount, // Include the generation counter
+        seed: state.mathInfo?.seed ?? null, // Resolved numeric seed, so the design can be reproduced exactly
+        optionsUsed: state.currentOptions, // Save the options used for the last generation
+        palette: { // The palette selection and the exact colors it resolved to
+             category: state.currentOptions?.colorCategory ?? null,
+             name: state.currentOptions?.colorPalette ?? null,
+             colors: state.currentPalette
+        },
+        mathProperties: state.mathInfo, // Include the calculated math properties
+        capturedCoordinates: { // Include any captured coordinates used
+             x: state.capturedX,
+             y: state.capturedY,
+             vector: state.capturedV
+        },
+    };
+}
+
+/**
+ * Builds the SVG markup for export: the generated SVG without the page-specific
+ * `id="svg-canvas"`, with the design recipe stored as JSON in a <metadata> block.
+ * @param {string} svgData - Serialized SVG (state.svgData).
+ * @param {object} designData - Recipe from buildDesignData().
+ * @returns {string} The SVG document string.
+ */
+export function buildExportSVG(svgData, designData) {
+    const doc = new DOMParser().parseFromString(svgData, 'image/svg+xml');
+    const svg = doc.documentElement;
+    if (!svg || svg.nodeName !== 'svg' || doc.querySelector('parsererror')) {
+        console.warn('buildExportSVG: could not parse SVG data, exporting it without metadata.');
+        return svgData;
+    }
+
+    svg.removeAttribute('id'); // Avoid clashing with other SVGs when inlined
+    svg.removeAttribute('class'); // Preview-only classes (colour-vision simulation filter)
+    svg.setAttribute('xmlns', SVG_NS);
+
+    // <metadata><jenvek:design version="..."><!-- JSON text --></jenvek:design></metadata>
+    const metadata = doc.createElementNS(SVG_NS, 'metadata');
+    const design = doc.createElementNS(DESIGN_METADATA_NS, DESIGN_METADATA_TAG);
+    design.setAttribute('version', designData.appVersion || APP_VERSION);
+    design.textContent = JSON.stringify(designData); // The serializer escapes &, < and > for us
+    metadata.appendChild(design);
+    svg.insertBefore(metadata, svg.firstChild);
+
+    return new XMLSerializer().serializeToString(doc);
+}
 
 /**
  * Triggers a browser download for the currently generated SVG data.
@@ -18,10 +82,13 @@ export function downloadSVG() {
     }
 
     try {
+        // Embed the generation recipe so the file can be dropped back onto the canvas later
+        const svgMarkup = buildExportSVG(state.svgData, buildDesignData());
+
         // Create a Blob object from the SVG string data.
         // A Blob represents raw immutable data.
         // Set the MIME type to 'image/svg+xml' for proper handling by browsers/OS.
-        const blob = new Blob([state.svgData], { type: 'image/svg+xml;charset=utf-8' });
+        const blob = new Blob([svgMarkup], { type: 'image/svg+xml;charset=utf-8' });
 
         // Create a temporary URL representing the Blob object.
         const url = URL.createObjectURL(blob);
@@ -56,20 +123,9 @@ export function downloadSVG() {
  */
 export function downloadJSON() {
     // Prepare the data object to be saved in the JSON file.
-    const dataToSave = {
-        timestamp: new Date().toISOString(), // Record the time of generation/download
-        generationCount: state.generationCount, // Include the generation counter
-        optionsUsed: state.currentOptions, // Save the options used for the last generation
-        mathProperties: state.mathInfo, // Include the calculated math properties
-        capturedCoordinates: { // Include any captured coordinates used
-             x: state.capturedX,
-             y: state.capturedY,
-             vector: state.capturedV
-        },
-        // Note: Raw SVG data (state.svgData) is usually too large for metadata JSON.
-        // It's saved separately via downloadSVG().
-        // If needed for specific use cases, you could add a truncated version or specific attributes.
-    };
+    // Note: Raw SVG data (state.svgData) is usually too large for metadata JSON.
+    // It's saved separately via downloadSVG().
+    const dataToSave = buildDesignData();
 
     try {
         // Convert the JavaScript data object into a JSON string.
@@ -3,50 +3,37 @@
 // ----- MODULE IMPORTS -----
 import { state } from './state.js';
 import { dom } from './dom.js'; // Make sure dom is imported
-import { getColorPalette, getRandomFill } from './colorUtils.js';
-import { updateMathInfo, updateSVGStats } from './ui.js'; // Ensure ui functions are imported
-import {
-    createSVGElement, secureRandom, getTimeSeedValue, pointsToPathString, simpleStringHash // Ensure simpleStringHash is imported if used
-} from './utils.js'; // Ensure utils functions are imported
-
-// ----- PATTERN FUNCTION IMPORTS -----
-// Import all pattern generator functions from their respective files in the patterns directory
-import { generateLinesPattern } from './patterns/lines.js';
-import { generateRandomPattern } from './patterns/random.js';
-import { generateRecursivePattern } from './patterns/recursive.js';
-import { generateGridPattern } from './patterns/grid.js';
-import { generateQuadtreePattern } from './patterns/QuadTree.js';
-import { generateFibonacciPattern } from './patterns/Fibonacci.js';
-import { generateMandelbrotPattern } from './patterns/Mandelbrot.js';
-import { generatePrimePattern } from './patterns/prime.js';
-import { generateTrigPattern } from './patterns/trigWave.js';
-import { generateBezierPattern } from './patterns/Bezier.js';
-import { generateLissajousPattern } from './patterns/Lissajous.js';
-import { generatePadovanPattern } from './patterns/Padovan.js';
-import { generateRecamanPattern } from './patterns/Recaman.js';
-import { generateRoseCurvePattern } from './patterns/rose.js';
+import { updateMathInfo, updateSVGStats, showGenerationProgress, updateGenerationProgress, hideGenerationProgress, showPreviewSurface } from './ui.js'; // Ensure ui functions are imported
+import { createSVGElement, getTimeSeedValue } from './utils.js'; // Ensure utils functions are imported
+// The DOM-free rendering core does the actual generation; this module reads the UI and mounts the result
+import { renderScene, resolveSeed as resolveOverrideSeed } from './render.js';
+import { CUSTOM_CATEGORY, updatePaletteReports } from './colorUtils.js'; // Generated palettes travel with the options
+import { mountScene, serializeScene } from './scene.js';
+import { countSceneNodes, choosePreviewRenderer, drawSceneToCanvas, clearCanvasPreview, PREVIEW_RENDERERS } from './canvasPreview.js';
+import { getPatternParamValues } from './patternControls.js'; // Pattern-specific parameters (built from the registry)
+import { getLayerStack } from './layerStack.js';
 
 
 // ----- CORE GENERATION LOGIC -----
 
 /**
  * Retrieves the current generation options from the UI controls and state.
+ * Does not touch state.currentOptions: runGeneration() records the options once their render is mounted.
  * @returns {object | null} An object containing all current generation parameters, or null if error.
  */
 function getOptions() {
     // Define required element IDs for validation
-    // Add the IDs of the new math controls
+    // Pattern-specific parameters are not listed here: their controls are built from the
+    // pattern registry and their values kept in state.patternParams (see patternControls.js)
     const requiredDOMElements = [
         'patternType', 'layerCount', 'complexity', 'density', 'repetition',
-        'maxRecursion', 'roseNParam', 'strokeWeight', 'scale', 'opacity',
-        'curveSteps', 'offsetX', 'offsetY', 'globalAngle', 'seedOverride', 'lineSpacing',
-        'lineWaveAmplitude','lineWaveFrequency', 'lineArcAmount', // Ensure lineArcAmount is checked
-        'lineSpacingRatio', 'lineSpacingInvert',
+        'strokeWeight', 'scale', 'opacity',
+        'curveSteps', 'offsetX', 'offsetY', 'globalAngle', 'seedOverride', 'idPrefix',
         'viewportPreset', 'customWidth', 'customHeight', 'useCursor', 'useTime',
         'colorCategory', 'colorPalette', 'bgColor', 'strokeColor', 'fillType',
         'animation', 'animationType',
         // New Math Controls (Ensure these IDs match index.html and dom.js cache keys)
-        'curve-smoothing', 'spline-tension', 'lissajous-a', 'lissajous-b',
+        'lissajous-a', 'lissajous-b',
         'lissajous-delta', 'spiral-type', 'spiral-a', 'spiral-b'
     ];
 
@@ -71,19 +58,23 @@ function getOptions() {
 
     // Read values from cached DOM elements
     try {
-        // Use a temporary object to build options, then assign to state.currentOptions
+        // Build the options object; state.currentOptions is only updated when its render is shown
         const options = {
             // Existing Generator Options
             patternType: dom.patternType.value,
             complexity: parseInt(dom.complexity.value, 10),
             density: parseInt(dom.density.value, 10),
-            maxRecursion: parseInt(dom.maxRecursion.value, 10),
             strokeWeight: parseFloat(dom.strokeWeight.value),
             opacity: parseFloat(dom.opacity.value), // Read primary opacity control
             scale: parseFloat(dom.scale.value),
             layerCount: parseInt(dom.layerCount.value, 10),
             repetition: parseInt(dom.repetition.value, 10),
             fillType: dom.fillType.value,
+            colorCategory: dom.colorCategory.value, // Palette selection, so saved designs can restore it
+            colorPalette: dom.colorPalette.value,
+            paletteSort: dom.paletteSort?.value || 'none',
+            paletteSize: parseInt(dom.paletteSize?.value, 10) || 0,
+            colorInterpolation: dom.colorInterpolation?.value || 'srgb',
             bgColor: dom.bgColor.value,
             strokeColor: dom.strokeColor.value,
             useCursor: dom.useCursor.checked,
@@ -95,24 +86,15 @@ function getOptions() {
             capturedX: state.capturedX, // Get from state
             capturedY: state.capturedY, // Get from state
             capturedV: state.capturedV, // Get from state
-            roseNParam: parseFloat(dom.roseNParam.value),
             curveSteps: parseInt(dom.curveSteps.value, 10) || 0,
             offsetX: parseFloat(dom.offsetX.value) || 0,
             offsetY: parseFloat(dom.offsetY.value) || 0,
             globalAngle: parseInt(dom.globalAngle.value, 10) || 0,
             seedOverride: dom.seedOverride.value.trim(),
-            lineSpacing: parseInt(dom.lineSpacing.value,10) || 20,
-            lineWaveAmplitude: parseFloat(dom.lineWaveAmplitude.value) || 0,
-            lineWaveFrequency: parseFloat(dom.lineWaveFrequency.value) || 1,
-            // *** CORRECTED: Read and parse lineArcAmount from the cached element ***
-            lineArcAmount: parseFloat(dom.lineArcAmount.value) || 0, // Read from cached element, parse as float
-            lineSpacingRatio: parseFloat(dom.lineSpacingRatio.value) || 1.0,
-            lineSpacingInvert: dom.lineSpacingInvert.checked,
+            idPrefix: dom.idPrefix.value.trim() || 'jenvek', // Namespace for gradient/pattern IDs
 
             // *** NEW: Read Math Control Options ***
             // Access cached elements using the corrected cache keys (no hyphens)
-            curveSmoothing: dom.curvesmoothing.value, // e.g., 'straight', 'cubic_bezier'
-            splineTension: parseFloat(dom.splinetension.value) || 0.5, // Default tension
             lissajousA: parseInt(dom.lissajousa.value, 10) || 3, // Default A freq
             lissajousB: parseInt(dom.lissajousb.value, 10) || 2, // Default B freq
             // Convert selected fraction (string) to radians (number)
@@ -120,17 +102,28 @@ function getOptions() {
             spiralType: dom.spiraltype.value, // e.g., 'archimedean'
             spiralA: parseFloat(dom.spirala.value) || 0, // Default spiral param A
             spiralB: parseFloat(dom.spiralb.value) || 0.1, // Default spiral param B
+
+            // Pattern parameters (lineSpacing, roseNParam, maxRecursion, curveSmoothing, ...), all
+            // patterns' values so switching pattern and saved designs keep them
+            ...getPatternParamValues(),
         };
 
-        // Assign the constructed options object to the global state
-        state.currentOptions = options;
-        console.log("Current Options Read:", state.currentOptions); // Log the options read
-        return state.currentOptions; // Return the options object
+        // Layer stack: each layer's own settings; the stack decides how many layers there are
+        if (state.layers.length > 0) {
+            options.layers = getLayerStack();
+            options.layerCount = options.layers.length;
+        }
+
+        // A generated (harmony) palette is not in the colour library, so its colours travel with the options
+        if (options.colorCategory === CUSTOM_CATEGORY) {
+            options.customPalette = [...state.customPalette];
+        }
+
+        console.log("Current Options Read:", options); // Log the options read
+        return options; // Return the options object
 
     } catch (error) {
         console.error("Error reading options from DOM:", error);
-        // Clear current options in state on error? Or keep previous? Decide policy.
-        // state.currentOptions = {};
         return null; // Return null on error
     }
 }
@@ -139,10 +132,39 @@ function getOptions() {
 /**
  * Main function to generate the SVG content based on selected options.
  * Acts as a controller, delegating pattern generation to imported modules.
+ * @returns {Promise<void>} Resolves once the new SVG is mounted (or the run failed or was cancelled).
  */
 export function generateSVG() {
+    return runGeneration(null);
+}
+
+/**
+ * Re-renders the current options with the seed of the last render instead of a new one.
+ * Used by the layer panel: stack layers draw from their own random streams, so hiding,
+ * reordering or reseeding one layer leaves the others exactly as they were.
+ * @returns {Promise<void>} See generateSVG().
+ */
+export function regenerateSVG() {
+    return runGeneration(Number.isFinite(state.mathInfo?.seed) ? state.mathInfo.seed : null);
+}
+
+/**
+ * Stop button: cancels a generation that is still running and stops the animation.
+ */
+export function stopGeneration() {
+    if (cancelGeneration()) console.log("Generation cancelled.");
+    stopAnimation();
+}
+
+/**
+ * Reads the options, renders them (in the render worker when available) and mounts the result.
+ * The previous SVG stays on screen until the new one is ready.
+ * @param {number | null} fixedSeed - Seed to reuse, or null to resolve a new one (time/cursor).
+ */
+async function runGeneration(fixedSeed) {
     console.log("Generating SVG...");
     stopAnimation(); // Stop any existing animation first
+    cancelGeneration(); // A new run replaces one still in progress
 
     // Ensure core SVG elements are ready
     if (!dom.svg || !dom.defs) {
@@ -152,135 +174,301 @@ export function generateSVG() {
     }
 
     // Get options, handling potential errors during retrieval
-    // getOptions now updates state.currentOptions directly and returns it
+    // Read into a local: state.currentOptions keeps describing the design on screen until this run is mounted
     const options = getOptions();
     if (!options) {
          alert("Error retrieving generation options. Please check console.");
          return;
     }
-    // Get the current color palette (ensure this runs *after* options are set if needed)
-    const palette = getColorPalette();
 
-    // --- Clear SVG ---
-    dom.defs.innerHTML = ''; // Clear definitions (gradients, patterns)
-    while (dom.svg.lastChild && dom.svg.lastChild !== dom.defs) {
-         dom.svg.removeChild(dom.svg.lastChild);
+    // --- Seeding Logic ---
+    // The time/cursor seed needs browser state, so it is resolved here and handed to the core.
+    const seed = fixedSeed ?? resolveSeed(options);
+
+    let result;
+    try {
+        // Build the scene without the DOM (render.js), off the main thread when possible
+        result = await renderForPage(options, seed);
+        if (!result) return; // Cancelled (Stop button or a newer run)
+    } catch (error) {
+        showGenerationError(error);
+        return;
     }
 
-    // --- Set Background ---
-    if (options.bgColor && options.bgColor.toUpperCase() !== '#FFFFFF') {
-        const bgRect = createSVGElement('rect', { x: 0, y: 0, width: '100%', height: '100%', fill: options.bgColor });
-        dom.svg.insertBefore(bgRect, dom.defs.nextSibling);
+    try {
+        // --- Replace the previous render with the new scene (live <svg> or canvas preview) ---
+        // The options are committed with the rest of the render's state, so exports always
+        // describe what is on screen (a cancelled or failed run leaves all of it untouched)
+        state.currentOptions = options;
+        state.currentPalette = result.palette;
+        updatePaletteReports(); // Random palette modes only settle on their colors here
+        presentScene(result.scene);
+
+        // --- Finalize and Update UI ---
+        state.mathInfo = result.mathInfo;
+        updateMathInfo(state.mathInfo); // Call the imported function
+        updateSVGStats(result.totalElements, state.svgData); // Call the imported function
+        state.generationCount++;
+
+        if (options.animation) {
+            startAnimation();
+        }
+
+    } catch (error) {
+        showGenerationError(error);
     }
+}
 
-    // --- Seeding Logic ---
-    const originalRandom = Math.random;
-    let seed;
-    if (options.seedOverride) {
-        const numSeed = parseFloat(options.seedOverride);
-        // Use simpleStringHash (imported from utils.js) only if parseFloat results in NaN
-        seed = !isNaN(numSeed) ? numSeed : simpleStringHash(options.seedOverride);
-        console.log(`Using seed override: ${options.seedOverride} -> ${seed}`);
+// ----- PREVIEW -----
+// Large scenes are previewed on a <canvas> instead of the live SVG (see canvasPreview.js).
+// state.svgData is the same SVG markup either way, so downloads do not depend on the preview.
+
+let presentedScene = null; // Last scene shown, kept to switch the preview renderer without regenerating
+
+/**
+ * Shows a scene with the preview backend chosen for it (state.previewRenderer and its size)
+ * and records its SVG markup in state.svgData.
+ * @param {SceneNode | object} scene - Root node from renderScene(), or its plain copy from the worker.
+ */
+function presentScene(scene) {
+    presentedScene = scene;
+    const renderer = dom.previewCanvas ? choosePreviewRenderer(state.previewRenderer, countSceneNodes(scene)) : 'svg';
+    clearCanvas();
+    if (renderer === 'canvas') {
+        // The live <svg> keeps only its empty <defs>, so the page holds no per-shape nodes
+        drawSceneToCanvas(dom.previewCanvas, scene, state.viewportWidth, state.viewportHeight);
+        state.svgData = liveSVGMarkup(scene);
     } else {
-        seed = Date.now();
-        if (options.useTime) { seed += getTimeSeedValue() * 1e9; }
-        if (options.useCursor) {
-             if (state.mouseX !== null) { seed += Math.sin(state.mouseX*0.01)*1e5; }
-             if (state.mouseY !== null) { seed += Math.cos(state.mouseY*0.01)*1e5; }
-             if (state.capturedX !== null) { seed += Math.sin(state.capturedX*0.1)*1e4; }
-             if (state.capturedY !== null) { seed += Math.cos(state.capturedY*0.1)*1e4; }
-             if (state.capturedV?.x !== null) { seed += Math.sin(state.capturedV.x*0.1)*1e3; }
-             if (state.capturedV?.y !== null) { seed += Math.cos(state.capturedV.y*0.1)*1e3; }
-        }
-        console.log(`Using time/cursor seed (approx): ${seed.toFixed(0)}`);
+        clearCanvasPreview();
+        mountRenderedScene(scene);
+        state.svgData = dom.svg.outerHTML;
+    }
+    showPreviewSurface(renderer);
+    console.log(`Preview: ${renderer} (${renderer === 'canvas' ? 'large scene or canvas selected' : 'live SVG'}).`);
+}
+
+/**
+ * The markup the live <svg> would have with the scene mounted (what the SVG preview stores in
+ * state.svgData), built as text so the canvas preview needs no DOM nodes for the shapes.
+ * @param {SceneNode | object} scene - Root node of the scene.
+ * @returns {string} SVG markup.
+ */
+function liveSVGMarkup(scene) {
+    const defs = scene.children.find(child => child.tagName === 'defs');
+    const defsMarkup = defs ? defs.children.map(serializeScene).join('') : '';
+    const bodyMarkup = scene.children.filter(child => child !== defs).map(serializeScene).join('');
+    const shell = dom.svg.outerHTML; // <svg ...><defs></defs></svg> after clearCanvas()
+    if (!shell.includes('<defs></defs>')) return serializeScene(scene);
+    // Replacer functions, so "$" in the markup is not read as a replacement pattern
+    return shell.replace('<defs></defs>', () => `<defs>${defsMarkup}</defs>`).replace(/<\/svg>\s*$/, () => `${bodyMarkup}</svg>`);
+}
+
+/**
+ * Sets the preview renderer ('auto', 'svg' or 'canvas') and shows the current design with it.
+ * Downloads are unaffected: they always use the SVG markup.
+ * @param {string} [mode] - One of PREVIEW_RENDERERS; defaults to the #preview-renderer selection.
+ */
+export function setPreviewRenderer(mode = dom.previewRenderer?.value || 'auto') {
+    if (!PREVIEW_RENDERERS.includes(mode)) {
+        console.warn("Unknown preview renderer:", mode);
+        mode = 'auto';
+    }
+    state.previewRenderer = mode;
+    if (dom.previewRenderer && dom.previewRenderer.value !== mode) dom.previewRenderer.value = mode;
+    if (!presentedScene || activeJob) return; // A running render will use the new mode
+
+    stopAnimation();
+    presentScene(presentedScene);
+    updateSVGStats(state.mathInfo?.totalElements, state.svgData);
+    if (state.currentOptions?.animation) startAnimation();
+}
+
+/**
+ * Removes the previous render (defs and everything after them) from the live SVG.
+ */
+function clearCanvas() {
+    dom.defs.innerHTML = ''; // Clear definitions (gradients, patterns)
+    while (dom.svg.lastChild && dom.svg.lastChild !== dom.defs) {
+         dom.svg.removeChild(dom.svg.lastChild);
     }
+}
+
+/**
+ * Replaces the canvas content with an error message.
+ * @param {Error} error - The generation error.
+ */
+function showGenerationError(error) {
+    console.error('Error during SVG generation main loop:', error);
+    clearCanvas();
+    clearCanvasPreview();
+    presentedScene = null;
+    showPreviewSurface('svg'); // The message is drawn in the SVG
+    const errorText = mountScene(createSVGElement('text', { x: 10, y: 50, fill: 'red', 'font-family': 'sans-serif', 'font-size': '16px' }));
+    errorText.textContent = `Error: ${error.message}. Check console.`;
+    dom.svg.appendChild(errorText);
+    updateMathInfo({ error: error.message });
+    updateSVGStats(0);
+}
 
-    let currentSeed = Math.floor(Math.abs(seed)) % 2147483647;
-    if (currentSeed === 0) currentSeed = 1;
-    const seededRandom = () => {
-        currentSeed = (currentSeed * 16807) % 2147483647;
-        return (currentSeed - 1) / 2147483646;
-    };
-    Math.random = seededRandom;
-    console.log(`Using PRNG with initial seed value: ${currentSeed}`);
 
+// ----- RENDER WORKER -----
+// Generation runs in a module Web Worker (../renderWorker.js) so heavy patterns do not freeze
+// the page; the worker posts back a plain copy of the scene and this module only mounts it.
+// A running render can only be interrupted by terminating the worker, so cancelling throws the
+// worker away and the next run starts a fresh one. Where workers are unavailable (or the
+// worker fails to load) generation falls back to the main thread.
 
-    // --- Generation Loop (Layers) ---
-    let totalElements = 0;
-    let combinedMathInfo = {};
+let renderWorker = null; // Created on first use
+let workerUnavailable = false; // Set once creating or loading the worker fails
+let workerColors = null; // The state.allColors object last sent to the current worker
+let activeJob = null; // { jobId, options, seed, resolve, reject } of the render in the worker
+let nextJobId = 1;
+
+/**
+ * Renders the options in the worker, or on the main thread when there is no worker.
+ * @param {object} options - Generation options.
+ * @param {number} seed - Resolved seed.
+ * @returns {Promise<object | null>} renderScene()'s result (the scene as a SceneNode or its
+ *   plain copy), or null if the run was cancelled.
+ */
+async function renderForPage(options, seed) {
+    const worker = getRenderWorker();
+    if (!worker) return renderScene(options, { seed, allColors: state.allColors });
+
+    showGenerationProgress(options.layers?.length || options.layerCount);
+    return new Promise((resolve, reject) => {
+        const jobId = nextJobId++;
+        activeJob = { jobId, options, seed, resolve, reject };
+        const message = { type: 'render', jobId, options, seed };
+        if (workerColors !== state.allColors) {
+            message.allColors = state.allColors; // The worker keeps it for later jobs
+            workerColors = state.allColors;
+        }
+        worker.postMessage(message);
+    });
+}
 
+/**
+ * @returns {Worker | null} The render worker (created if needed), or null if workers are unavailable.
+ */
+function getRenderWorker() {
+    if (renderWorker || workerUnavailable) return renderWorker;
+    if (typeof Worker === 'undefined') {
+        console.warn("Web Workers are not available; generating on the main thread.");
+        workerUnavailable = true;
+        return null;
+    }
     try {
-        for (let layer = 0; layer < options.layerCount; layer++) {
-            state.currentLayer = layer;
-            const currentOffsetX = layer * options.offsetX;
-            const currentOffsetY = layer * options.offsetY;
-            const currentAngle = options.globalAngle;
-            const transform = `rotate(${currentAngle}, ${options.viewportWidth / 2}, ${options.viewportHeight / 2}) translate(${currentOffsetX}, ${currentOffsetY})`;
-            let layerGroup = createSVGElement('g', { id: `layer-${layer}`, transform: transform }, dom.svg);
-
-             const layerOptions = { ...options }; // Pass the full options object including new math params
-             if (layer > 0) {
-                 layerOptions.complexity = Math.max(1, options.complexity - layer * 1.5);
-                 layerOptions.density = Math.max(1, options.density - layer * 15);
-                 layerOptions.strokeWeight = Math.max(0.1, options.strokeWeight * (1 - layer * 0.25));
-                 layerOptions.opacity = Math.max(0.1, options.opacity * (1 - layer * 0.2));
-                 layerOptions.scale = options.scale * (1 - layer * 0.15);
-            }
+        renderWorker = new Worker(new URL('../renderWorker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn("Could not start the render worker; generating on the main thread:", error);
+        workerUnavailable = true;
+        return null;
+    }
+    renderWorker.addEventListener('message', handleWorkerMessage);
+    renderWorker.addEventListener('error', handleWorkerFailure);
+    workerColors = null;
+    return renderWorker;
+}
 
-            let result = {};
-            // Call the appropriate pattern function, passing the full layerOptions
-            switch (layerOptions.patternType) {
-                 case 'lines': result = generateLinesPattern(layerGroup, layerOptions, palette); break;
-                 case 'random': result = generateRandomPattern(layerGroup, layerOptions, palette); break;
-                 case 'recursive': result = generateRecursivePattern(layerGroup, layerOptions, palette); break;
-                 case 'grid': result = generateGridPattern(layerGroup, layerOptions, palette); break;
-                 case 'quadtree': result = generateQuadtreePattern(layerGroup, layerOptions, palette); break;
-                 case 'fibonacci': result = generateFibonacciPattern(layerGroup, layerOptions, palette); break;
-                 case 'mandelbrot': result = generateMandelbrotPattern(layerGroup, layerOptions, palette); break;
-                 case 'prime': result = generatePrimePattern(layerGroup, layerOptions, palette); break;
-                 case 'trig': result = generateTrigPattern(layerGroup, layerOptions, palette); break;
-                 case 'bezier': result = generateBezierPattern(layerGroup, layerOptions, palette); break;
-                 case 'lissajous': result = generateLissajousPattern(layerGroup, layerOptions, palette); break;
-                 case 'padovan': result = generatePadovanPattern(layerGroup, layerOptions, palette); break;
-                 case 'recaman': result = generateRecamanPattern(layerGroup, layerOptions, palette); break;
-                 case 'rose': result = generateRoseCurvePattern(layerGroup, layerOptions, palette); break;
-                 default:
-                     console.warn("Unknown pattern type selected:", layerOptions.patternType);
-                     result = generateRandomPattern(layerGroup, layerOptions, palette);
-            }
+/**
+ * Handles progress and results from the render worker.
+ * @param {MessageEvent} event - Worker message (see renderWorker.js).
+ */
+function handleWorkerMessage(event) {
+    const message = event.data;
+    if (!activeJob || message.jobId !== activeJob.jobId) return; // Late message from a replaced job
+    if (message.type === 'progress') {
+        updateGenerationProgress(message);
+        return;
+    }
+    const job = activeJob;
+    activeJob = null;
+    hideGenerationProgress();
+    if (message.type === 'done') job.resolve(message);
+    else job.reject(new Error(message.message));
+}
 
-            totalElements += (result && typeof result === 'object' && result.elementCount) ? result.elementCount : 0;
-            combinedMathInfo[`Layer_${layer}`] = result || { error: 'Pattern function returned invalid result' };
-        }
+/**
+ * The worker failed to load or crashed outside renderScene() (render errors arrive as messages).
+ * Stops using workers and renders the pending job on the main thread instead.
+ * @param {ErrorEvent} event - Worker error event.
+ */
+function handleWorkerFailure(event) {
+    console.warn("Render worker failed; generating on the main thread from now on:", event.message);
+    event.preventDefault();
+    workerUnavailable = true;
+    renderWorker.terminate();
+    renderWorker = null;
+    const job = activeJob;
+    activeJob = null;
+    hideGenerationProgress();
+    if (!job) return;
+    try {
+        job.resolve(renderScene(job.options, { seed: job.seed, allColors: state.allColors }));
+    } catch (error) {
+        job.reject(error);
+    }
+}
 
-        // --- Finalize and Update UI ---
-        state.mathInfo = {
-            generator: options.patternType, layers: options.layerCount,
-            viewport: `${options.viewportWidth}x${options.viewportHeight}`,
-            totalElements: totalElements, details: combinedMathInfo,
-            seedUsed: options.seedOverride || `Time/Cursor based (~${seed.toFixed(0)})`
-        };
-        updateMathInfo(state.mathInfo); // Call the imported function
-        updateSVGStats(totalElements); // Call the imported function
-        state.svgData = dom.svg.outerHTML;
-        state.generationCount++;
+/**
+ * Cancels the render running in the worker, if any. Its generateSVG() call resolves without
+ * changing the canvas.
+ * @returns {boolean} True if a render was cancelled.
+ */
+export function cancelGeneration() {
+    if (!activeJob) return false;
+    renderWorker.terminate(); // The only way to interrupt a running render
+    renderWorker = null;
+    const job = activeJob;
+    activeJob = null;
+    hideGenerationProgress();
+    job.resolve(null);
+    return true;
+}
 
-        if (options.animation) {
-            startAnimation();
+
+/**
+ * Mounts a rendered scene into the live SVG: the scene's <defs> children go into dom.defs,
+ * everything else (background, layer groups) is appended after it. The root <svg> attributes
+ * are left alone because the page's viewport handling owns them.
+ * @param {SceneNode | object} scene - Root node returned by renderScene(), or its plain copy from the worker.
+ */
+function mountRenderedScene(scene) {
+    for (const child of scene.children) {
+        if (child.tagName === 'defs') {
+            child.children.forEach(def => mountScene(def, dom.defs));
+        } else {
+            mountScene(child, dom.svg);
         }
+    }
+}
 
-    } catch (error) {
-         console.error('Error during SVG generation main loop:', error);
-         const errorText = createSVGElement('text', { x: 10, y: 50, fill: 'red', 'font-family': 'sans-serif', 'font-size': '16px' });
-         errorText.textContent = `Error: ${error.message}. Check console.`;
-         dom.svg.appendChild(errorText);
-         updateMathInfo({ error: error.message });
-         updateSVGStats(0);
-     }
-    finally {
-        Math.random = originalRandom; // Restore original Math.random
-        console.log("Restored original Math.random.");
+
+/**
+ * Resolves the numeric seed for a generation run.
+ * A seed override is delegated to the rendering core; without an override the seed is
+ * derived from the clock and, optionally, the time of day and cursor state.
+ * @param {object} options - The current generation options.
+ * @returns {number} The seed to feed into createSeededRandom().
+ */
+function resolveSeed(options) {
+    if (options.seedOverride) {
+        return resolveOverrideSeed(options);
     }
+
+    let seed = Date.now();
+    if (options.useTime) { seed += getTimeSeedValue() * 1e9; }
+    if (options.useCursor) {
+         if (state.mouseX !== null) { seed += Math.sin(state.mouseX*0.01)*1e5; }
+         if (state.mouseY !== null) { seed += Math.cos(state.mouseY*0.01)*1e5; }
+         if (state.capturedX !== null) { seed += Math.sin(state.capturedX*0.1)*1e4; }
+         if (state.capturedY !== null) { seed += Math.cos(state.capturedY*0.1)*1e4; }
+         if (state.capturedV?.x !== null) { seed += Math.sin(state.capturedV.x*0.1)*1e3; }
+         if (state.capturedV?.y !== null) { seed += Math.cos(state.capturedV.y*0.1)*1e3; }
+    }
+    console.log(`Using time/cursor seed (approx): ${seed.toFixed(0)}`);
+    return seed;
 }
 
 
@@ -296,6 +484,10 @@ export function generateSVG() {
  */
 function startAnimation() {
     if (!state.currentOptions?.animation || state.isAnimating) return;
+    if (state.previewBackend === 'canvas') {
+        console.warn("Animation runs in the SVG preview only; set the Preview Renderer to SVG to animate this design.");
+        return;
+    }
     const elements = dom.svg.querySelectorAll('circle, rect:not([fill="' + state.currentOptions.bgColor + '"]), ellipse, polygon, path, line');
     if (elements.length === 0) return;
 
@@ -0,0 +1,74 @@
+// public/js/modules/harmony.js
+
+// Harmony palette generation in OKLCH.
+// Pure functions with no DOM access: the palette generator in the right sidebar uses them,
+// and the result is stored as plain hex values so saved designs and headless renders
+// reproduce it without running the generator again.
+
+// ----- MODULE IMPORTS -----
+import { hexToOklch, oklchToHex } from './colorMath.js';
+
+/**
+ * Hue offsets (degrees from the base hue) for each harmony scheme.
+ */
+export const HARMONY_SCHEMES = {
+    complementary: [0, 180],
+    split_complementary: [0, 150, 210],
+    analogous: [0, -30, 30],
+    triadic: [0, 120, 240],
+    tetradic: [0, 90, 180, 270],
+};
+
+/**
+ * Defaults for generateHarmonyPalette(), matching the initial values of the sidebar controls.
+ */
+export const DEFAULT_HARMONY_SETTINGS = {
+    scheme: 'complementary',
+    count: 5,
+    lightnessSpread: 0.3,
+    chroma: 0.12,
+};
+
+// Keep generated colours away from pure black and white, where hue disappears
+const MIN_LIGHTNESS = 0.15;
+const MAX_LIGHTNESS = 0.95;
+
+/**
+ * Builds a harmony palette around a base colour.
+ * Colours cycle through the scheme's hues; each further round through the hues uses the
+ * next lightness tier, so the tiers are spread evenly over `lightnessSpread` around the
+ * base colour's lightness. All colours share the given chroma (reduced where a hue can't
+ * reach it inside sRGB).
+ * @param {string} baseHex - Base colour (#RRGGBB).
+ * @param {object} [settings] - See DEFAULT_HARMONY_SETTINGS.
+ * @param {string} [settings.scheme='complementary'] - Key of HARMONY_SCHEMES.
+ * @param {number} [settings.count=5] - Number of colours (2-12).
+ * @param {number} [settings.lightnessSpread=0.3] - Total OKLCH lightness range covered by the tiers (0-0.8).
+ * @param {number} [settings.chroma=0.12] - OKLCH chroma for every colour (0-0.37).
+ * @returns {string[]} Upper-case hex colours, without duplicates.
+ * @throws {Error} If the base colour or scheme is invalid.
+ */
+export function generateHarmonyPalette(baseHex, settings = {}) {
+    const { scheme, count, lightnessSpread, chroma } = { ...DEFAULT_HARMONY_SETTINGS, ...settings };
+    const base = hexToOklch(baseHex);
+    if (!base) throw new Error(`Invalid base colour "${baseHex}".`);
+    const offsets = HARMONY_SCHEMES[scheme];
+    if (!offsets) throw new Error(`Unknown harmony scheme "${scheme}".`);
+
+    const total = Math.min(12, Math.max(2, Math.round(count)));
+    const spread = Math.min(MAX_LIGHTNESS - MIN_LIGHTNESS, Math.max(0, lightnessSpread));
+    const tiers = Math.ceil(total / offsets.length);
+    // Centre the tiers on the base lightness, shifted inwards if they would leave the usable range
+    const centre = Math.min(MAX_LIGHTNESS - spread / 2, Math.max(MIN_LIGHTNESS + spread / 2, base.l));
+
+    const palette = [];
+    for (let i = 0; i < total; i++) {
+        const tier = Math.floor(i / offsets.length);
+        const position = tiers > 1 ? tier / (tiers - 1) - 0.5 : 0; // -0.5 (darkest) .. 0.5 (lightest)
+        const l = centre + spread * position;
+        const h = (base.h + offsets[i % offsets.length] + 360) % 360;
+        const hex = oklchToHex({ l, c: Math.max(0, chroma), h });
+        if (!palette.includes(hex)) palette.push(hex);
+    }
+    return palette;
+}
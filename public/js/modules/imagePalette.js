@@ -0,0 +1,175 @@
+// public/js/modules/imagePalette.js
+
+// ----- PALETTE FROM IMAGE -----
+// Decodes a dropped PNG/JPEG, quantizes it to a small palette (quantize.js), labels each colour
+// with its nearest library name and lets the user use the palette or save it as a category.
+
+// ----- MODULE IMPORTS -----
+import { state } from './state.js';
+import { dom } from './dom.js';
+import { extractPalette } from './quantize.js';
+import { applyCustomPalette, findNearestLibraryColor, populateColorSelectors, updatePaletteDropdown } from './colorUtils.js';
+
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg'];
+// Images are scaled down before quantization; palettes don't need every pixel
+const MAX_IMAGE_SIDE = 160;
+
+let lastImageData = null; // Pixels of the last decoded image, so count/method changes re-run without re-reading the file
+
+/**
+ * Decodes an image file into (downscaled) RGBA pixels via a canvas.
+ * @param {File} file - PNG or JPEG file.
+ * @returns {Promise<ImageData>} The pixels.
+ */
+async function decodeImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Reads an image file and extracts its palette with the current count/method settings.
+ * @param {File} file - The dropped or chosen file.
+ * @returns {Promise<boolean>} True if a palette was extracted.
+ */
+export async function importPaletteImage(file) {
+    if (!file) return false;
+    if (!ACCEPTED_TYPES.includes(file.type) && !/\.(png|jpe?g)$/i.test(file.name)) {
+        alert(`"${file.name}" is not a PNG or JPEG image.`);
+        return false;
+    }
+    try {
+        lastImageData = await decodeImage(file);
+    } catch (error) {
+        console.error('Error decoding palette image:', error);
+        alert(`Could not read "${file.name}" as an image.`);
+        return false;
+    }
+    if (dom.imagePaletteDropZone) dom.imagePaletteDropZone.textContent = file.name;
+    if (dom.imagePaletteName && !dom.imagePaletteName.value) {
+        dom.imagePaletteName.value = file.name.replace(/\.[^.]+$/, ''); // Suggest the file name as category name
+    }
+    return updateExtractedPalette();
+}
+
+/**
+ * Runs the quantization on the last image and shows the result. Called again when the
+ * colour count or method changes.
+ * @returns {boolean} True if a palette was extracted.
+ */
+export function updateExtractedPalette() {
+    if (!lastImageData) return false;
+    try {
+        const colors = extractPalette(lastImageData.data, {
+            count: parseInt(dom.imagePaletteCount?.value, 10) || 6,
+            method: dom.imagePaletteMethod?.value || 'kmeans'
+        });
+        state.extractedPalette = colors.map(color => ({ ...color, nearest: findNearestLibraryColor(state.allColors, color.hex) }));
+    } catch (error) {
+        console.warn('Palette extraction failed:', error.message);
+        state.extractedPalette = [];
+        alert(`Could not extract a palette: ${error.message}`);
+    }
+    renderExtractedPalette();
+    return state.extractedPalette.length > 0;
+}
+
+/**
+ * Lists the extracted colours (swatch, hex, nearest library name and coverage).
+ */
+function renderExtractedPalette() {
+    if (!dom.imagePaletteResult) return;
+    dom.imagePaletteResult.innerHTML = '';
+    state.extractedPalette.forEach(({ hex, weight, nearest }) => {
+        const row = document.createElement('div');
+        row.classList.add('extracted-color');
+        const colorBox = document.createElement('div');
+        colorBox.classList.add('color-box');
+        colorBox.style.backgroundColor = hex;
+        colorBox.title = hex;
+        const label = document.createElement('span');
+        label.textContent = nearest
+            ? `${hex} ≈ ${nearest.name} (ΔE ${nearest.distance.toFixed(1)}) · ${Math.round(weight * 100)}%`
+            : `${hex} · ${Math.round(weight * 100)}%`;
+        row.append(colorBox, label);
+        dom.imagePaletteResult.appendChild(row);
+    });
+    const hasPalette = state.extractedPalette.length > 0;
+    if (dom.imagePaletteApplyBtn) dom.imagePaletteApplyBtn.disabled = !hasPalette;
+    if (dom.imagePaletteSaveBtn) dom.imagePaletteSaveBtn.disabled = !hasPalette;
+}
+
+/**
+ * Uses the extracted colours as the active (generated) palette.
+ */
+export function useExtractedPalette() {
+    if (state.extractedPalette.length === 0) return;
+    applyCustomPalette(state.extractedPalette.map(color => color.hex));
+}
+
+/**
+ * Names the extracted colours after their nearest library colours, numbering repeats
+ * ("Ocean Blue", "Ocean Blue 2") because names must be unique within a category.
+ * @returns {Array<{name: string, hex: string}>} Colours ready for the categories API.
+ */
+function nameExtractedColors() {
+    const used = new Map();
+    return state.extractedPalette.map(({ hex, nearest }) => {
+        const base = nearest?.name || hex;
+        const seen = (used.get(base.toLowerCase()) || 0) + 1;
+        used.set(base.toLowerCase(), seen);
+        return { name: seen > 1 ? `${base} ${seen}` : base, hex };
+    });
+}
+
+/**
+ * Saves the extracted colours as a new library category (POST /api/colors/categories),
+ * then reloads the library and selects the new category.
+ * @returns {Promise<boolean>} True if the category was created.
+ */
+export async function saveExtractedPalette() {
+    if (state.extractedPalette.length === 0) return false;
+    const name = dom.imagePaletteName?.value.trim();
+    if (!name) {
+        alert('Enter a name for the new category.');
+        return false;
+    }
+
+    try {
+        const response = await fetch('/api/colors/categories', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, colors: nameExtractedColors() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+
+        // Reload the library so the dropdowns (and the harmony base colours) include the new category
+        const libraryResponse = await fetch('/api/colors');
+        if (!libraryResponse.ok) throw new Error(`Category saved, but reloading colours failed (status ${libraryResponse.status}).`);
+        state.allColors = await libraryResponse.json();
+        populateColorSelectors();
+        if (dom.colorCategory) {
+            dom.colorCategory.value = result.name;
+            updatePaletteDropdown();
+        }
+        console.log(`Saved extracted palette as category "${result.name}".`);
+        return true;
+    } catch (error) {
+        console.error('Error saving extracted palette:', error);
+        alert(`Could not save the palette: ${error.message}`);
+        return false;
+    }
+}
@@ -0,0 +1,378 @@
+// public/js/modules/layerStack.js
+
+// ----- LAYER STACK -----
+// Lets every layer have its own pattern, palette, fill, offsets and pattern parameters
+// (e.g. a Rose curve over a Quadtree over a Grid). The stack lives in state.layers and travels
+// in the options as `layers`; an empty stack keeps the classic Layer Count behaviour.
+// Settings a layer does not set come from the main controls (see resolveLayerOptions in render.js).
+// Visibility, order, blend mode, group opacity and "New seed" re-render straight away with the
+// last render's seed, so the other layers stay exactly as they are.
+
+// ----- MODULE IMPORTS -----
+import { state } from './state.js';
+import { dom } from './dom.js';
+import { listPatterns, getPattern } from './patterns/registry.js';
+import { createParamControl, createPresetControl } from './patternControls.js';
+import { CUSTOM_CATEGORY } from './colorUtils.js';
+import { MAX_LAYERS, BLEND_MODES, LAYER_DISPLAY_DEFAULTS } from './render.js';
+import { regenerateSVG } from './generator.js';
+import { unseededRandom } from './utils.js';
+
+const FILL_TYPES = ['solid', 'gradient', 'pattern', 'none'];
+
+/**
+ * Returns an id not used by any layer in the stack ("L1", "L2", ...). Ids are stable through
+ * reordering and seed each layer's random stream, so they are saved with the design.
+ * @returns {string} The new id.
+ */
+function nextLayerId() {
+    const used = state.layers.map(layer => parseInt(String(layer.id).slice(1), 10)).filter(Number.isFinite);
+    return `L${used.length > 0 ? Math.max(...used) + 1 : 1}`;
+}
+
+/**
+ * Current values of a pattern's parameters, taken from the main parameter panel.
+ * @param {string} patternType - Pattern id.
+ * @returns {object} Parameter values keyed by option key.
+ */
+function currentParamsFor(patternType) {
+    const pattern = getPattern(patternType);
+    if (!pattern) return {};
+    return Object.fromEntries(Object.keys(pattern.params).map(key => [key, state.patternParams[key] ?? pattern.params[key].default]));
+}
+
+/**
+ * Adds a layer on top of the stack, starting from the current pattern, fill and parameters.
+ * The first click adds two layers: the current pattern becomes the bottom layer, so starting
+ * a stack keeps the pattern that was being edited.
+ * @returns {boolean} True if a layer was added.
+ */
+export function addLayer() {
+    if (state.layers.length >= MAX_LAYERS) {
+        alert(`A design can have at most ${MAX_LAYERS} layers.`);
+        return false;
+    }
+    const patternType = dom.patternType?.value || listPatterns()[0].id;
+    const createLayer = () => ({
+        id: nextLayerId(),
+        patternType,
+        fillType: dom.fillType?.value || 'solid',
+        offsetX: 0,
+        offsetY: 0,
+        ...currentParamsFor(patternType),
+    });
+    if (state.layers.length === 0) state.layers.push(createLayer());
+    state.layers.push(createLayer());
+    renderLayerStack();
+    return true;
+}
+
+/**
+ * Removes a layer. Removing the last one returns to the classic Layer Count mode.
+ * @param {string} layerId - Id of the layer to remove.
+ */
+export function removeLayer(layerId) {
+    state.layers = state.layers.filter(layer => layer.id !== layerId);
+    renderLayerStack();
+}
+
+/**
+ * Re-renders after a display change (visibility, order, blend, opacity, seed), but only once
+ * something has been generated, so editing the stack before the first render draws nothing.
+ */
+function applyDisplayChange() {
+    if (state.generationCount > 0) regenerateSVG();
+}
+
+/**
+ * Moves a layer to another position in the stack.
+ * @param {string} layerId - Id of the layer to move.
+ * @param {number} toIndex - New position (0 = bottom).
+ */
+export function moveLayer(layerId, toIndex) {
+    const fromIndex = state.layers.findIndex(layer => layer.id === layerId);
+    if (fromIndex === -1 || fromIndex === toIndex) return;
+    const [layer] = state.layers.splice(fromIndex, 1);
+    state.layers.splice(Math.max(0, Math.min(state.layers.length, toIndex)), 0, layer);
+    renderLayerStack();
+    applyDisplayChange();
+}
+
+/**
+ * Gives a layer a new seed of its own and re-renders: that layer draws new shapes,
+ * the others are unchanged.
+ * @param {string} layerId - Id of the layer to reseed.
+ */
+export function reseedLayer(layerId) {
+    const layer = state.layers.find(other => other.id === layerId);
+    if (!layer) return;
+    layer.seed = unseededRandom.randomInt(1, 2147483646);
+    applyDisplayChange();
+}
+
+/**
+ * Switches a layer to another pattern, keeping only that pattern's parameters
+ * (values it already had, otherwise those of the main panel).
+ * @param {object} layer - The layer (modified).
+ * @param {string} patternType - New pattern id.
+ */
+function setLayerPattern(layer, patternType) {
+    const previous = getPattern(layer.patternType);
+    if (previous) Object.keys(previous.params).forEach(key => delete layer[key]);
+    layer.patternType = patternType;
+    Object.assign(layer, currentParamsFor(patternType));
+}
+
+/**
+ * Creates a labelled <select>.
+ * @param {string} labelText - Label.
+ * @param {Array<[string, string]>} choices - [value, label] pairs.
+ * @param {string} value - Selected value.
+ * @param {function(string): void} onChange - Called with the new value.
+ * @returns {HTMLElement} The .control-group element.
+ */
+function createSelectControl(labelText, choices, value, onChange) {
+    const group = document.createElement('div');
+    group.classList.add('control-group');
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const select = document.createElement('select');
+    choices.forEach(([optionValue, optionLabel]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = optionLabel;
+        select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    group.append(label, select);
+    return group;
+}
+
+/**
+ * Creates the offset X/Y inputs of a layer.
+ * @param {object} layer - The layer (modified on input).
+ * @returns {HTMLElement} The .control-group element.
+ */
+function createOffsetControls(layer) {
+    const group = document.createElement('div');
+    group.classList.add('control-group', 'layer-offsets');
+    const label = document.createElement('label');
+    label.textContent = 'Offset X / Y';
+    group.appendChild(label);
+    ['offsetX', 'offsetY'].forEach(key => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '1';
+        input.value = String(layer[key] ?? 0);
+        input.addEventListener('input', () => { layer[key] = parseFloat(input.value) || 0; });
+        group.appendChild(input);
+    });
+    return group;
+}
+
+/**
+ * Creates the blend mode select and group opacity slider of a layer. Both re-render on change.
+ * @param {object} layer - The layer (modified on input).
+ * @returns {HTMLElement[]} The two .control-group elements.
+ */
+function createDisplayControls(layer) {
+    const blend = createSelectControl('Blend Mode', BLEND_MODES.map(mode => [mode, mode.replace('-', ' ')]),
+        layer.blendMode ?? LAYER_DISPLAY_DEFAULTS.blendMode, (value) => {
+            layer.blendMode = value;
+            applyDisplayChange();
+        });
+
+    const opacity = document.createElement('div');
+    opacity.classList.add('control-group');
+    const label = document.createElement('label');
+    label.textContent = 'Layer Opacity';
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = '0';
+    input.max = '1';
+    input.step = '0.05';
+    input.value = String(layer.layerOpacity ?? LAYER_DISPLAY_DEFAULTS.layerOpacity);
+    const display = document.createElement('span');
+    display.classList.add('value-display');
+    display.textContent = input.value;
+    input.addEventListener('input', () => {
+        layer.layerOpacity = parseFloat(input.value);
+        display.textContent = input.value;
+    });
+    input.addEventListener('change', applyDisplayChange); // Re-render on release, not on every step
+    opacity.append(label, input, display);
+    return [blend, opacity];
+}
+
+/**
+ * Makes a card draggable by its handle and a drop target for the other cards.
+ * @param {HTMLElement} card - The card.
+ * @param {HTMLElement} handle - The drag handle in its header.
+ * @param {number} index - Position of the card's layer (0 = bottom).
+ */
+function enableCardDragging(card, handle, index) {
+    handle.draggable = true;
+    handle.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('text/plain', card.dataset.layerId);
+        event.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+    });
+    handle.addEventListener('dragend', () => card.classList.remove('dragging'));
+    card.addEventListener('dragover', (event) => {
+        event.preventDefault(); // Allows the drop
+        card.classList.add('drag-over');
+    });
+    card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+    card.addEventListener('drop', (event) => {
+        event.preventDefault();
+        card.classList.remove('drag-over');
+        moveLayer(event.dataTransfer.getData('text/plain'), index);
+    });
+}
+
+/**
+ * Palette choices for a layer: the main palette, a random category, or any library category.
+ * @returns {Array<[string, string]>} [value, label] pairs ('' = main palette).
+ */
+function paletteChoices() {
+    const choices = [['', 'Main palette'], ['random_category', 'Random category']];
+    Object.keys(state.allColors || {}).forEach(category => choices.push([category, category.replace(/_/g, ' ')]));
+    if (state.customPalette.length > 0) choices.push([CUSTOM_CATEGORY, 'Generated']);
+    return choices;
+}
+
+/**
+ * Builds the card for one layer.
+ * @param {object} layer - The layer.
+ * @param {number} index - Position in the stack (0 = bottom).
+ * @returns {HTMLElement} The card element.
+ */
+function createLayerCard(layer, index) {
+    const card = document.createElement('div');
+    card.classList.add('layer-card');
+    card.classList.toggle('layer-hidden', layer.visible === false);
+    card.dataset.layerId = layer.id;
+
+    const header = document.createElement('div');
+    header.classList.add('layer-card-header');
+    const handle = document.createElement('span');
+    handle.classList.add('layer-drag-handle');
+    handle.title = 'Drag to reorder';
+    handle.textContent = '⠿';
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.classList.add('layer-visible');
+    visible.title = 'Show/hide layer';
+    visible.checked = layer.visible ?? LAYER_DISPLAY_DEFAULTS.visible;
+    visible.addEventListener('change', () => {
+        layer.visible = visible.checked;
+        card.classList.toggle('layer-hidden', !visible.checked);
+        applyDisplayChange();
+    });
+    const title = document.createElement('span');
+    title.classList.add('layer-title');
+    title.textContent = `Layer ${index + 1}${index === 0 ? ' (bottom)' : ''}`;
+    const reseedBtn = document.createElement('button');
+    reseedBtn.type = 'button';
+    reseedBtn.classList.add('layer-reseed-btn');
+    reseedBtn.title = 'Regenerate this layer with a new seed';
+    reseedBtn.textContent = '↻';
+    reseedBtn.addEventListener('click', () => reseedLayer(layer.id));
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.classList.add('layer-remove-btn');
+    removeBtn.title = 'Remove layer';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => removeLayer(layer.id));
+    header.append(handle, visible, title, reseedBtn, removeBtn);
+    card.appendChild(header);
+    enableCardDragging(card, handle, index);
+
+    card.appendChild(createSelectControl('Pattern', listPatterns().map(p => [p.id, p.label]), layer.patternType, (value) => {
+        setLayerPattern(layer, value);
+        renderLayerStack(); // The parameter controls change with the pattern
+    }));
+    card.appendChild(createSelectControl('Palette', paletteChoices(), layer.colorCategory ?? '', (value) => {
+        delete layer.colorPalette; // A category on its own means the whole category
+        if (value) layer.colorCategory = value;
+        else delete layer.colorCategory; // Main palette
+    }));
+    card.appendChild(createSelectControl('Fill', FILL_TYPES.map(type => [type, type[0].toUpperCase() + type.slice(1)]), layer.fillType ?? 'solid', (value) => {
+        layer.fillType = value;
+    }));
+    card.appendChild(createOffsetControls(layer));
+    card.append(...createDisplayControls(layer));
+
+    const pattern = getPattern(layer.patternType);
+    if (pattern) {
+        if (pattern.presets.length > 0) {
+            card.appendChild(createPresetControl(pattern, layer, `layer-${layer.id}`, () => renderLayerStack()));
+        }
+        Object.entries(pattern.params).forEach(([key, schema]) => {
+            card.appendChild(createParamControl(key, schema, layer, `layer-${layer.id}`));
+        });
+    }
+    return card;
+}
+
+/**
+ * Redraws the layer cards (top layer first, like a layers palette) and enables/disables
+ * Layer Count, which only applies while the stack is empty.
+ */
+export function renderLayerStack() {
+    if (!dom.layerStack) {
+        console.warn("renderLayerStack: #layer-stack not found/cached.");
+        return;
+    }
+    dom.layerStack.innerHTML = '';
+    state.layers.map((layer, index) => createLayerCard(layer, index))
+        .reverse()
+        .forEach(card => dom.layerStack.appendChild(card));
+
+    if (dom.layerCount) {
+        dom.layerCount.disabled = state.layers.length > 0;
+        dom.layerCount.title = state.layers.length > 0 ? 'The layer stack below sets the layers' : '';
+    }
+}
+
+/**
+ * Replaces the stack (e.g. from a restored design). Layers with a pattern or blend mode this
+ * version does not have, or a palette category missing from the library, are adjusted with a warning.
+ * @param {object[]} layers - Saved layer settings (bottom first).
+ * @returns {string[]} Warnings for settings that could not be applied.
+ */
+export function setLayerStack(layers) {
+    const warnings = [];
+    state.layers = [];
+    (layers || []).slice(0, MAX_LAYERS).forEach((saved, index) => {
+        const layer = { ...saved };
+        if (typeof layer.id !== 'string' || state.layers.some(other => other.id === layer.id)) layer.id = nextLayerId();
+        if (!getPattern(layer.patternType)) {
+            const fallback = listPatterns()[0].id;
+            warnings.push(`Layer ${index + 1}: pattern "${layer.patternType}" is not available in this version, using "${fallback}".`);
+            setLayerPattern(layer, fallback);
+        }
+        const category = layer.colorCategory;
+        if (category !== undefined && category !== 'random_category' && !(category in (state.allColors || {})) &&
+            !(category === CUSTOM_CATEGORY && state.customPalette.length > 0)) {
+            warnings.push(`Layer ${index + 1}: color category "${category}" is not in the current color library, using the main palette.`);
+            delete layer.colorCategory;
+            delete layer.colorPalette;
+        }
+        if (layer.blendMode !== undefined && !BLEND_MODES.includes(layer.blendMode)) {
+            warnings.push(`Layer ${index + 1}: blend mode "${layer.blendMode}" is not available in this version, using "normal".`);
+            delete layer.blendMode;
+        }
+        state.layers.push(layer);
+    });
+    renderLayerStack();
+    return warnings;
+}
+
+/**
+ * @returns {object[]} A copy of the stack for the generation options (bottom first).
+ */
+export function getLayerStack() {
+    return state.layers.map(layer => ({ ...layer }));
+}
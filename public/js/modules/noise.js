@@ -0,0 +1,104 @@
+// public/js/modules/noise.js
+
+// Seeded 2D gradient noise (Ken Perlin's improved noise) and fractal Brownian motion on top of it.
+// The permutation table is shuffled with a seeded generator from createSeededRandom (utils.js),
+// so the same seed gives the same field. Pure functions with no DOM access.
+
+// Gradient directions used at the lattice corners (the 2D slice of improved noise's 12 edges)
+const GRADIENTS_2D = [
+    [1, 1], [-1, 1], [1, -1], [-1, -1],
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+];
+
+/**
+ * Quintic fade curve 6t⁵ − 15t⁴ + 10t³, so the noise has continuous first and second derivatives.
+ * @param {number} t - Position in the cell, 0 to 1.
+ * @returns {number} The eased position.
+ */
+function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * @param {number} a - Value at 0.
+ * @param {number} b - Value at 1.
+ * @param {number} t - Position, 0 to 1.
+ * @returns {number} The linear interpolation.
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Creates a seeded 2D Perlin noise function.
+ * @param {object} rng - Seeded random generator (createSeededRandom) used to shuffle the permutation table.
+ * @returns {(x: number, y: number) => number} Noise at (x, y), roughly between -1 and 1,
+ *   smooth over distances of about 1 unit and 0 at integer coordinates.
+ */
+export function createNoise2D(rng) {
+    const shuffled = rng.shuffle([...Array(256).keys()]);
+    // Doubled so corner lookups never need to wrap
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = shuffled[i & 255];
+
+    /**
+     * Dot product of a corner's gradient with the offset from that corner.
+     * @param {number} hash - Permutation value of the corner.
+     * @param {number} dx - X offset from the corner.
+     * @param {number} dy - Y offset from the corner.
+     * @returns {number} The corner's contribution.
+     */
+    const corner = (hash, dx, dy) => {
+        const [gx, gy] = GRADIENTS_2D[hash & 7];
+        return gx * dx + gy * dy;
+    };
+
+    return (x, y) => {
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        const dx = x - cellX;
+        const dy = y - cellY;
+        const xi = cellX & 255;
+        const yi = cellY & 255;
+        const u = fade(dx);
+        const v = fade(dy);
+
+        const aa = perm[perm[xi] + yi];
+        const ab = perm[perm[xi] + yi + 1];
+        const ba = perm[perm[xi + 1] + yi];
+        const bb = perm[perm[xi + 1] + yi + 1];
+
+        return lerp(
+            lerp(corner(aa, dx, dy), corner(ba, dx - 1, dy), u),
+            lerp(corner(ab, dx, dy - 1), corner(bb, dx - 1, dy - 1), u),
+            v
+        );
+    };
+}
+
+/**
+ * Fractal Brownian motion: sums octaves of a noise function, each at double the frequency
+ * (lacunarity) and half the amplitude (gain) of the one before, normalized back to about -1..1.
+ * One octave is plain noise; more add finer detail.
+ * @param {(x: number, y: number) => number} noise - From createNoise2D().
+ * @param {number} x - X coordinate (in noise units).
+ * @param {number} y - Y coordinate (in noise units).
+ * @param {number} [octaves=1] - Number of layers to sum.
+ * @param {number} [lacunarity=2] - Frequency multiplier per octave.
+ * @param {number} [gain=0.5] - Amplitude multiplier per octave.
+ * @returns {number} The summed noise.
+ */
+export function fractalNoise2D(noise, x, y, octaves = 1, lacunarity = 2, gain = 0.5) {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < Math.max(1, octaves); i++) {
+        // Offset each octave so their zero points at integer coordinates do not line up
+        sum += amplitude * noise(x * frequency + i * 17.31, y * frequency + i * 41.57);
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+    return sum / total;
+}
@@ -0,0 +1,182 @@
+// public/js/modules/paletteOps.js
+
+// Palette ordering and interpolation.
+// Sorting puts colours in a perceptual order (so index-mapped patterns like Mandelbrot get
+// ramps instead of jumps); expansion resamples a palette to N colours by interpolating in
+// sRGB, OKLab or OKLCH. Pure functions, no DOM access, no randomness.
+
+// ----- MODULE IMPORTS -----
+import { hexToRgb, rgbToHex, rgbToOklab, oklabToRgb, oklabToOklch, oklchToOklab, oklchToHex } from './colorMath.js';
+
+/**
+ * Palette ordering modes ('none' keeps the library order).
+ */
+export const PALETTE_SORT_MODES = ['none', 'lightness', 'hue', 'chroma', 'path'];
+
+/**
+ * Colour spaces for palette expansion and gradient stops. 'srgb' is what SVG itself does
+ * between two stops (and the only behaviour before these options existed).
+ */
+export const INTERPOLATION_SPACES = ['srgb', 'oklab', 'oklch'];
+
+/**
+ * Largest palette expandPalette() produces.
+ */
+export const MAX_PALETTE_SIZE = 64;
+
+// Colours with less OKLCH chroma than this are treated as greys (their hue is noise)
+const ACHROMATIC_CHROMA = 0.02;
+
+/**
+ * Converts a palette to OKLab/OKLCH once, dropping invalid entries.
+ * @param {string[]} palette - Hex colours.
+ * @returns {Array<{hex: string, lab: object, lch: object}>} Parsed colours.
+ */
+function parsePalette(palette) {
+    return palette
+        .map(hex => ({ hex, rgb: hexToRgb(hex) }))
+        .filter(c => c.rgb)
+        .map(({ hex, rgb }) => {
+            const lab = rgbToOklab(rgb);
+            return { hex, lab, lch: oklabToOklch(lab) };
+        });
+}
+
+/**
+ * Squared OKLab distance (a good stand-in for perceived difference at palette scale).
+ * @param {object} p - OKLab colour.
+ * @param {object} q - OKLab colour.
+ * @returns {number} Squared distance.
+ */
+function labDistance(p, q) {
+    return (p.l - q.l) ** 2 + (p.a - q.a) ** 2 + (p.b - q.b) ** 2;
+}
+
+/**
+ * Orders colours so each is close to the next: nearest-neighbour walk from the darkest colour,
+ * then 2-opt passes that reverse any segment whose reversal shortens the path.
+ * @param {Array<object>} colors - Parsed colours (from parsePalette).
+ * @returns {Array<object>} The same colours in path order.
+ */
+function shortestPath(colors) {
+    if (colors.length < 3) return [...colors].sort((a, b) => a.lab.l - b.lab.l);
+    const remaining = [...colors].sort((a, b) => a.lab.l - b.lab.l);
+    const path = [remaining.shift()];
+    while (remaining.length > 0) {
+        const last = path[path.length - 1].lab;
+        let best = 0;
+        remaining.forEach((c, i) => { if (labDistance(last, c.lab) < labDistance(last, remaining[best].lab)) best = i; });
+        path.push(remaining.splice(best, 1)[0]);
+    }
+
+    // 2-opt for an open path: reversing path[i..j] changes only the edges at its two ends
+    const d = (i, j) => Math.sqrt(labDistance(path[i].lab, path[j].lab));
+    for (let pass = 0, improved = true; improved && pass < 20; pass++) {
+        improved = false;
+        for (let i = 1; i < path.length - 1; i++) {
+            for (let j = i + 1; j < path.length; j++) {
+                const before = d(i - 1, i) + (j + 1 < path.length ? d(j, j + 1) : 0);
+                const after = d(i - 1, j) + (j + 1 < path.length ? d(i, j + 1) : 0);
+                if (after < before - 1e-9) {
+                    path.splice(i, j - i + 1, ...path.slice(i, j + 1).reverse());
+                    improved = true;
+                }
+            }
+        }
+    }
+    return path;
+}
+
+/**
+ * Sorts a palette perceptually.
+ * @param {string[]} palette - Hex colours.
+ * @param {string} [mode='none'] - One of PALETTE_SORT_MODES:
+ *   'lightness' dark to light; 'hue' around the colour wheel (greys last, dark to light);
+ *   'chroma' muted to vivid; 'path' shortest perceptual path through all colours.
+ * @returns {string[]} A new, sorted array (unchanged order for 'none' or unknown modes).
+ */
+export function sortPalette(palette, mode = 'none') {
+    if (!Array.isArray(palette) || mode === 'none' || !PALETTE_SORT_MODES.includes(mode)) return [...(palette || [])];
+    const colors = parsePalette(palette);
+
+    switch (mode) {
+        case 'lightness':
+            colors.sort((a, b) => a.lch.l - b.lch.l);
+            break;
+        case 'hue': {
+            const grey = (c) => c.lch.c < ACHROMATIC_CHROMA;
+            colors.sort((a, b) => (grey(a) - grey(b)) || (grey(a) ? a.lch.l - b.lch.l : a.lch.h - b.lch.h));
+            break;
+        }
+        case 'chroma':
+            colors.sort((a, b) => a.lch.c - b.lch.c);
+            break;
+        case 'path':
+            return shortestPath(colors).map(c => c.hex);
+    }
+    return colors.map(c => c.hex);
+}
+
+/**
+ * Interpolates between two colours.
+ * @param {string} hex1 - Start colour.
+ * @param {string} hex2 - End colour.
+ * @param {number} t - Position 0 (start) - 1 (end).
+ * @param {string} [space='oklab'] - One of INTERPOLATION_SPACES. OKLCH takes the shorter way
+ *   round the hue circle and keeps the hue of the coloured end when the other end is grey.
+ * @returns {string} The interpolated #RRGGBB colour (start colour if either input is invalid).
+ */
+export function interpolateColor(hex1, hex2, t, space = 'oklab') {
+    const rgb1 = hexToRgb(hex1), rgb2 = hexToRgb(hex2);
+    if (!rgb1 || !rgb2) return hex1;
+    const mix = (a, b) => a + (b - a) * t;
+
+    if (space === 'srgb') {
+        return rgbToHex({ r: mix(rgb1.r, rgb2.r), g: mix(rgb1.g, rgb2.g), b: mix(rgb1.b, rgb2.b) });
+    }
+    const lab1 = rgbToOklab(rgb1), lab2 = rgbToOklab(rgb2);
+    if (space === 'oklch') {
+        const lch1 = oklabToOklch(lab1), lch2 = oklabToOklch(lab2);
+        let h1 = lch1.h, h2 = lch2.h;
+        if (lch1.c < ACHROMATIC_CHROMA) h1 = h2;
+        if (lch2.c < ACHROMATIC_CHROMA) h2 = h1;
+        let dh = h2 - h1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+        return oklchToHex({ l: mix(lch1.l, lch2.l), c: mix(lch1.c, lch2.c), h: (h1 + dh * t + 360) % 360 });
+    }
+    const lab = { l: mix(lab1.l, lab2.l), a: mix(lab1.a, lab2.a), b: mix(lab1.b, lab2.b) };
+    return rgbToHex(oklabToRgb(lab)); // Between two in-gamut colours OKLab stays (almost) in gamut
+}
+
+/**
+ * Resamples a palette to `size` colours spread evenly along it (in its current order),
+ * interpolating between neighbours. Sort first for a smooth ramp.
+ * @param {string[]} palette - Hex colours.
+ * @param {number} size - Number of colours wanted (2-MAX_PALETTE_SIZE); 0 or less returns the palette unchanged.
+ * @param {string} [space='oklab'] - One of INTERPOLATION_SPACES.
+ * @returns {string[]} The expanded palette.
+ */
+export function expandPalette(palette, size, space = 'oklab') {
+    if (!Array.isArray(palette) || !(size > 0) || palette.length === 0) return [...(palette || [])];
+    const count = Math.min(MAX_PALETTE_SIZE, Math.max(2, Math.round(size)));
+    if (palette.length === 1) return new Array(count).fill(palette[0]);
+
+    const result = [];
+    for (let i = 0; i < count; i++) {
+        const position = (i / (count - 1)) * (palette.length - 1);
+        const index = Math.min(palette.length - 2, Math.floor(position));
+        result.push(interpolateColor(palette[index], palette[index + 1], position - index, space));
+    }
+    return result;
+}
+
+/**
+ * Applies the palette options (sort, then expand) the way the renderer does.
+ * @param {string[]} palette - Resolved palette.
+ * @param {object} options - Generation options (`paletteSort`, `paletteSize`, `colorInterpolation`).
+ * @returns {string[]} The palette the patterns receive.
+ */
+export function arrangePalette(palette, { paletteSort = 'none', paletteSize = 0, colorInterpolation = 'srgb' } = {}) {
+    return expandPalette(sortPalette(palette, paletteSort), paletteSize, colorInterpolation);
+}
@@ -0,0 +1,235 @@
+// public/js/modules/patternControls.js
+
+// ----- PATTERN DROPDOWN & PARAMETER PANEL -----
+// Builds the #pattern-type options and the per-pattern parameter controls from the pattern
+// registry (patterns/registry.js). Parameter values live in state.patternParams so switching
+// patterns keeps what was set for the others; getOptions() merges them into the options.
+
+// ----- MODULE IMPORTS -----
+import { state } from './state.js';
+import { dom } from './dom.js';
+import { listPatterns, getPattern, getPatternParamSchemas, getPatternParamDefaults } from './patterns/registry.js';
+
+/**
+ * Fills state.patternParams with schema defaults (keeping values already set), builds the
+ * pattern dropdown and shows the panel for the selected pattern. Call once after cacheDOMElements().
+ */
+export function initPatternControls() {
+    state.patternParams = { ...getPatternParamDefaults(), ...state.patternParams };
+    populatePatternSelector();
+    renderPatternParams();
+}
+
+/**
+ * Rebuilds the #pattern-type options from the registry, keeping the current selection if it still exists.
+ */
+export function populatePatternSelector() {
+    if (!dom.patternType) {
+        console.warn("populatePatternSelector: #pattern-type not found/cached.");
+        return;
+    }
+    const previous = dom.patternType.value;
+    dom.patternType.innerHTML = '';
+    listPatterns().forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        dom.patternType.appendChild(option);
+    });
+    if (previous && getPattern(previous)) dom.patternType.value = previous;
+}
+
+/**
+ * Reads a control's value as the type its schema declares.
+ * @param {object} schema - Parameter schema.
+ * @param {HTMLElement} control - The input/select.
+ * @returns {any} The typed value, or the schema default if the input is not a number.
+ */
+function readControlValue(schema, control) {
+    switch (schema.type) {
+        case 'boolean':
+            return control.checked;
+        case 'enum':
+        case 'string':
+            return control.value;
+        default: {
+            const value = schema.type === 'integer' ? parseInt(control.value, 10) : parseFloat(control.value);
+            return Number.isFinite(value) ? value : schema.default;
+        }
+    }
+}
+
+/**
+ * Creates the control for one parameter (label, input/select, value display) bound to a values object.
+ * @param {string} key - Option key.
+ * @param {object} schema - Parameter schema.
+ * @param {object} [values=state.patternParams] - Object the control reads and writes (a layer for the layer stack).
+ * @param {string} [idPrefix='param'] - Element id prefix, unique per values object.
+ * @returns {HTMLElement} The .control-group element.
+ */
+export function createParamControl(key, schema, values = state.patternParams, idPrefix = 'param') {
+    const group = document.createElement('div');
+    group.classList.add('control-group');
+    group.title = schema.description;
+    const id = `${idPrefix}-${key}`;
+    const value = values[key] ?? schema.default;
+    let control;
+
+    if (schema.type === 'boolean') {
+        group.classList.add('checkbox-group');
+        const label = document.createElement('label');
+        control = document.createElement('input');
+        control.type = 'checkbox';
+        control.id = id;
+        control.checked = Boolean(value);
+        label.append(control, ` ${schema.label}`);
+        group.appendChild(label);
+    } else {
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = schema.label;
+        group.appendChild(label);
+
+        if (schema.type === 'enum') {
+            control = document.createElement('select');
+            schema.options.forEach(({ value: optionValue, label: optionLabel }) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionLabel;
+                control.appendChild(option);
+            });
+        } else if (schema.type === 'string') {
+            control = document.createElement(schema.control === 'textarea' ? 'textarea' : 'input');
+            if (schema.control === 'textarea') control.rows = 4;
+            else control.type = 'text';
+            control.maxLength = schema.maxLength;
+            control.spellcheck = false;
+        } else {
+            control = document.createElement('input');
+            control.type = schema.control === 'number' ? 'number' : 'range';
+            control.min = schema.min;
+            control.max = schema.max;
+            control.step = schema.step ?? (schema.type === 'integer' ? 1 : 'any');
+        }
+        control.id = id;
+        control.value = String(value);
+        group.appendChild(control);
+    }
+
+    let display = null;
+    if (control.type === 'range') {
+        display = document.createElement('span');
+        display.classList.add('value-display');
+        display.textContent = String(value);
+        group.appendChild(display);
+    }
+
+    const eventName = (schema.type === 'boolean' || schema.type === 'enum') ? 'change' : 'input';
+    control.addEventListener(eventName, () => {
+        values[key] = readControlValue(schema, control);
+        if (display) display.textContent = String(values[key]);
+    });
+    return group;
+}
+
+/**
+ * Creates the "Preset" select of a pattern with presets. Choosing one copies its values into
+ * the values object; the caller rebuilds the controls so they show them.
+ * @param {object} pattern - Registry descriptor with a non-empty `presets` list.
+ * @param {object} [values=state.patternParams] - Object the preset values are written to.
+ * @param {string} [idPrefix='param'] - Element id prefix, unique per values object.
+ * @param {Function} [onApply] - Called after a preset was applied.
+ * @returns {HTMLElement} The .control-group element.
+ */
+export function createPresetControl(pattern, values = state.patternParams, idPrefix = 'param', onApply = () => {}) {
+    const group = document.createElement('div');
+    group.classList.add('control-group');
+    group.title = `Loads a ready-made set of ${pattern.label} parameters, which can then be edited.`;
+    const id = `${idPrefix}-${pattern.id}-preset`;
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = 'Preset';
+    const select = document.createElement('select');
+    select.id = id;
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Load a preset…';
+    select.appendChild(placeholder);
+    pattern.presets.forEach(({ id: presetId, label: presetLabel }) => {
+        const option = document.createElement('option');
+        option.value = presetId;
+        option.textContent = presetLabel;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+        const preset = pattern.presets.find(p => p.id === select.value);
+        if (!preset) return;
+        Object.assign(values, preset.values);
+        onApply(preset);
+    });
+    group.append(label, select);
+    return group;
+}
+
+/**
+ * Shows the parameter controls of a pattern in #pattern-params.
+ * @param {string} [patternType] - Pattern id; defaults to the #pattern-type selection.
+ */
+export function renderPatternParams(patternType = dom.patternType?.value) {
+    if (!dom.patternParams) {
+        console.warn("renderPatternParams: #pattern-params not found/cached.");
+        return;
+    }
+    dom.patternParams.innerHTML = '';
+    const pattern = getPattern(patternType);
+    if (!pattern) return;
+
+    const entries = Object.entries(pattern.params);
+    if (entries.length === 0) {
+        const note = document.createElement('p');
+        note.classList.add('pattern-params-empty');
+        note.textContent = `${pattern.label} has no pattern-specific parameters.`;
+        dom.patternParams.appendChild(note);
+        return;
+    }
+    if (pattern.presets.length > 0) {
+        dom.patternParams.appendChild(createPresetControl(pattern, state.patternParams, 'param', () => renderPatternParams(patternType)));
+    }
+    entries.forEach(([key, schema]) => dom.patternParams.appendChild(createParamControl(key, schema)));
+}
+
+/**
+ * Sets pattern parameter values (e.g. from a restored design) and refreshes the panel.
+ * Numbers are clamped to the schema range; enum values the schema does not offer are skipped.
+ * Keys that are not pattern parameters are ignored.
+ * @param {object} values - Options object containing parameter keys.
+ * @returns {string[]} Warnings for values that could not be applied.
+ */
+export function setPatternParams(values) {
+    const warnings = [];
+    for (const [key, schema] of Object.entries(getPatternParamSchemas())) {
+        if (!(key in values)) continue;
+        let value = values[key];
+        if (schema.type === 'enum' && !schema.options.some(o => o.value === value)) {
+            warnings.push(`"${key}" value "${value}" is not available in this version, keeping "${state.patternParams[key]}".`);
+            continue;
+        }
+        if (schema.type === 'string' && value.length > schema.maxLength) {
+            warnings.push(`"${key}" is longer than ${schema.maxLength} characters, keeping the current value.`);
+            continue;
+        }
+        if (schema.type === 'number' || schema.type === 'integer') {
+            value = Math.min(schema.max, Math.max(schema.min, value));
+        }
+        state.patternParams[key] = value;
+    }
+    renderPatternParams();
+    return warnings;
+}
+
+/**
+ * @returns {object} A copy of the current pattern parameter values, keyed by option key.
+ */
+export function getPatternParamValues() {
+    return { ...state.patternParams };
+}
@@ -2,7 +2,7 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, random, randomInt, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
 // Import color utilities
 import { getRandomFill } from '../colorUtils.js';
 // Import state if needed (not directly used here, but potentially useful)
@@ -14,14 +14,14 @@ import { getRandomFill } from '../colorUtils.js';
 /**
  * Generates a pattern based on the Fibonacci sequence and the Golden Angle,
  * typically forming a phyllotaxis spiral.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateFibonacciPattern(parent, options, palette) {
     // Destructure options
-    const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, strokeWeight, opacity, strokeColor } = options;
+    const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, strokeWeight, opacity, strokeColor, rng } = options;
 
     // Calculate parameters for the spiral
     const maxRadius = Math.min(width, height) * 0.45 * scale;
@@ -53,15 +53,15 @@ export function generateFibonacciPattern(parent, options, palette) {
         const sw = strokeWeight;
         const op = opacity;
 
-        // Vary shape type based on index (uses imported randomInt)
-        const shapeType = i % randomInt(3, 6);
-        // Uses imported createSVGElement, random, randomChoice
+        // Vary shape type based on index (uses the seeded rng)
+        const shapeType = i % rng.randomInt(3, 6);
+        // Uses imported createSVGElement and the seeded rng
         switch (shapeType) {
             case 0: // Circle
                 createSVGElement('circle', { cx: x, cy: y, r: Math.max(1, size), fill, stroke, 'stroke-width': sw, opacity: op }, group);
                 break;
             case 1: // Square (rotated)
-                createSVGElement('rect', { x: x - size / 2, y: y - size / 2, width: Math.max(1, size), height: Math.max(1, size), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${theta * 180 / Math.PI + random(-10, 10)}, ${x}, ${y})` }, group);
+                createSVGElement('rect', { x: x - size / 2, y: y - size / 2, width: Math.max(1, size), height: Math.max(1, size), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${theta * 180 / Math.PI + rng.random(-10, 10)}, ${x}, ${y})` }, group);
                 break;
             case 2: // Triangle
                  const points = [];
@@ -72,15 +72,15 @@ export function generateFibonacciPattern(parent, options, palette) {
                  createSVGElement('polygon', { points: points.join(' '), fill, stroke, 'stroke-width': sw, opacity: op }, group);
                 break;
              case 3: // Ellipse
-                 createSVGElement('ellipse', { cx: x, cy: y, rx: Math.max(1, size * random(0.8, 1.2)), ry: Math.max(1, size * random(0.5, 1)), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${theta * 180 / Math.PI + random(-10, 10)}, ${x}, ${y})`}, group);
+                 createSVGElement('ellipse', { cx: x, cy: y, rx: Math.max(1, size * rng.random(0.8, 1.2)), ry: Math.max(1, size * rng.random(0.5, 1)), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${theta * 180 / Math.PI + rng.random(-10, 10)}, ${x}, ${y})`}, group);
                 break;
              case 4: // Line segment
                  const len = size * 2;
                  createSVGElement('line', {
                      x1: x - Math.cos(theta) * len / 2, y1: y - Math.sin(theta) * len / 2,
                      x2: x + Math.cos(theta) * len / 2, y2: y + Math.sin(theta) * len / 2,
-                     stroke: randomChoice(palette) || stroke,
-                     'stroke-width': sw * random(0.5, 1.5),
+                     stroke: rng.randomChoice(palette) || stroke,
+                     'stroke-width': sw * rng.random(0.5, 1.5),
                      opacity: op
                  }, group);
                  break;
@@ -118,3 +118,12 @@ export function generateFibonacciPattern(parent, options, palette) {
     };
 }
 
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'fibonacci',
+    label: 'Fibonacci Spiral',
+    generate: generateFibonacciPattern,
+    params: {},
+};
@@ -2,7 +2,11 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, random, randomInt, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Frequency source shared with the harmonograph
+import { LISSAJOUS_MODE_PARAM } from './sharedParams.js';
 // Import state if needed
 // import { state } from '../state.js';
 // Import color utilities if needed
@@ -11,15 +15,21 @@ import { createSVGElement, random, randomInt, randomChoice } from '../utils.js';
 
 /**
  * Generates patterns based on Lissajous curves.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
- * @param {object} options - Generation options.
+ * With lissajousMode 'controls' every curve uses the math sidebar's lissajousA, lissajousB and
+ * lissajousDelta, drawn as nested copies; 'random' picks a, b and delta per curve.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including lissajousMode, lissajousA/B/Delta.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateLissajousPattern(parent, options, palette) {
     // Destructure options
-    const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, strokeWeight, opacity, strokeColor } = options;
+    const {
+        viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale,
+        strokeWeight, opacity, strokeColor, lissajousMode, lissajousA, lissajousB, lissajousDelta, rng
+    } = options;
     let elementCount = 0;
+    const randomMode = lissajousMode === 'random';
 
     // Number of curves based on complexity and repetition
     const numCurves = Math.max(1, Math.floor(complexity * 0.5 * repetition));
@@ -32,25 +42,36 @@ export function generateLissajousPattern(parent, options, palette) {
     const radiusX = width * 0.4 * scale; // Max horizontal extent
     const radiusY = height * 0.4 * scale; // Max vertical extent
 
-    console.log(`Generating ${numCurves} Lissajous curves...`);
+    renderLog.log(`Generating ${numCurves} Lissajous curves (${randomMode ? 'random' : `a=${lissajousA}, b=${lissajousB}, delta=${lissajousDelta.toFixed(3)}`})...`);
 
     // Generate each Lissajous curve
     for (let i = 0; i < numCurves; i++) {
-         // Frequencies (a, b) determine the shape (uses imported randomInt)
-         const a = randomInt(1, Math.floor(complexity / 2) + 1);
-         const b = randomInt(1, Math.floor(complexity / 2) + 1);
-         // Phase difference (delta) also affects the shape (uses imported randomChoice)
-         const delta = Math.PI / randomChoice([1, 2, 3, 4, 6, 8]);
+         let a = lissajousA;
+         let b = lissajousB;
+         let delta = lissajousDelta;
+         // The same figure repeated would overdraw itself, so controlled curves shrink towards the centre
+         let shrink = 1 - (i / numCurves) * 0.8;
+         if (randomMode) {
+             // Frequencies (a, b) determine the shape (uses the seeded rng)
+             a = rng.randomInt(1, Math.floor(complexity / 2) + 1);
+             b = rng.randomInt(1, Math.floor(complexity / 2) + 1);
+             // Phase difference (delta) also affects the shape (uses the seeded rng)
+             delta = Math.PI / rng.randomChoice([1, 2, 3, 4, 6, 8]);
+             shrink = 1;
+         }
 
         const pathPoints = []; // Array to store points for the path
+        // High frequencies need more points, or the lobes turn into straight zigzags. Random mode
+        // keeps the original step count so designs saved before the controls existed regenerate exactly.
+        const curveSteps = randomMode ? steps : Math.max(steps, 24 * Math.max(a, b));
 
         // Calculate points along the curve using parametric equations
-        for (let j = 0; j <= steps; j++) {
+        for (let j = 0; j <= curveSteps; j++) {
             // Parameter t ranges from 0 to 2*PI (scaled by repetition)
-            const t = (j / steps) * Math.PI * 2 * Math.max(1, repetition / 2);
+            const t = (j / curveSteps) * Math.PI * 2 * Math.max(1, repetition / 2);
             // Lissajous equations:
-            const x = centerX + radiusX * Math.sin(a * t + delta);
-            const y = centerY + radiusY * Math.sin(b * t);
+            const x = centerX + radiusX * shrink * Math.sin(a * t + delta);
+            const y = centerY + radiusY * shrink * Math.sin(b * t);
             pathPoints.push(`${x.toFixed(2)},${y.toFixed(2)}`); // Add point (with fixed precision)
         }
 
@@ -59,14 +80,24 @@ export function generateLissajousPattern(parent, options, palette) {
              createSVGElement('path', {
                  d: `M ${pathPoints[0]} L ${pathPoints.slice(1).join(' L ')}`,
                  fill: 'none', // Curves are not filled
-                 // Uses imported randomChoice and random
-                 stroke: randomChoice(palette) || strokeColor,
-                 'stroke-width': Math.max(0.5, strokeWeight * random(0.8, 1.2)),
-                 opacity: opacity * random(0.7, 1)
+                 // Uses the seeded rng
+                 stroke: rng.randomChoice(palette) || strokeColor,
+                 'stroke-width': Math.max(0.5, strokeWeight * rng.random(0.8, 1.2)),
+                 opacity: opacity * rng.random(0.7, 1)
              }, parent);
              elementCount++;
          }
     }
      // Return results
-     return { elementCount, curves: numCurves, stepsPerCurve: steps };
+     return { elementCount, curves: numCurves, stepsPerCurve: steps, mode: randomMode ? 'random' : 'controls' };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'lissajous',
+    label: 'Lissajous Curves',
+    generate: generateLissajousPattern,
+    params: { ...LISSAJOUS_MODE_PARAM },
+};
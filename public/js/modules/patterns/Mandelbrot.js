@@ -3,25 +3,26 @@
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
 import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
 // Import state if needed (not directly used here)
 // import { state } from '../state.js';
 // Import color utilities if needed (palette is passed in)
 // import { getRandomFill } from '../colorUtils.js';
-// Import random utils if needed (uses Math.random, which might be seeded)
-// import { random, randomInt, randomChoice } from '../utils.js';
+// Randomness comes from the seeded options.rng (see createSeededRandom in utils.js)
 
 
 /**
  * Generates an approximation of the Mandelbrot set visualization.
  * Colors points based on how quickly they escape the threshold.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateMandelbrotPattern(parent, options, palette) {
      // Destructure options
-     const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor } = options;
+     const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor, rng } = options;
      let elementCount = 0;
 
      // Resolution of the grid for calculation
@@ -36,13 +37,13 @@ export function generateMandelbrotPattern(parent, options, palette) {
      // Max iterations for escape check
      const maxIter = Math.floor(complexity * 15) + 20;
 
-     console.log(`Generating Mandelbrot pattern (Res: ${resolution}, MaxIter: ${maxIter})...`);
+     renderLog.log(`Generating Mandelbrot pattern (Res: ${resolution}, MaxIter: ${maxIter})...`);
 
      // Iterate through the grid cells
      for (let row = 0; row < resolution; row++) {
          for (let col = 0; col < resolution; col++) {
-            // Skip calculation based on density (uses Math.random potentially seeded)
-            if (Math.random() < densityThreshold) continue;
+            // Skip calculation based on density (uses the seeded rng)
+            if (rng.next() < densityThreshold) continue;
 
              // Map grid cell to complex number c = x0 + iy0
              const x0 = xMin + (xMax - xMin) * (col / resolution);
@@ -93,3 +94,13 @@ export function generateMandelbrotPattern(parent, options, palette) {
     // Return results
     return { elementCount, resolution, maxIterations: maxIter };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'mandelbrot',
+    label: 'Mandelbrot-ish',
+    generate: generateMandelbrotPattern,
+    params: {},
+};
@@ -2,27 +2,28 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
 // Import state if needed
 // import { state } from '../state.js';
 // Import color utilities if needed
 // import { getRandomFill } from '../colorUtils.js';
-// Import random utils if needed
-// import { random, randomInt } from '../utils.js';
+// Randomness comes from the seeded options.rng (see createSeededRandom in utils.js)
 
 
 /**
  * Generates an SVG pattern based on the Padovan sequence.
  * Visualizes as a spiral of connected line segments.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generatePadovanPattern(parent, options, palette) {
-  console.log("Generating Padovan pattern...");
+  renderLog.log("Generating Padovan pattern...");
   // Destructure options
-  const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor } = options;
+  const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor, rng } = options;
   let elementCount = 0;
 
   // 1. Calculate Padovan Sequence
@@ -34,12 +35,12 @@ export function generatePadovanPattern(parent, options, palette) {
       sequence[n] = sequence[n - 2] + sequence[n - 3];
       // Basic check for excessively large numbers
       if (sequence[n] > 1e6) { // Avoid potential performance issues with huge values
-           console.warn("Padovan sequence value exceeded limit, stopping early.");
+           renderLog.warn("Padovan sequence value exceeded limit, stopping early.");
            break;
       }
   }
    if (sequence.length <= 3) {
-       console.warn("Padovan sequence too short to draw.");
+       renderLog.warn("Padovan sequence too short to draw.");
        return { elementCount: 0, sequence: 'Padovan (Too Short)' };
    }
 
@@ -76,10 +77,10 @@ export function generatePadovanPattern(parent, options, palette) {
           y1: currentY.toFixed(2),
           x2: nextX.toFixed(2),
           y2: nextY.toFixed(2),
-          // Optional: Vary color per segment using imported randomChoice
-          stroke: randomChoice(palette) || strokeColor,
-          // Optional: Vary stroke width slightly? (Requires importing 'random' from utils)
-          // 'stroke-width': strokeWeight * random(0.8, 1.2)
+          // Optional: Vary color per segment using the seeded rng
+          stroke: rng.randomChoice(palette) || strokeColor,
+          // Optional: Vary stroke width slightly? (Use rng.random from options)
+          // 'stroke-width': strokeWeight * rng.random(0.8, 1.2)
       }, spiralGroup); // Add line to the spiral group
 
       elementCount++;
@@ -92,7 +93,17 @@ export function generatePadovanPattern(parent, options, palette) {
       currentAngle += angleIncrement;
   }
 
-  console.log(`Generated Padovan sequence with ${sequence.length} terms.`);
+  renderLog.log(`Generated Padovan sequence with ${sequence.length} terms.`);
   // Return results, including sequence info
   return { elementCount, sequenceName: 'Padovan', terms: sequence.length };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'padovan',
+    label: 'Padovan Sequence (Spiral)',
+    generate: generatePadovanPattern,
+    params: {},
+};
@@ -2,27 +2,28 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
 // Import state if needed
 // import { state } from '../state.js';
 // Import color utilities if needed
 // import { getRandomFill } from '../colorUtils.js';
-// Import random utils if needed
-// import { random, randomInt } from '../utils.js';
+// Randomness comes from the seeded options.rng (see createSeededRandom in utils.js)
 
 
 /**
  * Generates an SVG pattern based on Recamán's sequence.
  * Visualizes as a series of alternating semi-circular arcs.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} An object containing generation results (e.g., elementCount).
  */
 export function generateRecamanPattern(parent, options, palette) {
-    console.log("Generating Recamán's sequence pattern...");
+    renderLog.log("Generating Recamán's sequence pattern...");
     // Destructure options
-    const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor } = options;
+    const { viewportWidth: width, viewportHeight: height, complexity, density, scale, strokeWeight, opacity, strokeColor, rng } = options;
     let elementCount = 0;
 
     // 1. Calculate Recamán's Sequence
@@ -46,13 +47,13 @@ export function generateRecamanPattern(parent, options, palette) {
 
         // Optional safety break for large values
         if (sequence[n] > 1e6) {
-             console.warn("Recamán sequence value exceeded limit, stopping early.");
+             renderLog.warn("Recamán sequence value exceeded limit, stopping early.");
              break;
         }
     }
 
     if (sequence.length <= 1) {
-        console.warn("Recamán sequence too short to draw.");
+        renderLog.warn("Recamán sequence too short to draw.");
         return { elementCount: 0, sequence: 'Recamán (Too Short)' };
     }
 
@@ -104,16 +105,26 @@ export function generateRecamanPattern(parent, options, palette) {
         // Create SVG path data for the arc (uses imported createSVGElement)
         const d = `M ${x1.toFixed(2)} ${baselineY} A ${radius.toFixed(2)} ${radius.toFixed(2)} 0 0 ${sweepFlag} ${x2.toFixed(2)} ${baselineY}`;
 
-        // Create the path element (uses imported randomChoice)
+        // Create the path element (uses the seeded rng)
         createSVGElement('path', {
             d: d,
-            stroke: randomChoice(palette) || strokeColor
+            stroke: rng.randomChoice(palette) || strokeColor
         }, arcGroup);
 
         elementCount++;
     }
 
-    console.log(`Generated Recamán sequence with ${sequence.length} terms.`);
+    renderLog.log(`Generated Recamán sequence with ${sequence.length} terms.`);
     // Return results
     return { elementCount, sequenceName: 'Recamán', terms: sequence.length };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'recaman',
+    label: "Recamán's Sequence (Arcs)",
+    generate: generateRecamanPattern,
+    params: {},
+};
@@ -0,0 +1,221 @@
+// public/js/modules/patterns/flowField.js
+
+// ----- MODULE IMPORTS -----
+// Import necessary utilities
+import { createSVGElement, pointsToPathString } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Seeded gradient noise for the vector field
+import { createNoise2D, fractalNoise2D } from '../noise.js';
+// Smoothing parameters shared with other point-based patterns
+import { CURVE_PARAMS } from './sharedParams.js';
+
+// Most points traced over all particles; later particles are skipped once it is reached
+const MAX_FLOW_POINTS = 400000;
+// Paths shorter than this many points are dropped (they stopped right at their start)
+const MIN_PATH_POINTS = 3;
+
+/**
+ * Collects the captured X/Y and V points as field attractors/repellers.
+ * @param {object} options - Generation options (capturedX, capturedY, capturedV).
+ * @returns {Array<{x: number, y: number}>} The captured points (0 to 2).
+ */
+function capturedFieldPoints(options) {
+    const { capturedX = null, capturedY = null, capturedV = null } = options;
+    const points = [];
+    if (capturedX !== null && capturedY !== null) points.push({ x: capturedX, y: capturedY });
+    if (capturedV && capturedV.x !== null && capturedV.x !== undefined && capturedV.y !== null && capturedV.y !== undefined) {
+        points.push({ x: capturedV.x, y: capturedV.y });
+    }
+    return points;
+}
+
+/**
+ * Spatial hash of the points of finished paths, used to stop a new path before it comes closer
+ * than the separation distance to an earlier one, which keeps the curves from crossing.
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @param {number} separation - Minimum distance between paths, > 0.
+ * @returns {{isFree: (x: number, y: number) => boolean, addPath: (points: Array<{x: number, y: number}>) => void}}
+ */
+function createSeparationGrid(width, height, separation) {
+    const cols = Math.max(1, Math.ceil(width / separation));
+    const rows = Math.max(1, Math.ceil(height / separation));
+    const cells = new Map(); // cell index -> points
+    const cellIndex = (x, y) => Math.floor(y / separation) * cols + Math.floor(x / separation);
+
+    return {
+        isFree(x, y) {
+            const col = Math.floor(x / separation);
+            const row = Math.floor(y / separation);
+            for (let r = Math.max(0, row - 1); r <= Math.min(rows - 1, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(cols - 1, col + 1); c++) {
+                    const points = cells.get(r * cols + c);
+                    if (points && points.some(p => (p.x - x) ** 2 + (p.y - y) ** 2 < separation * separation)) return false;
+                }
+            }
+            return true;
+        },
+        addPath(points) {
+            for (const p of points) {
+                const index = cellIndex(p.x, p.y);
+                if (!cells.has(index)) cells.set(index, []);
+                cells.get(index).push(p);
+            }
+        },
+    };
+}
+
+/**
+ * Generates a flow field: particles start at random positions and follow the angle of a seeded
+ * noise field, and each particle's trail becomes a path. Captured X/Y/V points pull the field
+ * towards them or push it away. With a separation above 0 a trail stops when it gets that close
+ * to an earlier one, so the curves do not cross as long as the step length is below it.
+ * Uses 'curveSmoothing' for the trails.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including the flow params.
+ * @param {string[]} palette - Color palette.
+ * @returns {object} Generation results.
+ */
+export function generateFlowFieldPattern(parent, options, palette) {
+    // Destructure options
+    const {
+        viewportWidth: width, viewportHeight: height, strokeWeight, opacity, strokeColor,
+        flowNoiseScale, flowOctaves, flowStepLength, flowParticles, flowPathLength, flowSeparation,
+        flowCapturedPoints, flowAttractorStrength,
+        curveSmoothing, splineTension, // Get smoothing options
+        rng // Seeded random generator
+    } = options;
+    let elementCount = 0;
+
+    const noise = createNoise2D(rng);
+    const step = Math.max(0.1, flowStepLength);
+    const maxSteps = Math.max(1, Math.floor(flowPathLength));
+    const particles = Math.max(1, Math.floor(flowParticles));
+
+    // Captured points: +1 attracts, -1 repels; influence fades over about a third of the view
+    const anchors = flowCapturedPoints === 'ignore' ? [] : capturedFieldPoints(options);
+    const pull = flowCapturedPoints === 'repel' ? -flowAttractorStrength : flowAttractorStrength;
+    const reach = Math.min(width, height) * 0.35;
+
+    const separation = flowSeparation > 0 ? createSeparationGrid(width, height, flowSeparation) : null;
+
+    renderLog.log(`Generating flow field: ${particles} particles x ${maxSteps} steps, noise scale ${flowNoiseScale}, ${flowOctaves} octave(s), ${anchors.length} captured point(s) (${flowCapturedPoints}) (Smoothing: ${curveSmoothing})...`);
+
+    /**
+     * Unit direction of the field at a point: the noise angle, bent towards/away from the anchors.
+     * @param {number} x - X position.
+     * @param {number} y - Y position.
+     * @returns {{dx: number, dy: number}} The direction.
+     */
+    const direction = (x, y) => {
+        // Noise values cluster around 0, so two full turns per unit keep every direction in use
+        const angle = fractalNoise2D(noise, x * flowNoiseScale, y * flowNoiseScale, flowOctaves) * Math.PI * 4;
+        let dx = Math.cos(angle);
+        let dy = Math.sin(angle);
+        for (const anchor of anchors) {
+            const ax = anchor.x - x;
+            const ay = anchor.y - y;
+            const distance = Math.hypot(ax, ay);
+            if (distance === 0) continue;
+            const influence = pull * Math.exp(-((distance / reach) ** 2));
+            dx += (ax / distance) * influence;
+            dy += (ay / distance) * influence;
+        }
+        const length = Math.hypot(dx, dy);
+        return length > 0 ? { dx: dx / length, dy: dy / length } : { dx: 1, dy: 0 };
+    };
+
+    let totalPoints = 0;
+    let skipped = 0;
+    for (let i = 0; i < particles; i++) {
+        if (totalPoints >= MAX_FLOW_POINTS) {
+            skipped = particles - i;
+            renderLog.warn(`Flow field: point budget (${MAX_FLOW_POINTS}) reached; ${skipped} particle(s) not traced.`);
+            break;
+        }
+        let x = rng.random(0, width);
+        let y = rng.random(0, height);
+        if (separation && !separation.isFree(x, y)) continue;
+
+        const points = [{ x, y }];
+        for (let s = 0; s < maxSteps; s++) {
+            const { dx, dy } = direction(x, y);
+            x += dx * step;
+            y += dy * step;
+            if (x < 0 || x > width || y < 0 || y > height) break; // Left the view
+            if (separation && !separation.isFree(x, y)) break; // Too close to an earlier trail
+            // Arrived at an attractor: the field points back and forth across it from here on
+            if (pull > 0 && anchors.some(a => Math.hypot(a.x - x, a.y - y) < step)) break;
+            points.push({ x, y });
+        }
+        if (points.length < MIN_PATH_POINTS) continue;
+        if (separation) separation.addPath(points);
+        totalPoints += points.length;
+
+        const d = pointsToPathString(points, curveSmoothing, { splineTension });
+        if (d) {
+            createSVGElement('path', {
+                d,
+                fill: 'none', // Trails are not filled
+                stroke: rng.randomChoice(palette) || strokeColor,
+                'stroke-width': Math.max(0.25, strokeWeight),
+                'stroke-linecap': 'round',
+                opacity
+            }, parent);
+            elementCount++;
+        }
+    }
+
+    // Return results
+    return { elementCount, pattern: 'Flow Field', particles, paths: elementCount, points: totalPoints, skipped, capturedPoints: anchors.length };
+}
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'flowfield',
+    label: 'Flow Field (Noise)',
+    generate: generateFlowFieldPattern,
+    params: {
+        flowNoiseScale: {
+            type: 'number', label: 'Noise Scale', min: 0.0005, max: 0.03, step: 0.0005, default: 0.004,
+            description: 'How quickly the field changes across the view; small values give long, gentle curves.'
+        },
+        flowOctaves: {
+            type: 'integer', label: 'Noise Octaves', min: 1, max: 8, step: 1, default: 2,
+            description: 'Layers of finer noise added to the field; more octaves make the curves wobblier.'
+        },
+        flowStepLength: {
+            type: 'number', label: 'Step Length (px)', min: 0.5, max: 20, step: 0.5, default: 2,
+            description: 'Distance a particle moves per step; shorter steps follow the field more closely.'
+        },
+        flowParticles: {
+            type: 'integer', label: 'Particles', min: 10, max: 5000, step: 10, default: 800,
+            description: 'Particles started at random positions; each one traces one path.'
+        },
+        flowPathLength: {
+            type: 'integer', label: 'Path Length (Steps)', min: 5, max: 1000, step: 5, default: 150,
+            description: 'Most steps a particle takes; it also stops when it leaves the view or meets another path.'
+        },
+        flowSeparation: {
+            type: 'number', label: 'Path Separation (px)', min: 0, max: 30, step: 0.5, default: 4,
+            description: 'Paths stop before coming this close to an earlier one, so they do not cross (with Step Length below it). 0 lets them overlap.'
+        },
+        flowCapturedPoints: {
+            type: 'enum', label: 'Captured Points', default: 'attract',
+            options: [
+                { value: 'attract', label: 'Attract' },
+                { value: 'repel', label: 'Repel' },
+                { value: 'ignore', label: 'Ignore' },
+            ],
+            description: 'Whether the captured X/Y and V points pull the flow towards them or push it away.'
+        },
+        flowAttractorStrength: {
+            type: 'number', label: 'Attractor Strength', min: 0, max: 3, step: 0.05, default: 1,
+            description: 'How strongly captured points bend the field near them.'
+        },
+        ...CURVE_PARAMS,
+    },
+};
@@ -2,7 +2,7 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities from ../utils.js
-import { createSVGElement, random, randomInt, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
 // Import color utilities from ../colorUtils.js
 import { getRandomFill } from '../colorUtils.js';
 // Import state if needed (grid doesn't seem to use it directly, but good practice if unsure)
@@ -10,14 +10,14 @@ import { getRandomFill } from '../colorUtils.js';
 
 /**
  * Generates a pattern by placing shapes within a grid structure.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateGridPattern(parent, options, palette) {
      // Destructure options for easier access
-     const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, strokeWeight, opacity, strokeColor } = options;
+     const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, strokeWeight, opacity, strokeColor, rng } = options;
      let elementCount = 0;
 
      // Grid size influenced by complexity and repetition
@@ -31,23 +31,23 @@ export function generateGridPattern(parent, options, palette) {
      for (let row = 0; row < cellsPerSide; row++) {
          for (let col = 0; col < cellsPerSide; col++) {
              // Skip drawing in this cell based on density threshold
-             // Uses Math.random() which might be seeded by the main generator function
-             if (Math.random() < densityThreshold) continue;
+             // Uses the seeded rng from options so the same seed skips the same cells
+             if (rng.next() < densityThreshold) continue;
 
              const cx = col * cellWidth + cellWidth / 2; // Center X of the cell
              const cy = row * cellHeight + cellHeight / 2; // Center Y of the cell
              // Copy options for potential modification within cell (currently unused but good practice)
              const cellOptions = { ...options };
 
-             // Choose what type of content to draw in the cell using imported randomInt
-             const cellContentType = randomInt(0, 5);
+             // Choose what type of content to draw in the cell using the seeded rng
+             const cellContentType = rng.randomInt(0, 5);
              // Get fill style using imported getRandomFill
              const fill = getRandomFill(palette, cellOptions);
              const stroke = strokeColor;
              const sw = strokeWeight;
              const op = opacity;
-             // Calculate base size for element within the cell, scaled by options, using imported random
-             const elementScale = Math.min(cellWidth, cellHeight) * 0.4 * scale * random(0.7, 1.1);
+             // Calculate base size for element within the cell, scaled by options, using the seeded rng
+             const elementScale = Math.min(cellWidth, cellHeight) * 0.4 * scale * rng.random(0.7, 1.1);
 
              // Draw the selected content type using imported createSVGElement
              switch (cellContentType) {
@@ -55,26 +55,26 @@ export function generateGridPattern(parent, options, palette) {
                     createSVGElement('circle', { cx, cy, r: Math.max(1, elementScale), fill, stroke, 'stroke-width': sw, opacity: op }, parent);
                     break;
                 case 1: // Rectangle (rotated)
-                    const w = elementScale * 2 * random(0.8, 1.2);
-                    const h = elementScale * 2 * random(0.8, 1.2);
-                    createSVGElement('rect', { x: cx - w/2, y: cy - h/2, width: Math.max(1, w), height: Math.max(1, h), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${random(-20, 20)} ${cx} ${cy})` }, parent);
+                    const w = elementScale * 2 * rng.random(0.8, 1.2);
+                    const h = elementScale * 2 * rng.random(0.8, 1.2);
+                    createSVGElement('rect', { x: cx - w/2, y: cy - h/2, width: Math.max(1, w), height: Math.max(1, h), fill, stroke, 'stroke-width': sw, opacity: op, transform: `rotate(${rng.random(-20, 20)} ${cx} ${cy})` }, parent);
                     break;
                  case 2: // Line segment
-                     const angle = random(0, Math.PI * 2);
+                     const angle = rng.random(0, Math.PI * 2);
                      const len = elementScale * 2;
                      createSVGElement('line', {
                          x1: cx - Math.cos(angle) * len / 2, y1: cy - Math.sin(angle) * len / 2,
                          x2: cx + Math.cos(angle) * len / 2, y2: cy + Math.sin(angle) * len / 2,
-                         // Use imported randomChoice here
-                         stroke: randomChoice(palette) || stroke,
-                         'stroke-width': sw * random(1, 3),
+                         // Use the seeded rng here
+                         stroke: rng.randomChoice(palette) || stroke,
+                         'stroke-width': sw * rng.random(1, 3),
                          opacity: op
                      }, parent);
                     break;
                  case 3: // Polygon
                     const points = [];
-                    // Use imported randomInt here
-                    const vertices = randomInt(3, 7);
+                    // Use the seeded rng here
+                    const vertices = rng.randomInt(3, 7);
                     for (let i = 0; i < vertices; i++) {
                         const a = (i / vertices) * Math.PI * 2;
                         points.push(`${cx + Math.cos(a) * elementScale},${cy + Math.sin(a) * elementScale}`);
@@ -82,7 +82,7 @@ export function generateGridPattern(parent, options, palette) {
                     createSVGElement('polygon', { points: points.join(' '), fill, stroke, 'stroke-width': sw, opacity: op }, parent);
                      break;
                  case 4: // Ellipse
-                     createSVGElement('ellipse', { cx, cy, rx: Math.max(1, elementScale * random(0.7, 1.3)), ry: Math.max(1, elementScale * random(0.7, 1.3)), fill, stroke, 'stroke-width': sw, opacity: op }, parent);
+                     createSVGElement('ellipse', { cx, cy, rx: Math.max(1, elementScale * rng.random(0.7, 1.3)), ry: Math.max(1, elementScale * rng.random(0.7, 1.3)), fill, stroke, 'stroke-width': sw, opacity: op }, parent);
                      break;
                  case 5: // Nested Shape (Example: rect inside circle)
                       const outerR = elementScale * 1.2;
@@ -118,3 +118,13 @@ export function generateGridPattern(parent, options, palette) {
      // Return results
      return { elementCount, gridSize: `${cellsPerSide}x${cellsPerSide}`, cellCount: cellsPerSide * cellsPerSide };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'grid',
+    label: 'Grid Pattern',
+    generate: generateGridPattern,
+    params: {},
+};
@@ -0,0 +1,166 @@
+// public/js/modules/patterns/harmonograph.js
+
+// ----- MODULE IMPORTS -----
+// Import necessary utilities
+import { createSVGElement, pointsToPathString } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Shared parameter schemas (frequency source is shared with the Lissajous pattern)
+import { CURVE_PARAMS, LISSAJOUS_MODE_PARAM } from './sharedParams.js';
+
+// Longest trace, in points, so a high frequency × many cycles cannot produce a multi-megabyte path
+const MAX_TRACE_POINTS = 20000;
+
+/**
+ * Sets up the pendulums swinging one axis of the harmonograph.
+ * The first pendulum swings at the axis' base frequency and phase. The others alternate between
+ * this axis' and the other axis' frequency (like the coupled/rotary pendulum of a real
+ * harmonograph), each detuned slightly and given a random phase and weight.
+ * @param {number} ownFrequency - Base frequency of this axis.
+ * @param {number} otherFrequency - Base frequency of the other axis.
+ * @param {number} phase - Phase of the first pendulum, in radians.
+ * @param {number} count - Number of pendulums on this axis (2 or more).
+ * @param {number} detune - Maximum relative frequency offset of the extra pendulums.
+ * @param {object} rng - Seeded random generator.
+ * @returns {Array<{frequency: number, phase: number, amplitude: number}>} Pendulums, amplitudes summing to 1.
+ */
+function createPendulums(ownFrequency, otherFrequency, phase, count, detune, rng) {
+    const pendulums = [{ frequency: ownFrequency, phase, amplitude: 1 }];
+    for (let i = 1; i < count; i++) {
+        const base = i % 2 === 1 ? ownFrequency : otherFrequency;
+        pendulums.push({
+            frequency: base * (1 + rng.random(-detune, detune)),
+            phase: rng.random(0, Math.PI * 2),
+            amplitude: rng.random(0.3, 1),
+        });
+    }
+    // Normalize so the swing never exceeds the axis radius
+    const total = pendulums.reduce((sum, p) => sum + p.amplitude, 0);
+    pendulums.forEach(p => { p.amplitude /= total; });
+    return pendulums;
+}
+
+/**
+ * Position of a set of damped pendulums at time t: Σ Aᵢ·sin(fᵢ·t + pᵢ)·e^(−d·t).
+ * @param {Array<{frequency: number, phase: number, amplitude: number}>} pendulums - From createPendulums().
+ * @param {number} t - Time, in radians (2π per cycle).
+ * @param {number} damping - e^(−d·t), shared by all pendulums.
+ * @returns {number} Offset from the centre, between -1 and 1.
+ */
+function swing(pendulums, t, damping) {
+    let sum = 0;
+    for (const p of pendulums) sum += p.amplitude * Math.sin(p.frequency * t + p.phase);
+    return sum * damping;
+}
+
+/**
+ * Generates damped harmonograph traces: Lissajous figures drawn by two or more decaying
+ * pendulums per axis whose slightly detuned frequencies make the figure drift and spiral
+ * inwards. With lissajousMode 'controls' the main pendulums use the math sidebar's
+ * lissajousA, lissajousB and lissajousDelta; 'random' picks them per trace.
+ * Uses 'curveSteps' (0 = auto) for the points per trace.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including the harmonograph params.
+ * @param {string[]} palette - Color palette.
+ * @returns {object} Generation results.
+ */
+export function generateHarmonographPattern(parent, options, palette) {
+    // Destructure options
+    const {
+        viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale,
+        strokeWeight, opacity, strokeColor, curveSteps,
+        lissajousMode, lissajousA, lissajousB, lissajousDelta,
+        harmonographPendulums, harmonographDecay, harmonographDetune, harmonographCycles,
+        curveSmoothing, splineTension, // Get smoothing options
+        rng // Seeded random generator
+    } = options;
+    let elementCount = 0;
+    const randomMode = lissajousMode === 'random';
+
+    // Overlaid traces, each with its own extra pendulums
+    const numTraces = Math.max(1, Math.ceil(repetition / 4));
+    const pendulumCount = Math.max(2, Math.floor(harmonographPendulums) || 2);
+    const decay = Math.max(0, harmonographDecay || 0);
+    const detune = Math.max(0, harmonographDetune || 0);
+    const cycles = Math.max(1, harmonographCycles || 1);
+    const duration = cycles * Math.PI * 2;
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const radiusX = width * 0.45 * scale;
+    const radiusY = height * 0.45 * scale;
+
+    renderLog.log(`Generating ${numTraces} harmonograph trace(s): ${pendulumCount} pendulums/axis, decay ${decay}, detune ${detune}, ${cycles} cycles...`);
+
+    for (let i = 0; i < numTraces; i++) {
+        let a = lissajousA;
+        let b = lissajousB;
+        let delta = lissajousDelta;
+        if (randomMode) {
+            // Same choices as the Lissajous pattern's random mode (uses the seeded rng)
+            a = rng.randomInt(1, Math.floor(complexity / 2) + 1);
+            b = rng.randomInt(1, Math.floor(complexity / 2) + 1);
+            delta = Math.PI / rng.randomChoice([1, 2, 3, 4, 6, 8]);
+        }
+        const pendulumsX = createPendulums(a, b, delta, pendulumCount, detune, rng);
+        const pendulumsY = createPendulums(b, a, 0, pendulumCount, detune, rng);
+
+        // Enough points for the fastest pendulum, scaled by density
+        const steps = curveSteps > 0 ? curveSteps
+            : Math.min(MAX_TRACE_POINTS, Math.floor(cycles * Math.max(a, b) * 24 * (0.5 + density / 100)));
+
+        const points = [];
+        for (let j = 0; j <= steps; j++) {
+            const t = (j / steps) * duration;
+            const damping = Math.exp(-decay * t);
+            points.push({
+                x: centerX + radiusX * swing(pendulumsX, t, damping),
+                y: centerY + radiusY * swing(pendulumsY, t, damping),
+            });
+        }
+
+        const d = pointsToPathString(points, curveSmoothing, { splineTension });
+        if (d) {
+            createSVGElement('path', {
+                d,
+                fill: 'none', // Traces are not filled
+                stroke: rng.randomChoice(palette) || strokeColor,
+                'stroke-width': Math.max(0.25, strokeWeight * 0.5),
+                opacity: opacity * rng.random(0.7, 1)
+            }, parent);
+            elementCount++;
+        }
+    }
+
+    // Return results
+    return { elementCount, pattern: 'Harmonograph', traces: numTraces, pendulumsPerAxis: pendulumCount, decay, detune, cycles, mode: randomMode ? 'random' : 'controls' };
+}
+
+/**
+ * Registry entry (see registry.js). Frequencies and phase come from the math sidebar unless random.
+ */
+export const pattern = {
+    id: 'harmonograph',
+    label: 'Harmonograph (Damped Lissajous)',
+    generate: generateHarmonographPattern,
+    params: {
+        ...LISSAJOUS_MODE_PARAM,
+        harmonographPendulums: {
+            type: 'integer', label: 'Pendulums per Axis', min: 2, max: 4, step: 1, default: 2,
+            description: 'Pendulums added together on each axis; extra ones swing near the base frequencies.'
+        },
+        harmonographDecay: {
+            type: 'number', label: 'Decay', min: 0, max: 0.1, step: 0.001, default: 0.01,
+            description: 'Damping rate: the swing shrinks as e^(−decay·t), so higher values spiral inwards sooner.'
+        },
+        harmonographDetune: {
+            type: 'number', label: 'Frequency Detune', min: 0, max: 0.05, step: 0.001, default: 0.005,
+            description: 'Largest relative frequency offset of the extra pendulums; makes the figure drift and rotate.'
+        },
+        harmonographCycles: {
+            type: 'integer', label: 'Cycles', min: 5, max: 200, step: 5, default: 40,
+            description: 'How long the pendulums swing, in periods of a frequency-1 pendulum (Freq A = 3 swings 3 times per cycle).'
+        },
+        ...CURVE_PARAMS,
+    },
+};
@@ -2,17 +2,20 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, randomChoice, pointsToPathString } from '../utils.js';
+import { createSVGElement, pointsToPathString } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Smoothing parameters shared with other point-based patterns
+import { CURVE_PARAMS } from './sharedParams.js';
 // Import color utilities for fill handling
 import { getRandomFill } from '../colorUtils.js';
-// Import random if needed for phase variation (optional)
-// import { random } from '../utils.js';
+// Random phase variation (optional) would come from the seeded options.rng
 
 /**
  * Generates a pattern of parallel wavy lines with variable spacing and optional parabolic arc.
  * Can apply smoothing between calculated points.
  * Can use captured coordinates (capturedX, capturedY) to influence line shape.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options object.
  * @param {string[]} palette - The array of hex color strings for the current palette.
  * @returns {object} An object containing generation results (e.g., elementCount).
@@ -25,12 +28,13 @@ export function generateLinesPattern(parent, options, palette) {
         lineWaveAmplitude, lineWaveFrequency, lineArcAmount, // Added lineArcAmount
         lineSpacingRatio, lineSpacingInvert,
         curveSmoothing, splineTension, // Smoothing options
-        capturedX, capturedY // Captured coordinate options
+        capturedX, capturedY, // Captured coordinate options
+        rng // Seeded random generator
         // capturedV is available in options but not used in this version
     } = options;
     let elementCount = 0;
 
-    console.log(`Generating Wavy Lines pattern (Smoothing: ${curveSmoothing}, Captured Pt: ${capturedX !== null ? 'Yes' : 'No'}, Arc: ${lineArcAmount})...`); // Updated log
+    renderLog.log(`Generating Wavy Lines pattern (Smoothing: ${curveSmoothing}, Captured Pt: ${capturedX !== null ? 'Yes' : 'No'}, Arc: ${lineArcAmount})...`); // Updated log
 
     // Ensure valid base inputs
     const baseSpacing = Math.max(1, lineSpacing);
@@ -39,9 +43,9 @@ export function generateLinesPattern(parent, options, palette) {
     const frequency = lineWaveFrequency || 1;
     const arcAmount = lineArcAmount || 0; // Get arc amount, default to 0
 
-    console.log(` - Base Spacing: ${baseSpacing}, Ratio: ${ratio}, Invert: ${lineSpacingInvert}, Amplitude: ${amplitude}, Frequency: ${frequency}, Arc: ${arcAmount}, Angle: ${globalAngle}`); // Updated log
+    renderLog.log(` - Base Spacing: ${baseSpacing}, Ratio: ${ratio}, Invert: ${lineSpacingInvert}, Amplitude: ${amplitude}, Frequency: ${frequency}, Arc: ${arcAmount}, Angle: ${globalAngle}`); // Updated log
     if (capturedX !== null) {
-        console.log(` - Captured Point: (${capturedX.toFixed(0)}, ${capturedY.toFixed(0)})`);
+        renderLog.log(` - Captured Point: (${capturedX.toFixed(0)}, ${capturedY.toFixed(0)})`);
     }
 
     // Calculate draw area slightly larger than viewport diagonal
@@ -124,7 +128,7 @@ export function generateLinesPattern(parent, options, palette) {
             const d = pointsToPathString(pathPoints, curveSmoothing, { splineTension }, false); // Don't close path for lines
 
             const fillValue = (fillType === 'none') ? 'none' : getRandomFill(palette, options);
-            const pathStrokeColor = randomChoice(palette) || strokeColor;
+            const pathStrokeColor = rng.randomChoice(palette) || strokeColor;
 
             createSVGElement('path', {
                 d: d,
@@ -144,12 +148,12 @@ export function generateLinesPattern(parent, options, palette) {
 
         // Optional stop condition to prevent infinite loops if spacing becomes too small
          if (currentX > startDrawX + drawWidth * 1.1 || actualGap < 0.01) {
-             console.log(`Stopping line generation early (exceeded draw width or gap too small: ${actualGap.toFixed(3)}).`);
+             renderLog.log(`Stopping line generation early (exceeded draw width or gap too small: ${actualGap.toFixed(3)}).`);
              break;
          }
     }
 
-    console.log(`Generated ${elementCount} lines.`);
+    renderLog.log(`Generated ${elementCount} lines.`);
     // Return metadata including the new arc amount
     return {
         elementCount,
@@ -163,4 +167,40 @@ export function generateLinesPattern(parent, options, palette) {
         arcAmount: arcAmount, // Added arcAmount to results
         usedCapture: capturedX !== null // Indicate if capture point was used
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'lines',
+    label: 'Lines',
+    generate: generateLinesPattern,
+    params: {
+        lineSpacing: {
+            type: 'number', label: 'Line Spacing', min: 1, max: 100, step: 0.05, default: 20,
+            description: 'Base gap between neighbouring lines, in pixels.'
+        },
+        lineSpacingRatio: {
+            type: 'number', label: 'Spacing Ratio (1=Even)', min: 0.5, max: 2, step: 0.01, default: 1,
+            description: 'Each gap is the previous one times this ratio; 1 keeps the spacing even.'
+        },
+        lineSpacingInvert: {
+            type: 'boolean', label: 'Invert Spacing Dir.', default: false,
+            description: 'Apply the spacing ratio from the opposite side.'
+        },
+        lineWaveAmplitude: {
+            type: 'number', label: 'Wave Amplitude', min: 0, max: 100, step: 0.1, default: 5,
+            description: 'Sideways swing of the wave along each line, in pixels.'
+        },
+        lineWaveFrequency: {
+            type: 'number', label: 'Wave Frequency', min: 0.1, max: 50, step: 0.1, default: 1,
+            description: 'Number of wave cycles along each line.'
+        },
+        lineArcAmount: {
+            type: 'number', label: 'Line Arc Amount', min: -500, max: 500, step: 0.2, default: 0,
+            description: 'Bows every line into a parabola; negative values bend the other way.'
+        },
+        ...CURVE_PARAMS,
+    },
+};
@@ -0,0 +1,280 @@
+// public/js/modules/patterns/lsystem.js
+
+// ----- MODULE IMPORTS -----
+// Import necessary utilities
+import { createSVGElement, pointsToPathString } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Shared parameter schemas (smoothing, and Max Recursion which caps the iterations)
+import { CURVE_PARAMS, MAX_RECURSION_PARAM } from './sharedParams.js';
+
+// Longest expanded string; rewriting stops at the last iteration that stays below it
+const MAX_LSYSTEM_LENGTH = 1000000;
+// Most line segments drawn; the turtle stops once they are used up
+const MAX_TURTLE_SEGMENTS = 100000;
+
+/**
+ * Parses production rules, one per line (or separated by ';'), written `F=F+F-F` or `X -> F[+X]`.
+ * The left side is a single symbol; blank lines and lines starting with '#' are ignored.
+ * @param {string} text - The rules as entered in the grammar editor.
+ * @returns {{rules: Map<string, string>, warnings: string[]}} Successor string per symbol, and problems found.
+ */
+export function parseLSystemRules(text) {
+    const rules = new Map();
+    const warnings = [];
+    String(text || '').split(/[\n;]/).forEach((line) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const match = trimmed.match(/^(\S)\s*(?:=|->|→)\s*(.*)$/);
+        if (!match) {
+            warnings.push(`L-system rule "${trimmed}" is not of the form F=... and was ignored.`);
+            return;
+        }
+        const [, symbol, successor] = match;
+        if (rules.has(symbol)) warnings.push(`L-system rule for "${symbol}" is defined twice; using the last one.`);
+        rules.set(symbol, successor.replace(/\s+/g, ''));
+    });
+    return { rules, warnings };
+}
+
+/**
+ * Rewrites the axiom with the rules, stopping early if the string would grow past MAX_LSYSTEM_LENGTH.
+ * @param {string} axiom - Start string.
+ * @param {Map<string, string>} rules - From parseLSystemRules().
+ * @param {number} iterations - Rewriting steps requested.
+ * @returns {{symbols: string, iterations: number}} The expanded string and the iterations actually applied.
+ */
+function expandLSystem(axiom, rules, iterations) {
+    let symbols = axiom;
+    for (let i = 0; i < iterations; i++) {
+        // Measure the next generation before building it, so a runaway grammar never allocates it
+        let nextLength = 0;
+        for (const symbol of symbols) nextLength += rules.has(symbol) ? rules.get(symbol).length : 1;
+        if (nextLength > MAX_LSYSTEM_LENGTH) {
+            renderLog.warn(`L-system: iteration ${i + 1} would produce ${nextLength} symbols (limit ${MAX_LSYSTEM_LENGTH}); stopping at ${i}.`);
+            return { symbols, iterations: i };
+        }
+        let next = '';
+        for (const symbol of symbols) next += rules.has(symbol) ? rules.get(symbol) : symbol;
+        symbols = next;
+    }
+    return { symbols, iterations };
+}
+
+/**
+ * Walks the turtle through the symbols, in unit steps. Heading is in degrees counter-clockwise
+ * from east (screen y points down).
+ *   F, G  move forward drawing       f  move forward without drawing
+ *   +, -  turn left / right by angle  |  turn around
+ *   [, ]  push / pop position and heading (starts a new stroke)
+ * Every other symbol only takes part in rewriting.
+ * @param {string} symbols - Expanded L-system string.
+ * @param {number} angle - Turn angle in degrees.
+ * @param {number} heading - Start heading in degrees.
+ * @returns {{strokes: Array<{points: Array<{x: number, y: number}>, depth: number}>, segments: number, truncated: boolean}}
+ *   Continuous strokes with their branch depth, the number of segments, and whether the budget ran out.
+ */
+function runTurtle(symbols, angle, heading) {
+    const turn = angle * Math.PI / 180;
+    let x = 0, y = 0, direction = heading * Math.PI / 180;
+    const stack = [];
+    const strokes = [];
+    let stroke = { points: [{ x, y }], depth: 0 };
+    let segments = 0;
+    let truncated = false;
+
+    const endStroke = () => {
+        if (stroke.points.length > 1) strokes.push(stroke);
+        stroke = { points: [{ x, y }], depth: stack.length };
+    };
+
+    for (const symbol of symbols) {
+        switch (symbol) {
+            case 'F':
+            case 'G':
+                if (segments >= MAX_TURTLE_SEGMENTS) { truncated = true; break; }
+                x += Math.cos(direction);
+                y -= Math.sin(direction);
+                stroke.points.push({ x, y });
+                segments++;
+                break;
+            case 'f':
+                x += Math.cos(direction);
+                y -= Math.sin(direction);
+                endStroke();
+                break;
+            case '+': direction += turn; break;
+            case '-': direction -= turn; break;
+            case '|': direction += Math.PI; break;
+            case '[':
+                stack.push({ x, y, direction });
+                endStroke();
+                break;
+            case ']':
+                if (stack.length === 0) break; // Unbalanced bracket: ignore
+                ({ x, y, direction } = stack.pop());
+                endStroke();
+                break;
+            default:
+                break;
+        }
+        if (truncated) break;
+    }
+    endStroke();
+    return { strokes, segments, truncated };
+}
+
+/**
+ * Generates an L-system (Lindenmayer system): the axiom is rewritten by the production rules
+ * for a number of iterations and the result is drawn by a turtle. Iterations are capped by
+ * 'maxRecursion' and the string length and drawn segments by fixed budgets, since most grammars
+ * grow exponentially. Each stroke is drawn through pointsToPathString, honouring 'curveSmoothing'.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including the lsystem params and maxRecursion.
+ * @param {string[]} palette - Color palette.
+ * @returns {object} Generation results.
+ */
+export function generateLSystemPattern(parent, options, palette) {
+    // Destructure options
+    const {
+        viewportWidth: width, viewportHeight: height, scale, strokeWeight, opacity, strokeColor,
+        lsystemAxiom, lsystemRules, lsystemAngle, lsystemIterations, lsystemStep, lsystemHeading, lsystemFit,
+        maxRecursion, curveSmoothing, splineTension,
+        rng // Seeded random generator
+    } = options;
+    let elementCount = 0;
+
+    const axiom = String(lsystemAxiom || '').replace(/\s+/g, '');
+    if (!axiom) {
+        renderLog.warn("L-system: empty axiom; nothing to draw.");
+        return { elementCount, pattern: 'L-System', iterations: 0 };
+    }
+    const { rules, warnings } = parseLSystemRules(lsystemRules);
+    warnings.forEach(warning => renderLog.warn(warning));
+
+    // 1. Rewrite, capped by Max Recursion and the length budget
+    const requested = Math.max(0, Math.floor(lsystemIterations) || 0);
+    const allowed = Math.min(requested, maxRecursion);
+    if (allowed < requested) renderLog.warn(`L-system: ${requested} iterations requested, capped to Max Recursion (${maxRecursion}).`);
+    const { symbols, iterations } = expandLSystem(axiom, rules, allowed);
+
+    // 2. Turtle in unit steps
+    const { strokes, segments, truncated } = runTurtle(symbols, lsystemAngle, lsystemHeading);
+    if (truncated) renderLog.warn(`L-system: stopped after ${MAX_TURTLE_SEGMENTS} segments.`);
+    renderLog.log(`Generating L-system: ${symbols.length} symbols after ${iterations} iteration(s), ${strokes.length} stroke(s), ${segments} segments (Smoothing: ${curveSmoothing})...`);
+    if (strokes.length === 0) {
+        renderLog.warn("L-system: the expanded string draws nothing (no F or G moves?).");
+        return { elementCount, pattern: 'L-System', iterations, symbols: symbols.length };
+    }
+
+    // 3. Fit to the viewport (or use the step length in pixels) around the drawing's centre
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    strokes.forEach(({ points }) => points.forEach(({ x, y }) => {
+        minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }));
+    const spanX = maxX - minX;
+    const spanY = maxY - minY;
+    const step = lsystemFit
+        ? Math.min(spanX > 0 ? width * 0.9 / spanX : Infinity, spanY > 0 ? height * 0.9 / spanY : Infinity) * scale
+        : lsystemStep * scale;
+    const offsetX = width / 2 - (minX + spanX / 2) * step;
+    const offsetY = height / 2 - (minY + spanY / 2) * step;
+
+    // 4. Draw: one path per branch depth (each stroke a subpath), so a plant with thousands of
+    // branches stays a handful of elements. Deeper branches get thinner and the next palette colour.
+    const subpathsByDepth = new Map();
+    for (const { points, depth } of strokes) {
+        const d = pointsToPathString(
+            points.map(({ x, y }) => ({ x: offsetX + x * step, y: offsetY + y * step })),
+            curveSmoothing, { splineTension }
+        );
+        if (!d) continue;
+        if (!subpathsByDepth.has(depth)) subpathsByDepth.set(depth, []);
+        subpathsByDepth.get(depth).push(d);
+    }
+    const colorOffset = palette.length > 0 ? rng.randomInt(0, palette.length - 1) : 0;
+    [...subpathsByDepth.keys()].sort((a, b) => a - b).forEach((depth) => {
+        createSVGElement('path', {
+            d: subpathsByDepth.get(depth).join(' '),
+            fill: 'none',
+            stroke: palette[(colorOffset + depth) % palette.length] || strokeColor,
+            'stroke-width': Math.max(0.25, strokeWeight * Math.max(0.3, 1 - depth * 0.15)),
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round',
+            opacity
+        }, parent);
+        elementCount++;
+    });
+
+    // Return results
+    return { elementCount, pattern: 'L-System', iterations, symbols: symbols.length, segments, truncated, step: Number(step.toFixed(3)) };
+}
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'lsystem',
+    label: 'L-System',
+    generate: generateLSystemPattern,
+    params: {
+        lsystemAxiom: {
+            type: 'string', label: 'Axiom', maxLength: 200, default: 'F',
+            description: 'Start string. F/G draw a step, f moves without drawing, +/- turn, [ ] branch, | turns around.'
+        },
+        lsystemRules: {
+            type: 'string', control: 'textarea', label: 'Rules', maxLength: 2000, default: 'F=F+F--F+F',
+            description: 'One production per line, e.g. F=F+F--F+F or X -> F[+X]F[-X]+X. Symbols without a rule stay as they are.'
+        },
+        lsystemAngle: {
+            type: 'number', label: 'Turn Angle (°)', min: 0, max: 360, step: 0.5, default: 60,
+            description: 'Degrees turned by + and -.'
+        },
+        lsystemIterations: {
+            type: 'integer', label: 'Iterations', min: 0, max: 10, step: 1, default: 4,
+            description: 'Rewriting steps. Capped by Max Recursion, since most grammars grow exponentially.'
+        },
+        ...MAX_RECURSION_PARAM,
+        lsystemHeading: {
+            type: 'number', label: 'Start Heading (°)', min: 0, max: 360, step: 1, default: 0,
+            description: 'Initial turtle direction: 0 points right, 90 points up.'
+        },
+        lsystemFit: {
+            type: 'boolean', label: 'Fit to View', default: true,
+            description: 'Scale the drawing to fill the view; when off, each step is Step Length pixels.'
+        },
+        lsystemStep: {
+            type: 'number', label: 'Step Length (px)', min: 0.5, max: 100, step: 0.5, default: 10,
+            description: 'Length of one F step when Fit to View is off.'
+        },
+        ...CURVE_PARAMS,
+    },
+    // Presets needing more than the default depth raise Max Recursion with their iterations
+    presets: [
+        {
+            id: 'koch', label: 'Koch Curve',
+            values: { lsystemAxiom: 'F', lsystemRules: 'F=F+F--F+F', lsystemAngle: 60, lsystemIterations: 4, lsystemHeading: 0 }
+        },
+        {
+            id: 'sierpinski-arrowhead', label: 'Sierpinski Arrowhead',
+            values: { lsystemAxiom: 'XF', lsystemRules: 'X=YF+XF+Y\nY=XF-YF-X', lsystemAngle: 60, lsystemIterations: 6, maxRecursion: 6, lsystemHeading: 0 }
+        },
+        {
+            id: 'dragon', label: 'Dragon Curve',
+            values: { lsystemAxiom: 'FX', lsystemRules: 'X=X+YF+\nY=-FX-Y', lsystemAngle: 90, lsystemIterations: 10, maxRecursion: 10, lsystemHeading: 0 }
+        },
+        {
+            id: 'hilbert', label: 'Hilbert Curve',
+            values: { lsystemAxiom: 'A', lsystemRules: 'A=+BF-AFA-FB+\nB=-AF+BFB+FA-', lsystemAngle: 90, lsystemIterations: 5, maxRecursion: 5, lsystemHeading: 0 }
+        },
+        {
+            id: 'fractal-plant', label: 'Fractal Plant',
+            values: { lsystemAxiom: 'X', lsystemRules: 'X=F+[[X]-X]-F[-FX]+X\nF=FF', lsystemAngle: 25, lsystemIterations: 6, maxRecursion: 6, lsystemHeading: 65 }
+        },
+        {
+            id: 'bush', label: 'Fractal Bush',
+            values: { lsystemAxiom: 'F', lsystemRules: 'F=FF+[+F-F-F]-[-F+F+F]', lsystemAngle: 22.5, lsystemIterations: 4, lsystemHeading: 90 }
+        },
+    ],
+};
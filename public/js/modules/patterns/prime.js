@@ -2,7 +2,9 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, randomInt, isPrime } from '../utils.js';
+import { createSVGElement, isPrime } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
 // Import color utilities
 import { getRandomFill } from '../colorUtils.js';
 // Import state if needed (not directly used here)
@@ -13,14 +15,14 @@ import { getRandomFill } from '../colorUtils.js';
 
 /**
  * Generates a pattern based on prime numbers, arranged in a grid or spiral.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generatePrimePattern(parent, options, palette) {
     // Destructure options
-    const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale } = options;
+    const { viewportWidth: width, viewportHeight: height, complexity, density, repetition, scale, rng } = options;
     let elementCount = 0;
 
     // 1. Generate Prime Numbers
@@ -28,7 +30,7 @@ export function generatePrimePattern(parent, options, palette) {
     const numElements = Math.max(10, Math.floor(100 * complexity * (density / 100) * repetition));
     const primes = [];
     let num = 2; // Start checking from 2
-    console.log(`Generating up to ${numElements} prime numbers...`);
+    renderLog.log(`Generating up to ${numElements} prime numbers...`);
     while (primes.length < numElements) {
         // Uses imported isPrime utility
         if (isPrime(num)) {
@@ -37,25 +39,25 @@ export function generatePrimePattern(parent, options, palette) {
         num++;
         // Safety break for very large searches (optional)
         if (num > 100000 && primes.length < numElements / 2) {
-            console.warn("Prime search taking too long, stopping early.");
+            renderLog.warn("Prime search taking too long, stopping early.");
             break;
         }
     }
 
     if (primes.length === 0) {
-        console.warn("No primes generated.");
+        renderLog.warn("No primes generated.");
         return { elementCount: 0, primeCount: 0 };
     }
     const largestPrime = primes[primes.length - 1];
-    console.log(`Generated ${primes.length} primes, largest: ${largestPrime}`);
+    renderLog.log(`Generated ${primes.length} primes, largest: ${largestPrime}`);
 
     // 2. Choose Layout
-    // Uses imported randomInt
-    const layoutType = randomInt(0, 1); // 0: Grid, 1: Spiral
+    // Uses the seeded rng
+    const layoutType = rng.randomInt(0, 1); // 0: Grid, 1: Spiral
 
     // 3. Visualize Primes
     if (layoutType === 0) { // --- Grid Layout ---
-        console.log("Using grid layout for primes.");
+        renderLog.log("Using grid layout for primes.");
         const gridSize = Math.ceil(Math.sqrt(primes.length));
         const cellWidth = width / gridSize;
         const cellHeight = height / gridSize;
@@ -73,7 +75,7 @@ export function generatePrimePattern(parent, options, palette) {
             elementCount++;
         }
     } else { // --- Spiral Layout ---
-        console.log("Using spiral layout for primes.");
+        renderLog.log("Using spiral layout for primes.");
          let x = width / 2, y = height / 2; // Start center
          let step = Math.min(width, height) / Math.sqrt(primes.length) * 0.5 * scale;
          let dx = step, dy = 0;
@@ -110,7 +112,7 @@ export function generatePrimePattern(parent, options, palette) {
 /**
  * Helper function for drawing elements in the prime pattern.
  * NOTE: Internal to this module.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {number} x - Center x coordinate.
  * @param {number} y - Center y coordinate.
  * @param {number} size - Calculated size for the element.
@@ -149,3 +151,13 @@ function drawPrimeElement(parent, x, y, size, primeValue, options, palette) {
             break;
     }
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'prime',
+    label: 'Prime Pattern',
+    generate: generatePrimePattern,
+    params: {},
+};
@@ -1,10 +1,12 @@
 // public/js/modules/patterns/recursive.js
 
 // ----- MODULE IMPORTS -----
-// Import shared state (needed for recursionCount)
-import { state } from '../state.js';
 // Import necessary utilities
-import { createSVGElement, random, randomInt } from '../utils.js';
+import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Depth parameter shared with the other recursive pattern
+import { MAX_RECURSION_PARAM } from './sharedParams.js';
 // Import color utilities
 import { getRandomFill } from '../colorUtils.js';
 
@@ -16,26 +18,25 @@ const MAX_RECURSION_SAFETY = 10000;
 
 /**
  * Generates a recursive pattern starting with a single shape.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateRecursivePattern(parent, options, palette) {
-     const { viewportWidth: width, viewportHeight: height, complexity, maxRecursion, scale } = options;
-     // Reset global recursion counter specifically for this pattern generation call
-     // Accessing state directly here
-     state.recursionCount = 0;
+     const { viewportWidth: width, viewportHeight: height, complexity, maxRecursion, scale, rng } = options;
+     // Element counter for this generation call (local, so concurrent renders don't share it)
+     const counter = { count: 0 };
 
      // Initial size based on viewport and scale
      const initialSize = Math.min(width, height) * 0.4 * scale;
      // Center the initial shape with slight random offset
-     const startX = width / 2 + random(-width * 0.1, width * 0.1);
-     const startY = height / 2 + random(-height * 0.1, height * 0.1);
+     const startX = width / 2 + rng.random(-width * 0.1, width * 0.1);
+     const startY = height / 2 + rng.random(-height * 0.1, height * 0.1);
 
     // Define the initial shape data
     const initialShape = {
-        type: Math.random() < 0.5 ? 'circle' : 'rect', // Randomly start with circle or rect
+        type: rng.next() < 0.5 ? 'circle' : 'rect', // Randomly start with circle or rect
         x: startX,
         y: startY,
         size: initialSize, // Use 'size' for both circle radius and rect side length for simplicity
@@ -43,13 +44,13 @@ export function generateRecursivePattern(parent, options, palette) {
     };
 
     // Start the recursive drawing process
-    recursiveDraw(parent, initialShape, maxRecursion, options, palette);
+    recursiveDraw(parent, initialShape, maxRecursion, options, palette, counter);
 
     // Return results
     return {
-        elementCount: state.recursionCount, // Total elements drawn (including recursive calls)
+        elementCount: counter.count, // Total elements drawn (including recursive calls)
         // Report actual depth reached, capped by user setting or safety limit
-        recursionDepthReached: Math.min(state.recursionCount > 0 ? maxRecursion : 0, maxRecursion, Math.ceil(Math.log2(state.recursionCount+1))), // Estimate depth based on count
+        recursionDepthReached: Math.min(counter.count > 0 ? maxRecursion : 0, maxRecursion, Math.ceil(Math.log2(counter.count+1))), // Estimate depth based on count
         complexity: options.complexity
     };
 }
@@ -57,23 +58,23 @@ export function generateRecursivePattern(parent, options, palette) {
 /**
  * Helper function for recursive drawing. Draws a shape and calls itself for children.
  * NOTE: This function is internal to this module and does not need to be exported.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} shapeData - Data for the current shape { type, x, y, size, depth }.
  * @param {number} maxDepth - Maximum recursion depth allowed by options.
  * @param {object} options - Generation options.
  * @param {string[]} palette - Color palette.
+ * @param {{count: number}} counter - Running element count shared by the recursive calls.
  */
-function recursiveDraw(parent, shapeData, maxDepth, options, palette) {
+function recursiveDraw(parent, shapeData, maxDepth, options, palette, counter) {
     // Base case: Stop recursion if max depth is reached, or safety limit hit
-    // Accessing state directly here
-    if (shapeData.depth >= maxDepth || state.recursionCount >= MAX_RECURSION_SAFETY) {
-        if (state.recursionCount >= MAX_RECURSION_SAFETY) console.warn('Max recursion safety limit hit!');
+    if (shapeData.depth >= maxDepth || counter.count >= MAX_RECURSION_SAFETY) {
+        if (counter.count >= MAX_RECURSION_SAFETY) renderLog.warn('Max recursion safety limit hit!');
         return;
     }
-    // Accessing state directly here
-    state.recursionCount++; // Increment count for this element being drawn
+    counter.count++; // Increment count for this element being drawn
 
     const { type, x, y, size, depth } = shapeData;
+    const { rng } = options; // Seeded random generator
     const fill = getRandomFill(palette, options); // Get fill for this shape
     const stroke = options.strokeColor; // Stroke color from options
 
@@ -92,7 +93,7 @@ function recursiveDraw(parent, shapeData, maxDepth, options, palette) {
              x: x - size / 2, y: y - size / 2, // Position based on center
              width: Math.max(1, size), height: Math.max(1, size), // Ensure positive dimensions
              fill, stroke, 'stroke-width': strokeWidth, opacity,
-             transform: `rotate(${random(-10, 10)} ${x} ${y})` // Apply slight random rotation
+             transform: `rotate(${rng.random(-10, 10)} ${x} ${y})` // Apply slight random rotation
         }, parent);
     }
 
@@ -100,7 +101,7 @@ function recursiveDraw(parent, shapeData, maxDepth, options, palette) {
     // Calculate properties for child shapes
     const childDepth = depth + 1;
     // Branching factor: Number of children depends on complexity
-    const numChildren = randomInt(2, Math.max(2, Math.floor(options.complexity / 1.5))); // Fewer branches than random pattern
+    const numChildren = rng.randomInt(2, Math.max(2, Math.floor(options.complexity / 1.5))); // Fewer branches than random pattern
     // Scale factor: Children are smaller, factor decreases with depth and density influences it
     const scaleFactor = Math.max(0.1, (0.6 - depth * 0.05) * (options.density / 150 + 0.4)); // Adjusted scaling
     const childSize = size * scaleFactor;
@@ -111,14 +112,14 @@ function recursiveDraw(parent, shapeData, maxDepth, options, palette) {
     // Create and draw children recursively
     for (let i = 0; i < numChildren; i++) {
         // Position children relative to the parent
-        const angle = (i / numChildren) * Math.PI * 2 + random(-0.3, 0.3); // Angle with jitter
-        const distance = size * 0.6 * random(0.7, 1.3); // Distance from parent center
+        const angle = (i / numChildren) * Math.PI * 2 + rng.random(-0.3, 0.3); // Angle with jitter
+        const distance = size * 0.6 * rng.random(0.7, 1.3); // Distance from parent center
         const childX = x + Math.cos(angle) * distance;
         const childY = y + Math.sin(angle) * distance;
 
         // Randomly choose child shape type, possibly influenced by parent type
         // 60% chance to be same type as parent, 40% chance to switch
-        const childType = Math.random() < 0.6 ? type : (type === 'circle' ? 'rect' : 'circle');
+        const childType = rng.next() < 0.6 ? type : (type === 'circle' ? 'rect' : 'circle');
 
         // Recursive call for the child shape
         recursiveDraw(parent, {
@@ -127,7 +128,16 @@ function recursiveDraw(parent, shapeData, maxDepth, options, palette) {
             y: childY,
             size: childSize,
             depth: childDepth
-        }, maxDepth, options, palette);
+        }, maxDepth, options, palette, counter);
     }
 }
 
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'recursive',
+    label: 'Recursive Shapes',
+    generate: generateRecursivePattern,
+    params: { ...MAX_RECURSION_PARAM },
+};
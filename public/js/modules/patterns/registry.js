@@ -0,0 +1,192 @@
+// public/js/modules/patterns/registry.js
+
+// ----- PATTERN REGISTRY -----
+// Every pattern module exports a `pattern` descriptor:
+//   { id, label, generate(parent, options, palette), params: { optionKey: schema }, presets? }
+// The renderer looks generators up here, the browser builds the pattern dropdown and the
+// per-pattern parameter panel from the schemas, and the server derives its validation rules
+// from them. Adding a pattern means writing its module and adding it to PATTERN_MODULES.
+//
+// Parameter schema fields:
+//   type        'number' | 'integer' | 'boolean' | 'enum' | 'string'
+//   label       Control label
+//   description One sentence, shown as the control's tooltip
+//   default     Value used when an options object does not set the key
+//   min, max    Range (number/integer); step is the control increment
+//   control     'range' (default) or 'number' input for number/integer params;
+//               'text' (default) or 'textarea' for string params
+//   options     [{ value, label }] for enum params
+//   maxLength   Longest allowed value (string params)
+// Optional presets: [{ id, label, values: { optionKey: value } }], offered as a "Preset" select
+// that loads the values into the pattern's parameter controls. Values must be the pattern's own
+// parameters; presets are a UI convenience and never travel in the options.
+// Parameter values travel in the flat options object under their key (e.g. `roseNParam`),
+// so saved designs and render requests look the same as before the registry existed.
+
+// ----- MODULE IMPORTS -----
+import { pattern as lines } from './lines.js';
+import { pattern as random } from './random.js';
+import { pattern as recursive } from './recursive.js';
+import { pattern as grid } from './grid.js';
+import { pattern as quadtree } from './QuadTree.js';
+import { pattern as fibonacci } from './Fibonacci.js';
+import { pattern as mandelbrot } from './Mandelbrot.js';
+import { pattern as prime } from './prime.js';
+import { pattern as trig } from './trigWave.js';
+import { pattern as bezier } from './Bezier.js';
+import { pattern as lissajous } from './Lissajous.js';
+import { pattern as harmonograph } from './harmonograph.js';
+import { pattern as padovan } from './Padovan.js';
+import { pattern as recaman } from './Recaman.js';
+import { pattern as rose } from './rose.js';
+import { pattern as spiral } from './spiral.js';
+import { pattern as voronoi } from './voronoi.js';
+import { pattern as lsystem } from './lsystem.js';
+import { pattern as flowField } from './flowField.js';
+
+/**
+ * Built-in patterns, in dropdown order.
+ */
+const PATTERN_MODULES = [
+    lines, random, recursive, grid, quadtree, fibonacci, mandelbrot,
+    prime, trig, bezier, lissajous, harmonograph, padovan, recaman, rose, spiral,
+    voronoi, lsystem, flowField,
+];
+
+export const PARAM_TYPES = ['number', 'integer', 'boolean', 'enum', 'string'];
+
+const patterns = new Map(); // id -> descriptor, in registration order
+const paramSchemas = new Map(); // option key -> schema (shared keys must use the same schema object)
+
+/**
+ * Checks a value against a parameter schema.
+ * @param {string} key - Option key (for the message).
+ * @param {object} schema - The parameter schema.
+ * @param {any} value - Value to check.
+ * @returns {string | null} An error message, or null if the value is valid.
+ */
+export function validatePatternParam(key, schema, value) {
+    switch (schema.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `"${key}" must be a number.`;
+            if (schema.type === 'integer' && !Number.isInteger(value)) return `"${key}" must be an integer.`;
+            if (value < schema.min || value > schema.max) return `"${key}" must be between ${schema.min} and ${schema.max}.`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `"${key}" must be true or false.`;
+        case 'enum':
+            return schema.options.some(o => o.value === value)
+                ? null
+                : `"${key}" must be one of: ${schema.options.map(o => o.value).join(', ')}.`;
+        case 'string':
+            return typeof value === 'string' && value.length <= schema.maxLength
+                ? null
+                : `"${key}" must be a string of at most ${schema.maxLength} characters.`;
+        default:
+            return `"${key}" has unknown parameter type "${schema.type}".`;
+    }
+}
+
+/**
+ * Checks a parameter schema is complete enough to build a control and validate values.
+ * @param {string} patternId - Owning pattern (for the message).
+ * @param {string} key - Option key.
+ * @param {object} schema - The parameter schema.
+ * @throws {Error} If the schema is incomplete or its default is invalid.
+ */
+function checkParamSchema(patternId, key, schema) {
+    const problem = (message) => new Error(`Pattern "${patternId}", parameter "${key}": ${message}`);
+    if (!schema || !PARAM_TYPES.includes(schema.type)) throw problem(`type must be one of ${PARAM_TYPES.join(', ')}.`);
+    if (typeof schema.label !== 'string' || typeof schema.description !== 'string') throw problem('needs a label and a description.');
+    if ((schema.type === 'number' || schema.type === 'integer') && !(Number.isFinite(schema.min) && Number.isFinite(schema.max) && schema.min < schema.max)) {
+        throw problem('needs a finite min below max.');
+    }
+    if (schema.type === 'enum' && (!Array.isArray(schema.options) || schema.options.length === 0)) throw problem('needs a list of options.');
+    if (schema.type === 'string' && !(Number.isInteger(schema.maxLength) && schema.maxLength > 0)) throw problem('needs a positive integer maxLength.');
+    const defaultError = validatePatternParam(key, schema, schema.default);
+    if (defaultError) throw problem(`invalid default (${defaultError})`);
+}
+
+/**
+ * Checks a pattern's presets only set the pattern's own parameters, with valid values.
+ * @param {string} patternId - Owning pattern (for the message).
+ * @param {object} params - The pattern's parameter schemas.
+ * @param {object[]} presets - The presets.
+ * @throws {Error} If a preset is incomplete or sets an unknown key or an invalid value.
+ */
+function checkPresets(patternId, params, presets) {
+    if (!Array.isArray(presets)) throw new Error(`Pattern "${patternId}": presets must be a list.`);
+    for (const preset of presets) {
+        const { id, label, values } = preset || {};
+        if (typeof id !== 'string' || !id || typeof label !== 'string' || !values || typeof values !== 'object') {
+            throw new Error(`Pattern "${patternId}": every preset needs an id, a label and values.`);
+        }
+        for (const [key, value] of Object.entries(values)) {
+            if (!params[key]) throw new Error(`Pattern "${patternId}", preset "${id}": "${key}" is not a parameter of this pattern.`);
+            const valueError = validatePatternParam(key, params[key], value);
+            if (valueError) throw new Error(`Pattern "${patternId}", preset "${id}": ${valueError}`);
+        }
+    }
+}
+
+/**
+ * Adds a pattern to the registry.
+ * @param {object} descriptor - { id, label, generate, params, presets? }.
+ * @throws {Error} If the descriptor is incomplete, its id is taken, one of its parameters
+ *   redefines an option key another pattern already describes differently, or a preset is invalid.
+ */
+export function registerPattern(descriptor) {
+    const { id, label, generate, params = {}, presets = [] } = descriptor || {};
+    if (typeof id !== 'string' || !id || typeof label !== 'string' || typeof generate !== 'function') {
+        throw new Error('A pattern needs an id, a label and a generate function.');
+    }
+    if (patterns.has(id)) throw new Error(`Pattern "${id}" is already registered.`);
+    for (const [key, schema] of Object.entries(params)) {
+        checkParamSchema(id, key, schema);
+        if (paramSchemas.has(key) && paramSchemas.get(key) !== schema) {
+            throw new Error(`Pattern "${id}", parameter "${key}": already defined by another pattern (share the schema, see sharedParams.js).`);
+        }
+    }
+    checkPresets(id, params, presets);
+    Object.entries(params).forEach(([key, schema]) => paramSchemas.set(key, schema));
+    patterns.set(id, { id, label, generate, params, presets });
+}
+
+PATTERN_MODULES.forEach(registerPattern);
+
+/**
+ * @param {string} id - Pattern id (the patternType option).
+ * @returns {object | undefined} The registered descriptor.
+ */
+export function getPattern(id) {
+    return patterns.get(id);
+}
+
+/**
+ * @returns {object[]} All registered descriptors, in dropdown order.
+ */
+export function listPatterns() {
+    return [...patterns.values()];
+}
+
+/**
+ * @returns {string[]} The registered pattern ids.
+ */
+export function getPatternTypes() {
+    return [...patterns.keys()];
+}
+
+/**
+ * @returns {object} Every pattern parameter schema keyed by option key.
+ */
+export function getPatternParamSchemas() {
+    return Object.fromEntries(paramSchemas);
+}
+
+/**
+ * @returns {object} Default value of every pattern parameter, keyed by option key.
+ */
+export function getPatternParamDefaults() {
+    return Object.fromEntries([...paramSchemas].map(([key, schema]) => [key, schema.default]));
+}
@@ -2,7 +2,9 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, randomChoice } from '../utils.js';
+import { createSVGElement } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
 // Import color utilities for fill handling
 import { getRandomFill } from '../colorUtils.js';
 // Import state if needed (not directly used here)
@@ -13,15 +15,15 @@ import { getRandomFill } from '../colorUtils.js';
  * Generates patterns based on Rose Curves (r = a * cos(n * theta)).
  * Uses 'roseNParam' from options for the 'n' value.
  * Applies fill based on 'fillType' option.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options, including roseNParam, fillType.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
  */
 export function generateRoseCurvePattern(parent, options, palette) {
-    console.log("Generating Rose Curve pattern...");
+    renderLog.log("Generating Rose Curve pattern...");
     // Destructure options
-    const { viewportWidth: width, viewportHeight: height, density, scale, strokeWeight, opacity, strokeColor, roseNParam, fillType } = options;
+    const { viewportWidth: width, viewportHeight: height, density, scale, strokeWeight, opacity, strokeColor, roseNParam, fillType, rng } = options;
     let elementCount = 0;
 
     // 1. Determine Rose Curve parameters 'a' and 'n'
@@ -39,7 +41,7 @@ export function generateRoseCurvePattern(parent, options, palette) {
     // Loop 0 to 2*PI to ensure curve closes, especially for fractional n
     const endAngle = Math.PI * 2;
 
-    console.log(`Rose Curve params: a=${a.toFixed(1)}, n=${n}, steps=${steps}`);
+    renderLog.log(`Rose Curve params: a=${a.toFixed(1)}, n=${n}, steps=${steps}`);
 
     for (let i = 0; i <= steps; i++) {
         const theta = (i / steps) * endAngle;
@@ -65,16 +67,31 @@ export function generateRoseCurvePattern(parent, options, palette) {
         // Create the path element (uses imported createSVGElement and randomChoice)
         createSVGElement('path', {
             d: d,
-            stroke: randomChoice(palette) || strokeColor, // Vary stroke color
+            stroke: rng.randomChoice(palette) || strokeColor, // Vary stroke color
             'stroke-width': strokeWeight,
             fill: fillValue, // Apply determined fill
             opacity: opacity
          }, parent);
         elementCount = 1; // Count the path as one element
     } else {
-        console.warn("Not enough points generated for Rose Curve path.");
+        renderLog.warn("Not enough points generated for Rose Curve path.");
     }
 
     // Return results, including parameters used
     return { elementCount, pattern: 'Rose Curve', nParam: n, amplitude: a.toFixed(2) };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'rose',
+    label: 'Rose Curve',
+    generate: generateRoseCurvePattern,
+    params: {
+        roseNParam: {
+            type: 'number', label: 'Rose Petal Param (n)', min: 1, max: 200, step: 1, default: 3,
+            description: 'n in r = a·cos(nθ): odd n draws n petals, even n draws 2n.'
+        },
+    },
+};
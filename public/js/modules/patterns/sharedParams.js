@@ -0,0 +1,48 @@
+// public/js/modules/patterns/sharedParams.js
+
+// Parameter schemas used by more than one pattern. Patterns spread these into their own
+// `params`, so every pattern reading the option describes it identically (the registry
+// rejects two different schemas for the same option key).
+
+/**
+ * Path smoothing for patterns built from sampled points (see pointsToPathString in utils.js).
+ */
+export const CURVE_PARAMS = {
+    curveSmoothing: {
+        type: 'enum', label: 'Curve Smoothing', default: 'straight',
+        options: [
+            { value: 'straight', label: 'Straight Lines' },
+            { value: 'cubic_bezier', label: 'Cubic Bezier (Catmull-Rom)' },
+            { value: 'quadratic_bezier', label: 'Quadratic Bezier' },
+        ],
+        description: 'How the sampled points are joined: straight segments or a smooth curve through them.'
+    },
+    splineTension: {
+        type: 'number', label: 'Spline Tension (Catmull-Rom)', min: 0, max: 1, step: 0.005, default: 0.5,
+        description: 'How far the Catmull-Rom curve swings out between points; 0 gives straight segments, 0.5 the standard curve and 1 the roundest. Cubic smoothing only.'
+    },
+};
+
+/**
+ * Subdivision depth for the recursive patterns.
+ */
+export const MAX_RECURSION_PARAM = {
+    maxRecursion: {
+        type: 'integer', label: 'Max Recursion (Depth)', min: 1, max: 10, step: 1, default: 4,
+        description: 'How many times shapes are subdivided. Each level multiplies the element count.'
+    },
+};
+
+/**
+ * Where the Lissajous-family patterns take their frequencies and phase from.
+ */
+export const LISSAJOUS_MODE_PARAM = {
+    lissajousMode: {
+        type: 'enum', label: 'Frequencies & Phase', default: 'controls',
+        options: [
+            { value: 'controls', label: 'Math Sidebar (Freq A / B, Delta)' },
+            { value: 'random', label: 'Random per Curve' },
+        ],
+        description: 'Use the Lissajous Freq A / B and Phase (Delta) controls, or pick random ones for each curve.'
+    },
+};
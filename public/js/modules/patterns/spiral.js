@@ -0,0 +1,265 @@
+// public/js/modules/patterns/spiral.js
+
+// ----- MODULE IMPORTS -----
+// Import necessary utilities
+import { createSVGElement, pointsToPathString } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Import color utilities for the shapes placed along the arms
+import { getRandomFill } from '../colorUtils.js';
+// Smoothing parameters shared with other point-based patterns
+import { CURVE_PARAMS } from './sharedParams.js';
+
+/**
+ * Spiral families drawn by this pattern, keyed by the `spiralType` option (the math sidebar's
+ * Spiral Type select). A is the offset/factor and B the growth, as labelled there.
+ */
+export const SPIRAL_TYPES = ['archimedean', 'logarithmic', 'fermat', 'hyperbolic', 'lituus'];
+
+// Hyperbolic and lituus spirals run off to infinity as θ approaches 0, so they start here instead
+const MIN_INVERSE_THETA = Math.PI / 4;
+
+/**
+ * Polar radius of a spiral at angle theta, before fitting to the viewport.
+ * The logarithmic spiral is handled in log space by sampleSpiralArm (e^(Bθ) overflows quickly).
+ * @param {string} type - One of SPIRAL_TYPES except 'logarithmic'.
+ * @param {number} a - Spiral Param A (offset).
+ * @param {number} b - Spiral Param B (growth).
+ * @param {number} theta - Angle in radians (negative for the second Fermat branch).
+ * @returns {number} The radius (may be negative, which mirrors the point through the centre).
+ */
+function spiralRadius(type, a, b, theta) {
+    switch (type) {
+        case 'fermat': // r = A + B·√θ, the negative branch mirrored through the centre
+            return Math.sign(theta) * (a + b * Math.sqrt(Math.abs(theta)));
+        case 'hyperbolic': // r = A + B/θ
+            return a + b / theta;
+        case 'lituus': // r = A + B/√θ
+            return a + b / Math.sqrt(theta);
+        case 'archimedean': // r = A + B·θ
+        default:
+            return a + b * theta;
+    }
+}
+
+/**
+ * Samples one arm of a spiral as polar points, with radii normalized so the largest is 1.
+ * @param {string} type - One of SPIRAL_TYPES.
+ * @param {number} a - Spiral Param A.
+ * @param {number} b - Spiral Param B.
+ * @param {number} turns - Number of full turns to draw.
+ * @param {number} steps - Number of segments along the arm.
+ * @returns {Array<{theta: number, r: number}>} The samples, inner end first (empty if degenerate).
+ */
+function sampleSpiralArm(type, a, b, turns, steps) {
+    const maxTheta = turns * Math.PI * 2;
+    // Fermat spirals have two branches meeting at the centre; draw both as one continuous arm
+    const minTheta = type === 'fermat' ? -maxTheta
+        : (type === 'hyperbolic' || type === 'lituus') ? MIN_INVERSE_THETA
+        : 0;
+    const samples = [];
+
+    if (type === 'logarithmic') {
+        // r = e^(B(θ − A)): a scale factor in front of e^(Bθ) would be removed by fitting the arm
+        // to the view, so A is a phase offset instead and turns the spiral by A radians.
+        let maxLog = -Infinity;
+        for (let i = 0; i <= steps; i++) {
+            const theta = minTheta + (i / steps) * (maxTheta - minTheta);
+            const logR = b * theta;
+            samples.push({ theta: theta + a, r: logR });
+            maxLog = Math.max(maxLog, logR);
+        }
+        samples.forEach(sample => { sample.r = Math.exp(sample.r - maxLog); });
+        return samples;
+    }
+
+    let maxR = 0;
+    for (let i = 0; i <= steps; i++) {
+        const theta = minTheta + (i / steps) * (maxTheta - minTheta);
+        const r = spiralRadius(type, a, b, theta);
+        if (!Number.isFinite(r)) continue;
+        samples.push({ theta, r });
+        maxR = Math.max(maxR, Math.abs(r));
+    }
+    if (maxR === 0) return []; // A = B = 0: every point is the centre
+    samples.forEach(sample => { sample.r /= maxR; });
+    return samples;
+}
+
+/**
+ * Draws one shape centred on a point of a spiral arm.
+ * @param {string} shape - 'circle', 'square' or 'triangle'.
+ * @param {number} x - Centre x.
+ * @param {number} y - Centre y.
+ * @param {number} size - Radius / half-width of the shape.
+ * @param {number} angle - Direction of the arm at this point, in radians (orients squares and triangles).
+ * @param {object} style - fill, stroke, stroke-width and opacity attributes.
+ * @param {SceneNode} parent - Group to draw into.
+ */
+function drawSpiralShape(shape, x, y, size, angle, style, parent) {
+    switch (shape) {
+        case 'square':
+            createSVGElement('rect', {
+                x: (x - size).toFixed(2), y: (y - size).toFixed(2),
+                width: (size * 2).toFixed(2), height: (size * 2).toFixed(2),
+                transform: `rotate(${(angle * 180 / Math.PI).toFixed(2)}, ${x.toFixed(2)}, ${y.toFixed(2)})`,
+                ...style
+            }, parent);
+            break;
+        case 'triangle': {
+            const points = [];
+            for (let j = 0; j < 3; j++) {
+                const corner = angle + j * (2 * Math.PI / 3);
+                points.push(`${(x + size * Math.cos(corner)).toFixed(2)},${(y + size * Math.sin(corner)).toFixed(2)}`);
+            }
+            createSVGElement('polygon', { points: points.join(' '), ...style }, parent);
+            break;
+        }
+        case 'circle':
+        default:
+            createSVGElement('circle', { cx: x.toFixed(2), cy: y.toFixed(2), r: size.toFixed(2), ...style }, parent);
+    }
+}
+
+/**
+ * Generates Archimedean, logarithmic, Fermat, hyperbolic or lituus spirals from the math
+ * sidebar's Spiral Type / Param A / Param B, with several evenly rotated arms and optional
+ * shapes spaced along them. Each arm is fitted so its outermost point reaches the edge of the
+ * drawing area, so A and B set the shape of the spiral rather than its size.
+ * Uses 'curveSmoothing' for the arm paths and 'curveSteps' (0 = auto) for the samples per arm.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including spiralType, spiralA, spiralB and the spiral params.
+ * @param {string[]} palette - Color palette.
+ * @returns {object} Generation results.
+ */
+export function generateSpiralPattern(parent, options, palette) {
+    // Destructure options
+    const {
+        viewportWidth: width, viewportHeight: height, complexity, density, scale,
+        strokeWeight, opacity, strokeColor, curveSteps,
+        spiralType, spiralA, spiralB, spiralArms, spiralTurns, spiralShapes,
+        curveSmoothing, splineTension, // Get smoothing options
+        rng // Seeded random generator
+    } = options;
+    let elementCount = 0;
+
+    let type = spiralType;
+    if (!SPIRAL_TYPES.includes(type)) {
+        renderLog.warn(`Unknown spiral type "${spiralType}", using archimedean.`);
+        type = 'archimedean';
+    }
+    const a = Number.isFinite(spiralA) ? spiralA : 0;
+    const b = Number.isFinite(spiralB) ? spiralB : 0.1;
+    const arms = Math.max(1, Math.floor(spiralArms) || 1);
+    const turns = Math.max(0.25, spiralTurns || 1);
+
+    // Samples per arm: the Curve/Sequence Steps input, or enough for ~24 per turn scaled by density
+    const steps = curveSteps > 0 ? curveSteps : Math.max(60, Math.floor(turns * 24 * (0.5 + density / 100)));
+    const maxRadius = Math.min(width, height) * 0.45 * scale;
+    const cx = width / 2;
+    const cy = height / 2;
+
+    renderLog.log(`Generating ${type} spiral: A=${a}, B=${b}, ${arms} arm(s), ${turns} turn(s), ${steps} steps (Smoothing: ${curveSmoothing})...`);
+
+    const samples = sampleSpiralArm(type, a, b, turns, steps);
+    if (samples.length < 2) {
+        renderLog.warn("Spiral parameters give a single point (A and B both 0?); nothing to draw.");
+        return { elementCount, pattern: 'Spiral', spiralType: type, arms };
+    }
+
+    // Shapes along the arm, evenly spaced by arc length (outer points are further apart in θ)
+    const shapesPerArm = spiralShapes === 'none' ? 0 : Math.max(3, Math.floor(complexity * 4 * (density / 100)) + 2);
+    const shapeSize = Math.max(1, maxRadius * 0.012 * (complexity / 5 + 1));
+
+    for (let arm = 0; arm < arms; arm++) {
+        const rotation = (arm / arms) * Math.PI * 2;
+        const armGroup = createSVGElement('g', { class: 'spiral-arm' }, parent);
+        const stroke = rng.randomChoice(palette) || strokeColor;
+
+        // Convert polar samples to viewport coordinates for this arm
+        const points = samples.map(({ theta, r }) => ({
+            x: cx + r * maxRadius * Math.cos(theta + rotation),
+            y: cy + r * maxRadius * Math.sin(theta + rotation),
+        }));
+
+        const d = pointsToPathString(points, curveSmoothing, { splineTension });
+        if (d) {
+            createSVGElement('path', {
+                d,
+                fill: 'none',
+                stroke,
+                'stroke-width': Math.max(0.5, strokeWeight),
+                opacity
+            }, armGroup);
+            elementCount++;
+        }
+
+        if (shapesPerArm === 0) continue;
+
+        // Cumulative arc length, to place shapes at equal distances along the drawn arm
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const totalLength = lengths[lengths.length - 1];
+        if (totalLength === 0) continue;
+
+        let segment = 1;
+        for (let s = 0; s < shapesPerArm; s++) {
+            const target = (s / (shapesPerArm - 1)) * totalLength;
+            while (segment < points.length - 1 && lengths[segment] < target) segment++;
+            const p0 = points[segment - 1];
+            const p1 = points[segment];
+            const span = lengths[segment] - lengths[segment - 1];
+            const t = span > 0 ? (target - lengths[segment - 1]) / span : 0;
+            const x = p0.x + (p1.x - p0.x) * t;
+            const y = p0.y + (p1.y - p0.y) * t;
+            const angle = Math.atan2(p1.y - p0.y, p1.x - p0.x);
+            // Shapes grow with their distance from the centre
+            const size = shapeSize * (0.4 + 0.6 * Math.hypot(x - cx, y - cy) / maxRadius);
+            const shape = spiralShapes === 'mixed' ? rng.randomChoice(['circle', 'square', 'triangle']) : spiralShapes;
+
+            drawSpiralShape(shape, x, y, Math.max(0.5, size), angle, {
+                fill: getRandomFill(palette, options),
+                stroke,
+                'stroke-width': Math.max(0.5, strokeWeight * 0.5),
+                opacity
+            }, armGroup);
+            elementCount++;
+        }
+    }
+
+    // Return results, including parameters used
+    return { elementCount, pattern: 'Spiral', spiralType: type, spiralA: a, spiralB: b, arms, turns, stepsPerArm: steps, smoothing: curveSmoothing };
+}
+
+/**
+ * Registry entry (see registry.js). The spiral type and A / B come from the math sidebar.
+ */
+export const pattern = {
+    id: 'spiral',
+    label: 'Spiral',
+    generate: generateSpiralPattern,
+    params: {
+        spiralArms: {
+            type: 'integer', label: 'Spiral Arms', min: 1, max: 12, step: 1, default: 1,
+            description: 'Number of copies of the spiral, rotated evenly around the centre.'
+        },
+        spiralTurns: {
+            type: 'number', label: 'Spiral Turns', min: 0.5, max: 20, step: 0.5, default: 4,
+            description: 'How many full turns each arm makes (Fermat spirals draw this many on each branch).'
+        },
+        spiralShapes: {
+            type: 'enum', label: 'Shapes Along Arms', default: 'circle',
+            options: [
+                { value: 'none', label: 'None (Curve Only)' },
+                { value: 'circle', label: 'Circles' },
+                { value: 'square', label: 'Squares' },
+                { value: 'triangle', label: 'Triangles' },
+                { value: 'mixed', label: 'Mixed' },
+            ],
+            description: 'Shapes spaced evenly along each arm, growing towards the outside; their count follows Complexity and Density.'
+        },
+        ...CURVE_PARAMS,
+    },
+};
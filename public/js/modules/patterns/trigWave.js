@@ -2,7 +2,11 @@
 
 // ----- MODULE IMPORTS -----
 // Import necessary utilities
-import { createSVGElement, random, randomChoice, pointsToPathString } from '../utils.js'; // Added pointsToPathString
+import { createSVGElement, pointsToPathString } from '../utils.js'; // Added pointsToPathString
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Smoothing parameters shared with other point-based patterns
+import { CURVE_PARAMS } from './sharedParams.js';
 // Import state if needed
 // import { state } from '../state.js';
 // Import color utilities if needed
@@ -11,7 +15,7 @@ import { createSVGElement, random, randomChoice, pointsToPathString } from '../u
 /**
  * Generates patterns based on trigonometric wave functions (sin, cos, tan).
  * Uses the 'curveSmoothing' option to draw straight or smoothed lines.
- * @param {SVGElement} parent - The parent SVG group element (<g>).
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
  * @param {object} options - Generation options, including curveSmoothing.
  * @param {string[]} palette - Color palette.
  * @returns {object} Generation results.
@@ -21,7 +25,8 @@ export function generateTrigPattern(parent, options, palette) {
      const {
          viewportWidth: width, viewportHeight: height, complexity, density,
          repetition, scale, strokeWeight, opacity, strokeColor,
-         curveSmoothing, splineTension // Get smoothing options
+         curveSmoothing, splineTension, // Get smoothing options
+         rng // Seeded random generator
         } = options;
      let elementCount = 0;
 
@@ -30,7 +35,7 @@ export function generateTrigPattern(parent, options, palette) {
      // Number of points per wave based on density
      const pointsPerWave = Math.max(20, Math.floor(100 * (density / 100)) + 10);
 
-     console.log(`Generating ${numWaves} trig waves (Smoothing: ${curveSmoothing})...`);
+     renderLog.log(`Generating ${numWaves} trig waves (Smoothing: ${curveSmoothing})...`);
 
     // Generate each wave
     for (let i = 0; i < numWaves; i++) {
@@ -38,11 +43,11 @@ export function generateTrigPattern(parent, options, palette) {
         const pathPoints = [];
 
         // Random parameters for variety
-        const amplitude = random(height * 0.05, height * 0.4) * scale;
-        const frequency = random(0.5, complexity / 2 + 0.5);
-        const phase = random(0, Math.PI * 2);
-        const yOffset = random(amplitude, height - amplitude);
-        const funcType = randomChoice(['sin', 'cos', 'tan']);
+        const amplitude = rng.random(height * 0.05, height * 0.4) * scale;
+        const frequency = rng.random(0.5, complexity / 2 + 0.5);
+        const phase = rng.random(0, Math.PI * 2);
+        const yOffset = rng.random(amplitude, height - amplitude);
+        const funcType = rng.randomChoice(['sin', 'cos', 'tan']);
 
         // Calculate points along the wave
         for (let j = 0; j <= pointsPerWave; j++) {
@@ -78,9 +83,9 @@ export function generateTrigPattern(parent, options, palette) {
              createSVGElement('path', {
                  d: d, // Use the generated path string
                  fill: 'none',
-                 stroke: randomChoice(palette) || strokeColor,
-                 'stroke-width': Math.max(0.5, strokeWeight * random(0.5, 1.5)),
-                 opacity: opacity * random(0.7, 1)
+                 stroke: rng.randomChoice(palette) || strokeColor,
+                 'stroke-width': Math.max(0.5, strokeWeight * rng.random(0.5, 1.5)),
+                 opacity: opacity * rng.random(0.7, 1)
              }, parent);
              elementCount++;
          }
@@ -88,3 +93,13 @@ export function generateTrigPattern(parent, options, palette) {
     // Return results
     return { elementCount, waves: numWaves, pointsPerWave: pointsPerWave, smoothing: curveSmoothing };
 }
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'trig',
+    label: 'Trig Waves (Sine/Cosine)',
+    generate: generateTrigPattern,
+    params: { ...CURVE_PARAMS },
+};
@@ -0,0 +1,437 @@
+// public/js/modules/patterns/voronoi.js
+
+// ----- MODULE IMPORTS -----
+// Import necessary utilities
+import { createSVGElement, goldenRatioPoint } from '../utils.js';
+// Log messages go to the render's logger (the console unless the caller passes another)
+import { renderLog } from '../renderLog.js';
+// Import color utilities for the per-cell fill
+import { getRandomFill } from '../colorUtils.js';
+
+// Candidates tried around each active point by the Poisson-disk sampler (Bridson's k)
+const POISSON_ATTEMPTS = 30;
+// Sites closer than this are merged; the triangulation cannot handle coincident points
+const MIN_SITE_DISTANCE = 1e-6;
+// Samples tried per requested point around captured points before giving up on the rest
+const CAPTURED_ATTEMPTS = 30;
+
+// ========================================================
+// Seed point placement
+// ========================================================
+
+/**
+ * Uniform random points in the drawing area.
+ * @param {number} count - Number of points.
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @param {object} rng - Seeded random generator.
+ * @returns {Array<{x: number, y: number}>} The points.
+ */
+function uniformPoints(count, width, height, rng) {
+    const points = [];
+    for (let i = 0; i < count; i++) points.push({ x: rng.random(0, width), y: rng.random(0, height) });
+    return points;
+}
+
+/**
+ * Poisson-disk points (Bridson's algorithm): random, but no two closer than a minimum distance,
+ * which is chosen so roughly `count` points fill the area.
+ * @param {number} count - Target number of points (an upper bound).
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @param {object} rng - Seeded random generator.
+ * @returns {Array<{x: number, y: number}>} The points.
+ */
+function poissonDiskPoints(count, width, height, rng) {
+    // Maximal Poisson-disk sets hold about 0.7 points per r², so aim a little under that
+    const radius = Math.sqrt((width * height * 0.7) / count);
+    const cellSize = radius / Math.SQRT2; // At most one point per background grid cell
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const grid = new Array(cols * rows).fill(-1);
+    const points = [];
+    const active = [];
+
+    const addPoint = (point) => {
+        points.push(point);
+        active.push(point);
+        grid[Math.floor(point.y / cellSize) * cols + Math.floor(point.x / cellSize)] = points.length - 1;
+    };
+    const isFree = (x, y) => {
+        const col = Math.floor(x / cellSize);
+        const row = Math.floor(y / cellSize);
+        for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+            for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+                const index = grid[r * cols + c];
+                if (index !== -1 && Math.hypot(points[index].x - x, points[index].y - y) < radius) return false;
+            }
+        }
+        return true;
+    };
+
+    addPoint({ x: rng.random(0, width), y: rng.random(0, height) });
+    while (active.length > 0 && points.length < count) {
+        const activeIndex = rng.randomInt(0, active.length - 1);
+        const origin = active[activeIndex];
+        let placed = false;
+        for (let attempt = 0; attempt < POISSON_ATTEMPTS; attempt++) {
+            const angle = rng.random(0, Math.PI * 2);
+            const distance = rng.random(radius, radius * 2);
+            const x = origin.x + Math.cos(angle) * distance;
+            const y = origin.y + Math.sin(angle) * distance;
+            if (x < 0 || x >= width || y < 0 || y >= height || !isFree(x, y)) continue;
+            addPoint({ x, y });
+            placed = true;
+            break;
+        }
+        // Nothing fits around this point any more
+        if (!placed) active.splice(activeIndex, 1);
+    }
+    return points;
+}
+
+/**
+ * Fibonacci phyllotaxis (sunflower) points centred in the area, via goldenRatioPoint().
+ * The spiral is sized to reach the corners; points falling outside the area are dropped.
+ * @param {number} count - Number of points on the whole spiral.
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @param {number} scale - Overall scale option (below 1 leaves the corners empty).
+ * @returns {Array<{x: number, y: number}>} The points.
+ */
+function phyllotaxisPoints(count, width, height, scale) {
+    const radius = Math.hypot(width, height) / 2 * scale;
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const p = goldenRatioPoint(i, count, radius);
+        const x = width / 2 + p.x;
+        const y = height / 2 + p.y;
+        if (x >= 0 && x <= width && y >= 0 && y <= height) points.push({ x, y });
+    }
+    return points;
+}
+
+/**
+ * Points clustered around the captured X/Y and V points, which are seed points themselves.
+ * The rest fall off with distance from the captured points, so cells are small near them.
+ * @param {number} count - Number of points.
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @param {object} options - Generation options (capturedX, capturedY, capturedV).
+ * @param {object} rng - Seeded random generator.
+ * @returns {Array<{x: number, y: number}>} The points, or an empty array if nothing was captured.
+ */
+function capturedPoints(count, width, height, options, rng) {
+    const { capturedX = null, capturedY = null, capturedV = null } = options;
+    const anchors = [];
+    if (capturedX !== null && capturedY !== null) anchors.push({ x: capturedX, y: capturedY });
+    if (capturedV && capturedV.x !== null && capturedV.x !== undefined && capturedV.y !== null && capturedV.y !== undefined) {
+        anchors.push({ x: capturedV.x, y: capturedV.y });
+    }
+    if (anchors.length === 0) return [];
+
+    // Captured points may lie outside the area (e.g. after the viewport shrank): use the nearest edge point
+    const clamped = anchors.map(({ x, y }) => ({ x: Math.min(width, Math.max(0, x)), y: Math.min(height, Math.max(0, y)) }));
+    const points = [...clamped];
+    const reach = Math.hypot(width, height) / 2;
+    const maxAttempts = count * CAPTURED_ATTEMPTS;
+    for (let attempt = 0; points.length < count && attempt < maxAttempts; attempt++) {
+        const anchor = rng.randomChoice(clamped);
+        const angle = rng.random(0, Math.PI * 2);
+        const distance = reach * rng.next() ** 2; // Squared: denser near the anchor
+        const x = anchor.x + Math.cos(angle) * distance;
+        const y = anchor.y + Math.sin(angle) * distance;
+        if (x >= 0 && x <= width && y >= 0 && y <= height) points.push({ x, y });
+    }
+    if (points.length < count) renderLog.warn(`Voronoi: placed ${points.length} of ${count} points around the captured points.`);
+    return points;
+}
+
+// ========================================================
+// Delaunay triangulation / Voronoi cells
+// ========================================================
+
+/**
+ * Delaunay triangulation by the Bowyer-Watson algorithm.
+ * @param {Array<{x: number, y: number}>} points - Distinct points.
+ * @returns {{triangles: Array<[number, number, number]>, neighbors: Array<Set<number>>}}
+ *   Triangles as indices into `points`, and each point's Delaunay neighbours.
+ */
+function triangulate(points) {
+    const n = points.length;
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs), maxX = Math.max(...xs);
+    const minY = Math.min(...ys), maxY = Math.max(...ys);
+    const span = Math.max(maxX - minX, maxY - minY, 1) * 1000;
+    const midX = (minX + maxX) / 2;
+    const midY = (minY + maxY) / 2;
+    // A super-triangle far larger than the points, removed at the end (vertices n, n+1, n+2)
+    const vertices = [...points, { x: midX - span, y: midY - span }, { x: midX, y: midY + span }, { x: midX + span, y: midY - span }];
+
+    const makeTriangle = (a, b, c) => {
+        const A = vertices[a], B = vertices[b], C = vertices[c];
+        const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+        const a2 = A.x * A.x + A.y * A.y, b2 = B.x * B.x + B.y * B.y, c2 = C.x * C.x + C.y * C.y;
+        const x = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+        const y = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+        return { a, b, c, x, y, r2: (A.x - x) ** 2 + (A.y - y) ** 2 };
+    };
+
+    let triangles = [makeTriangle(n, n + 1, n + 2)];
+    for (let i = 0; i < n; i++) {
+        const { x, y } = points[i];
+        const keep = [];
+        const edgeCounts = new Map(); // 'low,high' -> [low, high, count] for edges of removed triangles
+        for (const t of triangles) {
+            if ((x - t.x) ** 2 + (y - t.y) ** 2 < t.r2) {
+                for (const [p, q] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+                    const key = p < q ? `${p},${q}` : `${q},${p}`;
+                    const entry = edgeCounts.get(key);
+                    if (entry) entry[2]++;
+                    else edgeCounts.set(key, [p, q, 1]);
+                }
+            } else {
+                keep.push(t);
+            }
+        }
+        // The hole's boundary is the edges that belonged to only one removed triangle
+        for (const [p, q, count] of edgeCounts.values()) {
+            if (count === 1) keep.push(makeTriangle(p, q, i));
+        }
+        triangles = keep;
+    }
+
+    const neighbors = points.map(() => new Set());
+    const result = [];
+    for (const { a, b, c } of triangles) {
+        // Edges to the super-triangle are dropped, but real edges of those triangles still count
+        // as neighbours: extra neighbours only add redundant constraints to a Voronoi cell
+        for (const [p, q] of [[a, b], [b, c], [c, a]]) {
+            if (p < n && q < n) { neighbors[p].add(q); neighbors[q].add(p); }
+        }
+        if (a < n && b < n && c < n) result.push([a, b, c]);
+    }
+    return { triangles: result, neighbors };
+}
+
+/**
+ * Clips a convex polygon to the half-plane of points closer to `site` than to `other`
+ * (one step of Sutherland-Hodgman).
+ * @param {Array<{x: number, y: number}>} polygon - Convex polygon.
+ * @param {{x: number, y: number}} site - The cell's site.
+ * @param {{x: number, y: number}} other - A neighbouring site.
+ * @returns {Array<{x: number, y: number}>} The clipped polygon (may be empty).
+ */
+function clipToBisector(polygon, site, other) {
+    const nx = other.x - site.x;
+    const ny = other.y - site.y;
+    const offset = (nx * (site.x + other.x) + ny * (site.y + other.y)) / 2;
+    const side = (p) => nx * p.x + ny * p.y - offset; // <= 0 is on the site's side
+    const clipped = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const sc = side(current);
+        const sn = side(next);
+        if (sc <= 0) clipped.push(current);
+        if ((sc <= 0) !== (sn <= 0)) {
+            const t = sc / (sc - sn);
+            clipped.push({ x: current.x + (next.x - current.x) * t, y: current.y + (next.y - current.y) * t });
+        }
+    }
+    return clipped;
+}
+
+/**
+ * Voronoi cells of the points, clipped to the drawing area.
+ * @param {Array<{x: number, y: number}>} points - The sites.
+ * @param {Array<Set<number>>} neighbors - Delaunay neighbours from triangulate().
+ * @param {number} width - Area width.
+ * @param {number} height - Area height.
+ * @returns {Array<Array<{x: number, y: number}>>} One convex polygon per site (same order).
+ */
+function voronoiCells(points, neighbors, width, height) {
+    return points.map((site, i) => {
+        let cell = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        for (const j of neighbors[i]) {
+            cell = clipToBisector(cell, site, points[j]);
+            if (cell.length === 0) break;
+        }
+        return cell;
+    });
+}
+
+/**
+ * Area centroid of a simple polygon.
+ * @param {Array<{x: number, y: number}>} polygon - The polygon.
+ * @returns {{x: number, y: number} | null} The centroid, or null for a degenerate polygon.
+ */
+function polygonCentroid(polygon) {
+    let area = 0, cx = 0, cy = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i];
+        const q = polygon[(i + 1) % polygon.length];
+        const cross = p.x * q.y - q.x * p.y;
+        area += cross;
+        cx += (p.x + q.x) * cross;
+        cy += (p.y + q.y) * cross;
+    }
+    if (Math.abs(area) < 1e-9) return null;
+    return { x: cx / (3 * area), y: cy / (3 * area) };
+}
+
+/**
+ * Removes points that coincide with an earlier one.
+ * @param {Array<{x: number, y: number}>} points - The points.
+ * @returns {Array<{x: number, y: number}>} The distinct points, in order.
+ */
+function distinctPoints(points) {
+    const seen = new Set();
+    return points.filter(({ x, y }) => {
+        const key = `${Math.round(x / MIN_SITE_DISTANCE)},${Math.round(y / MIN_SITE_DISTANCE)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * @param {Array<{x: number, y: number}>} polygon - Polygon vertices.
+ * @returns {string} The SVG `points` attribute.
+ */
+function polygonPointsAttribute(polygon) {
+    return polygon.map(p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`).join(' ');
+}
+
+/**
+ * Generates a Voronoi tessellation and/or Delaunay triangulation of scattered seed points.
+ * Points are placed uniformly, by Poisson-disk sampling, on a phyllotaxis spiral or around
+ * the captured X/Y and V points, then optionally moved to their cell centroids by Lloyd
+ * relaxation, which evens out the cell sizes. Each cell gets a fill from getRandomFill.
+ * @param {SceneNode} parent - The parent SVG group element (<g>).
+ * @param {object} options - Generation options, including the voronoi params.
+ * @param {string[]} palette - Color palette.
+ * @returns {object} Generation results.
+ */
+export function generateVoronoiPattern(parent, options, palette) {
+    // Destructure options
+    const {
+        viewportWidth: width, viewportHeight: height, scale, strokeWeight, opacity, strokeColor,
+        voronoiDraw, voronoiPoints, voronoiSites, voronoiRelaxation,
+        rng // Seeded random generator
+    } = options;
+    let elementCount = 0;
+    const count = Math.max(3, Math.floor(voronoiSites) || 3);
+
+    // 1. Seed points
+    let placement = voronoiPoints;
+    let points;
+    switch (placement) {
+        case 'poisson':
+            points = poissonDiskPoints(count, width, height, rng);
+            break;
+        case 'phyllotaxis':
+            points = phyllotaxisPoints(count, width, height, scale);
+            break;
+        case 'captured':
+            points = capturedPoints(count, width, height, options, rng);
+            if (points.length === 0) {
+                renderLog.warn("Voronoi: no captured X/Y or V point; using uniform points.");
+                placement = 'uniform';
+                points = uniformPoints(count, width, height, rng);
+            }
+            break;
+        case 'uniform':
+        default:
+            points = uniformPoints(count, width, height, rng);
+    }
+    points = distinctPoints(points);
+    if (points.length < 2) {
+        renderLog.warn("Voronoi: fewer than two distinct seed points; nothing to draw.");
+        return { elementCount, pattern: 'Voronoi', sites: points.length, placement };
+    }
+
+    renderLog.log(`Generating Voronoi/Delaunay (${voronoiDraw}): ${points.length} ${placement} sites, ${voronoiRelaxation} Lloyd iteration(s)...`);
+
+    // 2. Lloyd relaxation: move every site to the centroid of its cell and repeat
+    let { triangles, neighbors } = triangulate(points);
+    for (let iteration = 0; iteration < voronoiRelaxation; iteration++) {
+        const cells = voronoiCells(points, neighbors, width, height);
+        points = distinctPoints(points.map((site, i) => polygonCentroid(cells[i]) || site));
+        ({ triangles, neighbors } = triangulate(points));
+    }
+
+    // 3. Draw: filled cells, then the triangulation (filled when drawn alone, outlined on top of cells)
+    if (voronoiDraw !== 'delaunay') {
+        const cellGroup = createSVGElement('g', { class: 'voronoi-cells' }, parent);
+        for (const cell of voronoiCells(points, neighbors, width, height)) {
+            if (cell.length < 3) continue;
+            createSVGElement('polygon', {
+                points: polygonPointsAttribute(cell),
+                fill: getRandomFill(palette, options),
+                stroke: strokeColor,
+                'stroke-width': strokeWeight,
+                'stroke-linejoin': 'round',
+                opacity
+            }, cellGroup);
+            elementCount++;
+        }
+    }
+    if (voronoiDraw !== 'voronoi') {
+        const overCells = voronoiDraw === 'both';
+        const triangleGroup = createSVGElement('g', { class: 'delaunay-triangles' }, parent);
+        for (const [a, b, c] of triangles) {
+            createSVGElement('polygon', {
+                points: polygonPointsAttribute([points[a], points[b], points[c]]),
+                fill: overCells ? 'none' : getRandomFill(palette, options),
+                stroke: overCells ? (rng.randomChoice(palette) || strokeColor) : strokeColor,
+                'stroke-width': overCells ? Math.max(0.25, strokeWeight * 0.5) : strokeWeight,
+                'stroke-linejoin': 'round',
+                opacity
+            }, triangleGroup);
+            elementCount++;
+        }
+    }
+
+    // Return results
+    return { elementCount, pattern: 'Voronoi', draw: voronoiDraw, sites: points.length, placement, relaxation: voronoiRelaxation, triangles: triangles.length };
+}
+
+/**
+ * Registry entry (see registry.js).
+ */
+export const pattern = {
+    id: 'voronoi',
+    label: 'Voronoi / Delaunay',
+    generate: generateVoronoiPattern,
+    params: {
+        voronoiDraw: {
+            type: 'enum', label: 'Draw', default: 'voronoi',
+            options: [
+                { value: 'voronoi', label: 'Voronoi Cells' },
+                { value: 'delaunay', label: 'Delaunay Triangles' },
+                { value: 'both', label: 'Cells + Triangle Mesh' },
+            ],
+            description: 'Voronoi cells (the area nearest each point), the Delaunay triangulation joining the points, or the mesh over the cells.'
+        },
+        voronoiPoints: {
+            type: 'enum', label: 'Point Placement', default: 'uniform',
+            options: [
+                { value: 'uniform', label: 'Uniform Random' },
+                { value: 'poisson', label: 'Poisson Disk (Even Spacing)' },
+                { value: 'phyllotaxis', label: 'Fibonacci Phyllotaxis' },
+                { value: 'captured', label: 'Around Captured X/Y/V Points' },
+            ],
+            description: 'How the seed points are scattered. Captured placement clusters them around the captured points.'
+        },
+        voronoiSites: {
+            type: 'integer', label: 'Seed Points', min: 3, max: 1500, step: 1, default: 80,
+            description: 'Number of seed points (cells). Poisson-disk placement may fit fewer.'
+        },
+        voronoiRelaxation: {
+            type: 'integer', label: 'Lloyd Relaxation', min: 0, max: 20, step: 1, default: 0,
+            description: 'Times each point is moved to the centre of its cell; evens out the cell sizes.'
+        },
+    },
+};
@@ -0,0 +1,169 @@
+// public/js/modules/quantize.js
+
+// Colour quantization: reduces an image's pixels to a small palette.
+// Pure functions with no DOM access; imagePalette.js decodes the image and passes the RGBA pixels in.
+
+// ----- MODULE IMPORTS -----
+import { rgbToHex, rgbToOklab, oklabToRgb } from './colorMath.js';
+import { createSeededRandom } from './utils.js';
+
+/**
+ * Quantization methods accepted by extractPalette().
+ */
+export const QUANTIZE_METHODS = ['kmeans', 'median_cut'];
+
+// Pixels with alpha below this are background/transparent and ignored
+const MIN_ALPHA = 128;
+// Upper bound on pixels fed to the clustering; larger inputs are sampled evenly
+const MAX_SAMPLES = 20000;
+const KMEANS_ITERATIONS = 24;
+
+/**
+ * Collects the opaque pixels of an RGBA buffer, sampling evenly if there are too many.
+ * @param {Uint8ClampedArray|number[]} data - RGBA bytes (ImageData.data layout).
+ * @returns {Array<[number, number, number]>} RGB triplets.
+ */
+function collectPixels(data) {
+    const pixelCount = Math.floor(data.length / 4);
+    const step = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+    const pixels = [];
+    for (let i = 0; i < pixelCount; i += step) {
+        const o = i * 4;
+        if (data[o + 3] < MIN_ALPHA) continue;
+        pixels.push([data[o], data[o + 1], data[o + 2]]);
+    }
+    return pixels;
+}
+
+/**
+ * k-means clustering in OKLab (so clusters follow perceived colour, not raw RGB distance).
+ * Starts from k-means++ seeds drawn from a fixed-seed generator, so the same image always
+ * gives the same palette.
+ * @param {Array<[number, number, number]>} pixels - RGB triplets.
+ * @param {number} count - Number of clusters.
+ * @returns {Array<{rgb: object, size: number}>} Cluster centres (as RGB) and their pixel counts.
+ */
+function kmeans(pixels, count) {
+    const rng = createSeededRandom(1);
+    const points = pixels.map(([r, g, b]) => {
+        const lab = rgbToOklab({ r, g, b });
+        return [lab.l, lab.a, lab.b];
+    });
+    const distance = (p, q) => (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2;
+
+    // --- k-means++ initialisation: spread the starting centres out ---
+    const centres = [points[Math.floor(rng.next() * points.length)]];
+    const nearest = points.map(p => distance(p, centres[0]));
+    while (centres.length < count) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        if (total === 0) break; // Fewer distinct colours than requested
+        let target = rng.next() * total;
+        let index = 0;
+        while (index < points.length - 1 && target > nearest[index]) target -= nearest[index++];
+        centres.push(points[index]);
+        points.forEach((p, i) => { nearest[i] = Math.min(nearest[i], distance(p, points[index])); });
+    }
+
+    // --- Lloyd iterations ---
+    const assignment = new Array(points.length).fill(-1);
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+        points.forEach((p, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centres.forEach((c, k) => {
+                const d = distance(p, c);
+                if (d < bestDistance) { bestDistance = d; best = k; }
+            });
+            if (assignment[i] !== best) { assignment[i] = best; changed = true; }
+        });
+        if (!changed) break;
+
+        const sums = centres.map(() => [0, 0, 0, 0]);
+        points.forEach((p, i) => {
+            const s = sums[assignment[i]];
+            s[0] += p[0]; s[1] += p[1]; s[2] += p[2]; s[3]++;
+        });
+        sums.forEach((s, k) => {
+            if (s[3] > 0) centres[k] = [s[0] / s[3], s[1] / s[3], s[2] / s[3]];
+        });
+    }
+
+    const sizes = centres.map(() => 0);
+    assignment.forEach(k => { sizes[k]++; });
+    return centres.map(([l, a, b], k) => ({ rgb: oklabToRgb({ l, a, b }), size: sizes[k] }));
+}
+
+/**
+ * Median-cut quantization: repeatedly splits the box with the widest channel range at the
+ * median of that channel, then averages each box.
+ * @param {Array<[number, number, number]>} pixels - RGB triplets.
+ * @param {number} count - Number of boxes.
+ * @returns {Array<{rgb: object, size: number}>} Box averages and their pixel counts.
+ */
+function medianCut(pixels, count) {
+    const widestChannel = (box) => {
+        let best = { channel: 0, range: -1 };
+        for (let channel = 0; channel < 3; channel++) {
+            let min = 255, max = 0;
+            for (const p of box) {
+                if (p[channel] < min) min = p[channel];
+                if (p[channel] > max) max = p[channel];
+            }
+            if (max - min > best.range) best = { channel, range: max - min };
+        }
+        return best;
+    };
+
+    const boxes = [pixels];
+    while (boxes.length < count) {
+        // Split the box whose widest channel spans the most; stop once every box is a single colour
+        let target = -1;
+        let targetInfo = null;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            const info = widestChannel(box);
+            if (info.range > 0 && (!targetInfo || info.range > targetInfo.range)) { target = i; targetInfo = info; }
+        });
+        if (target === -1) break;
+
+        const sorted = [...boxes[target]].sort((p, q) => p[targetInfo.channel] - q[targetInfo.channel]);
+        const middle = Math.floor(sorted.length / 2);
+        boxes.splice(target, 1, sorted.slice(0, middle), sorted.slice(middle));
+    }
+
+    return boxes.map(box => {
+        const sum = box.reduce((s, p) => [s[0] + p[0], s[1] + p[1], s[2] + p[2]], [0, 0, 0]);
+        return { rgb: { r: sum[0] / box.length, g: sum[1] / box.length, b: sum[2] / box.length }, size: box.length };
+    });
+}
+
+/**
+ * Extracts a palette from RGBA pixel data.
+ * @param {Uint8ClampedArray|number[]} data - RGBA bytes, e.g. ImageData.data.
+ * @param {object} [settings]
+ * @param {number} [settings.count=6] - Number of colours (3-12).
+ * @param {string} [settings.method='kmeans'] - 'kmeans' or 'median_cut'.
+ * @returns {Array<{hex: string, weight: number}>} Colours ordered by how much of the image they
+ *   cover (weight 0-1). May be shorter than `count` for images with few distinct colours.
+ * @throws {Error} If the method is unknown or the image has no opaque pixels.
+ */
+export function extractPalette(data, { count = 6, method = 'kmeans' } = {}) {
+    if (!QUANTIZE_METHODS.includes(method)) throw new Error(`Unknown quantization method "${method}".`);
+    const pixels = collectPixels(data);
+    if (pixels.length === 0) throw new Error('The image has no opaque pixels.');
+
+    const k = Math.min(12, Math.max(3, Math.round(count)));
+    const clusters = method === 'median_cut' ? medianCut(pixels, k) : kmeans(pixels, k);
+
+    // Merge clusters that round to the same hex value, then order by coverage
+    const byHex = new Map();
+    for (const { rgb, size } of clusters) {
+        if (size === 0) continue;
+        const hex = rgbToHex(rgb);
+        byHex.set(hex, (byHex.get(hex) || 0) + size);
+    }
+    return [...byHex.entries()]
+        .map(([hex, size]) => ({ hex, weight: size / pixels.length }))
+        .sort((a, b) => b.weight - a.weight);
+}
@@ -0,0 +1,395 @@
+// public/js/modules/render.js
+
+// ----- HEADLESS RENDERING CORE -----
+// Builds a complete SVG scene from a plain options object without touching the DOM,
+// `state` or `dom`. generateSVG() (generator.js) mounts the result into the page;
+// Node code (server/lib/renderer.js, build scripts) serializes it with renderSVG().
+
+// ----- MODULE IMPORTS -----
+import { resolvePalette } from './colorUtils.js';
+import { arrangePalette } from './paletteOps.js';
+import { createSVGElement, simpleStringHash, createSeededRandom, createIdGenerator, SVG_NS } from './utils.js';
+import { serializeScene, attachBudget } from './scene.js';
+// Where the core's progress messages and warnings go (the console unless context.logger is given)
+import { renderLog, withRenderLogger } from './renderLog.js';
+
+// ----- PATTERN REGISTRY -----
+// Pattern generators and their parameter schemas (one self-describing module per pattern)
+import { getPattern, getPatternTypes, getPatternParamSchemas, getPatternParamDefaults } from './patterns/registry.js';
+
+export { getPatternTypes, getPatternParamSchemas };
+// Values of the math sidebar's Spiral Type control (validated by the server against this list)
+export { SPIRAL_TYPES } from './patterns/spiral.js';
+// Logger that drops the core's messages (server and CLI renders)
+export { SILENT_LOGGER } from './renderLog.js';
+
+// Used when an options object names a pattern that is not registered
+const FALLBACK_PATTERN_TYPE = 'random';
+
+/**
+ * Options a layer in the `layers` stack may set for itself (plus every pattern parameter).
+ * Anything a layer leaves out comes from the top-level options.
+ */
+const LAYER_BASE_KEYS = [
+    'patternType', 'colorCategory', 'colorPalette', 'fillType', 'offsetX', 'offsetY',
+    'complexity', 'density', 'repetition', 'strokeWeight', 'opacity', 'scale',
+];
+
+/**
+ * Most layers a stack may hold (same as the Layer Count control).
+ */
+export const MAX_LAYERS = 25;
+
+/**
+ * CSS mix-blend-mode values a stack layer can use ('normal' adds no attribute).
+ */
+export const BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity',
+];
+
+/**
+ * How a stack layer's group is shown, as opposed to what is drawn in it. Set per layer, not
+ * inherited from the top-level options:
+ *   visible (default true; hidden layers are kept in the SVG with display="none"),
+ *   blendMode (one of BLEND_MODES), layerOpacity (0-1, on the whole group),
+ *   seed (pins the layer's shapes; regenerate a single layer by giving it a new seed).
+ */
+export const LAYER_DISPLAY_DEFAULTS = { visible: true, blendMode: 'normal', layerOpacity: 1 };
+
+/**
+ * Defaults for every generation option, matching the initial values of the controls in index.html.
+ * Pattern parameters (lineSpacing, roseNParam, ...) come from the schema defaults in the registry.
+ * Headless callers only need to pass the options they want to change.
+ */
+export const DEFAULT_RENDER_OPTIONS = {
+    patternType: 'lines',
+    complexity: 5,
+    density: 70,
+    strokeWeight: 1,
+    opacity: 0.9,
+    scale: 1,
+    layerCount: 1,
+    repetition: 1,
+    fillType: 'solid',
+    colorCategory: 'random_category',
+    colorPalette: 'random_palette',
+    customPalette: [], // Hex colours used when colorCategory is 'custom' (harmony generator)
+    paletteSort: 'none',
+    paletteSize: 0, // 0 = use the palette as resolved; otherwise expand/resample to this many colours
+    colorInterpolation: 'srgb', // Palette expansion and gradient stops; 'srgb' matches designs saved before the option existed
+    bgColor: '#FFFFFF',
+    strokeColor: '#264651',
+    useCursor: false,
+    useTime: false,
+    animation: false,
+    animationType: 'pulse',
+    viewportWidth: 800,
+    viewportHeight: 600,
+    capturedX: null,
+    capturedY: null,
+    capturedV: { x: null, y: null },
+    curveSteps: 0,
+    offsetX: 0,
+    offsetY: 0,
+    globalAngle: 0,
+    seedOverride: '',
+    idPrefix: 'jenvek',
+    lissajousA: 3,
+    lissajousB: 2,
+    lissajousDelta: 0, // Radians
+    spiralType: 'archimedean',
+    spiralA: 0,
+    spiralB: 0.1,
+    // Layer stack: [{ id, patternType, colorCategory, fillType, offsetX, ...params, visible, blendMode, layerOpacity, seed }, ...], bottom first.
+    // Empty means `layerCount` copies of patternType (each fainter than the last).
+    layers: [],
+    ...getPatternParamDefaults(),
+};
+
+/**
+ * Values for options added after a design may have been saved. Restoring an older design file
+ * (restore.js, jenvek --from) fills its missing keys from these instead of the current defaults,
+ * so it regenerates exactly as it was saved.
+ */
+export const LEGACY_OPTION_DEFAULTS = {
+    paletteSort: 'none',
+    paletteSize: 0,
+    colorInterpolation: 'srgb',
+    lissajousMode: 'random', // Lissajous picked random frequencies per curve before it followed the controls
+    layers: [], // Designs without a stack use Layer Count
+};
+
+/**
+ * Thrown by renderScene() when a render grows past `context.maxElements` elements or
+ * `context.maxBytes` characters of markup.
+ */
+export class RenderLimitError extends Error {
+    /**
+     * @param {number} limit - The budget that was exceeded.
+     * @param {number} count - Elements (or characters) in the scene when rendering stopped.
+     * @param {'elements' | 'bytes'} [kind='elements'] - Which budget was exceeded.
+     */
+    constructor(limit, count, kind = 'elements') {
+        super(kind === 'bytes'
+            ? `Render exceeded the size limit (${count} > ${limit} characters of markup).`
+            : `Render exceeded the element limit (${count} > ${limit}).`);
+        this.name = 'RenderLimitError';
+        this.limit = limit;
+        this.count = count;
+        this.kind = kind;
+    }
+}
+
+/**
+ * Creates the budget a render's scene tree charges as patterns build it (see attachBudget in
+ * scene.js). It throws as soon as a limit is passed, in the middle of a pattern, so neither a
+ * pattern drawing many elements nor one merging its output into a few huge paths gets far past it.
+ * @param {number} [maxElements] - Most elements in the scene; no limit when not set.
+ * @param {number} [maxBytes] - Most attribute characters in the scene; no limit when not set.
+ * @returns {{addNode: function(): void, addBytes: function(number): void}} The budget.
+ */
+function createRenderBudget(maxElements, maxBytes) {
+    let nodes = 0;
+    let bytes = 0;
+    return {
+        addNode() {
+            nodes++;
+            if (maxElements && nodes > maxElements) throw new RenderLimitError(maxElements, nodes);
+        },
+        addBytes(size) {
+            bytes += size;
+            if (maxBytes && bytes > maxBytes) throw new RenderLimitError(maxBytes, bytes, 'bytes');
+        },
+    };
+}
+
+/**
+ * @returns {string[]} The option keys a layer in the stack may set for itself.
+ */
+export function getLayerOptionKeys() {
+    return [...LAYER_BASE_KEYS, ...Object.keys(getPatternParamSchemas())];
+}
+
+/**
+ * Fills in defaults for missing options. Undefined values fall back to the default;
+ * everything else (including null captured coordinates) is kept as given.
+ * @param {object} [options={}] - Partial generation options.
+ * @returns {object} A complete options object (a new object; the input is not modified).
+ */
+export function normalizeRenderOptions(options = {}) {
+    const normalized = { ...DEFAULT_RENDER_OPTIONS };
+    for (const [key, value] of Object.entries(options || {})) {
+        if (value !== undefined) normalized[key] = value;
+    }
+    normalized.seedOverride = normalized.seedOverride === null ? '' : String(normalized.seedOverride).trim();
+    normalized.capturedV = normalized.capturedV || { x: null, y: null };
+    // A category on its own means "the whole category", like picking it in the dropdown
+    if (options && options.colorCategory && options.colorPalette === undefined) {
+        normalized.colorPalette = options.colorCategory === 'random_category' ? 'random_palette' : options.colorCategory;
+    }
+    return normalized;
+}
+
+/**
+ * Resolves the numeric seed for a render.
+ * A seed override is used verbatim when numeric, otherwise hashed; without an override
+ * the caller-supplied fallback (the browser's time/cursor seed) or the clock is used.
+ * @param {object} options - Generation options.
+ * @param {number} [fallbackSeed] - Seed to use when there is no override.
+ * @returns {number} The seed to feed into createSeededRandom().
+ */
+export function resolveSeed(options, fallbackSeed) {
+    if (options.seedOverride) {
+        const numSeed = parseFloat(options.seedOverride);
+        // Use simpleStringHash only if parseFloat results in NaN
+        const seed = !isNaN(numSeed) ? numSeed : simpleStringHash(options.seedOverride);
+        renderLog.log(`Using seed override: ${options.seedOverride} -> ${seed}`);
+        return seed;
+    }
+    return (typeof fallbackSeed === 'number' && isFinite(fallbackSeed)) ? fallbackSeed : Date.now();
+}
+
+/**
+ * Seed for one layer of the stack: the render seed (or the layer's own seed) mixed with the
+ * layer's id, so a layer draws the same shapes wherever it sits in the stack and whatever
+ * the other layers do.
+ * @param {number} seed - The render seed, or the layer's own `seed`.
+ * @param {string} layerId - Stable layer id (its index when the layer has none).
+ * @returns {number} A seed for createSeededRandom().
+ */
+function deriveLayerSeed(seed, layerId) {
+    // Finalizer from MurmurHash3: neighbouring hashes would give correlated first draws otherwise
+    let h = simpleStringHash(`${seed}:${layerId}`);
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Merges one entry of the layer stack over the top-level options. A category on its own
+ * selects the whole category (as in normalizeRenderOptions); offsets are the layer's own
+ * (0 when not set), not multiples of the top-level offsets.
+ * @param {object} opts - Normalized top-level options.
+ * @param {object} layer - Layer settings.
+ * @returns {object} Options for this layer.
+ */
+function resolveLayerOptions(opts, layer) {
+    const layerOptions = { ...opts, offsetX: 0, offsetY: 0 };
+    for (const key of getLayerOptionKeys()) {
+        if (layer[key] !== undefined) layerOptions[key] = layer[key];
+    }
+    if (layer.colorCategory !== undefined && layer.colorPalette === undefined) {
+        layerOptions.colorPalette = layer.colorCategory === 'random_category' ? 'random_palette' : layer.colorCategory;
+    }
+    return layerOptions;
+}
+
+/**
+ * Group attributes for a stack layer's visibility, blend mode and opacity.
+ * @param {object} layer - Layer settings.
+ * @returns {object} Attributes to add to the layer's <g> (none for the defaults).
+ */
+function layerDisplayAttributes(layer) {
+    const { visible, blendMode, layerOpacity } = { ...LAYER_DISPLAY_DEFAULTS, ...layer };
+    const attributes = {};
+    if (visible === false) attributes.display = 'none';
+    if (blendMode !== 'normal' && BLEND_MODES.includes(blendMode)) attributes.style = `mix-blend-mode: ${blendMode}`;
+    if (Number.isFinite(layerOpacity) && layerOpacity < 1) attributes.opacity = Math.max(0, layerOpacity);
+    return attributes;
+}
+
+/**
+ * Body of renderScene(), run while the render's logger is active.
+ * @param {object} options - Generation options.
+ * @param {object} context - See renderScene().
+ * @returns {object} See renderScene().
+ */
+function buildScene(options, context) {
+    const opts = normalizeRenderOptions(options);
+
+    // --- Seeding Logic ---
+    // One seeded generator drives every random decision (palette subset, shapes, fills),
+    // so the same seed and options always produce the same SVG.
+    const seed = resolveSeed(opts, context.seed);
+    const rng = createSeededRandom(seed);
+    renderLog.log(`Using PRNG with initial seed value: ${rng.seed}`);
+    // Gradient/pattern IDs are derived from the prefix and seed instead of the clock
+    const ids = createIdGenerator(opts.idPrefix, rng.seed);
+
+    // Resolve the palette first (random palette modes draw from the seeded rng), then sort/expand it
+    const palette = arrangePalette(
+        resolvePalette(context.allColors, opts.colorCategory, opts.colorPalette, rng, opts.customPalette),
+        opts
+    );
+
+    // --- Scene Root ---
+    const { viewportWidth: width, viewportHeight: height } = opts;
+    const scene = createSVGElement('svg', { xmlns: SVG_NS, width, height, viewBox: `0 0 ${width} ${height}` });
+    if (context.maxElements || context.maxBytes) attachBudget(scene, createRenderBudget(context.maxElements, context.maxBytes));
+    const defs = createSVGElement('defs', {}, scene);
+
+    // --- Set Background ---
+    if (opts.bgColor && opts.bgColor.toUpperCase() !== '#FFFFFF') {
+        createSVGElement('rect', { x: 0, y: 0, width: '100%', height: '100%', fill: opts.bgColor }, scene);
+    }
+
+    // --- Generation Loop (Layers) ---
+    let totalElements = 0;
+    const combinedMathInfo = {};
+    const stack = Array.isArray(opts.layers) && opts.layers.length > 0 ? opts.layers.slice(0, MAX_LAYERS) : null;
+    const layerCount = stack ? stack.length : opts.layerCount;
+
+    for (let layer = 0; layer < layerCount; layer++) {
+        // Pass the full options object plus the seeded rng, def ID generator and <defs> node.
+        // These are kept out of the caller's options so saved JSON stays plain data.
+        let layerOptions, layerPalette = palette, translateX, translateY;
+        if (stack) {
+            const layerSeed = Number.isFinite(stack[layer].seed) ? stack[layer].seed : rng.seed;
+            const layerRng = createSeededRandom(deriveLayerSeed(layerSeed, stack[layer].id ?? String(layer)));
+            layerOptions = { ...resolveLayerOptions(opts, stack[layer]), rng: layerRng, ids, defs };
+            if (stack[layer].colorCategory !== undefined || stack[layer].colorPalette !== undefined) {
+                layerPalette = arrangePalette(
+                    resolvePalette(context.allColors, layerOptions.colorCategory, layerOptions.colorPalette, layerRng, opts.customPalette),
+                    opts
+                );
+            }
+            translateX = layerOptions.offsetX;
+            translateY = layerOptions.offsetY;
+        } else {
+            // Classic layers: copies of the same pattern, shifted by multiples of the offsets and fainter each time
+            layerOptions = { ...opts, rng, ids, defs };
+            translateX = layer * opts.offsetX;
+            translateY = layer * opts.offsetY;
+            if (layer > 0) {
+                layerOptions.complexity = Math.max(1, opts.complexity - layer * 1.5);
+                layerOptions.density = Math.max(1, opts.density - layer * 15);
+                layerOptions.strokeWeight = Math.max(0.1, opts.strokeWeight * (1 - layer * 0.25));
+                layerOptions.opacity = Math.max(0.1, opts.opacity * (1 - layer * 0.2));
+                layerOptions.scale = opts.scale * (1 - layer * 0.15);
+            }
+        }
+
+        const transform = `rotate(${opts.globalAngle}, ${width / 2}, ${height / 2}) translate(${translateX}, ${translateY})`;
+        const layerGroup = createSVGElement('g', { id: `layer-${layer}`, transform: transform, ...(stack ? layerDisplayAttributes(stack[layer]) : {}) }, scene);
+
+        let pattern = getPattern(layerOptions.patternType);
+        if (!pattern) {
+            renderLog.warn("Unknown pattern type selected:", layerOptions.patternType);
+            pattern = getPattern(FALLBACK_PATTERN_TYPE);
+        }
+        context.onProgress?.({ layer, layerCount, done: false });
+        const result = pattern.generate(layerGroup, layerOptions, layerPalette);
+        const layerElements = (result && typeof result === 'object' && result.elementCount) ? result.elementCount : 0;
+        context.onProgress?.({ layer, layerCount, done: true, elementCount: layerElements });
+
+        totalElements += layerElements;
+        combinedMathInfo[`Layer_${layer}`] = result
+            ? (stack ? { patternType: pattern.id, ...result } : result)
+            : { error: 'Pattern function returned invalid result' };
+    }
+
+    const mathInfo = {
+        generator: stack ? 'layer stack' : opts.patternType, layers: layerCount,
+        viewport: `${width}x${height}`,
+        totalElements: totalElements, details: combinedMathInfo,
+        seedUsed: opts.seedOverride || `Time/Cursor based (~${seed.toFixed(0)})`,
+        seed: rng.seed
+    };
+
+    return { scene, options: opts, palette, seed: rng.seed, mathInfo, totalElements };
+}
+
+/**
+ * Builds the SVG scene for the given options. This is the whole generation pipeline:
+ * seed -> palette -> background -> one <g> per layer filled by the selected pattern.
+ * With a `layers` stack each layer uses its own settings, palette and random stream.
+ * Throws if a pattern generator throws; callers decide how to report it.
+ * @param {object} options - Generation options (missing values use DEFAULT_RENDER_OPTIONS).
+ * @param {object} [context={}] - Environment inputs that are not generation options.
+ * @param {object} [context.allColors] - Color data keyed by category (server/data/colours.js).
+ * @param {number} [context.seed] - Seed used when options.seedOverride is empty.
+ * @param {number} [context.maxElements] - Optional element budget, checked as each element is added.
+ * @param {number} [context.maxBytes] - Optional budget for the attribute markup (path data and the
+ *   like), checked as each attribute is set. Exceeding either budget throws a RenderLimitError
+ *   while the pattern is still running, instead of returning a huge scene.
+ * @param {{log: Function, warn: Function}} [context.logger] - Receives the core's log messages and
+ *   warnings instead of the console (SILENT_LOGGER in renderLog.js drops them).
+ * @param {function(object): void} [context.onProgress] - Called as each layer starts and finishes with
+ *   { layer, layerCount, done, elementCount } (the render worker forwards these to the page).
+ * @returns {{scene: SceneNode, options: object, palette: string[], seed: number, mathInfo: object, totalElements: number}}
+ */
+export function renderScene(options, context = {}) {
+    return withRenderLogger(context.logger, () => buildScene(options, context));
+}
+
+/**
+ * Renders the given options to a standalone SVG document string. Runs in Node and Web Workers.
+ * @param {object} options - Generation options (missing values use DEFAULT_RENDER_OPTIONS).
+ * @param {object} [context={}] - See renderScene().
+ * @returns {{svg: string, options: object, palette: string[], seed: number, mathInfo: object, totalElements: number}}
+ */
+export function renderSVG(options, context = {}) {
+    const { scene, ...result } = renderScene(options, context);
+    return { svg: serializeScene(scene), ...result };
+}
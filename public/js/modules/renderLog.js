@@ -0,0 +1,38 @@
+// public/js/modules/renderLog.js
+
+// Log for the DOM-free render core: render.js, the pattern generators and the helpers they call.
+// Messages go to the console unless renderScene() is given a `context.logger`, so the server and
+// the CLI can render without printing every step while the browser keeps its console output.
+
+let activeLogger = console;
+
+/**
+ * Logger to use instead of the console in the core. Forwards to the logger of the render in
+ * progress (see withRenderLogger()).
+ */
+export const renderLog = {
+    log: (...args) => activeLogger.log(...args),
+    warn: (...args) => activeLogger.warn(...args),
+};
+
+/**
+ * A logger that drops everything.
+ */
+export const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * Runs a synchronous render step with `logger` receiving the core's messages, then restores
+ * the previous logger (also when fn throws).
+ * @param {{log: Function, warn: Function} | undefined} logger - Logger to use; the console when not given.
+ * @param {Function} fn - Synchronous function to run.
+ * @returns {any} fn's result.
+ */
+export function withRenderLogger(logger, fn) {
+    const previous = activeLogger;
+    activeLogger = logger || console;
+    try {
+        return fn();
+    } finally {
+        activeLogger = previous;
+    }
+}
@@ -0,0 +1,416 @@
+// public/js/modules/restore.js
+
+// ----- MODULE IMPORTS -----
+// Import shared state and DOM references
+import { state } from './state.js';
+import { dom } from './dom.js';
+// Palette dropdowns need rebuilding when the category changes
+import { updatePaletteDropdown, updatePalettePreview, ensureCustomCategoryOption } from './colorUtils.js';
+// Viewport and captured-coordinate displays
+import { updateUIFromState, handleViewportChange } from './ui.js';
+// Regenerate once everything is restored
+import { generateSVG } from './generator.js';
+// Location of the recipe embedded in exported SVGs
+import { DESIGN_METADATA_NS } from './download.js';
+// Pattern parameters are described by the registry rather than listed here
+import { getPattern, getPatternParamSchemas } from './patterns/registry.js';
+import { setPatternParams } from './patternControls.js';
+import { setLayerStack } from './layerStack.js';
+// Stack size limit, and the values that stand in for options older designs were saved without
+import { MAX_LAYERS, LEGACY_OPTION_DEFAULTS } from './render.js';
+
+// ----- OPTION ↔ CONTROL MAPPING -----
+
+/**
+ * Maps each saved option key to its cached DOM control and how to write it back.
+ * kind: 'value' (select/text), 'number' (numeric input/range), 'checked' (checkbox),
+ * 'delta' (Lissajous phase, saved in radians but selected as a fraction of π).
+ * Viewport, captured coordinates, the seed and pattern parameters (from the registry
+ * schemas) are restored separately.
+ */
+const OPTION_CONTROLS = [
+    ['patternType', 'patternType', 'value'],
+    ['layerCount', 'layerCount', 'number'],
+    ['complexity', 'complexity', 'number'],
+    ['density', 'density', 'number'],
+    ['repetition', 'repetition', 'number'],
+    ['curveSteps', 'curveSteps', 'number'],
+    ['strokeWeight', 'strokeWeight', 'number'],
+    ['scale', 'scale', 'number'],
+    ['offsetX', 'offsetX', 'number'],
+    ['offsetY', 'offsetY', 'number'],
+    ['globalAngle', 'globalAngle', 'number'],
+    ['idPrefix', 'idPrefix', 'value'],
+    ['useCursor', 'useCursor', 'checked'],
+    ['useTime', 'useTime', 'checked'],
+    ['paletteSort', 'paletteSort', 'value'],
+    ['paletteSize', 'paletteSize', 'number'],
+    ['colorInterpolation', 'colorInterpolation', 'value'],
+    ['bgColor', 'bgColor', 'value'],
+    ['strokeColor', 'strokeColor', 'value'],
+    ['fillType', 'fillType', 'value'],
+    ['opacity', 'opacity', 'number'],
+    ['animation', 'animation', 'checked'],
+    ['animationType', 'animationType', 'value'],
+    // Math controls (cache keys have no hyphens, see dom.js)
+    ['lissajousA', 'lissajousa', 'number'],
+    ['lissajousB', 'lissajousb', 'number'],
+    ['lissajousDelta', 'lissajousdelta', 'delta'],
+    ['spiralType', 'spiraltype', 'value'],
+    ['spiralA', 'spirala', 'number'],
+    ['spiralB', 'spiralb', 'number'],
+];
+
+const HEX_COLOR = /^#[0-9A-F]{6}$/i;
+
+// Layer settings other than pattern parameters, with their expected type
+const LAYER_SETTING_TYPES = {
+    id: 'string', patternType: 'string', colorCategory: 'string', colorPalette: 'string', fillType: 'string',
+    offsetX: 'number', offsetY: 'number', complexity: 'number', density: 'number', repetition: 'number',
+    strokeWeight: 'number', opacity: 'number', scale: 'number',
+    visible: 'boolean', blendMode: 'string', layerOpacity: 'number', seed: 'number',
+};
+
+// ----- VALIDATION -----
+
+/**
+ * Type-checks pattern parameter values against their registry schemas.
+ * @param {object} values - Options or layer settings.
+ * @param {string[]} errors - Error list (appended to).
+ * @param {string} [context=''] - Prefix for messages (e.g. "Layer 2: ").
+ */
+function checkPatternParamTypes(values, errors, context = '') {
+    for (const [key, schema] of Object.entries(getPatternParamSchemas())) {
+        if (!(key in values)) continue;
+        const value = values[key];
+        if ((schema.type === 'number' || schema.type === 'integer') && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors.push(`${context}"${key}" must be a number (got ${JSON.stringify(value)}).`);
+        } else if (schema.type === 'boolean' && typeof value !== 'boolean') {
+            errors.push(`${context}"${key}" must be true or false (got ${JSON.stringify(value)}).`);
+        } else if ((schema.type === 'enum' || schema.type === 'string') && typeof value !== 'string') {
+            errors.push(`${context}"${key}" must be a string (got ${JSON.stringify(value)}).`);
+        }
+    }
+}
+
+/**
+ * Checks a saved layer stack: a list of at most MAX_LAYERS objects whose settings have the right types.
+ * @param {any} layers - The saved `layers` value.
+ * @param {string[]} errors - Error list (appended to).
+ */
+function checkLayerStack(layers, errors) {
+    if (!Array.isArray(layers) || layers.length > MAX_LAYERS) {
+        errors.push(`"layers" must be a list of at most ${MAX_LAYERS} layers.`);
+        return;
+    }
+    layers.forEach((layer, index) => {
+        const context = `Layer ${index + 1}: `;
+        if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+            errors.push(`${context}must be an object of layer settings.`);
+            return;
+        }
+        for (const [key, type] of Object.entries(LAYER_SETTING_TYPES)) {
+            if (key in layer && (typeof layer[key] !== type || (type === 'number' && !Number.isFinite(layer[key])))) {
+                errors.push(`${context}"${key}" must be a ${type} (got ${JSON.stringify(layer[key])}).`);
+            }
+        }
+        checkPatternParamTypes(layer, errors, context);
+    });
+}
+
+/**
+ * Checks that parsed JSON looks like a file written by downloadJSON().
+ * Unknown keys are ignored; known keys must have the right type.
+ * @param {any} data - The parsed JSON content.
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}} The validation result.
+ */
+export function validateDesignData(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['File does not contain a JSON object.'], warnings };
+    }
+    const options = data.optionsUsed;
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return { valid: false, errors: ['Missing "optionsUsed" object - is this a jenVek JSON export?'], warnings };
+    }
+
+    for (const [key, , kind] of OPTION_CONTROLS) {
+        if (!(key in options)) {
+            if (!(key in LEGACY_OPTION_DEFAULTS)) warnings.push(`"${key}" not found, keeping the current value.`);
+            continue;
+        }
+        const value = options[key];
+        if ((kind === 'number' || kind === 'delta') && (typeof value !== 'number' || !Number.isFinite(value))) {
+            errors.push(`"${key}" must be a number (got ${JSON.stringify(value)}).`);
+        } else if (kind === 'checked' && typeof value !== 'boolean') {
+            errors.push(`"${key}" must be true or false (got ${JSON.stringify(value)}).`);
+        } else if (kind === 'value' && typeof value !== 'string') {
+            errors.push(`"${key}" must be a string (got ${JSON.stringify(value)}).`);
+        }
+    }
+
+    // Pattern parameters: type-checked against their schema (ranges are clamped on restore).
+    // Only parameters of the saved pattern are worth a warning when missing.
+    const savedPattern = getPattern(options.patternType);
+    Object.keys(savedPattern?.params || {}).forEach(key => {
+        if (!(key in options)) warnings.push(`"${key}" not found, keeping the current value.`);
+    });
+    checkPatternParamTypes(options, errors);
+
+    if ('layers' in options) checkLayerStack(options.layers, errors);
+
+    for (const key of ['bgColor', 'strokeColor']) {
+        if (typeof options[key] === 'string' && !HEX_COLOR.test(options[key])) {
+            errors.push(`"${key}" must be a #RRGGBB color (got "${options[key]}").`);
+        }
+    }
+
+    if ('customPalette' in options && (!Array.isArray(options.customPalette) || !options.customPalette.every(hex => typeof hex === 'string' && HEX_COLOR.test(hex)))) {
+        errors.push('"customPalette" must be a list of #RRGGBB colors.');
+    }
+
+    for (const key of ['viewportWidth', 'viewportHeight']) {
+        if (key in options && (!Number.isFinite(options[key]) || options[key] < 100)) {
+            errors.push(`"${key}" must be a number of at least 100.`);
+        }
+    }
+
+    if (data.seed !== undefined && data.seed !== null && !Number.isFinite(data.seed)) {
+        errors.push(`"seed" must be a number (got ${JSON.stringify(data.seed)}).`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+// ----- RESTORE -----
+
+/**
+ * Writes saved option values back into the DOM controls and the pattern parameter panel.
+ * Values a select does not offer (e.g. an unknown pattern type) are skipped with a warning.
+ * @param {object} options - A saved `optionsUsed` object.
+ * @returns {string[]} Warnings for values that could not be applied.
+ */
+export function applyOptionsToControls(options) {
+    const warnings = [];
+
+    for (const [key, domKey, kind] of OPTION_CONTROLS) {
+        if (!(key in options)) continue;
+        const control = dom[domKey] || document.getElementById(domKey);
+        if (!control) {
+            warnings.push(`Control for "${key}" not found.`);
+            continue;
+        }
+        const value = options[key];
+
+        switch (kind) {
+            case 'checked':
+                control.checked = Boolean(value);
+                break;
+            case 'delta': {
+                // Pick the select option closest to the saved angle (stored as radians)
+                const fraction = value / Math.PI;
+                let best = null;
+                for (const option of control.options) {
+                    const diff = Math.abs(parseFloat(option.value) - fraction);
+                    if (!best || diff < best.diff) best = { value: option.value, diff };
+                }
+                if (best) control.value = best.value;
+                break;
+            }
+            default:
+                if (control.tagName === 'SELECT' && ![...control.options].some(o => o.value === String(value))) {
+                    warnings.push(`"${key}" value "${value}" is not available in this version, keeping "${control.value}".`);
+                    break;
+                }
+                control.value = String(value);
+        }
+    }
+
+    // After patternType, so the panel shows the restored pattern's parameters
+    warnings.push(...setPatternParams(options));
+    if (Array.isArray(options.layers)) warnings.push(...setLayerStack(options.layers));
+
+    return warnings;
+}
+
+/**
+ * Restores the palette dropdowns from a saved category/palette pair.
+ * @param {string} category - Saved color category (or 'random_category').
+ * @param {string} paletteName - Saved palette value (category name, 'random_in_category', ...).
+ * @returns {string[]} Warnings if the palette no longer exists.
+ */
+function restorePaletteSelection(category, paletteName) {
+    const warnings = [];
+    if (!dom.colorCategory || !dom.colorPalette || !category) return warnings;
+
+    if (![...dom.colorCategory.options].some(o => o.value === category)) {
+        warnings.push(`Color category "${category}" is not in the current color library.`);
+        return warnings;
+    }
+    dom.colorCategory.value = category;
+    updatePaletteDropdown(); // Rebuild the palette options for this category
+
+    if (paletteName && [...dom.colorPalette.options].some(o => o.value === paletteName)) {
+        dom.colorPalette.value = paletteName;
+        updatePalettePreview();
+    } else if (paletteName) {
+        warnings.push(`Palette "${paletteName}" is not available in category "${category}".`);
+    }
+    return warnings;
+}
+
+/**
+ * Restores a full design (controls, state, palette, seed) and regenerates it.
+ * @param {object} data - Parsed design data in the downloadJSON() format.
+ * @returns {{restored: boolean, errors: string[], warnings: string[]}} What happened.
+ */
+export function restoreDesign(data) {
+    const { valid, errors, warnings } = validateDesignData(data);
+    if (!valid) {
+        console.error("restoreDesign: invalid design data:", errors);
+        return { restored: false, errors, warnings };
+    }
+    const options = { ...LEGACY_OPTION_DEFAULTS, ...data.optionsUsed };
+
+    // A generated palette has to be back in state before its category can be selected
+    // (by the palette dropdowns or by a layer of the stack)
+    if (Array.isArray(options.customPalette) && options.customPalette.length > 0) {
+        state.customPalette = [...options.customPalette];
+        ensureCustomCategoryOption();
+    }
+
+    // --- Controls ---
+    warnings.push(...applyOptionsToControls(options));
+
+    // --- Seed ---
+    // Prefer the user's original override text; otherwise pin the resolved numeric seed
+    // so time/cursor-seeded designs regenerate identically.
+    if (dom.seedOverride) {
+        if (typeof options.seedOverride === 'string' && options.seedOverride !== '') {
+            dom.seedOverride.value = options.seedOverride;
+        } else if (Number.isFinite(data.seed ?? data.mathProperties?.seed)) {
+            dom.seedOverride.value = String(data.seed ?? data.mathProperties.seed);
+        } else {
+            warnings.push('No seed saved in this file; the restored design will use a new seed.');
+        }
+    }
+
+    // --- Palette ---
+    warnings.push(...restorePaletteSelection(
+        options.colorCategory ?? data.palette?.category,
+        options.colorPalette ?? data.palette?.name
+    ));
+
+    // --- Captured coordinates ---
+    const captured = data.capturedCoordinates || {};
+    state.capturedX = options.capturedX ?? captured.x ?? null;
+    state.capturedY = options.capturedY ?? captured.y ?? null;
+    const vector = options.capturedV ?? captured.vector;
+    state.capturedV = (vector && typeof vector === 'object') ? { x: vector.x ?? null, y: vector.y ?? null } : { x: null, y: null };
+
+    // --- Viewport ---
+    if (Number.isFinite(options.viewportWidth) && Number.isFinite(options.viewportHeight)) {
+        state.viewportWidth = options.viewportWidth;
+        state.viewportHeight = options.viewportHeight;
+    }
+    state.currentOptions = { ...options }; // updateUIFromState reads the animation toggle from here
+    updateUIFromState(); // Sets preset/custom inputs, captured display and range value displays
+    handleViewportChange(); // Applies the viewport to the SVG element
+
+    if (warnings.length > 0) console.warn("restoreDesign warnings:", warnings);
+    console.log("Design restored, regenerating...");
+    generateSVG();
+
+    return { restored: true, errors, warnings };
+}
+
+/**
+ * Restores design data read from a file, alerting the user if it is not usable.
+ * @param {any} data - Parsed design data.
+ * @param {string} fileName - Name of the source file (for messages).
+ * @returns {boolean} True if the design was restored.
+ */
+function restoreFromFileData(data, fileName) {
+    const result = restoreDesign(data);
+    if (!result.restored) {
+        alert(`"${fileName}" is not a valid jenVek design:\n- ${result.errors.join('\n- ')}`);
+        return false;
+    }
+    console.log(`Design loaded from ${fileName}.`);
+    return true;
+}
+
+/**
+ * Reads a user-selected JSON file and restores the design it describes.
+ * Shows an alert if the file cannot be parsed or fails validation.
+ * @param {File} file - The JSON file from a file input.
+ * @returns {Promise<boolean>} True if the design was restored.
+ */
+export async function importJSONFile(file) {
+    if (!file) return false;
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        console.error('Error reading design JSON:', error);
+        alert(`Could not read "${file.name}": ${error.message}`);
+        return false;
+    }
+    return restoreFromFileData(data, file.name);
+}
+
+/**
+ * Extracts the design recipe that downloadSVG() embeds in an SVG's <metadata> block.
+ * @param {string} svgText - The SVG document text.
+ * @returns {object | null} The parsed design data, or null if the SVG has no jenVek metadata.
+ */
+export function extractDesignFromSVG(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('The file is not well-formed SVG.');
+    }
+    const design = doc.getElementsByTagNameNS(DESIGN_METADATA_NS, 'design')[0];
+    if (!design) return null;
+    return JSON.parse(design.textContent);
+}
+
+/**
+ * Reads an exported SVG and restores the design embedded in its metadata.
+ * @param {File} file - The SVG file (e.g. dropped onto the canvas).
+ * @returns {Promise<boolean>} True if the design was restored.
+ */
+export async function importSVGFile(file) {
+    if (!file) return false;
+
+    let data;
+    try {
+        data = extractDesignFromSVG(await file.text());
+    } catch (error) {
+        console.error('Error reading design from SVG:', error);
+        alert(`Could not read "${file.name}": ${error.message}`);
+        return false;
+    }
+    if (!data) {
+        alert(`"${file.name}" has no jenVek design metadata. Only SVGs exported from jenVek can be restored.`);
+        return false;
+    }
+    return restoreFromFileData(data, file.name);
+}
+
+/**
+ * Restores a design from a dropped file, choosing the reader by file type.
+ * Accepts exported SVGs (recipe in <metadata>) and JSON exports.
+ * @param {File} file - The dropped file.
+ * @returns {Promise<boolean>} True if the design was restored.
+ */
+export async function importDesignFile(file) {
+    if (!file) return false;
+    const name = file.name.toLowerCase();
+    if (file.type === 'image/svg+xml' || name.endsWith('.svg')) return importSVGFile(file);
+    if (file.type === 'application/json' || name.endsWith('.json')) return importJSONFile(file);
+    alert(`"${file.name}" is not an SVG or JSON file.`);
+    return false;
+}
@@ -0,0 +1,185 @@
+// public/js/modules/scene.js
+
+// A minimal, DOM-free SVG element tree. Pattern generators build one of these through
+// createSVGElement (utils.js), so the same code runs in the browser, in a Web Worker or in Node.
+// The browser mounts the finished tree into the live <svg>; Node serializes it to a string.
+
+/**
+ * The XML namespace for SVG elements. Required for createElementNS and standalone SVG files.
+ */
+export const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * A lightweight stand-in for an SVG element. Implements the small subset of the DOM
+ * element API the generators rely on (attributes, children, textContent).
+ */
+export class SceneNode {
+    /**
+     * @param {string} tagName - SVG tag name (e.g. 'g', 'circle', 'linearGradient').
+     */
+    constructor(tagName) {
+        this.tagName = tagName;
+        this.attributes = {}; // Attribute name -> string value, in insertion order
+        this.children = [];
+        this.textContent = '';
+        this.parentNode = null;
+        // Render budget shared by every node of a budgeted tree (see attachBudget), or null
+        this.budget = null;
+    }
+
+    /**
+     * Sets an attribute. Values are stored as strings, like Element.setAttribute.
+     * @param {string} name - Attribute name.
+     * @param {any} value - Attribute value.
+     */
+    setAttribute(name, value) {
+        const text = String(value);
+        if (this.budget) this.budget.addBytes(attributeSize(name, text) - attributeSize(name, this.attributes[name]));
+        this.attributes[name] = text;
+    }
+
+    /**
+     * @param {string} name - Attribute name.
+     * @returns {string | null} The attribute value, or null if not set.
+     */
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    /**
+     * @param {string} name - Attribute name to remove.
+     */
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    /**
+     * Appends a child node, detaching it from any previous parent first.
+     * @param {SceneNode} child - The node to append.
+     * @returns {SceneNode} The appended child.
+     */
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    /**
+     * Inserts a child before a reference child (or at the end when the reference is null).
+     * @param {SceneNode} child - The node to insert.
+     * @param {SceneNode | null} reference - Existing child to insert before.
+     * @returns {SceneNode} The inserted child.
+     */
+    insertBefore(child, reference) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        // Nodes entering a budgeted tree are charged as they arrive, so an oversized render stops early
+        if (this.budget && child.budget !== this.budget) attachBudget(child, this.budget);
+        const index = reference ? this.children.indexOf(reference) : -1;
+        if (index === -1) this.children.push(child);
+        else this.children.splice(index, 0, child);
+        child.parentNode = this;
+        return child;
+    }
+
+    /**
+     * @param {SceneNode} child - The child to remove.
+     * @returns {SceneNode} The removed child.
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index !== -1) this.children.splice(index, 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    /**
+     * Counts this node and all of its descendants.
+     * @returns {number} Total number of nodes in the subtree.
+     */
+    countNodes() {
+        return this.children.reduce((total, child) => total + child.countNodes(), 1);
+    }
+}
+
+/**
+ * Approximate serialized size of an attribute (` name="value"`), 0 when it is not set.
+ * @param {string} name - Attribute name.
+ * @param {string | undefined} value - Attribute value.
+ * @returns {number} Size in characters.
+ */
+function attributeSize(name, value) {
+    return value === undefined ? 0 : name.length + value.length + 4;
+}
+
+/**
+ * Puts a node and its subtree under a render budget and charges their elements and attributes.
+ * Every node appended below it later is charged too, and so is every attribute set on them.
+ * @param {SceneNode} node - Root of the subtree (normally the scene's <svg>).
+ * @param {{addNode: function(): void, addBytes: function(number): void}} budget - Throws when exceeded.
+ */
+export function attachBudget(node, budget) {
+    node.budget = budget;
+    budget.addNode();
+    for (const [name, value] of Object.entries(node.attributes)) budget.addBytes(attributeSize(name, value));
+    node.children.forEach(child => attachBudget(child, budget));
+}
+
+/**
+ * Escapes text for use in XML character data or attribute values.
+ * @param {string} value - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serializes a scene tree to SVG markup.
+ * Children are written after the node's text content, which is all the generators need.
+ * @param {SceneNode} node - Root of the tree to serialize.
+ * @returns {string} SVG markup.
+ */
+export function serializeScene(node) {
+    const attrs = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+        .join('');
+    const text = node.textContent ? escapeXML(node.textContent) : '';
+    const children = node.children.map(serializeScene).join('');
+    if (!text && !children) return `<${node.tagName}${attrs}/>`;
+    return `<${node.tagName}${attrs}>${text}${children}</${node.tagName}>`;
+}
+
+/**
+ * Copies a scene tree into plain objects ({ tagName, attributes, textContent, children }) that
+ * can be posted between a Web Worker and the page (structured clone drops the class and the
+ * parentNode back-references would be copied for nothing).
+ * @param {SceneNode} node - Root of the tree.
+ * @returns {object} The plain copy.
+ */
+export function sceneToData(node) {
+    return {
+        tagName: node.tagName,
+        attributes: { ...node.attributes },
+        textContent: node.textContent,
+        children: node.children.map(sceneToData),
+    };
+}
+
+/**
+ * Converts a scene tree into real SVG DOM elements (browser only) and appends it to a parent.
+ * @param {SceneNode | object} node - Root of the tree to mount (a SceneNode or its sceneToData() copy).
+ * @param {Element | null} [parent=null] - DOM element to append the result to.
+ * @returns {SVGElement} The created DOM element.
+ */
+export function mountScene(node, parent = null) {
+    const elem = document.createElementNS(SVG_NS, node.tagName);
+    for (const [name, value] of Object.entries(node.attributes)) {
+        elem.setAttribute(name, value);
+    }
+    if (node.textContent) elem.textContent = node.textContent;
+    node.children.forEach(child => mountScene(child, elem));
+    if (parent) parent.appendChild(elem);
+    return elem;
+}
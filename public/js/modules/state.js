@@ -1,5 +1,9 @@
 // state.js
 
+/**
+ * Application version recorded in exported designs (keep in sync with package.json).
+ */
+export const APP_VERSION = '1.0.0';
 
 // ====================== Global State ======================
 export const state = {
@@ -14,11 +18,17 @@ export const state = {
   mathInfo: {},
   isAnimating: false,
   animationFrame: null,
-  recursionCount: 0,
   maxAllowedRecursion: 8, // Safety limit
   currentPalette: [],
+  customPalette: [], // Hex colours from the harmony generator or an image, offered as the 'custom' category
+  cvdMode: 'none', // Colour-vision preview: 'none' or a type from cvd.js
+  previewRenderer: 'auto', // 'auto', 'svg' or 'canvas' (see canvasPreview.js); not saved with designs
+  previewBackend: 'svg', // Backend showing the current design: 'svg' or 'canvas'
+  extractedPalette: [], // Last palette extracted from an image: [{ hex, weight, nearest }]
   allColors: {}, // Populated from colours.js global variable
   currentOptions: {},
+  layers: [], // Layer stack: per-layer settings, bottom first (empty = classic Layer Count mode, see layerStack.js)
+  patternParams: {}, // Pattern parameter values by option key (defaults from the pattern registry, see patternControls.js)
   currentLayer: 0, // For multi-layer generation
   viewportWidth: 800,
   viewportHeight: 600,
@@ -5,6 +5,7 @@ import { state } from './state.js';
 import { dom } from './dom.js';
 // Import utilities needed by UI functions
 import { formatNumber } from './utils.js'; // Assuming formatNumber is in utils.js
+import { resizeCanvasPreview } from './canvasPreview.js';
 
 // ================== UI State Update Functions ==================
 
@@ -120,6 +121,10 @@ export function updateMathInfo(info) { // Ensure this export exists
     html += `<div><strong>Generator:</strong> ${info.generator || 'N/A'}</div>`;
     html += `<div><strong>Layers:</strong> ${info.layers || 1}</div>`;
     html += `<div><strong>Viewport:</strong> ${info.viewport || 'N/A'}</div>`;
+    // Show the resolved numeric seed so a design can be reproduced via Seed Override
+    if (info.seed !== undefined && info.seed !== null) {
+        html += `<div><strong>Seed:</strong> ${info.seed}</div>`;
+    }
     // Format total element count using the utility function
     html += `<div><strong>Total Elements:</strong> ${formatNumber(info.totalElements || 0)}</div>`;
 
@@ -169,8 +174,10 @@ export function updateMathInfo(info) { // Ensure this export exists
 /**
  * Updates the SVG statistics display (size and element count).
  * @param {number} elementCount - The total number of elements generated.
+ * @param {string} [svgMarkup] - The generated SVG markup (state.svgData); defaults to the live SVG,
+ *   which is empty while the canvas preview is shown.
  */
-export function updateSVGStats(elementCount) { // Ensure this export exists
+export function updateSVGStats(elementCount, svgMarkup) { // Ensure this export exists
     // Ensure the SVG stats DOM element and SVG canvas exist
     if (!dom.svgStats || !dom.svg) {
         console.warn("updateSVGStats: SVG stats display or SVG canvas element not found.");
@@ -179,12 +186,78 @@ export function updateSVGStats(elementCount) { // Ensure this export exists
     }
 
     // Get the outer HTML of the SVG element (includes the <svg> tag itself)
-    const svgString = dom.svg.outerHTML || "";
+    const svgString = svgMarkup ?? dom.svg.outerHTML ?? "";
     // Calculate the approximate size in kilobytes (KB)
     const svgSizeKB = (svgString.length / 1024).toFixed(2);
     // Update the text content of the stats display element
     // Use formatNumber for the element count
-    dom.svgStats.textContent = `Size: ${svgSizeKB} KB | Elements: ${formatNumber(elementCount || 0)}`;
+    const preview = state.previewBackend === 'canvas' ? ' | Preview: canvas' : '';
+    dom.svgStats.textContent = `Size: ${svgSizeKB} KB | Elements: ${formatNumber(elementCount || 0)}${preview}`;
+}
+
+/**
+ * Shows the live SVG or the canvas preview (the other one is hidden with .preview-hidden,
+ * a class the SVG export strips).
+ * @param {'svg' | 'canvas'} renderer - The backend showing the design.
+ */
+export function showPreviewSurface(renderer) {
+    const useCanvas = renderer === 'canvas' && Boolean(dom.previewCanvas);
+    dom.svg?.classList.toggle('preview-hidden', useCanvas);
+    dom.previewCanvas?.classList.toggle('preview-hidden', !useCanvas);
+    state.previewBackend = useCanvas ? 'canvas' : 'svg';
+}
+
+/**
+ * @returns {Element | null} The element currently showing the design (for cursor coordinates).
+ */
+function previewSurface() {
+    return state.previewBackend === 'canvas' && dom.previewCanvas ? dom.previewCanvas : dom.svg;
+}
+
+/**
+ * Shows one progress bar per layer while the render worker runs (all empty to start with).
+ * The overlay fades in after a short delay (style.css), so quick renders do not flash it.
+ * @param {number} layerCount - Number of layers being generated.
+ */
+export function showGenerationProgress(layerCount) {
+    if (!dom.generationProgress) {
+        console.warn("showGenerationProgress: #generation-progress not found/cached.");
+        return;
+    }
+    dom.generationProgress.innerHTML = '';
+    for (let layer = 0; layer < layerCount; layer++) {
+        const row = document.createElement('div');
+        row.classList.add('progress-row');
+        const label = document.createElement('span');
+        label.textContent = `Layer ${layer + 1}`;
+        const bar = document.createElement('progress');
+        bar.max = 1;
+        bar.value = 0;
+        row.append(label, bar);
+        dom.generationProgress.appendChild(row);
+    }
+    dom.generationProgress.hidden = false;
+}
+
+/**
+ * Updates a layer's progress bar: indeterminate while its pattern runs, full when it is done.
+ * Patterns generate a layer in one go, so there is no finer progress within a layer.
+ * @param {{layer: number, done: boolean}} progress - Progress message from the render worker.
+ */
+export function updateGenerationProgress(progress) {
+    const bar = dom.generationProgress?.children[progress.layer]?.querySelector('progress');
+    if (!bar) return;
+    if (progress.done) bar.value = 1;
+    else bar.removeAttribute('value'); // No value = indeterminate (animated) bar
+}
+
+/**
+ * Hides the progress bars (generation finished, failed or was cancelled).
+ */
+export function hideGenerationProgress() {
+    if (!dom.generationProgress) return;
+    dom.generationProgress.hidden = true;
+    dom.generationProgress.innerHTML = '';
 }
 
 // ================== UI Interaction Functions ==================
@@ -239,6 +312,9 @@ export function handleViewportChange() { // Ensure this export exists
     dom.svg.setAttribute('width', width);
     dom.svg.setAttribute('height', height);
     dom.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    if (state.previewBackend === 'canvas' && dom.previewCanvas) {
+        resizeCanvasPreview(dom.previewCanvas, width, height); // Redraws only if the size changed
+    }
 
     console.log(`Viewport set to: ${width}x${height}`);
 }
@@ -250,14 +326,15 @@ export function handleViewportChange() { // Ensure this export exists
  */
 export function updateCursorInfo(event) { // Ensure this export exists
     // Ensure SVG canvas and cursor info display elements are available
-    if (!dom.svg || !dom.cursorInfo) {
+    const surface = previewSurface(); // The SVG, or the canvas preview for large designs
+    if (!surface || !dom.cursorInfo) {
         // console.warn("updateCursorInfo: SVG or cursorInfo element not found."); // Can be spammy
         return;
     }
 
     try {
         // Get the bounding rectangle of the SVG canvas
-        const rect = dom.svg.getBoundingClientRect();
+        const rect = surface.getBoundingClientRect();
 
         // Calculate mouse/touch coordinates relative to the SVG element's top-left corner
         // Use clientX/clientY which are relative to the viewport
@@ -1,15 +1,21 @@
 // public/js/modules/utils.js
 
+// DOM-free element tree used by createSVGElement (see scene.js)
+import { SceneNode, SVG_NS } from './scene.js';
+// Warnings from the render helpers go to the render's logger
+import { renderLog } from './renderLog.js';
+
 /**
- * The XML namespace for SVG elements. Required for createElementNS.
+ * The XML namespace for SVG elements (defined in scene.js, re-exported for existing imports).
  */
-export const SVG_NS = "http://www.w3.org/2000/svg";
+export { SVG_NS };
 
 /**
  * Provides a source for cryptographically secure random numbers if available,
  * otherwise falls back to Math.random().
+ * globalThis (rather than window) keeps this module usable in Web Workers and Node.
  */
-const randomSource = window.crypto || window.msCrypto;
+const randomSource = globalThis.crypto || globalThis.msCrypto;
 
 /**
  * Generates a cryptographically secure random number between 0 (inclusive) and 1 (exclusive)
@@ -78,6 +84,75 @@ export function randomChoice(array) {
   return array[index];
 }
 
+/**
+ * Creates a seeded pseudo-random number generator (Park–Miller minimal standard).
+ * The same seed always yields the same sequence, so every pattern and fill helper
+ * that draws from it produces identical output for identical seeds and options.
+ * Method names mirror the unseeded helpers above (random, randomInt, randomChoice).
+ * @param {number} seed - Any finite number; it is folded into the PRNG's valid range.
+ * @returns {object} The generator: { seed, next(), random(min, max), randomInt(min, max), randomChoice(array), shuffle(array) }.
+ */
+export function createSeededRandom(seed) {
+  let current = Math.floor(Math.abs(Number(seed) || 0)) % 2147483647;
+  if (current === 0) current = 1; // 0 is a fixed point of the generator
+  const initialSeed = current;
+
+  const next = () => {
+      current = (current * 16807) % 2147483647;
+      return (current - 1) / 2147483646;
+  };
+
+  return {
+      seed: initialSeed,
+      next,
+      random(min, max) {
+          min = typeof min === 'number' ? min : 0;
+          max = typeof max === 'number' ? max : 1;
+          if (max < min) [min, max] = [max, min];
+          return next() * (max - min) + min;
+      },
+      randomInt(min, max) {
+          min = Math.ceil(typeof min === 'number' ? min : 0);
+          max = Math.floor(typeof max === 'number' ? max : 1);
+          if (max < min) [min, max] = [max, min];
+          return Math.floor(next() * (max - min + 1)) + min;
+      },
+      randomChoice(array) {
+          if (!array || !Array.isArray(array) || array.length === 0) return null;
+          return array[Math.floor(next() * array.length)];
+      },
+      // Fisher–Yates shuffle, returns a new array
+      shuffle(array) {
+          const copy = Array.isArray(array) ? [...array] : [];
+          for (let i = copy.length - 1; i > 0; i--) {
+              const j = Math.floor(next() * (i + 1));
+              [copy[i], copy[j]] = [copy[j], copy[i]];
+          }
+          return copy;
+      }
+  };
+}
+
+/**
+ * Unseeded generator with the same interface as createSeededRandom().
+ * Used as a fallback when a caller does not supply a seeded `rng` (e.g. UI previews).
+ */
+export const unseededRandom = {
+  seed: null,
+  next: secureRandom,
+  random,
+  randomInt,
+  randomChoice,
+  shuffle(array) {
+      const copy = Array.isArray(array) ? [...array] : [];
+      for (let i = copy.length - 1; i > 0; i--) {
+          const j = Math.floor(secureRandom() * (i + 1));
+          [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+  }
+};
+
 /**
  * Checks if a number is a prime number.
  * @param {number} num - The number to check.
@@ -132,15 +207,16 @@ export function goldenRatioPoint(index, totalPoints, radius) {
 
 
 /**
- * Creates an SVG element with specified attributes and appends it to a parent if provided.
- * Uses the SVG_NS constant for the correct namespace.
+ * Creates an SVG scene node with specified attributes and appends it to a parent if provided.
+ * Returns a DOM-free SceneNode (scene.js) rather than a live element, so generators run
+ * without a document; the browser mounts the finished tree with mountScene().
  * @param {string} tag - The tag name of the SVG element (e.g., 'circle', 'rect', 'path').
  * @param {object} [attrs={}] - An object containing attributes to set (e.g., { cx: 50, fill: 'red' }).
- * @param {SVGElement | null} [parent=null] - The parent SVG element to append the new element to.
- * @returns {SVGElement} The created SVG element.
+ * @param {SceneNode | null} [parent=null] - The parent node to append the new node to.
+ * @returns {SceneNode} The created node.
  */
 export function createSVGElement(tag, attrs = {}, parent = null) {
-  const elem = document.createElementNS(SVG_NS, tag);
+  const elem = new SceneNode(tag);
   for (const [key, value] of Object.entries(attrs)) {
       if (value !== null && value !== undefined) {
            elem.setAttribute(key, value);
@@ -149,19 +225,36 @@ export function createSVGElement(tag, attrs = {}, parent = null) {
   if (parent && parent.appendChild) {
       parent.appendChild(elem);
   } else if (parent) {
-      console.warn(`createSVGElement: Provided parent for tag '${tag}' is not a valid node.`);
+      renderLog.warn(`createSVGElement: Provided parent for tag '${tag}' is not a valid node.`);
   }
   return elem;
 }
 
 /**
- * Generates a pseudo-unique ID string, useful for SVG elements like gradients or patterns.
- * Combines a prefix, the current timestamp, and a random number.
- * @param {string} [prefix='svg-elem'] - A prefix for the ID.
- * @returns {string} A generated unique ID string.
+ * Creates a deterministic ID generator for SVG definitions (gradients, patterns, ...).
+ * IDs are namespaced by a sanitized prefix and the generation seed, then numbered per kind,
+ * e.g. `jenvek-k1z4-gradient-3`. Identical generations therefore produce identical markup,
+ * while a different prefix (or seed) keeps separately exported SVGs from clashing when
+ * they are inlined on the same page.
+ * @param {string} [prefix='jenvek'] - Per-export namespace prefix.
+ * @param {number} [seed=0] - The numeric seed of the generation.
+ * @returns {{namespace: string, next: (kind?: string) => string}} The ID generator.
  */
-export function generateUniqueId(prefix = 'svg-elem') {
-  return `${prefix}-${Date.now()}-${randomInt(1000, 9999)}`;
+export function createIdGenerator(prefix = 'jenvek', seed = 0) {
+  // XML IDs must start with a letter or underscore and may not contain spaces or most punctuation
+  let cleanPrefix = String(prefix || '').trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!cleanPrefix) cleanPrefix = 'jenvek';
+  if (!/^[A-Za-z_]/.test(cleanPrefix)) cleanPrefix = `id-${cleanPrefix}`;
+
+  const namespace = `${cleanPrefix}-${Math.floor(Math.abs(Number(seed) || 0)).toString(36)}`;
+  const counters = {};
+  return {
+      namespace,
+      next(kind = 'svg-elem') {
+          counters[kind] = (counters[kind] || 0) + 1;
+          return `${namespace}-${kind}-${counters[kind]}`;
+      }
+  };
 }
 
 /**
@@ -213,14 +306,14 @@ export function getTimeSeedValue() {
  */
 export function pointsToPathString(points, smoothingType = 'straight', options = {}, closePath = false) {
     if (!points || !Array.isArray(points) || points.length < 2) { // Added Array.isArray check
-        console.warn("pointsToPathString: Invalid or insufficient points array provided.");
+        renderLog.warn("pointsToPathString: Invalid or insufficient points array provided.");
         return ''; // Need at least two points for a path
     }
 
     // Ensure all points are valid objects with numbers
     points = points.filter(p => p && typeof p.x === 'number' && typeof p.y === 'number' && !isNaN(p.x) && !isNaN(p.y));
     if (points.length < 2) {
-        console.warn("pointsToPathString: Not enough valid points after filtering.");
+        renderLog.warn("pointsToPathString: Not enough valid points after filtering.");
         return '';
     }
 
@@ -233,7 +326,7 @@ export function pointsToPathString(points, smoothingType = 'straight', options =
             break;
         case 'quadratic_bezier':
             // Placeholder: Implement quadratic Bezier logic if needed
-             console.warn("Quadratic Bezier smoothing not fully implemented yet, using straight lines.");
+             renderLog.warn("Quadratic Bezier smoothing not fully implemented yet, using straight lines.");
              d += points.slice(1).map(p => `L ${p.x.toFixed(2)} ${p.y.toFixed(2)}`).join(' ');
             break;
         case 'straight':
@@ -253,7 +346,7 @@ export function pointsToPathString(points, smoothingType = 'straight', options =
  * Converts an array of points to a Cubic Bezier path string using Catmull-Rom interpolation.
  * Internal helper for pointsToPathString.
  * @param {Array<{x: number, y: number}>} points - Array of point objects.
- * @param {number} [tension=0.5] - Catmull-Rom tension (0=linear, 0.5=standard, 1=tighter).
+ * @param {number} [tension=0.5] - Catmull-Rom tension (0=linear, 0.5=standard, 1=loosest).
  * @returns {string} The path string segment starting from the second point (e.g., " C cp1x,cp1y cp2x,cp2y x1,y1 C ...").
  */
 function pointsToCubicBezierString(points, tension = 0.5) {
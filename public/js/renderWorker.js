@@ -0,0 +1,46 @@
+// public/js/renderWorker.js
+
+// ----- RENDER WORKER -----
+// Runs the headless rendering core (modules/render.js) off the main thread, so heavy patterns
+// (deep Quadtree recursion, high-complexity Mandelbrot, large Prime counts) do not freeze the page.
+// Started as a module worker by generator.js. The page cancels a render by terminating the worker.
+//
+// Messages in:  { type: 'render', jobId, options, seed, allColors? }
+//               (allColors is only sent when it changed; the worker keeps the last copy)
+// Messages out: { type: 'progress', jobId, layer, layerCount, done, elementCount }
+//               { type: 'done', jobId, scene, palette, seed, mathInfo, totalElements }
+//               { type: 'error', jobId, message }
+
+// ----- MODULE IMPORTS -----
+import { renderScene } from './modules/render.js';
+import { sceneToData } from './modules/scene.js';
+
+let allColors = {}; // Color library from the last message that carried one
+
+self.addEventListener('message', (event) => {
+    const { type, jobId, options, seed } = event.data || {};
+    if (type !== 'render') {
+        console.warn("renderWorker: ignoring unknown message type:", type);
+        return;
+    }
+    if (event.data.allColors) allColors = event.data.allColors;
+
+    try {
+        const result = renderScene(options, {
+            seed,
+            allColors,
+            onProgress: (progress) => self.postMessage({ type: 'progress', jobId, ...progress }),
+        });
+        self.postMessage({
+            type: 'done', jobId,
+            scene: sceneToData(result.scene),
+            palette: result.palette,
+            seed: result.seed,
+            mathInfo: result.mathInfo,
+            totalElements: result.totalElements,
+        });
+    } catch (error) {
+        console.error('renderWorker: generation failed:', error);
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+});
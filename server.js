@@ -1,24 +1,25 @@
 // jenVek-node/server.js
 
-const express = require('express');
-const path = require('path');
-const apiRoutes = require('./server/routes/api');
-const viewRoutes = require('./server/routes/views');
+const app = require('./server/app');
+const colorStore = require('./server/lib/colorStore');
+const { lintColors, logLintReport } = require('./server/lib/colorLint');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware to serve static files (CSS, client-side JS, assets)
-// Express will automatically look for files in the 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Load the colour library from disk before accepting requests, and report any data problems
+colorStore.loadColors()
+  .then(async (colors) => {
+    try {
+      logLintReport(await lintColors(colors));
+    } catch (error) {
+      console.warn('Colour library lint failed:', error); // Linting is advisory; keep starting
+    }
 
-// Register API routes (prefix with /api)
-app.use('/api', apiRoutes);
-
-// Register View routes (for serving HTML)
-app.use('/', viewRoutes);
-
-
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+    app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error(`Could not load the colour library (${colorStore.COLOURS_FILE}):`, error);
+    process.exit(1);
+  });
\ No newline at end of file
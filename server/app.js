@@ -0,0 +1,37 @@
+// jenVek-node/server/app.js
+// The Express application: static files, API and view routes, and the JSON error handler.
+// server.js loads the colour library and starts listening; tests mount the same app on a free port.
+
+const express = require('express');
+const path = require('path');
+const apiRoutes = require('./routes/api');
+const viewRoutes = require('./routes/views');
+
+const app = express();
+
+// Middleware to serve static files (CSS, client-side JS, assets)
+// Express will automatically look for files in the 'public' directory
+app.use(express.static(path.join(__dirname, '..', 'public')));
+
+// Parse JSON request bodies (render options are small; reject anything large)
+app.use(express.json({ limit: '100kb' }));
+
+// Register API routes (prefix with /api)
+app.use('/api', apiRoutes);
+
+// Register View routes (for serving HTML)
+app.use('/', viewRoutes);
+
+// Error handler: HttpError (server/lib/httpError.js) and body-parser errors carry a status;
+// anything else is an unexpected 500. Responses are JSON so API clients can show the message.
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  }
+  const body = { error: status >= 500 ? 'Internal server error.' : err.message };
+  if (err.details !== undefined) body.details = err.details;
+  res.status(status).json(body);
+});
+
+module.exports = app;
@@ -0,0 +1,201 @@
+// jenVek-node/server/lib/colorLint.js
+// Checks the colour library for problems the UI would otherwise hide: entries that
+// getColorPalette() silently drops, duplicates, perceptually indistinguishable colours
+// and inconsistent naming. Runs at server start and behind GET /api/colors/lint.
+
+const { loadSharedModule } = require('./sharedModules');
+
+/**
+ * Default ΔE00 below which two colours in the same category count as near-identical.
+ * Around 1.0 is the threshold where a trained eye can just tell two colours apart.
+ */
+const DEFAULT_NEAR_IDENTICAL_THRESHOLD = 1.0;
+
+/**
+ * Words that commonly appear in colour names, used (together with every word already in
+ * the library) to spot likely typos such as "Cnavas" for "Canvas".
+ */
+const COLOUR_VOCABULARY = [
+  'canvas', 'linen', 'cream', 'ivory', 'white', 'black', 'grey', 'gray', 'green', 'blue', 'red',
+  'orange', 'yellow', 'purple', 'pink', 'brown', 'stone', 'sand', 'slate', 'ocean', 'forest',
+  'olive', 'mint', 'sage', 'rose', 'coral', 'peach', 'plum', 'navy', 'teal', 'cobalt', 'charcoal',
+  'smoke', 'silver', 'gold', 'copper', 'bronze', 'rust', 'clay', 'earth', 'moss', 'pearl', 'shell',
+  'cotton', 'paper', 'parchment', 'milk', 'bone', 'honey', 'lemon', 'lime', 'cherry', 'berry',
+  'wine', 'velvet', 'silk', 'marble', 'granite', 'cloud', 'clouds', 'storm', 'shadow', 'midnight',
+  'dawn', 'dusk', 'autumn', 'winter', 'spring', 'summer', 'violet', 'lavender', 'lilac', 'scarlet',
+  'crimson', 'amber', 'ochre', 'umber', 'sienna', 'taupe', 'beige', 'khaki', 'indigo', 'azure',
+];
+
+/**
+ * True if `a` becomes `b` by swapping one pair of adjacent letters (the classic typing typo).
+ * @param {string} a - First word (lower case).
+ * @param {string} b - Second word (lower case).
+ * @returns {boolean} Whether the words differ by exactly one adjacent transposition.
+ */
+function isAdjacentTransposition(a, b) {
+  if (a.length !== b.length || a === b) return false;
+  const diffs = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) diffs.push(i);
+    if (diffs.length > 2) return false;
+  }
+  return diffs.length === 2 && diffs[1] === diffs[0] + 1 && a[diffs[0]] === b[diffs[1]] && a[diffs[1]] === b[diffs[0]];
+}
+
+/**
+ * Lints a colour library.
+ * @param {object} data - Colour library (category -> [{ name, hex }]).
+ * @param {object} [settings]
+ * @param {number} [settings.threshold=1.0] - ΔE00 below which same-category colours are reported as near-identical.
+ * @returns {Promise<{generatedAt: string, threshold: number, summary: object, issues: object[]}>} The report.
+ *   Each issue has `severity` ('error' | 'warning' | 'info'), `type`, `message` and, where relevant,
+ *   `category`, `name`, `hex` and `others`.
+ */
+async function lintColors(data, { threshold = DEFAULT_NEAR_IDENTICAL_THRESHOLD } = {}) {
+  const { hexToLab, deltaE2000 } = await loadSharedModule('colorMath.js');
+  const issues = [];
+  const add = (severity, type, message, extra = {}) => issues.push({ severity, type, message, ...extra });
+
+  let colorCount = 0;
+  const byName = new Map(); // lower-case name -> [{ category, name, hex }]
+  const byHex = new Map(); // upper-case hex -> [{ category, name }]
+  const wordCounts = new Map(); // lower-case word -> occurrences across the library
+
+  // --- Per-category checks ---
+  for (const [category, colors] of Object.entries(data || {})) {
+    if (!Array.isArray(colors)) {
+      add('error', 'invalid-category', `Category "${category}" is not a list of colours.`, { category });
+      continue;
+    }
+    if (colors.length === 0) {
+      add('warning', 'empty-category', `Category "${category}" has no colours.`, { category });
+    }
+
+    const valid = []; // { name, hex, lab } for the near-identical check
+    const namesInCategory = new Map();
+
+    colors.forEach((color, index) => {
+      colorCount++;
+      const name = typeof color?.name === 'string' ? color.name : '';
+      const hex = typeof color?.hex === 'string' ? color.hex : '';
+      const label = name || `#${index + 1}`;
+
+      if (!name.trim()) {
+        add('error', 'missing-name', `Colour ${label} in "${category}" has no name.`, { category, hex });
+      }
+      if (!/^#[0-9A-F]{6}$/i.test(hex)) {
+        add('error', 'invalid-hex', `"${label}" in "${category}" has an invalid hex value ${JSON.stringify(color?.hex)}; the palette loader drops it.`, { category, name, hex });
+        return;
+      }
+      if (hex !== hex.toUpperCase()) {
+        add('info', 'hex-case', `"${label}" in "${category}" uses lower-case hex ${hex} (library convention is ${hex.toUpperCase()}).`, { category, name, hex });
+      }
+
+      if (name.trim()) {
+        const key = name.trim().toLowerCase();
+        if (namesInCategory.has(key)) {
+          const first = namesInCategory.get(key);
+          add('error', 'duplicate-name', `"${name}" appears more than once in "${category}" (${first.hex} and ${hex}).`, { category, name, hex, others: [first] });
+        } else {
+          namesInCategory.set(key, { category, name, hex });
+        }
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push({ category, name, hex });
+
+        if (name !== name.trim() || /\s{2,}/.test(name)) {
+          add('warning', 'naming', `"${name}" in "${category}" has extra whitespace.`, { category, name, hex });
+        }
+        if (/^[a-z]/.test(name.trim())) {
+          add('warning', 'naming', `"${name}" in "${category}" doesn't start with a capital letter.`, { category, name, hex });
+        }
+        for (const word of name.toLowerCase().match(/[a-z]+/g) || []) {
+          wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+        }
+      }
+
+      const upperHex = hex.toUpperCase();
+      if (!byHex.has(upperHex)) byHex.set(upperHex, []);
+      byHex.get(upperHex).push({ category, name });
+
+      valid.push({ name: label, hex, lab: hexToLab(hex) });
+    });
+
+    // Near-identical colours within the category (exact duplicates are reported below)
+    for (let i = 0; i < valid.length; i++) {
+      for (let j = i + 1; j < valid.length; j++) {
+        if (valid[i].hex.toUpperCase() === valid[j].hex.toUpperCase()) continue;
+        const distance = deltaE2000(valid[i].lab, valid[j].lab);
+        if (distance < threshold) {
+          add('warning', 'near-identical',
+            `"${valid[i].name}" (${valid[i].hex}) and "${valid[j].name}" (${valid[j].hex}) in "${category}" are nearly indistinguishable (ΔE00 ${distance.toFixed(2)}).`,
+            { category, name: valid[i].name, hex: valid[i].hex, others: [{ name: valid[j].name, hex: valid[j].hex }], distance: Number(distance.toFixed(3)) });
+        }
+      }
+    }
+  }
+
+  // --- Library-wide checks ---
+  for (const entries of byName.values()) {
+    const categories = new Set(entries.map(e => e.category));
+    if (categories.size > 1) {
+      const differentHex = new Set(entries.map(e => e.hex.toUpperCase())).size > 1;
+      add('warning', 'duplicate-name',
+        `"${entries[0].name}" is used in several categories (${entries.map(e => `${e.category} ${e.hex}`).join(', ')})${differentHex ? ' with different colours' : ''}.`,
+        { name: entries[0].name, others: entries });
+    }
+  }
+
+  for (const [hex, entries] of byHex) {
+    if (entries.length > 1) {
+      add('warning', 'duplicate-hex', `${hex} is used by ${entries.map(e => `"${e.name}" (${e.category})`).join(', ')}.`, { hex, others: entries });
+    }
+  }
+
+  // Likely typos: a word that is one adjacent-letter swap away from a known word
+  const vocabulary = new Set([...COLOUR_VOCABULARY, ...wordCounts.keys()]);
+  for (const [word, count] of wordCounts) {
+    if (word.length < 4 || COLOUR_VOCABULARY.includes(word)) continue;
+    const match = [...vocabulary].find(known => isAdjacentTransposition(word, known) && (wordCounts.get(known) || Infinity) >= count);
+    if (match) {
+      const names = [...byName.values()].flat().filter(e => e.name.toLowerCase().match(/[a-z]+/g)?.includes(word));
+      add('warning', 'possible-typo', `"${word}" looks like a misspelling of "${match}" (in ${names.map(e => `"${e.name}" (${e.category})`).join(', ')}).`,
+        { name: names[0]?.name, category: names[0]?.category, suggestion: match });
+    }
+  }
+
+  // Category naming: mixed lower-case ("whites") and capitalised ("Neutrals", "EarthTones") keys
+  const categoryNames = Object.keys(data || {});
+  const lowerCase = categoryNames.filter(name => /^[a-z]/.test(name));
+  const capitalised = categoryNames.filter(name => /^[A-Z]/.test(name));
+  if (lowerCase.length && capitalised.length) {
+    add('warning', 'category-naming', `Category names mix styles: lower-case (${lowerCase.join(', ')}) and capitalised (${capitalised.join(', ')}).`,
+      { others: { lowerCase, capitalised } });
+  }
+
+  const summary = {
+    categories: categoryNames.length,
+    colors: colorCount,
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    info: issues.filter(i => i.severity === 'info').length,
+  };
+  return { generatedAt: new Date().toISOString(), threshold, summary, issues };
+}
+
+/**
+ * Logs a short lint summary (and every error) to the console. Used at server start.
+ * @param {{summary: object, issues: object[]}} report - Report from lintColors().
+ */
+function logLintReport(report) {
+  const { summary } = report;
+  const line = `Colour library lint: ${summary.colors} colours in ${summary.categories} categories, ` +
+    `${summary.errors} error(s), ${summary.warnings} warning(s), ${summary.info} note(s). Details: GET /api/colors/lint`;
+  if (summary.errors > 0) {
+    console.warn(line);
+    report.issues.filter(i => i.severity === 'error').forEach(i => console.warn(`  - ${i.message}`));
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = { DEFAULT_NEAR_IDENTICAL_THRESHOLD, lintColors, logLintReport };
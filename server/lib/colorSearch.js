@@ -0,0 +1,50 @@
+// jenVek-node/server/lib/colorSearch.js
+// Finds colours in the library by perceptual closeness to a hex value (CIEDE2000 in Lab)
+// and/or by a name substring. Backs GET /api/colors/search.
+
+const { loadSharedModule } = require('./sharedModules');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Searches a colour library.
+ * @param {object} data - Colour library (category -> [{ name, hex }]).
+ * @param {object} query
+ * @param {string} [query.near] - Hex colour to match (#RRGGBB, #RGB, with or without '#').
+ * @param {string} [query.name] - Case-insensitive substring the colour name must contain.
+ * @param {number} [query.limit=10] - Maximum number of results.
+ * @returns {Promise<Array<{name: string, hex: string, category: string, distance?: number}>>}
+ *   Matches sorted by ΔE00 when `near` is given, otherwise by how well the name matches.
+ */
+async function searchColors(data, { near, name, limit = DEFAULT_LIMIT } = {}) {
+  const { hexToLab, deltaE2000 } = await loadSharedModule('colorMath.js');
+  const target = near ? hexToLab(near) : null;
+  const needle = name ? name.trim().toLowerCase() : '';
+
+  const matches = [];
+  for (const [category, colors] of Object.entries(data || {})) {
+    if (!Array.isArray(colors)) continue;
+    for (const color of colors) {
+      if (!color || typeof color.name !== 'string') continue;
+      const lab = hexToLab(color.hex);
+      if (!lab) continue; // Invalid entries are reported by /api/colors/lint
+      if (needle && !color.name.toLowerCase().includes(needle)) continue;
+
+      const match = { name: color.name, hex: color.hex.toUpperCase(), category };
+      if (target) match.distance = Number(deltaE2000(target, lab).toFixed(3));
+      matches.push(match);
+    }
+  }
+
+  if (target) {
+    matches.sort((a, b) => a.distance - b.distance);
+  } else {
+    // Names starting with the search text first, then alphabetical
+    const rank = (m) => (m.name.toLowerCase().startsWith(needle) ? 0 : 1);
+    matches.sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+  }
+  return matches.slice(0, limit);
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, searchColors };
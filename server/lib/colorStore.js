@@ -0,0 +1,329 @@
+// jenVek-node/server/lib/colorStore.js
+// Persistent colour library. Categories of { name, hex } colours live in a JSON file on disk
+// (server/data/colours.json by default, or COLOURS_FILE). On first start the file is seeded
+// from the built-in library in server/data/colours.js. Every change is written atomically
+// (temp file + rename) so a crash mid-write never leaves a half-written library behind.
+
+const fs = require('fs');
+const path = require('path');
+const HttpError = require('./httpError');
+const builtInColors = require('../data/colours');
+
+const COLOURS_FILE = process.env.COLOURS_FILE || path.join(__dirname, '..', 'data', 'colours.json');
+
+// Values the palette dropdowns use for their special options (including 'custom' for the
+// generated harmony palette); categories can't take these names
+const RESERVED_CATEGORY_NAMES = ['random_category', 'random_palette', 'random_in_category', 'fallback', 'custom'];
+const MAX_NAME_LENGTH = 60;
+
+let colors = null; // In-memory copy of the library, loaded by loadColors()
+let writeQueue = Promise.resolve(); // Serializes mutations so concurrent requests can't interleave writes
+
+/**
+ * Loads the library from disk, creating the file from the built-in data if it doesn't exist yet.
+ * Called once at server start; later calls reload from disk.
+ * @param {object} [settings]
+ * @param {boolean} [settings.createIfMissing=true] - Write the file when missing (read-only tools pass false).
+ * @returns {Promise<object>} The colour library (category -> [{ name, hex }]).
+ */
+async function loadColors({ createIfMissing = true } = {}) {
+  try {
+    const text = await fs.promises.readFile(COLOURS_FILE, 'utf8');
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`${COLOURS_FILE} must contain an object of colour categories.`);
+    }
+    colors = data;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    colors = JSON.parse(JSON.stringify(builtInColors));
+    if (createIfMissing) {
+      console.log(`Colour library ${COLOURS_FILE} not found, creating it from server/data/colours.js.`);
+      await writeAtomically(colors);
+    }
+  }
+  return colors;
+}
+
+/**
+ * Returns the current library (the built-in data until loadColors() has run).
+ * Treat the result as read-only; use the mutation functions below to change it.
+ * @returns {object} The colour library.
+ */
+function getColors() {
+  return colors || builtInColors;
+}
+
+/**
+ * Writes the library to COLOURS_FILE via a temporary file and rename.
+ * @param {object} data - The library to write.
+ */
+async function writeAtomically(data) {
+  const tempFile = `${COLOURS_FILE}.${process.pid}.${Date.now()}.tmp`;
+  const handle = await fs.promises.open(tempFile, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2) + '\n', 'utf8');
+    await handle.sync(); // Make sure the bytes are on disk before the rename makes them visible
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.promises.rename(tempFile, COLOURS_FILE);
+  } catch (error) {
+    await fs.promises.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Applies a change to a copy of the library, persists it and then swaps it in.
+ * Mutations run one at a time; if validation or the write fails, the library is unchanged.
+ * @param {(draft: object) => any} change - Modifies the draft (may throw HttpError); its return value is passed through.
+ * @returns {Promise<any>} The change function's return value.
+ */
+function mutate(change) {
+  const run = writeQueue.then(async () => {
+    const draft = JSON.parse(JSON.stringify(getColors()));
+    const result = change(draft);
+    await writeAtomically(draft);
+    colors = draft;
+    return result;
+  });
+  writeQueue = run.catch(() => {}); // Keep the queue alive after a failed mutation
+  return run;
+}
+
+// ----- VALIDATION HELPERS -----
+
+/**
+ * Normalizes a hex colour to #RRGGBB upper case. Accepts #RGB and #RRGGBB.
+ * @param {any} hex - Input value.
+ * @returns {string} The normalized hex value.
+ * @throws {HttpError} 400 if the value is not a hex colour.
+ */
+function normalizeHex(hex) {
+  if (typeof hex !== 'string' || !/^#([0-9A-F]{3}|[0-9A-F]{6})$/i.test(hex.trim())) {
+    throw new HttpError(400, `"hex" must be a colour like #3A7BD5 (got ${JSON.stringify(hex)}).`);
+  }
+  let value = hex.trim().toUpperCase();
+  if (value.length === 4) value = '#' + value.slice(1).split('').map(c => c + c).join('');
+  return value;
+}
+
+/**
+ * Validates and trims a colour or category name.
+ * @param {any} name - Input value.
+ * @param {string} label - What the name is for, used in error messages.
+ * @returns {string} The trimmed name.
+ * @throws {HttpError} 400 if the name is empty, too long or not a string.
+ */
+function cleanName(name, label) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpError(400, `${label} name must be a non-empty string.`);
+  }
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new HttpError(400, `${label} name must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Validates a category name, including the reserved dropdown values and object prototype keys.
+ * @param {any} name - Input value.
+ * @returns {string} The cleaned category name.
+ */
+function cleanCategoryName(name) {
+  const cleaned = cleanName(name, 'Category');
+  if (RESERVED_CATEGORY_NAMES.includes(cleaned)) {
+    throw new HttpError(400, `"${cleaned}" is reserved and can't be used as a category name.`);
+  }
+  // Names of Object.prototype members (__proto__, constructor, toString, hasOwnProperty, ...) would
+  // shadow them on the library object, or for '__proto__' not create a category at all
+  if (cleaned in Object.prototype || cleaned === 'prototype') {
+    throw new HttpError(400, `"${cleaned}" can't be used as a category name.`);
+  }
+  return cleaned;
+}
+
+/**
+ * Finds a category key case-insensitively.
+ * @param {object} data - The library.
+ * @param {string} name - Category name.
+ * @returns {string | undefined} The stored key, if any.
+ */
+function findCategoryKey(data, name) {
+  const lower = String(name).toLowerCase();
+  return Object.keys(data).find(key => key.toLowerCase() === lower);
+}
+
+/**
+ * Looks up an existing category or throws a 404.
+ * @param {object} data - The library.
+ * @param {string} name - Category name from the URL.
+ * @returns {string} The stored key.
+ */
+function requireCategory(data, name) {
+  const key = findCategoryKey(data, name);
+  if (key === undefined) throw new HttpError(404, `Category "${name}" not found.`);
+  return key;
+}
+
+/**
+ * Finds a colour's index in a category by name, case-insensitively.
+ * @param {Array<{name: string}>} list - Category colours.
+ * @param {string} name - Colour name.
+ * @returns {number} Index, or -1.
+ */
+function findColorIndex(list, name) {
+  const lower = String(name).toLowerCase();
+  return list.findIndex(color => String(color?.name).toLowerCase() === lower);
+}
+
+/**
+ * Validates a list of colours for a new or replaced category.
+ * @param {any} list - Input value.
+ * @returns {Array<{name: string, hex: string}>} Cleaned colours.
+ * @throws {HttpError} 400 for bad entries, 409 for duplicate names within the list.
+ */
+function cleanColorList(list) {
+  if (!Array.isArray(list)) throw new HttpError(400, '"colors" must be an array of { name, hex } objects.');
+  const cleaned = [];
+  for (const entry of list) {
+    const color = { name: cleanName(entry?.name, 'Colour'), hex: normalizeHex(entry?.hex) };
+    if (findColorIndex(cleaned, color.name) !== -1) {
+      throw new HttpError(409, `Colour "${color.name}" appears more than once.`);
+    }
+    cleaned.push(color);
+  }
+  return cleaned;
+}
+
+// ----- MUTATIONS -----
+
+/**
+ * Creates a category.
+ * @param {{name: string, colors?: Array<{name: string, hex: string}>}} input - Category name and optional colours.
+ * @returns {Promise<{name: string, colors: object[]}>} The created category.
+ */
+function createCategory(input) {
+  const name = cleanCategoryName(input?.name);
+  const list = cleanColorList(input?.colors ?? []);
+  return mutate((draft) => {
+    if (findCategoryKey(draft, name) !== undefined) throw new HttpError(409, `Category "${name}" already exists.`);
+    draft[name] = list;
+    return { name, colors: list };
+  });
+}
+
+/**
+ * Renames a category and/or replaces its colours.
+ * @param {string} category - Existing category name.
+ * @param {{name?: string, colors?: Array<{name: string, hex: string}>}} input - Changes to apply.
+ * @returns {Promise<{name: string, colors: object[]}>} The updated category.
+ */
+function updateCategory(category, input) {
+  if (!input || (input.name === undefined && input.colors === undefined)) {
+    throw new HttpError(400, 'Nothing to update: send "name" and/or "colors".');
+  }
+  const newName = input.name !== undefined ? cleanCategoryName(input.name) : undefined;
+  const list = input.colors !== undefined ? cleanColorList(input.colors) : undefined;
+  return mutate((draft) => {
+    const key = requireCategory(draft, category);
+    const colorsForCategory = list ?? draft[key];
+    if (newName !== undefined && newName !== key) {
+      const clash = findCategoryKey(draft, newName);
+      if (clash !== undefined && clash !== key) throw new HttpError(409, `Category "${newName}" already exists.`);
+      // Rebuild the object so the renamed category keeps its position in the dropdown
+      const entries = Object.entries(draft).map(([k, v]) => (k === key ? [newName, colorsForCategory] : [k, v]));
+      Object.keys(draft).forEach(k => delete draft[k]);
+      entries.forEach(([k, v]) => { draft[k] = v; });
+      return { name: newName, colors: colorsForCategory };
+    }
+    draft[key] = colorsForCategory;
+    return { name: key, colors: colorsForCategory };
+  });
+}
+
+/**
+ * Deletes a category and its colours.
+ * @param {string} category - Category name.
+ * @returns {Promise<void>}
+ */
+function deleteCategory(category) {
+  return mutate((draft) => {
+    delete draft[requireCategory(draft, category)];
+  });
+}
+
+/**
+ * Adds a colour to a category.
+ * @param {string} category - Category name.
+ * @param {{name: string, hex: string}} input - The colour.
+ * @returns {Promise<{name: string, hex: string}>} The stored colour.
+ */
+function addColor(category, input) {
+  const color = { name: cleanName(input?.name, 'Colour'), hex: normalizeHex(input?.hex) };
+  return mutate((draft) => {
+    const key = requireCategory(draft, category);
+    if (findColorIndex(draft[key], color.name) !== -1) {
+      throw new HttpError(409, `Colour "${color.name}" already exists in "${key}".`);
+    }
+    draft[key].push(color);
+    return color;
+  });
+}
+
+/**
+ * Renames and/or recolours a colour.
+ * @param {string} category - Category name.
+ * @param {string} colorName - Existing colour name.
+ * @param {{name?: string, hex?: string}} input - Changes to apply.
+ * @returns {Promise<{name: string, hex: string}>} The updated colour.
+ */
+function updateColor(category, colorName, input) {
+  if (!input || (input.name === undefined && input.hex === undefined)) {
+    throw new HttpError(400, 'Nothing to update: send "name" and/or "hex".');
+  }
+  const newName = input.name !== undefined ? cleanName(input.name, 'Colour') : undefined;
+  const newHex = input.hex !== undefined ? normalizeHex(input.hex) : undefined;
+  return mutate((draft) => {
+    const key = requireCategory(draft, category);
+    const index = findColorIndex(draft[key], colorName);
+    if (index === -1) throw new HttpError(404, `Colour "${colorName}" not found in "${key}".`);
+    if (newName !== undefined) {
+      const clash = findColorIndex(draft[key], newName);
+      if (clash !== -1 && clash !== index) throw new HttpError(409, `Colour "${newName}" already exists in "${key}".`);
+    }
+    const updated = { ...draft[key][index], ...(newName !== undefined && { name: newName }), ...(newHex !== undefined && { hex: newHex }) };
+    draft[key][index] = updated;
+    return updated;
+  });
+}
+
+/**
+ * Removes a colour from a category.
+ * @param {string} category - Category name.
+ * @param {string} colorName - Colour name.
+ * @returns {Promise<void>}
+ */
+function deleteColor(category, colorName) {
+  return mutate((draft) => {
+    const key = requireCategory(draft, category);
+    const index = findColorIndex(draft[key], colorName);
+    if (index === -1) throw new HttpError(404, `Colour "${colorName}" not found in "${key}".`);
+    draft[key].splice(index, 1);
+  });
+}
+
+module.exports = {
+  COLOURS_FILE,
+  loadColors,
+  getColors,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  addColor,
+  updateColor,
+  deleteColor,
+};
@@ -0,0 +1,21 @@
+// jenVek-node/server/lib/httpError.js
+
+/**
+ * Error carrying an HTTP status code and optional details (e.g. a list of validation errors).
+ * Thrown by route handlers and turned into a JSON response by the error middleware in server.js.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code (4xx/5xx).
+   * @param {string} message - Human-readable error message.
+   * @param {any} [details] - Extra information for the client (validation errors, limits, ...).
+   */
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
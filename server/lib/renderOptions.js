@@ -0,0 +1,363 @@
+// jenVek-node/server/lib/renderOptions.js
+// Validation for render requests. Accepts the options object produced by the browser's
+// getOptions() (see public/js/modules/generator.js) plus a `seed` and a `palette` name.
+// Limits mirror the min/max of the controls in server/views/index.html; pattern parameters,
+// layer settings, blend modes and spiral types come from the render core
+// (public/js/modules/render.js and the pattern registry it exports), so they cannot drift apart.
+
+const { getColors } = require('./colorStore');
+
+/**
+ * Hard limits for server-side renders (override with environment variables).
+ */
+const RENDER_LIMITS = {
+  maxViewport: parseInt(process.env.RENDER_MAX_VIEWPORT, 10) || 4000,
+  maxElements: parseInt(process.env.RENDER_MAX_ELEMENTS, 10) || 50000,
+  maxBytes: parseInt(process.env.RENDER_MAX_BYTES, 10) || 16 * 1024 * 1024, // Attribute markup (path data), in characters
+};
+
+/**
+ * Numeric options: [min, max, integer?]. Same ranges as the UI controls.
+ */
+const NUMBER_RULES = {
+  layerCount: [1, 25, true],
+  offsetX: [-10000, 10000, false],
+  offsetY: [-10000, 10000, false],
+  globalAngle: [0, 360, false],
+  complexity: [1, 20, false],
+  density: [1, 100, false],
+  repetition: [1, 20, true],
+  curveSteps: [0, 5000, true],
+  strokeWeight: [0, 100, false],
+  scale: [0.1, 10, false],
+  opacity: [0, 1, false],
+  viewportWidth: [100, RENDER_LIMITS.maxViewport, true],
+  viewportHeight: [100, RENDER_LIMITS.maxViewport, true],
+  lissajousA: [1, 12, true],
+  lissajousB: [1, 12, true],
+  lissajousDelta: [0, Math.PI, false], // Radians (the UI converts its π fractions)
+  spiralA: [-1000, 1000, false],
+  spiralB: [-1000, 1000, false],
+  paletteSize: [0, 64, true], // 0 = palette as resolved
+};
+
+/**
+ * Options restricted to a fixed set of values. patternType and spiralType are checked against the render core.
+ */
+const ENUM_RULES = {
+  fillType: ['solid', 'gradient', 'pattern', 'none'],
+  animationType: ['pulse', 'rotate', 'opacity', 'morph'],
+  paletteSort: ['none', 'lightness', 'hue', 'chroma', 'path'],
+  colorInterpolation: ['srgb', 'oklab', 'oklch'],
+};
+
+const BOOLEAN_KEYS = ['useCursor', 'useTime', 'animation'];
+const COLOR_KEYS = ['bgColor', 'strokeColor'];
+const STRING_KEYS = { seedOverride: 64, idPrefix: 64 };
+const COORDINATE_KEYS = ['capturedX', 'capturedY'];
+const OTHER_KEYS = ['patternType', 'colorCategory', 'colorPalette', 'capturedV', 'seed', 'palette', 'customPalette', 'layers'];
+
+const MAX_LAYER_ID_LENGTH = 32;
+const MAX_LAYER_SEED = 2 ** 32;
+
+const RANDOM_PALETTES = ['random_palette', 'random_in_category'];
+
+// Generated (harmony) palettes arrive as colorCategory "custom" plus their colours in customPalette
+const CUSTOM_CATEGORY = 'custom';
+const MAX_CUSTOM_PALETTE = 32;
+
+/**
+ * Converts pattern parameter schemas into rules in the same shape as the tables above.
+ * @param {object} paramSchemas - Schemas keyed by option key (render core getPatternParamSchemas()).
+ * @returns {{numbers: object, enums: object, booleans: string[], strings: object}} Rules for the parameters.
+ */
+function paramRules(paramSchemas) {
+  const rules = { numbers: {}, enums: {}, booleans: [], strings: {} };
+  for (const [key, schema] of Object.entries(paramSchemas)) {
+    if (schema.type === 'number' || schema.type === 'integer') rules.numbers[key] = [schema.min, schema.max, schema.type === 'integer'];
+    else if (schema.type === 'enum') rules.enums[key] = schema.options.map(option => option.value);
+    else if (schema.type === 'boolean') rules.booleans.push(key);
+    else if (schema.type === 'string') rules.strings[key] = schema.maxLength;
+  }
+  return rules;
+}
+
+/**
+ * Checks a number (or null) coordinate.
+ * @param {any} value - Value to check.
+ * @returns {boolean} True for null or a finite number.
+ */
+function isCoordinate(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Checks that captured points lie inside the viewport (0..viewportWidth, 0..viewportHeight),
+ * as they do when captured in the browser. Patterns place seeds and attractors around them.
+ * @param {object} options - Options being built (captured coordinates and viewport already checked).
+ * @param {string[]} errors - Error list (appended to).
+ * @param {object} core - The render core module (for the default viewport).
+ */
+function validateCapturedBounds(options, errors, core) {
+  const width = options.viewportWidth ?? core.DEFAULT_RENDER_OPTIONS.viewportWidth;
+  const height = options.viewportHeight ?? core.DEFAULT_RENDER_OPTIONS.viewportHeight;
+  const outside = (value, max) => value !== null && value !== undefined && (value < 0 || value > max);
+  if (outside(options.capturedX, width)) errors.push(`"capturedX" must be between 0 and the viewport width (${width}).`);
+  if (outside(options.capturedY, height)) errors.push(`"capturedY" must be between 0 and the viewport height (${height}).`);
+  if (options.capturedV && (outside(options.capturedV.x, width) || outside(options.capturedV.y, height))) {
+    errors.push(`"capturedV" must lie inside the ${width}x${height} viewport.`);
+  }
+}
+
+/**
+ * Validates a render request body and converts it into render options.
+ * `seed` (number or string) becomes `seedOverride`; `palette` selects a palette by name:
+ * a colour category (the whole category), 'random_palette', or 'random_in_category'
+ * (together with `colorCategory`). A generated palette is sent as `customPalette` (hex list)
+ * and selected with the category/palette name "custom".
+ * @param {any} body - Parsed JSON request body.
+ * @param {object} core - The render core module (loadRenderCore() in renderer.js). Supplies the
+ *   pattern types, the pattern parameter schemas (accepted and checked like the built-in options),
+ *   the layer option keys, BLEND_MODES, LAYER_DISPLAY_DEFAULTS and SPIRAL_TYPES.
+ * @returns {{options: object, errors: string[]}} Options to render, or the list of problems.
+ */
+function validateRenderRequest(body, core) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { options: null, errors: ['Request body must be a JSON object of render options.'] };
+  }
+
+  const options = {};
+  const patternTypes = core.getPatternTypes();
+  const params = paramRules(core.getPatternParamSchemas());
+  const numberRules = { ...NUMBER_RULES, ...params.numbers };
+  const enumRules = { ...ENUM_RULES, spiralType: core.SPIRAL_TYPES, ...params.enums };
+  const booleanKeys = [...BOOLEAN_KEYS, ...params.booleans];
+  const stringRules = { ...STRING_KEYS, ...params.strings };
+
+  // Every key a render request may contain
+  const knownKeys = new Set([
+    ...Object.keys(numberRules), ...Object.keys(enumRules), ...booleanKeys, ...COLOR_KEYS,
+    ...Object.keys(stringRules), ...COORDINATE_KEYS, ...OTHER_KEYS,
+  ]);
+  for (const key of Object.keys(body)) {
+    if (!knownKeys.has(key)) errors.push(`Unknown option "${key}".`);
+  }
+
+  for (const [key, [min, max, integer]] of Object.entries(numberRules)) {
+    if (body[key] === undefined) continue;
+    const value = body[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`"${key}" must be a number.`);
+    } else if (integer && !Number.isInteger(value)) {
+      errors.push(`"${key}" must be an integer.`);
+    } else if (value < min || value > max) {
+      errors.push(`"${key}" must be between ${min} and ${max}.`);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  for (const [key, allowed] of Object.entries(enumRules)) {
+    if (body[key] === undefined) continue;
+    if (!allowed.includes(body[key])) errors.push(`"${key}" must be one of: ${allowed.join(', ')}.`);
+    else options[key] = body[key];
+  }
+
+  if (body.patternType !== undefined) {
+    if (!patternTypes.includes(body.patternType)) errors.push(`"patternType" must be one of: ${patternTypes.join(', ')}.`);
+    else options.patternType = body.patternType;
+  }
+
+  for (const key of booleanKeys) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'boolean') errors.push(`"${key}" must be true or false.`);
+    else options[key] = body[key];
+  }
+
+  for (const key of COLOR_KEYS) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string' || !/^#[0-9A-F]{6}$/i.test(body[key])) errors.push(`"${key}" must be a hex colour like #264651.`);
+    else options[key] = body[key];
+  }
+
+  for (const [key, maxLength] of Object.entries(stringRules)) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'string' || body[key].length > maxLength) errors.push(`"${key}" must be a string of at most ${maxLength} characters.`);
+    else options[key] = body[key];
+  }
+
+  for (const key of COORDINATE_KEYS) {
+    if (body[key] === undefined) continue;
+    if (!isCoordinate(body[key])) errors.push(`"${key}" must be a number or null.`);
+    else options[key] = body[key];
+  }
+  if (body.capturedV !== undefined) {
+    const v = body.capturedV;
+    if (v === null) options.capturedV = { x: null, y: null };
+    else if (typeof v !== 'object' || !isCoordinate(v.x ?? null) || !isCoordinate(v.y ?? null)) errors.push('"capturedV" must be an object like { "x": 10, "y": 20 }.');
+    else options.capturedV = { x: v.x ?? null, y: v.y ?? null };
+  }
+  validateCapturedBounds(options, errors, core);
+
+  // --- Seed ---
+  if (body.seed !== undefined && body.seed !== null) {
+    const seedIsNumber = typeof body.seed === 'number' && Number.isFinite(body.seed);
+    const seedIsString = typeof body.seed === 'string' && body.seed.trim() !== '' && body.seed.length <= STRING_KEYS.seedOverride;
+    if (!seedIsNumber && !seedIsString) errors.push('"seed" must be a finite number or a non-empty string.');
+    else if (body.seedOverride) errors.push('Pass either "seed" or "seedOverride", not both.');
+    else options.seedOverride = String(body.seed);
+  }
+
+  // --- Palette ---
+  validatePalette(body, options, errors);
+
+  // --- Layer stack ---
+  if (body.layers !== undefined) validateLayers(body, options, errors, core);
+
+  return { options: errors.length ? null : options, errors };
+}
+
+/**
+ * Validates a layer's display settings (visible, blendMode, layerOpacity, seed).
+ * @param {object} display - The settings present on the layer.
+ * @param {string} context - Prefix for messages (e.g. "layers[2]").
+ * @param {string[]} errors - Error list (appended to).
+ * @param {string[]} blendModes - Allowed blend modes (render core BLEND_MODES).
+ * @returns {object} The settings that were set.
+ */
+function validateLayerDisplay(display, context, errors, blendModes) {
+  const { visible, blendMode, layerOpacity, seed } = display;
+  if (visible !== undefined && typeof visible !== 'boolean') {
+    errors.push(`"${context}.visible" must be true or false.`);
+  }
+  if (blendMode !== undefined && !blendModes.includes(blendMode)) {
+    errors.push(`"${context}.blendMode" must be one of: ${blendModes.join(', ')}.`);
+  }
+  if (layerOpacity !== undefined && !(typeof layerOpacity === 'number' && layerOpacity >= 0 && layerOpacity <= 1)) {
+    errors.push(`"${context}.layerOpacity" must be a number between 0 and 1.`);
+  }
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed < MAX_LAYER_SEED)) {
+    errors.push(`"${context}.seed" must be an integer between 0 and ${MAX_LAYER_SEED - 1}.`);
+  }
+  return Object.fromEntries(Object.entries(display).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validates the `layers` stack: each layer is checked like a render request restricted to
+ * the render core's layer option keys (getLayerOptionKeys(), which include the pattern
+ * parameters), plus its display settings (LAYER_DISPLAY_DEFAULTS keys and `seed`).
+ * A layer using the "custom" palette shares the top-level `customPalette`.
+ * @param {object} body - Request body.
+ * @param {object} options - Options being built (modified).
+ * @param {string[]} errors - Error list (appended to).
+ * @param {object} core - The render core module.
+ */
+function validateLayers(body, options, errors, core) {
+  const maxLayers = NUMBER_RULES.layerCount[1];
+  if (!Array.isArray(body.layers) || body.layers.length > maxLayers) {
+    errors.push(`"layers" must be a list of at most ${maxLayers} layer objects.`);
+    return;
+  }
+  const allowed = new Set(core.getLayerOptionKeys());
+  const displayKeys = [...Object.keys(core.LAYER_DISPLAY_DEFAULTS), 'seed'];
+  const ids = new Set();
+
+  options.layers = body.layers.map((layer, index) => {
+    const context = `layers[${index}]`;
+    if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+      errors.push(`"${context}" must be an object of layer settings.`);
+      return null;
+    }
+    const { id, ...rest } = layer;
+    const settings = Object.fromEntries(Object.entries(rest).filter(([key]) => !displayKeys.includes(key)));
+    const display = validateLayerDisplay(
+      Object.fromEntries(displayKeys.map(key => [key, rest[key]])), context, errors, core.BLEND_MODES
+    );
+    if (id !== undefined && (typeof id !== 'string' || id === '' || id.length > MAX_LAYER_ID_LENGTH || ids.has(id))) {
+      errors.push(`"${context}.id" must be a unique, non-empty string of at most ${MAX_LAYER_ID_LENGTH} characters.`);
+    }
+    ids.add(id);
+    const disallowed = Object.keys(settings).filter(key => !allowed.has(key));
+    if (disallowed.length > 0) {
+      errors.push(`"${context}" cannot set ${disallowed.map(key => `"${key}"`).join(', ')} per layer.`);
+      return null;
+    }
+
+    const usesCustom = settings.colorCategory === CUSTOM_CATEGORY || settings.colorPalette === CUSTOM_CATEGORY;
+    const checked = validateRenderRequest(
+      usesCustom && body.customPalette !== undefined ? { ...settings, customPalette: body.customPalette } : settings,
+      core
+    );
+    checked.errors.forEach(error => errors.push(`${context}: ${error}`));
+    if (!checked.options) return null;
+    delete checked.options.customPalette; // Rendered from the top-level list
+    return id === undefined ? { ...checked.options, ...display } : { id, ...checked.options, ...display };
+  });
+}
+
+/**
+ * Validates colorCategory / colorPalette / palette against the colour library and writes
+ * the resolved selection into `options`.
+ * @param {object} body - Request body.
+ * @param {object} options - Options being built (modified).
+ * @param {string[]} errors - Error list (appended to).
+ */
+function validatePalette(body, options, errors) {
+  const categories = Object.keys(getColors());
+
+  if (body.customPalette !== undefined) {
+    const list = body.customPalette;
+    if (!Array.isArray(list) || list.length > MAX_CUSTOM_PALETTE ||
+      !list.every(hex => typeof hex === 'string' && /^#[0-9A-F]{6}$/i.test(hex))) {
+      errors.push(`"customPalette" must be a list of at most ${MAX_CUSTOM_PALETTE} hex colours like #264651.`);
+      return;
+    }
+    // An empty list (the DEFAULT_RENDER_OPTIONS value) is accepted as long as "custom" isn't selected
+    options.customPalette = list;
+    if (list.length > 0) categories.push(CUSTOM_CATEGORY); // Selectable like a library category from here on
+  }
+  const isCategory = (name) => typeof name === 'string' && categories.includes(name);
+
+  if ((body.colorCategory === CUSTOM_CATEGORY || body.palette === CUSTOM_CATEGORY) && !options.customPalette?.length) {
+    errors.push('The "custom" palette needs its colours in "customPalette".');
+    return;
+  }
+  if (body.colorCategory !== undefined) {
+    if (body.colorCategory !== 'random_category' && !isCategory(body.colorCategory)) {
+      errors.push(`"colorCategory" must be "random_category" or one of: ${categories.join(', ')}.`);
+      return;
+    }
+    options.colorCategory = body.colorCategory;
+  }
+
+  const paletteName = body.palette !== undefined ? body.palette : body.colorPalette;
+  if (body.palette !== undefined && body.colorPalette !== undefined && body.palette !== body.colorPalette) {
+    errors.push('Pass either "palette" or "colorPalette", not both.');
+    return;
+  }
+  if (paletteName === undefined) return;
+
+  if (paletteName === 'random_palette') {
+    options.colorCategory = options.colorCategory || 'random_category';
+    options.colorPalette = paletteName;
+  } else if (paletteName === 'random_in_category') {
+    if (!isCategory(options.colorCategory)) {
+      errors.push('"random_in_category" needs "colorCategory" set to a colour category.');
+      return;
+    }
+    options.colorPalette = paletteName;
+  } else if (isCategory(paletteName)) {
+    // Palettes are whole categories (see updatePaletteDropdown in colorUtils.js)
+    if (options.colorCategory && options.colorCategory !== paletteName) {
+      errors.push(`Palette "${paletteName}" does not belong to category "${options.colorCategory}".`);
+      return;
+    }
+    options.colorCategory = paletteName;
+    options.colorPalette = paletteName;
+  } else {
+    errors.push(`Unknown palette "${paletteName}". Use a colour category name, ${RANDOM_PALETTES.map(p => `"${p}"`).join(' or ')}.`);
+  }
+}
+
+module.exports = { RENDER_LIMITS, validateRenderRequest };
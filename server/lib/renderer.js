@@ -0,0 +1,29 @@
+// jenVek-node/server/lib/renderer.js
+// CommonJS bridge to the DOM-free rendering core in public/js/modules/render.js.
+// The core is an ES module shared with the browser, so it is loaded with a dynamic import().
+
+const { getColors } = require('./colorStore');
+const { loadSharedModule } = require('./sharedModules');
+
+/**
+ * Loads and returns the rendering core module.
+ * @returns {Promise<object>} The render.js module namespace.
+ */
+function loadRenderCore() {
+  return loadSharedModule('render.js');
+}
+
+/**
+ * Renders an SVG document string from a generation options object.
+ * Uses the server's colour library (colorStore.js) unless `context.allColors` is given, and
+ * drops the core's log messages unless `context.logger` is given (e.g. console).
+ * @param {object} options - Generation options (same keys as the browser's getOptions()).
+ * @param {object} [context={}] - Extra render context, see renderScene() in render.js.
+ * @returns {Promise<{svg: string, options: object, palette: string[], seed: number, mathInfo: object, totalElements: number}>}
+ */
+async function renderSVG(options = {}, context = {}) {
+  const core = await loadRenderCore();
+  return core.renderSVG(options, { allColors: getColors(), logger: core.SILENT_LOGGER, ...context });
+}
+
+module.exports = { loadRenderCore, renderSVG };
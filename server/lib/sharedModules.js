@@ -0,0 +1,19 @@
+// jenVek-node/server/lib/sharedModules.js
+// Loads the ES modules shared with the browser (public/js/modules) from CommonJS code.
+// Node caches each module after the first import(), so repeated calls are cheap.
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SHARED_MODULES_DIR = path.join(__dirname, '..', '..', 'public', 'js', 'modules');
+
+/**
+ * Imports a browser module by its path relative to public/js/modules.
+ * @param {string} relativePath - e.g. 'render.js' or 'colorMath.js'.
+ * @returns {Promise<object>} The module namespace.
+ */
+function loadSharedModule(relativePath) {
+  return import(pathToFileURL(path.join(SHARED_MODULES_DIR, relativePath)).href);
+}
+
+module.exports = { loadSharedModule };
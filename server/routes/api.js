@@ -1,11 +1,125 @@
 // jenVek-node/server/routes/api.js
 const express = require('express');
 const router = express.Router();
-const colorData = require('../data/colours'); // Import the node module
+const colorStore = require('../lib/colorStore'); // Persistent colour library (server/data/colours.json)
+const HttpError = require('../lib/httpError');
+const { DEFAULT_NEAR_IDENTICAL_THRESHOLD, lintColors } = require('../lib/colorLint');
+const colorSearch = require('../lib/colorSearch');
+const { loadRenderCore, renderSVG } = require('../lib/renderer');
+const { RENDER_LIMITS, validateRenderRequest } = require('../lib/renderOptions');
 
 // Endpoint to get all color data
 router.get('/colors', (req, res) => {
-  res.json(colorData); // Send the imported data as JSON
+  res.json(colorStore.getColors()); // Send the current library as JSON
 });
 
-module.exports = router;
\ No newline at end of file
+// Validation report for the colour library: duplicates, invalid or near-identical colours, naming problems.
+// ?threshold= sets the ΔE00 below which same-category colours count as near-identical (default 1.0).
+router.get('/colors/lint', async (req, res) => {
+  let threshold = DEFAULT_NEAR_IDENTICAL_THRESHOLD;
+  if (req.query.threshold !== undefined) {
+    threshold = Number(req.query.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      throw new HttpError(400, '"threshold" must be a number between 0 and 100.');
+    }
+  }
+  res.json(await lintColors(colorStore.getColors(), { threshold }));
+});
+
+// Nearest-colour search: ?near=%233A7BD5 (closest by CIEDE2000) and/or ?name=stone (substring), &limit=10
+router.get('/colors/search', async (req, res) => {
+  const { near, name } = req.query;
+  if (near === undefined && name === undefined) {
+    throw new HttpError(400, 'Pass "near" (a hex colour like #3A7BD5) and/or "name" (part of a colour name).');
+  }
+  if (near !== undefined && (typeof near !== 'string' || !/^#?([0-9A-F]{3}|[0-9A-F]{6})$/i.test(near.trim()))) {
+    throw new HttpError(400, '"near" must be a hex colour like #3A7BD5 (encode "#" as %23 in URLs, or leave it out).');
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new HttpError(400, '"name" must be a non-empty string.');
+  }
+  let limit = colorSearch.DEFAULT_LIMIT;
+  if (req.query.limit !== undefined) {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > colorSearch.MAX_LIMIT) {
+      throw new HttpError(400, `"limit" must be an integer between 1 and ${colorSearch.MAX_LIMIT}.`);
+    }
+  }
+
+  const nearHex = near !== undefined ? `#${near.trim().replace(/^#/, '').toUpperCase()}` : undefined;
+  const results = await colorSearch.searchColors(colorStore.getColors(), { near: nearHex, name, limit });
+  res.json({ query: { near: nearHex ?? null, name: name ?? null, limit }, results });
+});
+
+// --- Palette management ---
+// Categories are the palettes shown in the UI; each holds { name, hex } colours.
+// Names are matched case-insensitively; hex values are stored as #RRGGBB.
+
+// Create a category: { "name": "Brand", "colors": [{ "name": "Ocean", "hex": "#3A7BD5" }] }
+router.post('/colors/categories', async (req, res) => {
+  const category = await colorStore.createCategory(req.body);
+  res.status(201).json(category);
+});
+
+// Rename a category and/or replace its colours: { "name"?: "...", "colors"?: [...] }
+router.put('/colors/categories/:category', async (req, res) => {
+  res.json(await colorStore.updateCategory(req.params.category, req.body));
+});
+
+// Delete a category
+router.delete('/colors/categories/:category', async (req, res) => {
+  await colorStore.deleteCategory(req.params.category);
+  res.status(204).end();
+});
+
+// Add a colour to a category: { "name": "Ocean", "hex": "#3A7BD5" }
+router.post('/colors/categories/:category/colors', async (req, res) => {
+  const color = await colorStore.addColor(req.params.category, req.body);
+  res.status(201).json(color);
+});
+
+// Rename and/or recolour a colour: { "name"?: "...", "hex"?: "#..." }
+router.put('/colors/categories/:category/colors/:name', async (req, res) => {
+  res.json(await colorStore.updateColor(req.params.category, req.params.name, req.body));
+});
+
+// Remove a colour from a category
+router.delete('/colors/categories/:category/colors/:name', async (req, res) => {
+  await colorStore.deleteColor(req.params.category, req.params.name);
+  res.status(204).end();
+});
+
+// Endpoint to render a finished SVG from generation options (same shape as getOptions() in the browser).
+// Responds with image/svg+xml, or with JSON ({ svg, seed, palette, mathInfo }) when the client asks for it.
+router.post('/render', async (req, res) => {
+  if (!req.is('application/json')) {
+    throw new HttpError(415, 'Render requests must be sent as application/json.');
+  }
+
+  const core = await loadRenderCore();
+  const { options, errors } = validateRenderRequest(req.body, core);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid render options.', errors);
+  }
+
+  let result;
+  try {
+    result = await renderSVG(options, { maxElements: RENDER_LIMITS.maxElements, maxBytes: RENDER_LIMITS.maxBytes });
+  } catch (error) {
+    if (error.name === 'RenderLimitError') {
+      throw new HttpError(422, `${error.message} Lower complexity, density, repetition, layer count or curve steps.`, { limit: error.limit, count: error.count, kind: error.kind });
+    }
+    throw error;
+  }
+
+  // The resolved seed lets clients reproduce the exact same artwork later
+  res.set('X-Jenvek-Seed', String(result.seed));
+  res.set('X-Jenvek-Elements', String(result.totalElements));
+
+  if (req.accepts(['image/svg+xml', 'application/json']) === 'application/json') {
+    return res.json({ svg: result.svg, seed: result.seed, palette: result.palette, mathInfo: result.mathInfo });
+  }
+  res.type('image/svg+xml').send(result.svg);
+});
+
+module.exports = router;
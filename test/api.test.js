@@ -0,0 +1,83 @@
+// jenVek-node/test/api.test.js
+// POST /api/render: success, and the 400 / 415 / 422 error responses.
+
+// Small budgets so the limit responses are quick to reach (read when renderOptions.js loads)
+process.env.RENDER_MAX_ELEMENTS = '2000';
+process.env.RENDER_MAX_BYTES = '500000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const app = require('../server/app');
+
+let server;
+let baseURL;
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Posts a render request.
+ * @param {any} body - Request body (JSON-encoded unless it is a string).
+ * @param {object} [headers] - Extra headers.
+ * @returns {Promise<Response>} The response.
+ */
+function postRender(body, headers = {}) {
+  return fetch(`${baseURL}/api/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+test('renders an SVG with the resolved seed in a header', async () => {
+  const response = await postRender({ patternType: 'rose', seed: 7, viewportWidth: 200, viewportHeight: 200 });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /image\/svg\+xml/);
+  assert.equal(response.headers.get('x-jenvek-seed'), '7');
+  assert.match(await response.text(), /^<svg /);
+});
+
+test('returns JSON when the client asks for it', async () => {
+  const response = await postRender({ patternType: 'grid', seed: 3, viewportWidth: 200, viewportHeight: 200 }, { Accept: 'application/json' });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.seed, 3);
+  assert.ok(Array.isArray(body.palette));
+});
+
+test('rejects invalid options with 400 and the list of problems', async () => {
+  const response = await postRender({ complexity: 99, capturedX: 1e9, capturedY: 5 });
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.equal(body.error, 'Invalid render options.');
+  assert.equal(body.details.length, 2);
+});
+
+test('rejects malformed JSON with 400', async () => {
+  const response = await postRender('{"patternType":');
+  assert.equal(response.status, 400);
+});
+
+test('rejects bodies that are not JSON with 415', async () => {
+  const response = await postRender('patternType=rose', { 'Content-Type': 'application/x-www-form-urlencoded' });
+  assert.equal(response.status, 415);
+});
+
+test('stops renders past the element budget with 422', async () => {
+  const response = await postRender({ patternType: 'grid', complexity: 20, density: 100, repetition: 20, layerCount: 25, seed: 1 });
+  assert.equal(response.status, 422);
+  const body = await response.json();
+  assert.equal(body.details.kind, 'elements');
+  assert.equal(body.details.limit, 2000);
+});
+
+test('stops renders whose markup outgrows the size budget with 422, even in few elements', async () => {
+  // The L-system draws one path per branch depth, so this is a handful of very long paths
+  const response = await postRender({ patternType: 'lsystem', lsystemAxiom: 'F', lsystemRules: 'F=F+F-F-F+F', lsystemIterations: 7, maxRecursion: 7, seed: 1 });
+  assert.equal(response.status, 422);
+  const body = await response.json();
+  assert.equal(body.details.kind, 'bytes');
+});
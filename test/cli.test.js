@@ -0,0 +1,72 @@
+// jenVek-node/test/cli.test.js
+// The jenvek CLI helpers: seed lists, viewports, output file names and design files.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSeedList, parseViewport, seedToFileName, uniqueFileName, readDesignFile } = require('../jenvek');
+
+test('parses seed lists, ranges and text seeds', () => {
+  assert.deepEqual(parseSeedList('1..4'), [1, 2, 3, 4]);
+  assert.deepEqual(parseSeedList('3..1'), [3, 2, 1]);
+  assert.deepEqual(parseSeedList('-2..0'), [-2, -1, 0]);
+  assert.deepEqual(parseSeedList('5, 1..3, 2, 5'), [5, 1, 2, 3]);
+  assert.deepEqual(parseSeedList('42,sunset,1.5'), [42, 'sunset', 1.5]);
+  assert.deepEqual(parseSeedList(' , '), []);
+});
+
+test('caps the number of seeds in a batch', () => {
+  assert.equal(parseSeedList('1..10000').length, 10000);
+  assert.throws(() => parseSeedList('1..10001'), /at most 10000 seeds/);
+  assert.throws(() => parseSeedList('0..1000000000'), /at most 10000 seeds/);
+});
+
+test('parses viewports', () => {
+  assert.deepEqual(parseViewport('1920x1080'), { viewportWidth: 1920, viewportHeight: 1080 });
+  assert.deepEqual(parseViewport(' 800 X 600 '), { viewportWidth: 800, viewportHeight: 600 });
+  assert.equal(parseViewport('800'), null);
+  assert.equal(parseViewport('-800x600'), null);
+});
+
+test('turns seeds into safe file names', () => {
+  assert.equal(seedToFileName(42), '42');
+  assert.equal(seedToFileName('../etc/passwd'), '.._etc_passwd');
+  assert.equal(seedToFileName('a b/c'), 'a_b_c');
+  assert.equal(seedToFileName('///'), '_');
+  assert.equal(seedToFileName('x'.repeat(100)).length, 64);
+});
+
+test('gives every seed in a batch its own file name', () => {
+  const usedNames = new Set();
+  const names = ['a b', 'a_b', 'A_B', 'a?b'].map((seed, index) => uniqueFileName('grid', seed, index, usedNames));
+  assert.equal(names[0], 'grid-a_b.svg');
+  assert.equal(new Set(names.map(name => name.toLowerCase())).size, names.length);
+  for (const name of names) assert.match(name, /^grid-a_b(-[0-9a-f]{8}(-\d+)?)?\.svg$/i);
+
+  // Seeds that differ only after the first 64 characters
+  const long = 'x'.repeat(64);
+  const longNames = [`${long}1`, `${long}2`].map((seed, index) => uniqueFileName('grid', seed, index, usedNames));
+  assert.notEqual(longNames[0], longNames[1]);
+});
+
+test('reads design files with legacy defaults for options they predate', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jenvek-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const oldFile = path.join(dir, 'old.json');
+  fs.writeFileSync(oldFile, JSON.stringify({ seed: 7, optionsUsed: { patternType: 'lissajous' } }));
+  const body = await readDesignFile(oldFile);
+  assert.equal(body.patternType, 'lissajous');
+  assert.equal(body.lissajousMode, 'random');
+  assert.equal(body.seed, 7);
+
+  const newFile = path.join(dir, 'new.json');
+  fs.writeFileSync(newFile, JSON.stringify({ optionsUsed: { patternType: 'lissajous', lissajousMode: 'controls' } }));
+  assert.equal((await readDesignFile(newFile)).lissajousMode, 'controls');
+
+  const notDesign = path.join(dir, 'palette.json');
+  fs.writeFileSync(notDesign, JSON.stringify({ colors: [] }));
+  await assert.rejects(readDesignFile(notDesign), /no "optionsUsed" block/);
+});
@@ -0,0 +1,68 @@
+// jenVek-node/test/colorMath.test.js
+// Colour conversions, CIEDE2000, contrast and palette operations shared by the browser and the server.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSharedModule } = require('../server/lib/sharedModules');
+
+let colorMath;
+let paletteOps;
+test.before(async () => {
+  colorMath = await loadSharedModule('colorMath.js');
+  paletteOps = await loadSharedModule('paletteOps.js');
+});
+
+/**
+ * Asserts that two numbers agree to a tolerance.
+ * @param {number} actual - Computed value.
+ * @param {number} expected - Expected value.
+ * @param {number} [tolerance=1e-4] - Largest allowed difference.
+ */
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('converts between hex and RGB', () => {
+  assert.deepEqual(colorMath.hexToRgb('#3A7BD5'), { r: 58, g: 123, b: 213 });
+  assert.equal(colorMath.rgbToHex({ r: 58, g: 123, b: 213 }).toUpperCase(), '#3A7BD5');
+});
+
+test('matches the CIEDE2000 reference data (Sharma, Wu and Dalal 2005)', () => {
+  // Pairs 1, 7 and 17 of the published test set
+  assertClose(colorMath.deltaE2000({ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 }), 2.0425);
+  assertClose(colorMath.deltaE2000({ l: 50, a: 0, b: 0 }, { l: 50, a: -1, b: 2 }), 2.3669);
+  assertClose(colorMath.deltaE2000({ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 }), 27.1492);
+  assert.equal(colorMath.hexDeltaE('#3A7BD5', '#3A7BD5'), 0);
+});
+
+test('computes WCAG contrast ratios', () => {
+  assertClose(colorMath.contrastRatio('#000000', '#FFFFFF'), 21, 1e-9);
+  assertClose(colorMath.contrastRatio('#777777', '#777777'), 1, 1e-9);
+});
+
+test('round-trips colours through OKLab and OKLCh', () => {
+  for (const hex of ['#000000', '#FFFFFF', '#3A7BD5', '#E63946', '#2A9D8F']) {
+    const rgb = colorMath.hexToRgb(hex);
+    const back = colorMath.oklabToRgb(colorMath.rgbToOklab(rgb));
+    for (const channel of ['r', 'g', 'b']) assertClose(back[channel], rgb[channel], 0.5);
+    assert.equal(colorMath.oklchToHex(colorMath.hexToOklch(hex)).toUpperCase(), hex);
+  }
+});
+
+test('interpolates, expands and sorts palettes', () => {
+  const { interpolateColor, expandPalette, sortPalette } = paletteOps;
+  for (const space of paletteOps.INTERPOLATION_SPACES) {
+    assert.equal(interpolateColor('#000000', '#FFFFFF', 0, space).toUpperCase(), '#000000');
+    assert.equal(interpolateColor('#000000', '#FFFFFF', 1, space).toUpperCase(), '#FFFFFF');
+  }
+  assert.equal(interpolateColor('#000000', '#FFFFFF', 0.5, 'srgb').toUpperCase(), '#808080');
+
+  const expanded = expandPalette(['#000000', '#FFFFFF'], 5, 'srgb');
+  assert.equal(expanded.length, 5);
+  assert.equal(expanded[0].toUpperCase(), '#000000');
+  assert.equal(expanded[4].toUpperCase(), '#FFFFFF');
+
+  const sorted = sortPalette(['#FFFFFF', '#000000', '#777777'], 'lightness');
+  assert.deepEqual(sorted.map(hex => hex.toUpperCase()), ['#000000', '#777777', '#FFFFFF']);
+  assert.deepEqual(sortPalette(['#FFFFFF', '#000000'], 'none'), ['#FFFFFF', '#000000']);
+});
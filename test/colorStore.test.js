@@ -0,0 +1,91 @@
+// jenVek-node/test/colorStore.test.js
+// The persistent colour library: file creation, atomic writes, name validation and serialized mutations.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a scratch file before it is loaded (COLOURS_FILE is read at require time)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jenvek-colours-'));
+process.env.COLOURS_FILE = path.join(dataDir, 'colours.json');
+
+const colorStore = require('../server/lib/colorStore');
+const builtInColors = require('../server/data/colours');
+
+/**
+ * @returns {object} The library as currently stored on disk.
+ */
+function readFile() {
+  return JSON.parse(fs.readFileSync(colorStore.COLOURS_FILE, 'utf8'));
+}
+
+// Input is validated before a mutation is queued, so bad input throws synchronously;
+// the `async () =>` wrappers below turn that into a rejection for assert.rejects
+test.before(async () => {
+  await colorStore.loadColors();
+});
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('creates the library file from the built-in colours on first load', () => {
+  assert.deepEqual(readFile(), builtInColors);
+  assert.deepEqual(colorStore.getColors(), builtInColors);
+});
+
+test('persists a new category and leaves no temporary files behind', async () => {
+  const created = await colorStore.createCategory({ name: '  Sea   Glass ', colors: [{ name: 'Foam', hex: '#abc' }] });
+  assert.deepEqual(created, { name: 'Sea Glass', colors: [{ name: 'Foam', hex: '#AABBCC' }] });
+  assert.deepEqual(readFile()['Sea Glass'], [{ name: 'Foam', hex: '#AABBCC' }]);
+  assert.deepEqual(fs.readdirSync(dataDir), ['colours.json']);
+});
+
+test('rejects reserved names and the names of Object.prototype members with 400', async () => {
+  for (const name of ['custom', 'random_palette', '__proto__', 'constructor', 'prototype', 'toString', 'hasOwnProperty', 'valueOf']) {
+    await assert.rejects(async () => colorStore.createCategory({ name }), { status: 400 }, name);
+  }
+  await assert.rejects(async () => colorStore.createCategory({ name: '' }), { status: 400 });
+  await assert.rejects(async () => colorStore.createCategory({ name: 'x'.repeat(61) }), { status: 400 });
+  assert.equal(Object.getPrototypeOf(colorStore.getColors()), Object.prototype);
+  assert.ok(!Object.hasOwn(readFile(), 'toString'));
+});
+
+test('rejects duplicates case-insensitively with 409 and leaves the file unchanged', async () => {
+  const before = fs.readFileSync(colorStore.COLOURS_FILE, 'utf8');
+  await assert.rejects(async () => colorStore.createCategory({ name: 'sea glass' }), { status: 409 });
+  await assert.rejects(async () => colorStore.addColor('Sea Glass', { name: 'FOAM', hex: '#000000' }), { status: 409 });
+  await assert.rejects(async () => colorStore.createCategory({ name: 'Pair', colors: [{ name: 'a', hex: '#000' }, { name: 'A', hex: '#fff' }] }), { status: 409 });
+  assert.equal(fs.readFileSync(colorStore.COLOURS_FILE, 'utf8'), before);
+});
+
+test('validates hex colours', async () => {
+  for (const hex of ['red', '#12345', '123456', null]) {
+    await assert.rejects(async () => colorStore.addColor('Sea Glass', { name: 'Bad', hex }), { status: 400 });
+  }
+  await assert.rejects(async () => colorStore.addColor('No Such Category', { name: 'Ok', hex: '#123456' }), { status: 404 });
+});
+
+test('renaming a category keeps its position', async () => {
+  const keys = Object.keys(colorStore.getColors());
+  const index = keys.indexOf('Sea Glass');
+  await colorStore.updateCategory('sea glass', { name: 'Beach Glass' });
+  const renamed = Object.keys(readFile());
+  assert.equal(renamed[index], 'Beach Glass');
+  assert.equal(renamed.length, keys.length);
+});
+
+test('serializes concurrent mutations so none is lost', async () => {
+  const names = ['One', 'Two', 'Three', 'Four', 'Five'];
+  await Promise.all(names.map((name, i) => colorStore.addColor('Beach Glass', { name, hex: `#00000${i}` })));
+  assert.deepEqual(readFile()['Beach Glass'].map(color => color.name), ['Foam', ...names]);
+  assert.deepEqual(fs.readdirSync(dataDir), ['colours.json']);
+});
+
+test('updates and deletes colours and categories', async () => {
+  assert.deepEqual(await colorStore.updateColor('Beach Glass', 'one', { hex: '#fff' }), { name: 'One', hex: '#FFFFFF' });
+  await colorStore.deleteColor('Beach Glass', 'Two');
+  assert.ok(!readFile()['Beach Glass'].some(color => color.name === 'Two'));
+  await colorStore.deleteCategory('Beach Glass');
+  assert.ok(!('Beach Glass' in readFile()));
+  await assert.rejects(async () => colorStore.deleteCategory('Beach Glass'), { status: 404 });
+});
@@ -0,0 +1,77 @@
+// jenVek-node/test/patterns.test.js
+// Pattern generators: seeded determinism, degenerate inputs, the L-system grammar and noise.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRenderCore } = require('../server/lib/renderer');
+const { loadSharedModule } = require('../server/lib/sharedModules');
+const builtInColors = require('../server/data/colours');
+
+let core;
+test.before(async () => {
+  core = await loadRenderCore();
+});
+
+/**
+ * Renders with the built-in colours and a silent logger.
+ * @param {object} options - Generation options.
+ * @returns {object} renderSVG() result.
+ */
+function render(options) {
+  return core.renderSVG({ viewportWidth: 300, viewportHeight: 300, ...options }, { allColors: builtInColors, logger: core.SILENT_LOGGER });
+}
+
+test('every pattern renders the same SVG for the same seed', () => {
+  for (const patternType of core.getPatternTypes()) {
+    const first = render({ patternType, seedOverride: '1234' });
+    const second = render({ patternType, seedOverride: '1234' });
+    assert.match(first.svg, /^<svg[\s>]/, patternType);
+    assert.equal(first.svg, second.svg, `${patternType} is not deterministic`);
+    assert.equal(first.seed, 1234, patternType);
+  }
+});
+
+test('different seeds give different designs', () => {
+  assert.notEqual(render({ patternType: 'voronoi', seedOverride: '1' }).svg, render({ patternType: 'voronoi', seedOverride: '2' }).svg);
+});
+
+test('Voronoi terminates around captured points outside the viewport', () => {
+  // The validator rejects these for the API, but the browser and direct callers reach the generator
+  for (const captured of [{ capturedX: 1e9, capturedY: 1e9 }, { capturedX: -5000, capturedY: 150 }, { capturedV: 1e9 }]) {
+    const { svg } = render({ patternType: 'voronoi', voronoiPoints: 'captured', seedOverride: '9', ...captured });
+    assert.match(svg, /<path|<polygon|<line/);
+  }
+});
+
+test('parses L-system rules', async () => {
+  const { parseLSystemRules } = await loadSharedModule('patterns/lsystem.js');
+  const { rules, warnings } = parseLSystemRules('F = F+F-F\n# comment\n\nX -> F[+X]; Y→-Y');
+  assert.deepEqual([...rules], [['F', 'F+F-F'], ['X', 'F[+X]'], ['Y', '-Y']]);
+  assert.deepEqual(warnings, []);
+
+  const duplicate = parseLSystemRules('F=F+F;F=FF;nonsense');
+  assert.equal(duplicate.rules.get('F'), 'FF');
+  assert.equal(duplicate.warnings.length, 2);
+  assert.deepEqual([...parseLSystemRules(null).rules], []);
+});
+
+test('noise is seeded, bounded and zero on the integer lattice', async () => {
+  const { createSeededRandom } = await loadSharedModule('utils.js');
+  const { createNoise2D, fractalNoise2D } = await loadSharedModule('noise.js');
+  const noise = createNoise2D(createSeededRandom(7));
+  const again = createNoise2D(createSeededRandom(7));
+  const other = createNoise2D(createSeededRandom(8));
+  let differs = false;
+  for (let i = 0; i < 500; i++) {
+    const x = i * 0.37;
+    const y = i * 0.11 - 20;
+    const value = noise(x, y);
+    assert.equal(value, again(x, y));
+    assert.ok(value >= -1 && value <= 1, `noise(${x}, ${y}) = ${value}`);
+    const fractal = fractalNoise2D(noise, x, y, 4);
+    assert.ok(fractal >= -1 && fractal <= 1, `fractalNoise2D(${x}, ${y}) = ${fractal}`);
+    if (value !== other(x, y)) differs = true;
+  }
+  assert.ok(differs, 'different seeds should give different noise');
+  assert.equal(noise(3, -4), 0);
+});
@@ -0,0 +1,40 @@
+// jenVek-node/test/render.test.js
+// The DOM-free render core (public/js/modules/render.js): determinism, logging and budgets.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRenderCore } = require('../server/lib/renderer');
+const builtInColors = require('../server/data/colours');
+
+let core;
+test.before(async () => {
+  core = await loadRenderCore();
+});
+
+/**
+ * Renders with the built-in colours and a silent logger.
+ * @param {object} options - Generation options.
+ * @param {object} [context] - Extra render context.
+ * @returns {object} renderSVG() result.
+ */
+function render(options, context = {}) {
+  return core.renderSVG({ viewportWidth: 300, viewportHeight: 300, ...options }, { allColors: builtInColors, logger: core.SILENT_LOGGER, ...context });
+}
+
+test('sends the core log to the injected logger instead of the console', (t) => {
+  const consoleLog = t.mock.method(console, 'log');
+  const consoleWarn = t.mock.method(console, 'warn');
+  const messages = [];
+  const logger = { log: (...args) => messages.push(args.join(' ')), warn: (...args) => messages.push(args.join(' ')) };
+  render({ patternType: 'rose', seedOverride: '1' }, { logger });
+  assert.ok(messages.some(message => message.includes('Rose Curve')));
+  assert.equal(consoleLog.mock.callCount(), 0);
+  assert.equal(consoleWarn.mock.callCount(), 0);
+});
+
+test('restores the previous logger when a render throws', (t) => {
+  assert.throws(() => render({ patternType: 'grid', complexity: 20, density: 100 }, { maxElements: 10 }), { name: 'RenderLimitError' });
+  const consoleLog = t.mock.method(console, 'log', () => {});
+  core.resolveSeed({ seedOverride: '5' });
+  assert.equal(consoleLog.mock.callCount(), 1); // Back to the console outside renderScene()
+});
@@ -0,0 +1,88 @@
+// jenVek-node/test/renderOptions.test.js
+// validateRenderRequest(): option rules, palettes, layers and captured points.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRenderCore } = require('../server/lib/renderer');
+const { validateRenderRequest } = require('../server/lib/renderOptions');
+
+let core;
+test.before(async () => {
+  core = await loadRenderCore();
+});
+
+/**
+ * Validates a body and returns its errors.
+ * @param {object} body - Request body.
+ * @returns {string[]} The errors.
+ */
+function errorsFor(body) {
+  return validateRenderRequest(body, core).errors;
+}
+
+test('accepts an empty body and the documented defaults', () => {
+  assert.deepEqual(errorsFor({}), []);
+  assert.deepEqual(errorsFor({ ...core.DEFAULT_RENDER_OPTIONS }), []);
+});
+
+test('rejects bodies that are not objects', () => {
+  for (const body of [null, [], 'lines', 42]) {
+    const { options, errors } = validateRenderRequest(body, core);
+    assert.equal(options, null);
+    assert.equal(errors.length, 1);
+  }
+});
+
+test('rejects unknown keys, out-of-range numbers and non-integers', () => {
+  assert.match(errorsFor({ colour: 'red' })[0], /Unknown option "colour"/);
+  assert.match(errorsFor({ complexity: 0 })[0], /"complexity" must be between 1 and 20/);
+  assert.match(errorsFor({ repetition: 1.5 })[0], /"repetition" must be an integer/);
+  assert.match(errorsFor({ viewportWidth: '800' })[0], /"viewportWidth" must be a number/);
+});
+
+test('checks pattern types, pattern parameters and spiral types against the render core', () => {
+  assert.match(errorsFor({ patternType: 'nope' })[0], /"patternType" must be one of/);
+  assert.deepEqual(errorsFor({ patternType: 'rose', roseNParam: 3 }), []);
+  assert.match(errorsFor({ roseNParam: 1000 })[0], /"roseNParam" must be between/);
+  for (const spiralType of core.SPIRAL_TYPES) assert.deepEqual(errorsFor({ spiralType }), []);
+  assert.match(errorsFor({ spiralType: 'golden' })[0], /"spiralType" must be one of/);
+});
+
+test('turns seed into seedOverride and refuses both at once', () => {
+  assert.equal(validateRenderRequest({ seed: 42 }, core).options.seedOverride, '42');
+  assert.equal(validateRenderRequest({ seed: 'hello' }, core).options.seedOverride, 'hello');
+  assert.match(errorsFor({ seed: 1, seedOverride: '2' })[0], /either "seed" or "seedOverride"/);
+  assert.match(errorsFor({ seed: '' })[0], /"seed" must be/);
+});
+
+test('accepts captured points inside the viewport and rejects those outside it', () => {
+  assert.deepEqual(errorsFor({ capturedX: 0, capturedY: 600, capturedV: { x: 800, y: 0 } }), []);
+  assert.match(errorsFor({ capturedX: 1e9, capturedY: 10 })[0], /"capturedX" must be between 0 and the viewport width \(800\)/);
+  assert.match(errorsFor({ viewportHeight: 200, capturedX: 10, capturedY: 300 })[0], /"capturedY"/);
+  assert.match(errorsFor({ capturedV: { x: -1, y: 10 } })[0], /"capturedV" must lie inside/);
+  assert.match(errorsFor({ capturedX: 'left' })[0], /"capturedX" must be a number or null/);
+});
+
+test('validates palettes and the custom palette list', () => {
+  assert.deepEqual(errorsFor({ palette: 'random_palette' }), []);
+  assert.match(errorsFor({ palette: 'no-such-palette' })[0], /Unknown palette/);
+  assert.match(errorsFor({ palette: 'random_in_category' })[0], /needs "colorCategory"/);
+  assert.deepEqual(errorsFor({ colorCategory: 'custom', customPalette: ['#112233', '#445566'] }), []);
+  assert.match(errorsFor({ colorCategory: 'custom', customPalette: [] })[0], /needs its colours/);
+  assert.match(errorsFor({ customPalette: ['red'] })[0], /"customPalette" must be a list/);
+});
+
+test('validates layer stacks, their display settings and per-layer keys', () => {
+  const { options, errors } = validateRenderRequest({
+    layers: [{ id: 'a', patternType: 'rose', blendMode: 'multiply', visible: false, layerOpacity: 0.5, seed: 7 }],
+  }, core);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(options.layers, [{ id: 'a', patternType: 'rose', visible: false, blendMode: 'multiply', layerOpacity: 0.5, seed: 7 }]);
+
+  const bad = errorsFor({ layers: [{ blendMode: 'glow', seed: -1 }, { viewportWidth: 100 }] });
+  assert.ok(bad.some(error => /layers\[0\]\.blendMode/.test(error)));
+  assert.ok(bad.some(error => /layers\[0\]\.seed/.test(error)));
+  assert.ok(bad.some(error => /layers\[1\]" cannot set "viewportWidth"/.test(error)));
+  assert.match(errorsFor({ layers: [{ id: 'x' }, { id: 'x' }] })[0], /unique/);
+  assert.match(errorsFor({ layers: new Array(26).fill({}) })[0], /at most 25/);
+});